@@ -1,242 +1,869 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
 
-// Base URL for the mock API (simulated for display purposes)
+// Base URL of the Express mock server (proxied to port 5000 in development)
 const API_BASE = '/api';
 
-// --- Core Logic for Response Processing and Scenario Evaluation ---
+// Every request carries the selected workspace in this header; the choice is
+// remembered in localStorage between visits.
+const WORKSPACE_HEADER = 'X-Mock-Workspace';
+const WORKSPACE_STORAGE_KEY = 'mockServer.workspace';
+const DEFAULT_WORKSPACE = 'default';
+
+// Form state used when creating a brand new endpoint
+const DEFAULT_ENDPOINT = {
+  endpointId: 'user-profile',
+  path: '/users/:id',
+  responseTemplate: '{\n  "status": "success",\n  "message": "User {{path.id}} details retrieved.",\n  "query_filter": "{{query.filter}}"\n}',
+  method: 'GET',
+  statusCode: 200,
+  delay: 0,
+  stateMachineName: '',
+  initialState: '',
+  schemaTemplate: '',
+  seed: '',
+  bodyEncoding: 'json',
+  contentType: '',
+  disposition: '',
+  dispositionFilename: '',
+  sequenceTemplate: '',
+  sequenceMode: 'stick',
+  fault: null,
+  bandwidth: '',
+  scenarios: []
+};
+
+// How a mock's response is stored and sent (see server/lib/bodies.js)
+const BODY_ENCODINGS = [
+  { value: 'json', label: 'JSON' },
+  { value: 'text', label: 'Text (CSV, XML, HTML, ...)' },
+  { value: 'base64', label: 'Binary (base64)' },
+  { value: 'file', label: 'File on the server' }
+];
+
+// --- Endpoint Model Mapping (dashboard form <-> server mock config) ---
 
 /**
- * Processes the response template string, substituting placeholders with actual request data.
- * Template syntax: {{path.param}}, {{query.param}}, {{body.field}}, or {{body}}
- * @param {string} template - The response template string (e.g., '{"id": "{{path.id}}", "status": "ok"}')
- * @param {object} requestParams - An object containing pathParams, queryParams, and bodyParams.
- * @returns {string} The processed response string.
+ * Parses a response template from a textarea into the JSON value stored by the server.
+ * @param {string} template - The JSON text typed into the form.
+ * @param {string} label - Field name used in the error message.
+ * @returns {*} The parsed JSON value.
  */
-const processResponseTemplate = (template, requestParams) => {
-  let processedTemplate = template;
+const parseResponseTemplate = (template, label) => {
+  try {
+    return JSON.parse(template);
+  } catch (e) {
+    throw new Error(`${label} must be valid JSON (${e.message})`);
+  }
+};
 
-  const replace = (type, params) => {
-    if (!params) return;
-    Object.entries(params).forEach(([key, value]) => {
-      // Find and replace {{type.key}} with the stringified value
-      const placeholder = new RegExp(`{{\\s*${type}\\.${key}\\s*}}`, 'g');
+/**
+ * Formats a stored response value for display and editing in a textarea.
+ */
+const formatResponseTemplate = (response) => JSON.stringify(response === undefined ? null : response, null, 2);
 
-      // Use the actual value. If it's an object/array, stringify it.
-      const replacementValue = (typeof value === 'object' && value !== null)
-          ? JSON.stringify(value)
-          : String(value);
+/**
+ * Parses a response body from a textarea: JSON bodies are parsed, text, base64
+ * and file bodies are sent as typed.
+ * @param {string} template - The text typed into the form.
+ * @param {string} encoding - The body encoding (json, text, base64 or file).
+ * @param {string} label - Field name used in the error message.
+ */
+const parseResponseBody = (template, encoding, label) => (encoding && encoding !== 'json'
+    ? template
+    : parseResponseTemplate(template, label));
 
-      processedTemplate = processedTemplate.replace(placeholder, replacementValue);
-    });
-  };
+const formatResponseBody = (response, encoding) => (encoding && encoding !== 'json'
+    ? String(response === undefined || response === null ? '' : response)
+    : formatResponseTemplate(response));
 
-  // 1. Path Params
-  replace('path', requestParams.pathParams);
+/**
+ * Builds a response sequence from its form fields. An empty template means no sequence.
+ * @param {string} template - JSON list of { statusCode, response, headers, delay } steps.
+ * @param {string} mode - What happens once every step was used: stick, loop or fallthrough.
+ * @param {string} label - Field name used in the error message.
+ * @returns {object|null} The sequence, or null.
+ */
+const parseSequence = (template, mode, label) => (template && template.trim()
+    ? { responses: parseResponseTemplate(template, label), onExhausted: mode }
+    : null);
+
+// Seeds typed as whole numbers are sent as numbers, anything else as text
+const toServerSeed = (seed) => {
+  const text = String(seed === undefined || seed === null ? '' : seed).trim();
+  if (!text) return null;
+  return /^-?\d+$/.test(text) ? Number(text) : text;
+};
 
-  // 2. Query Params
-  replace('query', requestParams.queryParams);
+/**
+ * Converts a server mock config ({ id, response, ... }) into the dashboard's form model.
+ * @param {object} config - Mock endpoint as returned by /api/mock-endpoints.
+ * @returns {object} Endpoint with endpointId, responseTemplate and scenarios.
+ */
+const fromServerEndpoint = (config) => ({
+  endpointId: config.id,
+  path: config.path || `/${config.id}`,
+  method: config.method,
+  statusCode: config.statusCode,
+  delay: config.delay || 0,
+  headers: config.headers || {},
+  responseTemplate: formatResponseBody(config.response, config.bodyEncoding),
+  bodyEncoding: config.bodyEncoding || 'json',
+  contentType: config.contentType || '',
+  disposition: config.contentDisposition ? config.contentDisposition.type : '',
+  dispositionFilename: config.contentDisposition && config.contentDisposition.filename ? config.contentDisposition.filename : '',
+  scenarios: (config.scenarios || []).map(scenario => ({
+    name: scenario.name,
+    match: scenario.match,
+    statusCode: scenario.statusCode,
+    delay: scenario.delay || 0,
+    headers: scenario.headers || {},
+    responseTemplate: formatResponseBody(scenario.response, scenario.bodyEncoding),
+    bodyEncoding: scenario.bodyEncoding,
+    contentType: scenario.contentType,
+    contentDisposition: scenario.contentDisposition,
+    requiredState: scenario.requiredState || '',
+    nextState: scenario.nextState || '',
+    sequenceTemplate: scenario.sequence ? formatResponseTemplate(scenario.sequence.responses) : '',
+    sequenceMode: scenario.sequence ? scenario.sequence.onExhausted : 'stick',
+    fault: scenario.fault || null,
+    bandwidth: scenario.bandwidth || '',
+    responseSchema: scenario.responseSchema,
+    seed: scenario.seed,
+    recordedAt: scenario.recordedAt
+  })),
+  stateMachineName: config.stateMachine ? config.stateMachine.name : '',
+  initialState: config.stateMachine ? config.stateMachine.initialState : '',
+  schemaTemplate: config.responseSchema ? formatResponseTemplate(config.responseSchema) : '',
+  seed: config.seed !== undefined ? String(config.seed) : '',
+  sequenceTemplate: config.sequence ? formatResponseTemplate(config.sequence.responses) : '',
+  sequenceMode: config.sequence ? config.sequence.onExhausted : 'stick',
+  fault: config.fault || null,
+  bandwidth: config.bandwidth || '',
+  fromContract: config.fromContract,
+  proxy: config.proxy,
+  tags: config.tags || [],
+  createdAt: config.createdAt,
+  updatedAt: config.updatedAt
+});
+
+// Delays are a number of milliseconds or a distribution object (see LatencyEditor)
+const toServerDelay = (delay) => (delay && typeof delay === 'object' ? delay : Number(delay) || 0);
+
+// The rule builder produces { and: [] } when no rule is left; state-only
+// scenarios are sent without a matcher instead
+const isEmptyMatcher = (match) => !match ||
+    ((Array.isArray(match.and) || Array.isArray(match.or)) && (match.and || match.or).length === 0);
 
-  // 3. Specific Body Fields
-  if (requestParams.bodyParams) {
-      Object.entries(requestParams.bodyParams).forEach(([key, value]) => {
-        const placeholder = new RegExp(`{{\\s*body\\.${key}\\s*}}`, 'g');
-        const replacementValue = (typeof value === 'object' && value !== null)
-            ? JSON.stringify(value)
-            : String(value);
-        processedTemplate = processedTemplate.replace(placeholder, replacementValue);
-      });
-  }
+/**
+ * Converts the dashboard's form model into the request body expected by the server.
+ * Throws if the default or any scenario JSON response template is not valid JSON.
+ * @param {object} endpoint - Endpoint from the create/edit form.
+ * @returns {object} Mock config with endpointId, response and scenarios.
+ */
+const toServerEndpoint = (endpoint) => ({
+  endpointId: endpoint.endpointId.trim(),
+  path: endpoint.path.trim(),
+  method: endpoint.method,
+  statusCode: Number(endpoint.statusCode),
+  delay: toServerDelay(endpoint.delay),
+  bandwidth: Number(endpoint.bandwidth) || null,
+  headers: endpoint.headers || {},
+  response: parseResponseBody(endpoint.responseTemplate, endpoint.bodyEncoding, 'Default response template'),
+  bodyEncoding: endpoint.bodyEncoding && endpoint.bodyEncoding !== 'json' ? endpoint.bodyEncoding : null,
+  contentType: endpoint.contentType && endpoint.contentType.trim() ? endpoint.contentType.trim() : null,
+  contentDisposition: endpoint.disposition
+      ? { type: endpoint.disposition, filename: endpoint.dispositionFilename.trim() || undefined }
+      : null,
+  responseSchema: endpoint.schemaTemplate && endpoint.schemaTemplate.trim()
+      ? parseResponseTemplate(endpoint.schemaTemplate, 'Response schema')
+      : null,
+  seed: toServerSeed(endpoint.seed),
+  stateMachine: endpoint.stateMachineName && endpoint.stateMachineName.trim()
+      ? { name: endpoint.stateMachineName.trim(), initialState: endpoint.initialState.trim() || undefined }
+      : null,
+  sequence: parseSequence(endpoint.sequenceTemplate, endpoint.sequenceMode, 'Response sequence'),
+  fault: endpoint.fault || null,
+  scenarios: (endpoint.scenarios || []).map((scenario, index) => ({
+    name: scenario.name,
+    match: isEmptyMatcher(scenario.match) && (scenario.requiredState || scenario.nextState) ? undefined : scenario.match,
+    requiredState: scenario.requiredState || undefined,
+    nextState: scenario.nextState || undefined,
+    statusCode: Number(scenario.statusCode),
+    delay: toServerDelay(scenario.delay),
+    bandwidth: Number(scenario.bandwidth) || undefined,
+    headers: scenario.headers || {},
+    response: parseResponseBody(scenario.responseTemplate, scenario.bodyEncoding, `Scenario ${index + 1} response template`),
+    bodyEncoding: scenario.bodyEncoding,
+    contentType: scenario.contentType,
+    contentDisposition: scenario.contentDisposition,
+    sequence: parseSequence(scenario.sequenceTemplate, scenario.sequenceMode, `Scenario ${index + 1} response sequence`) || undefined,
+    fault: scenario.fault || undefined,
+    responseSchema: scenario.responseSchema,
+    seed: scenario.seed,
+    recordedAt: scenario.recordedAt
+  }))
+});
+
+// Content types whose bodies are shown as text in the test results
+const TEXT_CONTENT_TYPE = /json|^text\/|xml|javascript|x-www-form-urlencoded|graphql|yaml/i;
 
-  // 4. Whole Body Object (special case)
-  if (requestParams.bodyParams) {
-      const bodyPlaceholder = new RegExp(`{{\\s*body\\s*}}`, 'g');
-      const stringifiedBody = JSON.stringify(requestParams.bodyParams);
-      processedTemplate = processedTemplate.replace(bodyPlaceholder, stringifiedBody);
+/**
+ * Decodes a mock's response bytes by their Content-Type: JSON is parsed, other
+ * text kept as text and binary bodies kept as a Blob for downloading.
+ * @param {ArrayBuffer} buffer - The response body.
+ * @param {string} contentType - The response's Content-Type header.
+ * @returns {object} { data } or { blob, size }
+ */
+const decodeMockBody = (buffer, contentType) => {
+  if (contentType && !TEXT_CONTENT_TYPE.test(contentType)) {
+    return { blob: new Blob([buffer], { type: contentType }), size: buffer.byteLength };
+  }
+  const text = new TextDecoder().decode(buffer);
+  if (!/json/i.test(contentType || '')) return { data: text };
+  try {
+    return { data: JSON.parse(text) };
+  } catch (e) {
+    return { data: text };
   }
+};
+
+// Saves a Blob through a temporary object URL
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
 
-  return processedTemplate;
+// The file name of a Content-Disposition header, or a generic one
+const getDownloadName = (contentDisposition) => {
+  const encoded = /filename\*=UTF-8''([^;]+)/i.exec(contentDisposition || '');
+  if (encoded) return decodeURIComponent(encoded[1]);
+  const plain = /filename="?([^";]+)"?/i.exec(contentDisposition || '');
+  return plain ? plain[1] : 'response';
 };
 
 /**
- * Evaluates the condition string against request parameters.
- * @param {string} condition - A string containing a JavaScript expression (e.g., "path.id === 'error'").
- * @param {object} requestParams - An object containing pathParams, queryParams, and bodyParams.
- * @returns {boolean} True if the condition evaluates to true, false otherwise.
+ * Extracts the most useful message from an axios error, including any
+ * validation details the server reported.
  */
-const evaluateCondition = (condition, requestParams) => {
-    if (!condition || typeof condition !== 'string' || condition.trim() === '') {
-        return false;
-    }
+const getErrorMessage = (error) => {
+  const data = error.response && error.response.data;
+  if (!data || !data.error) return error.message;
+  return Array.isArray(data.details) && data.details.length > 0
+      ? `${data.error}: ${data.details.join('; ')}`
+      : data.error;
+};
 
-    // Deconstruct params for easy access inside the eval scope
-    const path = requestParams.pathParams || {};
-    const query = requestParams.queryParams || {};
-    const body = requestParams.bodyParams || {};
+// Modes of a proxy mock (see /api/proxy-mock)
+const PROXY_MODES = ['record', 'playback', 'passthrough'];
 
-    try {
-        // Use a function constructor for safe evaluation, isolating scope
-        const result = new Function('path', 'query', 'body', `return (${condition})`)(path, query, body);
-        return !!result; // Coerce to boolean
-    } catch (e) {
-        console.error(`Error evaluating scenario condition: "${condition}"`, e);
-        // If evaluation fails (e.g., bad syntax), the condition is treated as false.
-        return false;
-    }
+// What a response sequence does once every response was used
+const SEQUENCE_MODES = ['stick', 'loop', 'fallthrough'];
+
+// Delay distributions and the settings a newly picked one starts with
+const LATENCY_DISTRIBUTIONS = {
+  fixed: null,
+  uniform: { min: 100, max: 500 },
+  normal: { mean: 200, stdDev: 50 },
+  lognormal: { p50: 150, p99: 900 }
 };
 
 /**
- * Finds the matching scenario for the request.
- * @param {object} endpoint - The full endpoint definition.
- * @param {object} requestParams - Path, Query, and Body parameters from the request.
- * @returns {object} The matched scenario object (statusCode, delay, responseTemplate).
+ * Short description of a delay for endpoint cards ("250ms", "lognormal p50 150ms").
  */
-const getMatchingScenario = (endpoint, requestParams) => {
-    // 1. Check Conditional Scenarios first
-    if (endpoint.scenarios && Array.isArray(endpoint.scenarios)) {
-        for (const scenario of endpoint.scenarios) {
-            if (scenario.condition && evaluateCondition(scenario.condition, requestParams)) {
-                return scenario; // Found a match
-            }
-        }
-    }
+const formatDelay = (delay) => {
+  if (!delay || typeof delay !== 'object') return `${Number(delay) || 0}ms`;
+  const settings = Object.entries(delay)
+      .filter(([key]) => key !== 'distribution')
+      .map(([key, value]) => `${key} ${value}ms`);
+  return `${delay.distribution} ${settings.join(', ')}`;
+};
 
-    // 2. Fall back to the Default Scenario
-    return {
-        statusCode: endpoint.statusCode,
-        delay: endpoint.delay,
-        responseTemplate: endpoint.responseTemplate,
-    };
+// Network faults a mock can inject instead of answering normally
+const FAULT_TYPES = ['connection-reset', 'empty-reply', 'truncated-body', 'malformed-json', 'dribble', 'hang'];
+
+// Human-readable names of the contract formats reported by /api/upload-contract
+const FORMAT_LABELS = {
+  openapi: 'OpenAPI spec',
+  swagger: 'Swagger spec',
+  postman: 'Postman collection',
+  endpoints: 'endpoint file'
 };
 
-// --- Mock Backend Simulation (Handles all client-side operations) ---
-// This acts as the "database" for the defined endpoints
-let MOCK_ENDPOINTS = [];
+// Only these contract formats describe requests well enough for strict mode
+const VALIDATING_FORMATS = ['openapi', 'swagger'];
+
+// --- API Client (all dashboard operations go through the Express server) ---
 
-const mockBackend = {
-  // Simulates fetching all endpoints
-  getEndpoints: () => MOCK_ENDPOINTS,
+const http = axios.create({ baseURL: API_BASE });
+
+const apiClient = {
+  // Scopes every following request (admin and mock calls) to a workspace
+  selectWorkspace: (name) => {
+    http.defaults.headers.common[WORKSPACE_HEADER] = name;
+  },
+
+  getWorkspaces: async () => {
+    const { data } = await http.get('/workspaces');
+    return data;
+  },
+
+  createWorkspace: async (name, description) => {
+    const { data } = await http.post('/workspaces', { name, description });
+    return data.workspace;
+  },
+
+  // Changes description, variables, the fallback upstreamUrl or the networkCondition of a workspace
+  updateWorkspace: async (name, changes) => {
+    const { data } = await http.put(`/workspaces/${encodeURIComponent(name)}`, changes);
+    return data.workspace;
+  },
+
+  // Network condition presets (3g, flaky-wifi, ...) a workspace can apply
+  getNetworkConditions: async () => {
+    const { data } = await http.get('/network-conditions');
+    return data;
+  },
+
+  deleteWorkspace: async (name) => {
+    await http.delete(`/workspaces/${encodeURIComponent(name)}`);
+    return true;
+  },
+
+  // Removes the workspace's endpoints and contracts and zeroes its stats
+  resetWorkspace: async (name) => {
+    const { data } = await http.post(`/workspaces/${encodeURIComponent(name)}/reset`);
+    return data;
+  },
+
+  // Fetches all registered mock endpoints
+  getEndpoints: async () => {
+    const { data } = await http.get('/mock-endpoints');
+    return data.map(fromServerEndpoint);
+  },
+
+  // Creates a new endpoint; the server rejects duplicate IDs with 409
+  createEndpoint: async (endpoint) => {
+    const { data } = await http.post('/mock-endpoints', toServerEndpoint(endpoint));
+    return fromServerEndpoint(data.endpoint);
+  },
+
+  // Updates an existing endpoint in place (the ID itself cannot change, the path can)
+  updateEndpoint: async (endpoint) => {
+    const { endpointId, ...changes } = toServerEndpoint(endpoint);
+    const { data } = await http.put(`/mock-endpoints/${encodeURIComponent(endpointId)}`, changes);
+    return fromServerEndpoint(data.endpoint);
+  },
+
+  deleteEndpoint: async (endpointId) => {
+    await http.delete(`/mock-endpoints/${encodeURIComponent(endpointId)}`);
+    return true;
+  },
 
   /**
-   * Adds or updates an endpoint definition.
+   * Downloads the workspace's mocks as an OpenAPI 3 document.
+   * @param {string} format - "json" or "yaml".
+   * @returns {Promise<string>} The document text.
    */
-  addOrUpdateEndpoint: (endpoint) => {
-    // Ensure endpoint has a unique ID for React keys and deletion
-    if (!endpoint.internalId) {
-      endpoint.internalId = endpoint.endpointId + '-' + endpoint.method;
-    }
+  exportOpenApi: async (format) => {
+    const { data } = await http.get('/export/openapi', { params: { format }, responseType: 'text' });
+    return data;
+  },
 
-    // Ensure scenarios array exists
-    if (!endpoint.scenarios) {
-        endpoint.scenarios = [];
-    }
+  /**
+   * Uploads a HAR capture; the server creates one mock per method + path.
+   * @param {File} file - The .har file.
+   * @param {object} options - host, pathPrefix and stripPrefix filters.
+   */
+  uploadHar: async (file, { host, pathPrefix, stripPrefix }) => {
+    const formData = new FormData();
+    formData.append('host', host);
+    formData.append('pathPrefix', pathPrefix);
+    formData.append('stripPrefix', String(stripPrefix));
+    formData.append('har', file);
+    const { data } = await http.post('/upload-har', formData);
+    return data;
+  },
 
-    const existingIndex = MOCK_ENDPOINTS.findIndex(e => e.internalId === endpoint.internalId);
+  // Replaces an endpoint's response with an uploaded file, served inline or as a download if disposition is set
+  uploadResponse: async (endpointId, file, disposition) => {
+    const formData = new FormData();
+    if (disposition) formData.append('disposition', disposition);
+    formData.append('response', file);
+    const { data } = await http.post(`/upload-response/${encodeURIComponent(endpointId)}`, formData);
+    return fromServerEndpoint(data.endpoint);
+  },
 
-    if (existingIndex > -1) {
-      MOCK_ENDPOINTS[existingIndex] = endpoint;
-    } else {
-      MOCK_ENDPOINTS.push(endpoint);
-    }
-    return endpoint;
+  /**
+   * Creates a proxy mock that forwards to an upstream API.
+   * @param {object} proxy - originalUrl, endpointId, path, mode and redact lists.
+   */
+  createProxy: async (proxy) => {
+    const { data } = await http.post('/proxy-mock', proxy);
+    return fromServerEndpoint(data.config);
   },
 
-  // Simulates deleting an endpoint
-  deleteEndpoint: (id) => {
-    MOCK_ENDPOINTS = MOCK_ENDPOINTS.filter(e => e.internalId === id);
-    return true;
+  // Switches a proxy mock between record, playback and passthrough
+  updateProxy: async (endpointId, changes) => {
+    const { data } = await http.put(`/proxy-mock/${encodeURIComponent(endpointId)}`, changes);
+    return fromServerEndpoint(data.endpoint);
+  },
+
+  clearRecordings: async (endpointId) => {
+    const { data } = await http.delete(`/proxy-mock/${encodeURIComponent(endpointId)}/recordings`);
+    return data.deletedRecordings;
+  },
+
+  // Downloads the workspace's mocks as a Postman Collection v2.1 (JSON text)
+  exportPostman: async () => {
+    const { data } = await http.get('/export/postman', { responseType: 'text' });
+    return data;
   },
 
   /**
-   * Handles the simulated API call by finding a matching endpoint
-   * and dynamically processing the response template.
+   * Lists journaled mock requests of a workspace, newest first.
+   * @param {string} workspace - Sent explicitly, the log may load before selectWorkspace runs.
+   * @param {object} filters - q, method, status ("4xx") and matched ("true"/"false"); empty values are ignored.
    */
-  handleApiCall: (method, url, pathParams, queryParams, bodyParams) => {
-    return new Promise((resolve, reject) => {
+  getRequests: async (workspace, filters) => {
+    const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''));
+    const { data } = await http.get('/requests', { params, headers: { [WORKSPACE_HEADER]: workspace } });
+    return data;
+  },
 
-      let matchedEndpoint = null;
+  clearRequests: async (workspace) => {
+    const { data } = await http.delete('/requests', { headers: { [WORKSPACE_HEADER]: workspace } });
+    return data.deletedRequests;
+  },
 
-      // Path parameters parsed from the requested URL
-      let extractedPathParams = {};
+  // State machines of the workspace with their current states
+  getStateMachines: async () => {
+    const { data } = await http.get('/state-machines');
+    return data;
+  },
 
-      // 1. Find the best match
-      let cleanedUrl = url.split('?')[0];
-      if (cleanedUrl.startsWith(API_BASE)) {
-          cleanedUrl = cleanedUrl.substring(API_BASE.length);
-      }
+  resetStateMachine: async (name) => {
+    const { data } = await http.post(`/state-machines/${encodeURIComponent(name)}/reset`);
+    return data.stateMachine;
+  },
 
-      const uParts = cleanedUrl.split('/').filter(p => p.length > 0);
+  // Resets an endpoint's call count; its response sequences start over
+  resetCalls: async (endpointId) => {
+    const { data } = await http.post(`/mock-endpoints/${encodeURIComponent(endpointId)}/calls/reset`);
+    return data.calls;
+  },
 
-      for (const e of MOCK_ENDPOINTS) {
-          if (e.method !== method) continue;
+  // Renders a response template against a sample request, as a mock call would
+  renderTemplate: async (template, request) => {
+    const { data } = await http.post('/templates/render', { template, request });
+    return data.result;
+  },
 
-          const eParts = e.endpointId.split('/').filter(p => p.length > 0);
+  // Uploads a contract file; the server creates one mock per contract endpoint.
+  // Strict contracts reject mock requests that do not match them.
+  uploadContract: async (file, name, strict = false) => {
+    const formData = new FormData();
+    formData.append('name', name);
+    formData.append('strict', String(strict));
+    formData.append('contract', file);
+    const { data } = await http.post('/upload-contract', formData);
+    return data;
+  },
 
-          if (eParts.length !== uParts.length) continue;
+  getContracts: async () => {
+    const { data } = await http.get('/contracts');
+    return data;
+  },
 
-          let matches = true;
-          let tempPathParams = {};
+  // Changes the name or strict mode of a contract
+  updateContract: async (contractId, changes) => {
+    const { data } = await http.put(`/contracts/${contractId}`, changes);
+    return data.contract;
+  },
 
-          for (let i = 0; i < eParts.length; i++) {
-              const ePart = eParts[i];
-              const uPart = uParts[i];
+  // Requests a strict contract rejected, newest first: { total, violations }
+  getContractViolations: async (contractId) => {
+    const { data } = await http.get(`/contracts/${contractId}/violations`);
+    return data;
+  },
 
-              if (ePart.startsWith(':')) {
-                  tempPathParams[ePart.substring(1)] = uPart;
-              } else if (ePart !== uPart) {
-                  matches = false;
-                  break;
-              }
-          }
+  clearContractViolations: async (contractId) => {
+    const { data } = await http.delete(`/contracts/${contractId}/violations`);
+    return data.deletedViolations;
+  },
 
-          if (matches) {
-              matchedEndpoint = e;
-              extractedPathParams = tempPathParams;
-              break;
-          }
-      }
+  // Checks the contract's mocks against it and lists operations without a mock
+  getConformance: async (contractId) => {
+    const { data } = await http.get(`/contracts/${contractId}/conformance`);
+    return data;
+  },
 
-      if (matchedEndpoint) {
-        // Merge extracted path params from URL with explicitly provided ones
-        const finalPathParams = { ...pathParams, ...extractedPathParams };
-        const requestParams = { pathParams: finalPathParams, queryParams, bodyParams };
-
-        // 2. Determine the correct scenario
-        const scenario = getMatchingScenario(matchedEndpoint, requestParams);
-
-        // Simulate network delay
-        setTimeout(() => {
-          try {
-            // Apply the dynamic template substitution
-            const finalResponseText = processResponseTemplate(scenario.responseTemplate, requestParams);
-
-            // The template *must* result in valid JSON for the response
-            const finalResponse = JSON.parse(finalResponseText);
-
-            resolve({
-              status: scenario.statusCode,
-              data: finalResponse,
-            });
-          } catch (e) {
-            // Handle JSON parsing error if the template output is invalid
-            reject({
-              status: 500,
-              error: `Internal Mock Error: Failed to parse dynamic response template. Ensure the result is valid JSON. (Scenario Status: ${scenario.statusCode}). Error: ${e.message}`,
-              responseText: scenario.responseTemplate, // Show template for debugging
-            });
-          }
-        }, scenario.delay);
-      } else {
-        reject({
-          status: 404,
-          error: `Endpoint not found for ${method} ${url}`,
-        });
-      }
+  /**
+   * Sends a real request to /api/mock/... and resolves with the response whatever
+   * its status code. Only network failures reject. Bodies are decoded with
+   * decodeMockBody.
+   * @param {string} method - HTTP method.
+   * @param {string} url - Concrete mock path relative to /api/mock, optionally with a query string.
+   * @param {object} queryParams - Extra query parameters merged into the URL.
+   * @param {object} bodyParams - JSON body, sent for POST/PUT/PATCH only.
+   */
+  callMock: async (method, url, queryParams, bodyParams) => {
+    const mockPath = url.replace(/^\/?(api\/mock\/?)?/, '').replace(/^\/+/, '');
+    const sendsBody = method === 'POST' || method === 'PUT' || method === 'PATCH';
+    const startTime = Date.now();
+    const response = await http.request({
+      method,
+      url: `/mock/${mockPath}`,
+      params: queryParams,
+      data: sendsBody ? bodyParams : undefined,
+      responseType: 'arraybuffer',
+      validateStatus: () => true
     });
+    return {
+      status: response.status,
+      headers: response.headers,
+      ...decodeMockBody(response.data, response.headers['content-type']),
+      latency: Date.now() - startTime
+    };
+  }
+};
+
+// --- Request Matchers (declarative scenario conditions, evaluated by the server) ---
+
+const MATCH_SOURCES = ['path', 'query', 'header', 'cookie', 'body', 'files', 'method'];
+// Sources whose field can be a JSONPath ("files" describes multipart uploads by form field)
+const JSON_PATH_SOURCES = ['body', 'files'];
+const MATCH_OPERATORS = [
+  { value: 'equals', label: 'equals' },
+  { value: 'contains', label: 'contains' },
+  { value: 'regex', label: 'matches regex' },
+  { value: 'exists', label: 'exists' },
+  { value: 'gt', label: '>' },
+  { value: 'gte', label: '>=' },
+  { value: 'lt', label: '<' },
+  { value: 'lte', label: '<=' },
+];
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+/**
+ * Converts a leaf matcher (optionally wrapped in { not }) into a flat builder rule.
+ * @returns {object|null} { source, field, operator, value, negate } or null when the
+ * leaf uses options the rule builder cannot show (flags, several range bounds...).
+ */
+const leafToRule = (node) => {
+  const negate = !!(node && node.not);
+  const leaf = negate ? node.not : node;
+  if (!leaf || !leaf.source || leaf.caseInsensitive || leaf.flags) return null;
+
+  const rule = { source: leaf.source, field: leaf.jsonPath || leaf.field || '', negate, value: '' };
+  if (leaf.equals !== undefined || leaf.contains !== undefined || leaf.regex !== undefined) {
+    rule.operator = ['equals', 'contains', 'regex'].find(op => leaf[op] !== undefined);
+    rule.value = String(leaf[rule.operator]);
+  } else if (leaf.exists !== undefined) {
+    rule.operator = 'exists';
+    rule.negate = negate !== !leaf.exists;
+  } else if (leaf.range && Object.keys(leaf.range).length === 1) {
+    rule.operator = Object.keys(leaf.range)[0];
+    rule.value = String(leaf.range[rule.operator]);
+  } else {
+    return null;
+  }
+  return rule;
+};
+
+/**
+ * Converts a builder rule back into a leaf matcher.
+ */
+const ruleToLeaf = (rule) => {
+  const leaf = { source: rule.source };
+  if (JSON_PATH_SOURCES.includes(rule.source) && rule.field.startsWith('$')) {
+    leaf.jsonPath = rule.field;
+  } else if (rule.field) {
+    leaf.field = rule.field;
+  }
+
+  if (rule.operator === 'exists') {
+    leaf.exists = true;
+  } else if (RANGE_OPERATORS.includes(rule.operator)) {
+    leaf.range = { [rule.operator]: Number(rule.value) };
+  } else {
+    leaf[rule.operator] = rule.value;
   }
+  return rule.negate ? { not: leaf } : leaf;
+};
+
+/**
+ * Flattens a matcher into { combinator, rules } for the rule builder.
+ * Returns null for nested trees, which are edited as raw JSON instead.
+ */
+const matcherToRules = (match) => {
+  if (!match) return { combinator: 'and', rules: [] };
+  const combinator = Array.isArray(match.and) ? 'and' : Array.isArray(match.or) ? 'or' : null;
+  const nodes = combinator ? match[combinator] : [match];
+  const rules = nodes.map(leafToRule);
+  return rules.every(Boolean) ? { combinator: combinator || 'and', rules } : null;
+};
+
+const rulesToMatcher = (combinator, rules) => ({ [combinator]: rules.map(ruleToLeaf) });
+
+// --- Component: Matcher Editor (rule builder with a raw JSON fallback) ---
+
+const MatcherEditor = ({ match, onChange, idPrefix }) => {
+    const ruleSet = matcherToRules(match);
+    const [jsonMode, setJsonMode] = useState(ruleSet === null);
+    const [jsonText, setJsonText] = useState(JSON.stringify(match || {}, null, 2));
+    const [jsonError, setJsonError] = useState('');
+
+    const updateRules = (combinator, rules) => onChange(rulesToMatcher(combinator, rules));
+
+    const handleRuleChange = (index, field, value) => {
+        const rules = ruleSet.rules.map((rule, i) => (i === index ? { ...rule, [field]: value } : rule));
+        updateRules(ruleSet.combinator, rules);
+    };
+
+    const handleJsonChange = (text) => {
+        setJsonText(text);
+        try {
+            onChange(JSON.parse(text));
+            setJsonError('');
+        } catch (e) {
+            onChange(undefined);
+            setJsonError(`Invalid JSON: ${e.message}`);
+        }
+    };
+
+    const toggleJsonMode = () => {
+        if (!jsonMode) {
+            setJsonText(JSON.stringify(match || {}, null, 2));
+            setJsonError('');
+        }
+        setJsonMode(!jsonMode);
+    };
+
+    if (jsonMode || ruleSet === null) {
+        return (
+            <div className="matcher-editor">
+                <textarea
+                    id={`${idPrefix}-json`}
+                    value={jsonText}
+                    onChange={(e) => handleJsonChange(e.target.value)}
+                    rows="6"
+                ></textarea>
+                {jsonError && <p className="help-text-sm matcher-error">{jsonError}</p>}
+                <p className="help-text-sm">
+                    Leaf: <code>{'{"source": "query", "field": "status", "equals": "pending"}'}</code>.
+                    Operators: <code>equals</code>, <code>contains</code>, <code>regex</code>, <code>exists</code>,
+                    <code>range</code> (<code>gt/gte/lt/lte</code>). Body and files values can use <code>jsonPath</code>,
+                    e.g. <code>{'{"source": "files", "jsonPath": "$.avatar.size", "range": {"gt": 5242880}}'}</code>.
+                    Combine with <code>and</code>, <code>or</code>, <code>not</code>.
+                </p>
+                <button type="button" onClick={toggleJsonMode} className="button-secondary button-small" disabled={ruleSet === null}>
+                    Use Rule Builder
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <div className="matcher-editor">
+            <div className="matcher-combinator">
+                Match
+                <select value={ruleSet.combinator} onChange={(e) => updateRules(e.target.value, ruleSet.rules)}>
+                    <option value="and">all</option>
+                    <option value="or">any</option>
+                </select>
+                of these rules:
+            </div>
+            {ruleSet.rules.map((rule, index) => (
+                <div key={index} className="matcher-rule">
+                    <select value={rule.source} onChange={(e) => handleRuleChange(index, 'source', e.target.value)}>
+                        {MATCH_SOURCES.map(source => <option key={source} value={source}>{source}</option>)}
+                    </select>
+                    {rule.source !== 'method' && (
+                        <input
+                            type="text"
+                            value={rule.field}
+                            onChange={(e) => handleRuleChange(index, 'field', e.target.value)}
+                            placeholder={{ body: 'field or $.json.path', files: 'form field or $.field.size' }[rule.source] || 'name'}
+                        />
+                    )}
+                    <label className="matcher-negate">
+                        <input
+                            type="checkbox"
+                            checked={rule.negate}
+                            onChange={(e) => handleRuleChange(index, 'negate', e.target.checked)}
+                        />
+                        not
+                    </label>
+                    <select value={rule.operator} onChange={(e) => handleRuleChange(index, 'operator', e.target.value)}>
+                        {MATCH_OPERATORS.map(op => <option key={op.value} value={op.value}>{op.label}</option>)}
+                    </select>
+                    {rule.operator !== 'exists' && (
+                        <input
+                            type={RANGE_OPERATORS.includes(rule.operator) ? 'number' : 'text'}
+                            value={rule.value}
+                            onChange={(e) => handleRuleChange(index, 'value', e.target.value)}
+                            placeholder="value"
+                        />
+                    )}
+                    <button
+                        type="button"
+                        onClick={() => updateRules(ruleSet.combinator, ruleSet.rules.filter((_, i) => i !== index))}
+                        className="button-secondary button-small"
+                    >
+                        Remove
+                    </button>
+                </div>
+            ))}
+            <div className="actions">
+                <button
+                    type="button"
+                    onClick={() => updateRules(ruleSet.combinator, [...ruleSet.rules, { source: 'query', field: '', operator: 'equals', value: '', negate: false }])}
+                    className="button-secondary button-small"
+                >
+                    Add Rule
+                </button>
+                <button type="button" onClick={toggleJsonMode} className="button-secondary button-small">
+                    Edit as JSON
+                </button>
+            </div>
+        </div>
+    );
 };
 
 // --- Component: Scenario Editor for Endpoint ---
 
+// --- Component: Sequence Editor (ordered responses for successive calls) ---
+
+const SequenceEditor = ({ idPrefix, template, mode, onChange }) => (
+    <div className="form-group-row">
+        <div className="form-group full-width">
+            <label htmlFor={`${idPrefix}-template`}>Response Sequence (optional JSON list)</label>
+            <textarea
+                id={`${idPrefix}-template`}
+                value={template}
+                onChange={(e) => onChange('sequenceTemplate', e.target.value)}
+                rows="4"
+                placeholder={'[{"statusCode": 503, "response": {"error": "Try again"}}, {"statusCode": 200, "response": {"ok": true}}]'}
+            ></textarea>
+        </div>
+        <div className="form-group">
+            <label htmlFor={`${idPrefix}-mode`}>When Exhausted</label>
+            <select
+                id={`${idPrefix}-mode`}
+                value={mode}
+                onChange={(e) => onChange('sequenceMode', e.target.value)}
+                disabled={!template.trim()}
+            >
+                {SEQUENCE_MODES.map(option => <option key={option} value={option}>{option}</option>)}
+            </select>
+        </div>
+    </div>
+);
+
+// --- Component: Latency Editor (fixed delay or distribution, plus bandwidth) ---
+
+const LatencyEditor = ({ idPrefix, delay, bandwidth, onChange }) => {
+    const profile = delay && typeof delay === 'object' ? delay : null;
+    const distribution = profile ? profile.distribution : 'fixed';
+    // Profiles created through the API may use other settings (p95, min / max clamps)
+    const fields = profile ? Object.keys(profile).filter(key => key !== 'distribution') : [];
+
+    const handleDistributionChange = (value) => {
+        const defaults = LATENCY_DISTRIBUTIONS[value];
+        onChange('delay', defaults ? { distribution: value, ...defaults } : 0);
+    };
+
+    return (
+        <>
+            <div className="form-group">
+                <label htmlFor={`${idPrefix}-distribution`}>Delay</label>
+                <select
+                    id={`${idPrefix}-distribution`}
+                    value={distribution}
+                    onChange={(e) => handleDistributionChange(e.target.value)}
+                >
+                    {Object.keys(LATENCY_DISTRIBUTIONS).map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+            </div>
+            {!profile && (
+                <div className="form-group">
+                    <label htmlFor={`${idPrefix}-ms`}>Delay (ms)</label>
+                    <input
+                        type="number"
+                        id={`${idPrefix}-ms`}
+                        value={delay}
+                        onChange={(e) => onChange('delay', Number(e.target.value))}
+                        min="0"
+                        required
+                    />
+                </div>
+            )}
+            {fields.map(field => (
+                <div className="form-group" key={field}>
+                    <label htmlFor={`${idPrefix}-${field}`}>{field} (ms)</label>
+                    <input
+                        type="number"
+                        id={`${idPrefix}-${field}`}
+                        value={profile[field]}
+                        onChange={(e) => onChange('delay', { ...profile, [field]: Number(e.target.value) })}
+                        min="0"
+                        required
+                    />
+                </div>
+            ))}
+            <div className="form-group">
+                <label htmlFor={`${idPrefix}-bandwidth`}>Bandwidth (bytes/s)</label>
+                <input
+                    type="number"
+                    id={`${idPrefix}-bandwidth`}
+                    value={bandwidth}
+                    onChange={(e) => onChange('bandwidth', e.target.value)}
+                    min="1"
+                    placeholder="unlimited"
+                />
+            </div>
+        </>
+    );
+};
+
+// --- Component: Fault Editor (network failure instead of a clean response) ---
+
+const FaultEditor = ({ idPrefix, fault, onChange }) => (
+    <div className="form-group-row">
+        <div className="form-group">
+            <label htmlFor={`${idPrefix}-type`}>Network Fault</label>
+            <select
+                id={`${idPrefix}-type`}
+                value={fault ? fault.type : ''}
+                onChange={(e) => onChange(e.target.value
+                    ? { probability: 1, ...(fault || {}), type: e.target.value }
+                    : null)}
+            >
+                <option value="">none</option>
+                {FAULT_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+            </select>
+        </div>
+        <div className="form-group">
+            <label htmlFor={`${idPrefix}-probability`}>Fault Probability (0-1)</label>
+            <input
+                type="number"
+                id={`${idPrefix}-probability`}
+                value={fault ? fault.probability : 1}
+                onChange={(e) => onChange({ ...fault, probability: Number(e.target.value) })}
+                min="0"
+                max="1"
+                step="0.05"
+                disabled={!fault}
+            />
+        </div>
+    </div>
+);
+
 const ScenarioEditor = ({ endpoint, setNewEndpoint }) => {
     const handleScenarioChange = (index, field, value) => {
         setNewEndpoint(prev => {
@@ -251,7 +878,7 @@ const ScenarioEditor = ({ endpoint, setNewEndpoint }) => {
             ...prev,
             scenarios: [...prev.scenarios, {
                 name: `Scenario ${prev.scenarios.length + 1}`,
-                condition: `path.id === 'error'`,
+                match: { and: [{ source: 'path', field: 'id', equals: 'error' }] },
                 statusCode: 400,
                 delay: 0,
                 responseTemplate: '{"error": "Scenario failed: path.id is special"}'
@@ -285,7 +912,7 @@ const ScenarioEditor = ({ endpoint, setNewEndpoint }) => {
         <div className="scenario-editor">
             <h4 className="scenario-title">Conditional Scenarios</h4>
             <p className="help-text">
-                Define custom responses that trigger when a **JavaScript condition** is met. The first matching scenario is used, otherwise the default response is used.
+                Define custom responses that trigger when a request matches a set of **declarative rules** over its path, query, headers, cookies or body. The server evaluates scenarios in order and uses the first match, otherwise the default response. The chosen branch is reported in the <code>X-Mock-Scenario</code> response header.
             </p>
 
             {endpoint.scenarios && endpoint.scenarios.map((scenario, index) => (
@@ -304,16 +931,12 @@ const ScenarioEditor = ({ endpoint, setNewEndpoint }) => {
                     </div>
 
                     <div className="form-group">
-                        <label htmlFor={`condition-${index}`}>Condition (JS Expression)</label>
-                        <input
-                            type="text"
-                            id={`condition-${index}`}
-                            value={scenario.condition}
-                            onChange={(e) => handleScenarioChange(index, 'condition', e.target.value)}
-                            placeholder={`query.status === 'error' || path.id > 100`}
-                            required
+                        <label htmlFor={`match-${index}-json`}>Request Matcher</label>
+                        <MatcherEditor
+                            match={scenario.match}
+                            onChange={(match) => handleScenarioChange(index, 'match', match)}
+                            idPrefix={`match-${index}`}
                         />
-                         <p className="help-text-sm">Available variables: <code>path</code>, <code>query</code>, <code>body</code> (JS objects).</p>
                     </div>
 
                     <div className="form-group-row">
@@ -329,21 +952,43 @@ const ScenarioEditor = ({ endpoint, setNewEndpoint }) => {
                                 required
                             />
                         </div>
-                        <div className="form-group">
-                            <label htmlFor={`delay-${index}`}>Delay (ms)</label>
-                            <input
-                                type="number"
-                                id={`delay-${index}`}
-                                value={scenario.delay}
-                                onChange={(e) => handleScenarioChange(index, 'delay', Number(e.target.value))}
-                                min="0"
-                                required
-                            />
-                        </div>
+                        <LatencyEditor
+                            idPrefix={`delay-${index}`}
+                            delay={scenario.delay}
+                            bandwidth={scenario.bandwidth || ''}
+                            onChange={(field, value) => handleScenarioChange(index, field, value)}
+                        />
                     </div>
 
+                    {endpoint.stateMachineName && (
+                        <div className="form-group-row">
+                            <div className="form-group">
+                                <label htmlFor={`required-state-${index}`}>Required State</label>
+                                <input
+                                    type="text"
+                                    id={`required-state-${index}`}
+                                    value={scenario.requiredState || ''}
+                                    onChange={(e) => handleScenarioChange(index, 'requiredState', e.target.value)}
+                                    placeholder="any state"
+                                />
+                            </div>
+                            <div className="form-group">
+                                <label htmlFor={`next-state-${index}`}>Next State</label>
+                                <input
+                                    type="text"
+                                    id={`next-state-${index}`}
+                                    value={scenario.nextState || ''}
+                                    onChange={(e) => handleScenarioChange(index, 'nextState', e.target.value)}
+                                    placeholder="unchanged"
+                                />
+                            </div>
+                        </div>
+                    )}
+
                     <div className="form-group full-width">
-                        <label htmlFor={`template-${index}`}>Response Template (JSON)</label>
+                        <label htmlFor={`template-${index}`}>
+                            Response Template ({(BODY_ENCODINGS.find(encoding => encoding.value === (scenario.bodyEncoding || 'json')) || BODY_ENCODINGS[0]).label})
+                        </label>
                         <textarea
                             id={`template-${index}`}
                             value={scenario.responseTemplate}
@@ -352,6 +997,19 @@ const ScenarioEditor = ({ endpoint, setNewEndpoint }) => {
                             required
                         ></textarea>
                     </div>
+
+                    <SequenceEditor
+                        idPrefix={`sequence-${index}`}
+                        template={scenario.sequenceTemplate || ''}
+                        mode={scenario.sequenceMode || 'stick'}
+                        onChange={(field, value) => handleScenarioChange(index, field, value)}
+                    />
+
+                    <FaultEditor
+                        idPrefix={`fault-${index}`}
+                        fault={scenario.fault}
+                        onChange={(fault) => handleScenarioChange(index, 'fault', fault)}
+                    />
                 </div>
             ))}
             <button type="button" onClick={handleAddScenario} className="button-secondary button-add-scenario">
@@ -363,29 +1021,437 @@ const ScenarioEditor = ({ endpoint, setNewEndpoint }) => {
 };
 
 
+// --- Component: Template Preview (renders a response against a sample request) ---
+
+const SAMPLE_TEMPLATE_REQUEST = '{\n  "path": { "id": "42" },\n  "query": {},\n  "headers": {},\n  "body": {}\n}';
+
+const TemplatePreview = ({ template, encoding = 'json' }) => {
+    const [sampleRequest, setSampleRequest] = useState(SAMPLE_TEMPLATE_REQUEST);
+    const [preview, setPreview] = useState(null);
+
+    const handlePreview = async () => {
+        let parsedTemplate;
+        let request;
+        try {
+            // Text bodies (CSV, XML, ...) are rendered as one string
+            parsedTemplate = encoding === 'text' ? template : JSON.parse(template);
+            request = JSON.parse(sampleRequest || '{}');
+        } catch (e) {
+            setPreview({ error: `Invalid JSON: ${e.message}` });
+            return;
+        }
+        try {
+            const result = await apiClient.renderTemplate(parsedTemplate, request);
+            setPreview({ result });
+        } catch (e) {
+            setPreview({ error: getErrorMessage(e) });
+        }
+    };
+
+    return (
+        <div className="form-group full-width">
+            <label htmlFor="template-preview-request">Sample Request (path, query, headers, body, files)</label>
+            <textarea
+                id="template-preview-request"
+                value={sampleRequest}
+                onChange={(e) => setSampleRequest(e.target.value)}
+                rows="4"
+            ></textarea>
+            <button type="button" onClick={handlePreview} className="button-secondary button-small">Preview</button>
+            {preview && preview.error && <p className="help-text-sm">{preview.error}</p>}
+            {preview && !preview.error && (
+                <pre>{typeof preview.result === 'string' ? preview.result : JSON.stringify(preview.result, null, 2)}</pre>
+            )}
+        </div>
+    );
+};
+
+// --- Component: Conformance Report (contract mocks versus their contract) ---
+
+const ConformanceReport = ({ report, onOpenEndpoint }) => (
+    <div className="violation-list">
+        <p className="help-text-sm">
+            {report.summary.conforming} of {report.summary.mocks} mock(s) conform to the contract;
+            {' '}{report.summary.issues} issue(s), {report.summary.missingOperations} of {report.summary.operations} operation(s) without a mock.
+        </p>
+        {report.endpoints.filter(endpoint => !endpoint.conforming).map(endpoint => (
+            <div key={endpoint.endpointId} className="violation-entry">
+                <button type="button" onClick={() => onOpenEndpoint(endpoint.endpointId)} className="link-button">
+                    {endpoint.endpointId}
+                </button>
+                {' '}{endpoint.method} {endpoint.path}
+                {endpoint.operation && <span className="result-scenario">{endpoint.operation}</span>}
+                <ul>
+                    {endpoint.issues.map((issue, index) => (
+                        <li key={index}>
+                            {issue.branch && <code>{issue.branch}</code>} {issue.message}
+                        </li>
+                    ))}
+                </ul>
+            </div>
+        ))}
+        {report.missingOperations.length > 0 && (
+            <div className="violation-entry">
+                <strong>Operations without a mock</strong>
+                <ul>
+                    {report.missingOperations.map(operation => (
+                        <li key={`${operation.method} ${operation.path}`}>
+                            <code>{operation.method} {operation.path}</code>
+                            {operation.operationId && ` (${operation.operationId})`}
+                        </li>
+                    ))}
+                </ul>
+            </div>
+        )}
+    </div>
+);
+
+// --- Component: Contract List (strict mode, rejected requests and conformance per contract) ---
+
+const ContractList = ({ workspace, refreshKey, onOpenEndpoint }) => {
+    const [contracts, setContracts] = useState([]);
+    const [selectedId, setSelectedId] = useState(null);
+    const [violations, setViolations] = useState({ total: 0, violations: [] });
+    const [report, setReport] = useState(null);
+    const [error, setError] = useState('');
+
+    const loadContracts = async () => {
+        try {
+            setContracts(await apiClient.getContracts());
+            setError('');
+        } catch (e) {
+            setError(`Error loading contracts: ${getErrorMessage(e)}`);
+        }
+    };
+
+    const loadViolations = async (contractId) => {
+        try {
+            setViolations(await apiClient.getContractViolations(contractId));
+        } catch (e) {
+            setError(`Error loading violations: ${getErrorMessage(e)}`);
+        }
+    };
+
+    useEffect(() => {
+        loadContracts();
+        setSelectedId(null);
+        setReport(null);
+    }, [workspace, refreshKey]);
+
+    const handleStrictChange = async (contract, strict) => {
+        try {
+            await apiClient.updateContract(contract.id, { strict });
+            await loadContracts();
+        } catch (e) {
+            setError(`Error updating contract: ${getErrorMessage(e)}`);
+        }
+    };
+
+    const handleShowViolations = async (contractId) => {
+        setReport(null);
+        if (contractId === selectedId) {
+            setSelectedId(null);
+            return;
+        }
+        setSelectedId(contractId);
+        await loadViolations(contractId);
+    };
+
+    const handleCheckConformance = async (contractId) => {
+        setSelectedId(null);
+        try {
+            setReport(await apiClient.getConformance(contractId));
+        } catch (e) {
+            setError(`Error checking conformance: ${getErrorMessage(e)}`);
+        }
+    };
+
+    const handleClearViolations = async (contractId) => {
+        try {
+            await apiClient.clearContractViolations(contractId);
+            await loadViolations(contractId);
+        } catch (e) {
+            setError(`Error clearing violations: ${getErrorMessage(e)}`);
+        }
+    };
+
+    if (contracts.length === 0 && !error) return null;
+
+    return (
+        <div className="contract-list">
+            <h3 className="section-title">Uploaded Contracts</h3>
+            {error && <div className="message error">{error}</div>}
+            <table className="log-table">
+                <thead>
+                    <tr>
+                        <th>Name</th>
+                        <th>Format</th>
+                        <th>Uploaded</th>
+                        <th>Strict</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {contracts.map(contract => (
+                        <tr
+                            key={contract.id}
+                            className={contract.id === selectedId || (report && report.contractId === contract.id) ? 'selected' : ''}
+                        >
+                            <td>{contract.name}</td>
+                            <td>{FORMAT_LABELS[contract.format] || contract.format}</td>
+                            <td>{new Date(contract.uploadedAt).toLocaleString()}</td>
+                            <td>
+                                <input
+                                    type="checkbox"
+                                    checked={Boolean(contract.strict)}
+                                    onChange={(e) => handleStrictChange(contract, e.target.checked)}
+                                    disabled={!VALIDATING_FORMATS.includes(contract.format)}
+                                    title="Reject mock requests that do not match the contract"
+                                />
+                            </td>
+                            <td>
+                                <button type="button" onClick={() => handleShowViolations(contract.id)} className="button-secondary button-small">
+                                    Violations
+                                </button>
+                                {VALIDATING_FORMATS.includes(contract.format) && (
+                                    <button type="button" onClick={() => handleCheckConformance(contract.id)} className="button-secondary button-small">
+                                        Conformance
+                                    </button>
+                                )}
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+
+            {selectedId && (
+                <div className="violation-list">
+                    <div className="section-header">
+                        <p className="help-text-sm">{violations.total} rejected request(s), newest first.</p>
+                        <button type="button" onClick={() => handleClearViolations(selectedId)} className="button-danger button-small">Clear</button>
+                    </div>
+                    {violations.violations.map(entry => (
+                        <div key={entry.id} className="violation-entry">
+                            <strong>{entry.statusCode}</strong> {entry.method} {entry.url}
+                            <span className="result-scenario">{entry.operation}</span>
+                            <ul>
+                                {entry.violations.map((violation, index) => (
+                                    <li key={index}>
+                                        <code>{violation.location}{violation.name ? ` ${violation.name}` : ''}</code> {violation.message}
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {report && <ConformanceReport report={report} onOpenEndpoint={onOpenEndpoint} />}
+        </div>
+    );
+};
+
+// --- Component: Request Log (journal of the requests that hit /api/mock) ---
+
+const EMPTY_LOG_FILTERS = { q: '', method: '', status: '', matched: '' };
+const LOG_REFRESH_INTERVAL = 2000;
+
+// Journal bodies are parsed JSON, text or null
+const formatLogBody = (body) => {
+  if (body === null || body === undefined) return '(empty)';
+  return typeof body === 'string' ? body : JSON.stringify(body, null, 2);
+};
+
+const formatLogHeaders = (headers) => Object.entries(headers || {})
+    .map(([name, value]) => `${name}: ${Array.isArray(value) ? value.join(', ') : value}`)
+    .join('\n');
+
+const RequestLog = ({ workspace }) => {
+    const [filters, setFilters] = useState(EMPTY_LOG_FILTERS);
+    const [log, setLog] = useState({ total: 0, requests: [] });
+    const [selectedId, setSelectedId] = useState(null);
+    const [live, setLive] = useState(false);
+    const [error, setError] = useState('');
+
+    const loadLog = useCallback(async () => {
+        try {
+            setLog(await apiClient.getRequests(workspace, filters));
+            setError('');
+        } catch (e) {
+            setError(`Error loading requests: ${getErrorMessage(e)}`);
+        }
+    }, [workspace, filters]);
+
+    useEffect(() => {
+        loadLog();
+    }, [loadLog]);
+
+    // Live mode polls the journal while the tab is open
+    useEffect(() => {
+        if (!live) return undefined;
+        const timer = setInterval(loadLog, LOG_REFRESH_INTERVAL);
+        return () => clearInterval(timer);
+    }, [live, loadLog]);
+
+    const handleFilterChange = (e) => {
+        const { name, value } = e.target;
+        setFilters(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleClear = async () => {
+        if (!window.confirm(`Delete all logged requests of workspace ${workspace}?`)) return;
+        try {
+            await apiClient.clearRequests(workspace);
+            setSelectedId(null);
+            await loadLog();
+        } catch (e) {
+            setError(`Error clearing requests: ${getErrorMessage(e)}`);
+        }
+    };
+
+    const selected = log.requests.find(entry => entry.id === selectedId);
+
+    return (
+        <section className="request-log-section">
+            <div className="section-header">
+                <h2 className="section-title">Request Log</h2>
+                <div className="export-actions">
+                    <label className="checkbox-label">
+                        <input type="checkbox" checked={live} onChange={(e) => setLive(e.target.checked)} />
+                        Live
+                    </label>
+                    <button type="button" onClick={loadLog} className="button-secondary button-small">Refresh</button>
+                    <button type="button" onClick={handleClear} className="button-danger button-small">Clear</button>
+                </div>
+            </div>
+
+            <div className="log-filters">
+                <input
+                    type="text"
+                    name="q"
+                    value={filters.q}
+                    onChange={handleFilterChange}
+                    placeholder="Search URL, headers and bodies"
+                />
+                <select name="method" value={filters.method} onChange={handleFilterChange}>
+                    <option value="">All methods</option>
+                    {['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD'].map(method => <option key={method} value={method}>{method}</option>)}
+                </select>
+                <select name="status" value={filters.status} onChange={handleFilterChange}>
+                    <option value="">All statuses</option>
+                    {['2xx', '3xx', '4xx', '5xx'].map(status => <option key={status} value={status}>{status}</option>)}
+                </select>
+                <select name="matched" value={filters.matched} onChange={handleFilterChange}>
+                    <option value="">Matched and unmatched</option>
+                    <option value="true">Matched a mock</option>
+                    <option value="false">Unmatched</option>
+                </select>
+            </div>
+
+            {error && <div className="message error">{error}</div>}
+            <p className="help-text-sm">
+                Showing {log.requests.length} of {log.total} request(s).
+                {log.journalLimit && ` The server keeps the ${log.journalLimit} most recent requests in memory.`}
+            </p>
+
+            {log.requests.length === 0 ? (
+                <p className="empty-state">No requests logged yet. Call a mock URL and refresh.</p>
+            ) : (
+                <table className="log-table">
+                    <thead>
+                        <tr>
+                            <th>Time</th>
+                            <th>Method</th>
+                            <th>Path</th>
+                            <th>Status</th>
+                            <th>Answered by</th>
+                            <th>Latency</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {log.requests.map(entry => (
+                            <tr
+                                key={entry.id}
+                                onClick={() => setSelectedId(entry.id === selectedId ? null : entry.id)}
+                                className={entry.id === selectedId ? 'selected' : ''}
+                            >
+                                <td>{new Date(entry.timestamp).toLocaleTimeString()}</td>
+                                <td><strong>{entry.method}</strong></td>
+                                <td className="log-path">{entry.path}</td>
+                                <td className={entry.response.status >= 400 ? 'log-status-error' : 'log-status-ok'}>{entry.response.status}</td>
+                                <td>
+                                    {entry.endpointId
+                                        ? <>{entry.endpointId}{entry.scenario && <span className="result-scenario">{entry.scenario}</span>}</>
+                                        : <em>{entry.proxy ? `proxied (${entry.proxy})` : 'no match'}</em>}
+                                </td>
+                                <td>{entry.latencyMs}ms</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+
+            {selected && (
+                <div className="log-detail">
+                    <div className="log-detail-column">
+                        <h3>Request</h3>
+                        <p><strong>{selected.method}</strong> <code>{selected.url}</code></p>
+                        <p className="help-text-sm">
+                            {new Date(selected.timestamp).toLocaleString()} &middot; workspace {selected.workspace}
+                        </p>
+                        <h4>Headers</h4>
+                        <pre>{formatLogHeaders(selected.request.headers)}</pre>
+                        <h4>Body</h4>
+                        <pre>{formatLogBody(selected.request.body)}</pre>
+                    </div>
+                    <div className="log-detail-column">
+                        <h3>Response</h3>
+                        <p>
+                            <span className="result-status-code">{selected.response.status}</span>
+                            {' '}{selected.latencyMs}ms
+                            {!selected.response.completed && <em> (connection closed before the response finished)</em>}
+                        </p>
+                        <p className="help-text-sm">
+                            Endpoint: {selected.endpointId || 'none'}
+                            {selected.scenario && <> &middot; Scenario: {selected.scenario}</>}
+                            {selected.proxy && <> &middot; Proxy: {selected.proxy}</>}
+                        </p>
+                        <h4>Headers</h4>
+                        <pre>{formatLogHeaders(selected.response.headers)}</pre>
+                        <h4>Body</h4>
+                        <pre>{formatLogBody(selected.response.body)}</pre>
+                    </div>
+                </div>
+            )}
+        </section>
+    );
+};
+
 // --- React Component: App ---
 
 const App = () => {
   const [endpoints, setEndpoints] = useState([]);
-  const [newEndpoint, setNewEndpoint] = useState({
-    endpointId: '/users/:id',
-    responseTemplate: '{\n  "status": "success",\n  "message": "User {{path.id}} details retrieved.",\n  "query_filter": "{{query.filter}}",\n  "data_received": {{body}}\n}',
-    method: 'GET',
-    statusCode: 200,
-    delay: 0,
-    internalId: '',
-    scenarios: [] // New field for conditional scenarios
-  });
+  const [newEndpoint, setNewEndpoint] = useState(DEFAULT_ENDPOINT);
   const [editingEndpoint, setEditingEndpoint] = useState(null);
   const [activeTab, setActiveTab] = useState('endpoints');
   const [message, setMessage] = useState('');
   const [loading, setLoading] = useState(false);
+  const [loadError, setLoadError] = useState('');
   const [uploadMessage, setUploadMessage] = useState('');
+  const [contractStrict, setContractStrict] = useState(false);
+  const [contractName, setContractName] = useState('');
+  const [harOptions, setHarOptions] = useState({ host: '', pathPrefix: '', stripPrefix: false });
+  const [harMessage, setHarMessage] = useState('');
+  const [proxyForm, setProxyForm] = useState({ originalUrl: '', endpointId: '', mode: 'record', redactHeaders: '', redactQuery: '', redactBody: '' });
+  const [proxyMessage, setProxyMessage] = useState('');
+  const [workspaces, setWorkspaces] = useState([]);
+  const [stateMachines, setStateMachines] = useState([]);
+  const [networkConditions, setNetworkConditions] = useState([]);
+  const [workspace, setWorkspace] = useState(() => localStorage.getItem(WORKSPACE_STORAGE_KEY) || DEFAULT_WORKSPACE);
 
   // Test dynamic URLs state
   const [testConfig, setTestConfig] = useState({
-    endpointId: '/users/error?filter=active', // Initial example URL for testing
-    urlParams: '{}',
+    endpointId: '/demo-user?userId=42', // Initial example URL for testing, relative to /api/mock
     queryParams: '{}',
     bodyParams: '{\n  "name": "Jane Doe",\n  "email": "jane@example.com"\n}',
     method: 'GET',
@@ -405,64 +1471,155 @@ const App = () => {
   );
 
 
-  // Load initial endpoints & set default
-  useEffect(() => {
-    // Check if the default user endpoint exists and add it if not
-    const defaultUserEndpointId = '/users/:id-GET';
-    if (mockBackend.getEndpoints().every(e => e.internalId !== defaultUserEndpointId)) {
-        mockBackend.addOrUpdateEndpoint({
-            endpointId: '/users/:id',
-            responseTemplate: '{\n  "status": "success",\n  "message": "User {{path.id}} details retrieved.",\n  "query_filter": "{{query.filter}}",\n  "data_received": {{body}}\n}',
-            method: 'GET',
-            statusCode: 200,
-            delay: 0,
-            internalId: defaultUserEndpointId,
-            scenarios: [{
-                name: "Error Scenario",
-                condition: "path.id === 'error'",
-                statusCode: 404,
-                delay: 500,
-                responseTemplate: '{\n  "error": "User {{path.id}} not found or is disabled."\n}'
-            }]
-        });
+  const loadWorkspaces = useCallback(async () => {
+    try {
+      const workspacesData = await apiClient.getWorkspaces();
+      setWorkspaces(workspacesData);
+      // A remembered workspace may have been deleted in the meantime
+      setWorkspace(current => (workspacesData.some(item => item.name === current) ? current : DEFAULT_WORKSPACE));
+    } catch (error) {
+      setMessage(`Error loading workspaces: ${getErrorMessage(error)}`);
     }
+  }, []);
 
-    // Add the new /orders endpoint for query param testing
-    const defaultOrderEndpointId = '/orders-GET';
-    if (mockBackend.getEndpoints().every(e => e.internalId !== defaultOrderEndpointId)) {
-        mockBackend.addOrUpdateEndpoint({
-            endpointId: '/orders',
-            responseTemplate: '{\n  "status": "success",\n  "count": 50,\n  "query_status": "{{query.status}}",\n  "message": "Successfully fetched 50 orders."\n}',
-            method: 'GET',
-            statusCode: 200,
-            delay: 100,
-            internalId: defaultOrderEndpointId,
-            scenarios: [
-                {
-                    name: "Pending Orders Response",
-                    condition: "query.status === 'pending'",
-                    statusCode: 202,
-                    delay: 2000, // Simulate a longer poll time for pending status
-                    responseTemplate: '{\n  "status": "processing",\n  "count": 5,\n  "message": "Only 5 pending orders found. Please wait 2 seconds."\n}'
-                }
-            ]
-        });
+  // Load the workspace list and network condition presets on first render
+  useEffect(() => {
+    loadWorkspaces();
+    apiClient.getNetworkConditions()
+        .then(setNetworkConditions)
+        .catch(error => setMessage(`Error loading network conditions: ${getErrorMessage(error)}`));
+  }, [loadWorkspaces]);
+
+  // Current states change with every mock call, so this is reloaded after tests too
+  const loadStateMachines = useCallback(async () => {
+    try {
+      setStateMachines(await apiClient.getStateMachines());
+    } catch (error) {
+      setMessage(`Error loading state machines: ${getErrorMessage(error)}`);
     }
+  }, []);
 
+  const loadEndpoints = useCallback(async () => {
+    try {
+      setLoading(true);
+      setLoadError('');
+      const endpointsData = await apiClient.getEndpoints();
+      setEndpoints(endpointsData);
+      await loadStateMachines();
+    } catch (error) {
+      setLoadError(`Error loading endpoints: ${getErrorMessage(error)}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [loadStateMachines]);
 
+  // (Re)load endpoints whenever the selected workspace changes
+  useEffect(() => {
+    apiClient.selectWorkspace(workspace);
+    localStorage.setItem(WORKSPACE_STORAGE_KEY, workspace);
+    setTestResults([]);
     loadEndpoints();
-  }, []);
+  }, [workspace, loadEndpoints]);
+
+  // Mock URLs of non-default workspaces are prefixed with the workspace name
+  const currentWorkspace = workspaces.find(item => item.name === workspace);
+  const mockBaseUrl = currentWorkspace ? currentWorkspace.mockBaseUrl : `${API_BASE}/mock`;
+
+  const handleWorkspaceChange = (name) => {
+    setWorkspace(name);
+    setEditingEndpoint(null);
+    setNewEndpoint(DEFAULT_ENDPOINT);
+    setMessage('');
+  };
+
+  const handleCreateWorkspace = async () => {
+    const name = prompt('Name of the new workspace (letters, digits, "-" or "_"):');
+    if (!name) return;
+    try {
+      const created = await apiClient.createWorkspace(name.trim(), '');
+      await loadWorkspaces();
+      handleWorkspaceChange(created.name);
+      setMessage(`Workspace ${created.name} created.`);
+    } catch (error) {
+      setMessage(`Error creating workspace: ${getErrorMessage(error)}`);
+    }
+  };
+
+  // Requests that match no mock are proxied to this URL; empty falls back to the server default
+  const handleWorkspaceUpstream = async () => {
+    const upstreamUrl = prompt(
+      `Upstream URL for unmatched requests in workspace ${workspace} (empty to use the server default):`,
+      (currentWorkspace && currentWorkspace.upstreamUrl) || ''
+    );
+    if (upstreamUrl === null) return;
+    try {
+      const updated = await apiClient.updateWorkspace(workspace, { upstreamUrl: upstreamUrl.trim() || null });
+      await loadWorkspaces();
+      setMessage(updated.fallbackUpstream
+          ? `Unmatched requests in ${workspace} are proxied to ${updated.fallbackUpstream}.`
+          : `Unmatched requests in ${workspace} answer 404.`);
+    } catch (error) {
+      setMessage(`Error updating workspace: ${getErrorMessage(error)}`);
+    }
+  };
+
+  // Every mock response of the workspace gets the preset's latency and bandwidth
+  const handleNetworkConditionChange = async (networkCondition) => {
+    try {
+      const updated = await apiClient.updateWorkspace(workspace, { networkCondition: networkCondition || null });
+      await loadWorkspaces();
+      setMessage(updated.activeNetworkCondition
+          ? `Mock responses in ${workspace} now behave like ${updated.activeNetworkCondition}.`
+          : `Mock responses in ${workspace} are no longer slowed down.`);
+    } catch (error) {
+      setMessage(`Error updating workspace: ${getErrorMessage(error)}`);
+    }
+  };
+
+  const handleResetWorkspace = async () => {
+    if (!window.confirm(`Remove all endpoints and contracts from workspace ${workspace}?`)) return;
+    try {
+      const result = await apiClient.resetWorkspace(workspace);
+      await Promise.all([loadWorkspaces(), loadEndpoints()]);
+      setMessage(`Workspace ${workspace} reset: ${result.deletedEndpoints} endpoint(s) removed.`);
+    } catch (error) {
+      setMessage(`Error resetting workspace: ${getErrorMessage(error)}`);
+    }
+  };
+
+  const handleDeleteWorkspace = async () => {
+    const confirmation = prompt(`Type DELETE to confirm removal of workspace ${workspace} and all its endpoints:`);
+    if (confirmation !== 'DELETE') {
+      if (confirmation !== null) setMessage('Deletion cancelled or incorrect confirmation word entered.');
+      return;
+    }
+    try {
+      await apiClient.deleteWorkspace(workspace);
+      const deleted = workspace;
+      handleWorkspaceChange(DEFAULT_WORKSPACE);
+      await loadWorkspaces();
+      setMessage(`Workspace ${deleted} deleted.`);
+    } catch (error) {
+      setMessage(`Error deleting workspace: ${getErrorMessage(error)}`);
+    }
+  };
+
+  const handleResetStateMachine = async (name) => {
+    try {
+      const machine = await apiClient.resetStateMachine(name);
+      await loadStateMachines();
+      setMessage(`State machine ${name} is back in ${machine.currentState}.`);
+    } catch (error) {
+      setMessage(`Error resetting state machine: ${getErrorMessage(error)}`);
+    }
+  };
 
-  const loadEndpoints = () => {
+  const handleResetCalls = async (endpointId) => {
     try {
-      setLoading(true);
-      setMessage('');
-      const endpointsData = mockBackend.getEndpoints();
-      setEndpoints(endpointsData);
+      const calls = await apiClient.resetCalls(endpointId);
+      setMessage(`Call count of ${endpointId} reset${calls.sequences.length > 0 ? '; its sequences start over' : ''}.`);
     } catch (error) {
-      setMessage(`Error loading endpoints: ${error.message}`);
-    } finally {
-      setLoading(false);
+      setMessage(`Error resetting calls: ${getErrorMessage(error)}`);
     }
   };
 
@@ -471,7 +1628,7 @@ const App = () => {
     setNewEndpoint(prev => ({ ...prev, [name]: value }));
   };
 
-  const handleSaveEndpoint = (e) => {
+  const handleSaveEndpoint = async (e) => {
     e.preventDefault();
     if (!newEndpoint.endpointId) {
       setMessage('Error: Endpoint ID is required.');
@@ -479,48 +1636,42 @@ const App = () => {
     }
     try {
       setLoading(true);
-      const endpointToSave = {
-        ...newEndpoint,
-        internalId: newEndpoint.endpointId + '-' + newEndpoint.method,
-        statusCode: Number(newEndpoint.statusCode), // Ensure types are correct
-        delay: Number(newEndpoint.delay),
-      };
-
-      const savedEndpoint = mockBackend.addOrUpdateEndpoint(endpointToSave);
-      loadEndpoints();
+      const savedEndpoint = editingEndpoint
+          ? await apiClient.updateEndpoint(newEndpoint)
+          : await apiClient.createEndpoint(newEndpoint);
+      await loadEndpoints();
       setMessage(`Endpoint ${savedEndpoint.endpointId} (${savedEndpoint.method}) saved successfully.`);
 
       // Reset form after saving a new endpoint
       if (!editingEndpoint) {
           setNewEndpoint({
-            endpointId: '/new-resource',
-            responseTemplate: '{\n  "status": "created",\n  "id": "abc-123",\n  "body_data": {{body}}\n}',
+            ...DEFAULT_ENDPOINT,
+            endpointId: 'new-resource',
+            path: '/resources',
+            responseTemplate: '{\n  "status": "created",\n  "id": "abc-123",\n  "name": "{{body.name}}"\n}',
             method: 'POST',
-            statusCode: 201,
-            delay: 0,
-            internalId: '',
-            scenarios: []
+            statusCode: 201
           });
       }
       setEditingEndpoint(null);
 
     } catch (error) {
-      setMessage(`Error saving endpoint: ${error.message}`);
+      setMessage(`Error saving endpoint: ${getErrorMessage(error)}`);
     } finally {
       setLoading(false);
     }
   };
 
-  const handleDeleteEndpoint = (internalId, endpointId) => {
+  const handleDeleteEndpoint = async (endpointId) => {
     const confirmation = prompt(`Type DELETE to confirm removal of endpoint ${endpointId}:`);
     if (confirmation === 'DELETE') {
       try {
         setLoading(true);
-        mockBackend.deleteEndpoint(internalId);
-        loadEndpoints();
+        await apiClient.deleteEndpoint(endpointId);
+        await loadEndpoints();
         setMessage(`Endpoint ${endpointId} deleted.`);
       } catch (error) {
-        setMessage(`Error deleting endpoint: ${error.message}`);
+        setMessage(`Error deleting endpoint: ${getErrorMessage(error)}`);
       } finally {
         setLoading(false);
       }
@@ -529,6 +1680,25 @@ const App = () => {
     }
   };
 
+  // Replaces the edited endpoint's response with a file (see apiClient.uploadResponse)
+  const handleUploadResponse = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    event.target.value = ''; // Clear file input
+
+    try {
+      setLoading(true);
+      const updated = await apiClient.uploadResponse(editingEndpoint, file, newEndpoint.disposition);
+      await loadEndpoints();
+      setNewEndpoint(updated);
+      setMessage(`Response of ${updated.endpointId} replaced with ${file.name}.`);
+    } catch (error) {
+      setMessage(`Error uploading response file: ${getErrorMessage(error)}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleEdit = (endpoint) => {
     // Deep copy the endpoint to safely edit scenarios
     setNewEndpoint(JSON.parse(JSON.stringify(endpoint)));
@@ -536,16 +1706,27 @@ const App = () => {
     setActiveTab('create');
   };
 
+  // Opens an endpoint named in a report (e.g. the conformance report) for editing
+  const handleOpenEndpoint = (endpointId) => {
+    const endpoint = endpoints.find(candidate => candidate.endpointId === endpointId);
+    if (endpoint) {
+      handleEdit(endpoint);
+    } else {
+      setMessage(`Endpoint ${endpointId} no longer exists.`);
+    }
+  };
+
   /**
    * Switches to the Test tab and populates the test configuration for the given endpoint.
    * Path parameters are substituted with generic test values.
    */
   const handleTestEndpoint = (endpoint) => {
     // Logic to substitute path parameters with test values
-    const generateTestUrl = (endpointId) => {
-        return endpointId.split('/').map(part => {
+    const generateTestUrl = (path) => {
+        return path.split('/').map(part => {
+            if (part.startsWith('*')) return 'any/path';
             if (part.startsWith(':')) {
-                const paramName = part.substring(1);
+                const paramName = part.substring(1).replace(/\(.*\)|\?$/g, '');
                 // Simple heuristic for common parameter names
                 if (paramName.toLowerCase().includes('id')) return '123';
                 if (paramName.toLowerCase().includes('user')) return 'john_doe';
@@ -556,17 +1737,15 @@ const App = () => {
         }).join('/');
     };
 
-    const testUrl = generateTestUrl(endpoint.endpointId);
-
     // 1. Switch tab
     setActiveTab('test');
     // 2. Populate test config
     setTestConfig(prev => ({
         ...prev,
-        endpointId: testUrl,
-        method: endpoint.method,
+        endpointId: generateTestUrl(endpoint.path),
+        // ANY endpoints accept every method; GET is a sensible first try
+        method: endpoint.method === 'ANY' ? 'GET' : endpoint.method,
         // Reset advanced params when auto-populating
-        urlParams: '{}',
         queryParams: '{}',
         bodyParams: (endpoint.method === 'POST' || endpoint.method === 'PUT' || endpoint.method === 'PATCH')
             ? '{\n  "field1": "value1",\n  "field2": "value2"\n}'
@@ -581,132 +1760,187 @@ const App = () => {
     setTestConfig(prev => ({ ...prev, [name]: value }));
   };
 
-  /**
-   * Parses query parameters from a full URL string.
-   */
-  const parseQueryParams = (url) => {
-    const queryIndex = url.indexOf('?');
-    if (queryIndex === -1) return {};
-
-    const queryString = url.substring(queryIndex + 1);
-    const params = {};
-
-    queryString.split('&').forEach(pair => {
-        const [key, value] = pair.split('=').map(decodeURIComponent);
-        if (key && value) {
-            // Attempt to infer basic types
-            const num = Number(value);
-            params[key] = isNaN(num) ? value : num;
-        }
-    });
-
-    return params;
-  };
-
-  // --- Main Test API Handler (now uses mockBackend for dynamic processing) ---
+  // --- Main Test API Handler (sends a real request to /api/mock/...) ---
   const handleTestApi = async (e) => {
     e.preventDefault();
     setLoading(true);
 
-    try {
-      const fullUrl = testConfig.endpointId.trim();
-      const method = testConfig.method;
-
-      // 1. Parse Query Params directly from the URL input
-      const urlQueryParams = parseQueryParams(fullUrl);
-
-      // 2. Parse JSON inputs safely from textareas
-      const pathParamsFromInput = JSON.parse(testConfig.urlParams || '{}');
-      const queryParamsFromInput = JSON.parse(testConfig.queryParams || '{}');
-      const bodyParams = JSON.parse(testConfig.bodyParams || '{}');
+    const url = testConfig.endpointId.trim();
+    const method = testConfig.method;
+    let queryParams = {};
+    let bodyParams = {};
 
-      // Merge query params from URL and from the JSON input field (input field takes precedence)
-      const finalQueryParams = { ...urlQueryParams, ...queryParamsFromInput };
+    try {
+      // Parse JSON inputs safely from textareas
+      queryParams = JSON.parse(testConfig.queryParams || '{}');
+      bodyParams = JSON.parse(testConfig.bodyParams || '{}');
 
-      // Execute mock API call
-      const startTime = Date.now();
-      const result = await mockBackend.handleApiCall(method, fullUrl, pathParamsFromInput, finalQueryParams, bodyParams);
-      const latency = Date.now() - startTime;
+      const result = await apiClient.callMock(method, url, queryParams, bodyParams);
 
       setTestResults(prev => [
         {
           id: Date.now(),
-          url: fullUrl,
-          method: method,
+          url,
+          method,
           statusCode: result.status,
           response: result.data,
-          latency: latency,
+          blob: result.blob,
+          size: result.size,
+          contentType: result.headers['content-type'],
+          downloadName: getDownloadName(result.headers['content-disposition']),
+          scenario: result.headers['x-mock-scenario'],
+          state: result.headers['x-mock-state'],
+          sequenceStep: result.headers['x-mock-sequence'],
+          latency: result.latency,
           success: true,
-          request: {
-            pathParams: pathParamsFromInput,
-            queryParams: finalQueryParams,
-            bodyParams: bodyParams,
-          },
+          request: { queryParams, bodyParams },
         },
         ...prev
       ].slice(0, 5)); // Keep only the last 5 results
 
     } catch (error) {
-      const latency = 0;
       setTestResults(prev => [
         {
           id: Date.now(),
-          url: testConfig.endpointId,
-          method: testConfig.method,
-          statusCode: error.status || 500,
-          error: error.error || 'Unknown error occurred.',
-          latency: latency,
+          url,
+          method,
+          statusCode: 0,
+          error: error instanceof SyntaxError
+              ? `Invalid JSON in request parameters: ${error.message}`
+              : `Request failed: ${getErrorMessage(error)}`,
+          latency: 0,
           success: false,
-          request: {
-            pathParams: JSON.parse(testConfig.urlParams || '{}'),
-            queryParams: parseQueryParams(testConfig.endpointId),
-            bodyParams: JSON.parse(testConfig.bodyParams || '{}'),
-          },
+          request: { queryParams, bodyParams },
         },
         ...prev
       ].slice(0, 5));
     } finally {
       setLoading(false);
+      loadStateMachines();
     }
   };
 
-  // --- Schema Upload Handler ---
-  const handleUploadSchema = (event) => {
+  // --- HAR Import Handler (forwards the capture and filters to /api/upload-har) ---
+  const handleUploadHar = async (event) => {
     const file = event.target.files[0];
     if (!file) return;
+    event.target.value = ''; // Clear file input
 
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      try {
-        const uploadedEndpoints = JSON.parse(e.target.result);
-
-        // Basic validation: must be an array of objects
-        if (Array.isArray(uploadedEndpoints) && uploadedEndpoints.every(ep => ep.endpointId && ep.method && (ep.responseTemplate || ep.response))) {
-            const newEndpoints = uploadedEndpoints.map(ep => ({
-                ...newEndpoint, // Default structure
-                ...ep,
-                // Ensure the response field is always 'responseTemplate' for consistency
-                responseTemplate: ep.responseTemplate || ep.response || newEndpoint.responseTemplate,
-                // Create unique internal ID
-                internalId: (ep.endpointId || '') + '-' + (ep.method || 'GET'),
-                // Ensure scenarios is an array
-                scenarios: ep.scenarios || []
-            }));
-
-            // Add or update endpoints using mock backend
-            newEndpoints.forEach(ep => mockBackend.addOrUpdateEndpoint(ep));
-
-            loadEndpoints();
-            setUploadMessage(`Successfully loaded ${newEndpoints.length} endpoints from the schema.`);
-        } else {
-          setUploadMessage('Error: Uploaded file is not a valid endpoint schema. Must be an array of objects with "endpointId", "method", and "responseTemplate" (or "response").');
+    try {
+      setLoading(true);
+      setHarMessage('Importing HAR...');
+      const result = await apiClient.uploadHar(file, harOptions);
+      await loadEndpoints();
+      const notes = [
+        ...result.skippedEndpoints.map(skipped => `Skipped ${skipped.id}: ${skipped.error}`),
+        ...result.warnings
+      ];
+      setHarMessage(`Created ${result.totalEndpoints} endpoints from ${result.summary.totalEntries - result.summary.filteredOut} of ${result.summary.totalEntries} captured requests.` +
+          (notes.length > 0 ? ` ${notes.join(' ')}` : ''));
+    } catch (error) {
+      setHarMessage(`Error importing HAR: ${getErrorMessage(error)}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // --- Proxy Handlers (record from an upstream, then switch to playback) ---
+  const splitNames = (text) => text.split(',').map(name => name.trim()).filter(Boolean);
+
+  const handleCreateProxy = async (e) => {
+    e.preventDefault();
+    try {
+      setLoading(true);
+      const endpoint = await apiClient.createProxy({
+        originalUrl: proxyForm.originalUrl.trim(),
+        endpointId: proxyForm.endpointId.trim() || undefined,
+        mode: proxyForm.mode,
+        redact: {
+          headers: splitNames(proxyForm.redactHeaders),
+          queryParams: splitNames(proxyForm.redactQuery),
+          bodyFields: splitNames(proxyForm.redactBody)
         }
-      } catch (error) {
-        setUploadMessage('Error parsing JSON file. Please ensure the file is valid JSON.');
-      }
-    };
-    reader.readAsText(file);
+      });
+      await loadEndpoints();
+      setProxyMessage(`Proxy ${endpoint.endpointId} created. Send requests to ${mockBaseUrl}${endpoint.path.replace(/\*$/, '')}...`);
+    } catch (error) {
+      setProxyMessage(`Error creating proxy: ${getErrorMessage(error)}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleProxyModeChange = async (endpointId, mode) => {
+    try {
+      await apiClient.updateProxy(endpointId, { mode });
+      await loadEndpoints();
+      setMessage(`Proxy ${endpointId} switched to ${mode}.`);
+    } catch (error) {
+      setMessage(`Error updating proxy: ${getErrorMessage(error)}`);
+    }
+  };
+
+  const handleClearRecordings = async (endpointId) => {
+    if (!window.confirm(`Delete all responses recorded by ${endpointId}?`)) return;
+    try {
+      const deleted = await apiClient.clearRecordings(endpointId);
+      await loadEndpoints();
+      setMessage(`Deleted ${deleted} recording(s) from ${endpointId}.`);
+    } catch (error) {
+      setMessage(`Error deleting recordings: ${getErrorMessage(error)}`);
+    }
+  };
+
+  // --- Export Handlers (save the document through a temporary link) ---
+  const downloadText = (text, fileName, type) => {
+    const blob = new Blob([text], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+
+  const handleExportOpenApi = async (format) => {
+    try {
+      const text = await apiClient.exportOpenApi(format);
+      downloadText(text, `openapi-${workspace}.${format}`, format === 'yaml' ? 'application/yaml' : 'application/json');
+    } catch (error) {
+      setMessage(`Error exporting OpenAPI document: ${getErrorMessage(error)}`);
+    }
+  };
+
+  const handleExportPostman = async () => {
+    try {
+      const text = await apiClient.exportPostman();
+      downloadText(text, `${workspace}.postman_collection.json`, 'application/json');
+    } catch (error) {
+      setMessage(`Error exporting Postman collection: ${getErrorMessage(error)}`);
+    }
+  };
+
+  // --- Schema Upload Handler (forwards the file to /api/upload-contract) ---
+  const handleUploadSchema = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
     event.target.value = ''; // Clear file input
+
+    try {
+      setLoading(true);
+      setUploadMessage('Uploading contract...');
+      const result = await apiClient.uploadContract(file, contractName || file.name, contractStrict);
+      await loadEndpoints();
+      const notes = [
+        ...result.skippedEndpoints.map(skipped => `Skipped ${skipped.id}: ${skipped.error}`),
+        ...(result.warnings || [])
+      ];
+      setUploadMessage(`Successfully created ${result.totalEndpoints} endpoints from the ${FORMAT_LABELS[result.format] || 'schema'}.` +
+          (notes.length > 0 ? ` ${notes.join(' ')}` : ''));
+    } catch (error) {
+      setUploadMessage(`Error uploading schema: ${getErrorMessage(error)}`);
+    } finally {
+      setLoading(false);
+    }
   };
 
 
@@ -950,19 +2184,71 @@ const App = () => {
         .endpoint-card { background: var(--bg-card); padding: 1.5rem; border-radius: var(--radius); box-shadow: var(--shadow); border: 1px solid var(--border); position: relative; display: flex; flex-direction: column; }
         .scenario-count { font-size: 0.85rem; color: var(--accent); font-weight: 600; margin-bottom: 0.5rem; display: flex; align-items: center; gap: 0.25rem; }
         .endpoint-id { font-size: 1.25rem; word-break: break-all; margin-bottom: 0.5rem; }
+        .endpoint-url { font-size: 0.85rem; color: var(--text-secondary); margin-bottom: 0.75rem; word-break: break-all; }
+        .endpoint-tags { display: flex; flex-wrap: wrap; gap: 0.25rem; margin-bottom: 0.75rem; }
+        .endpoint-tag { font-size: 0.75rem; padding: 0.1rem 0.5rem; border-radius: 999px; background: var(--bg-hover); color: var(--text-secondary); border: 1px solid var(--border); }
+        .button-retry { margin-left: 1rem; padding: 0.3rem 0.8rem; font-size: 0.8rem; }
         .method-tag { position: absolute; top: 0; right: 0; padding: 0.3rem 0.6rem; border-radius: 0 var(--radius-sm) 0 var(--radius-sm); color: white; font-weight: 700; font-size: 0.8rem; }
         .method-tag[data-method="GET"] { background: var(--success-dark); }
         .method-tag[data-method="POST"] { background: var(--gradient-start); }
         .method-tag[data-method="PUT"], .method-tag[data-method="PATCH"] { background: #f59e0b; }
         .method-tag[data-method="DELETE"] { background: var(--error-dark); }
+        .method-tag[data-method="ANY"], .method-tag[data-method="HEAD"] { background: var(--text-secondary); }
         .details-row { display: flex; gap: 1rem; margin-bottom: 1rem; font-size: 0.9rem; color: var(--text-secondary); }
         .template-preview { background: var(--bg-page); padding: 1rem; border-radius: var(--radius-sm); white-space: pre-wrap; word-break: break-all; font-size: 0.85rem; max-height: 200px; overflow-y: auto; border: 1px dashed var(--border); margin-top: 0.5rem; }
         .actions { display: flex; gap: 0.5rem; margin-top: 1rem; }
         .scenario-editor { border-top: 2px solid var(--border); padding-top: 1.5rem; margin-top: 1.5rem; }
         .scenario-card { border: 1px solid var(--border); border-radius: var(--radius-sm); padding: 1rem; margin-bottom: 1rem; background: var(--bg-page); box-shadow: 0 1px 3px rgba(0,0,0,0.05); }
         .scenario-name-input { color: var(--accent); }
+        .matcher-editor { display: flex; flex-direction: column; gap: 0.5rem; }
+        .matcher-combinator { display: flex; align-items: center; gap: 0.5rem; font-size: 0.9rem; }
+        .matcher-combinator select { width: auto; }
+        .matcher-rule { display: flex; gap: 0.5rem; align-items: center; flex-wrap: wrap; }
+        .matcher-rule select, .matcher-rule input[type="text"], .matcher-rule input[type="number"] { width: auto; flex: 1; min-width: 6rem; }
+        .matcher-negate { display: flex; align-items: center; gap: 0.25rem; font-weight: 400; margin: 0; }
+        .matcher-negate input { width: auto; }
+        .matcher-error { color: var(--error-dark); }
+        .button-small { padding: 0.4rem 0.8rem; font-size: 0.8rem; }
+        .har-title { margin-top: 2rem; }
+        .proxy-info { display: flex; align-items: center; justify-content: space-between; gap: 0.5rem; margin-bottom: 0.75rem; font-size: 0.85rem; color: var(--text-secondary); word-break: break-all; }
+        .proxy-info select { width: auto; padding: 0.25rem 0.5rem; border: 1px solid var(--border); border-radius: var(--radius-sm); background: var(--bg-card); color: var(--text-primary); }
+        .checkbox-label { display: flex; align-items: center; gap: 0.5rem; margin-bottom: 1rem; font-size: 0.9rem; }
+        .section-header { display: flex; justify-content: space-between; align-items: flex-start; gap: 1rem; flex-wrap: wrap; }
+        .section-header .section-title { flex: 1; }
+        .export-actions { display: flex; gap: 0.5rem; }
+        .workspace-switcher { padding: 0 1.5rem 1rem; margin-bottom: 0.5rem; border-bottom: 1px solid var(--border); }
+        .workspace-switcher label { display: block; margin-bottom: 0.5rem; font-size: 0.8rem; font-weight: 600; text-transform: uppercase; color: var(--text-secondary); }
+        .workspace-switcher select { width: 100%; padding: 0.5rem; border: 1px solid var(--border); border-radius: var(--radius-sm); background-color: var(--bg-card); color: var(--text-primary); }
+        .workspace-actions { display: flex; gap: 0.25rem; margin-top: 0.5rem; }
+        .workspace-actions button { flex: 1; padding: 0.4rem 0.25rem; }
+        .state-machines { display: flex; flex-direction: column; gap: 0.5rem; margin-bottom: 1.5rem; }
+        .state-machine { display: flex; align-items: center; gap: 0.75rem; padding: 0.5rem 1rem; background: var(--bg-card); border: 1px solid var(--border); border-radius: var(--radius-sm); }
+        .state-machine-name { font-weight: 600; }
+        .state-machine .help-text-sm { flex: 1; margin: 0; }
+        .state-badge { font-size: 0.75rem; font-weight: 700; padding: 0.1rem 0.5rem; border-radius: 999px; color: white; background: var(--gradient-start); }
+        .log-filters { display: flex; gap: 0.5rem; flex-wrap: wrap; margin-bottom: 0.5rem; }
+        .log-filters input, .log-filters select { padding: 0.5rem; border: 1px solid var(--border); border-radius: var(--radius-sm); background: var(--bg-card); color: var(--text-primary); }
+        .log-filters input { flex: 1; min-width: 12rem; }
+        .log-table { width: 100%; border-collapse: collapse; margin-top: 1rem; background: var(--bg-card); border-radius: var(--radius); box-shadow: var(--shadow); font-size: 0.85rem; }
+        .log-table th, .log-table td { padding: 0.5rem 0.75rem; text-align: left; border-bottom: 1px solid var(--border); }
+        .log-table tbody tr { cursor: pointer; }
+        .contract-list { margin-top: 1.5rem; }
+        .violation-list { background: var(--bg-card); padding: 1rem 1.5rem; margin-top: 1rem; border-radius: var(--radius); box-shadow: var(--shadow); border: 1px solid var(--border); }
+        .violation-entry { padding: 0.5rem 0; border-bottom: 1px solid var(--border); font-size: 0.85rem; }
+        .link-button { background: none; border: none; padding: 0; color: var(--accent); font-weight: 600; cursor: pointer; text-decoration: underline; }
+        .violation-entry ul { margin: 0.25rem 0 0 1.25rem; }
+        .log-table tbody tr:hover, .log-table tbody tr.selected { background: var(--bg-hover); }
+        .log-path { font-family: monospace; word-break: break-all; }
+        .log-status-ok { color: var(--success-dark); font-weight: 700; }
+        .log-status-error { color: var(--error-dark); font-weight: 700; }
+        .log-detail { display: grid; grid-template-columns: repeat(auto-fit, minmax(300px, 1fr)); gap: 1.5rem; margin-top: 1.5rem; }
+        .log-detail-column { background: var(--bg-card); padding: 1.5rem; border-radius: var(--radius); box-shadow: var(--shadow); border: 1px solid var(--border); min-width: 0; }
+        .log-detail-column h4 { margin: 1rem 0 0.5rem; font-size: 0.9rem; color: var(--text-secondary); }
+        .log-detail-column pre { background: var(--bg-page); padding: 0.75rem; border-radius: var(--radius-sm); white-space: pre-wrap; word-break: break-all; font-size: 0.8rem; max-height: 300px; overflow-y: auto; }
+        .workspace-upstream { margin-top: 0.5rem; font-size: 0.75rem; color: var(--text-secondary); word-break: break-all; }
         .result-status-code { font-weight: 700; padding: 0.25rem 0.5rem; border-radius: var(--radius-sm); color: white; background: linear-gradient(90deg, var(--gradient-start) 0%, var(--gradient-end) 100%); }
         .result-card.status-error .result-status-code { background: var(--error-dark); }
+        .result-scenario { font-size: 0.85rem; color: var(--accent); margin-left: 0.5rem; }
         .result-details summary { color: var(--accent); }
         
         /* Mobile adjustments for the new layout */
@@ -1039,6 +2325,50 @@ const App = () => {
 
         {/* FIXED SIDEBAR (VERTICAL NAVIGATION) */}
         <aside className="sidebar">
+            <div className="workspace-switcher">
+              <label htmlFor="workspace">Workspace</label>
+              <select id="workspace" value={workspace} onChange={(e) => handleWorkspaceChange(e.target.value)}>
+                {workspaces.length === 0 && <option value={workspace}>{workspace}</option>}
+                {workspaces.map(item => (
+                  <option key={item.name} value={item.name}>{item.name} ({item.totalEndpoints})</option>
+                ))}
+              </select>
+              <div className="workspace-actions">
+                <button type="button" onClick={handleCreateWorkspace} className="button-secondary button-small">New</button>
+                <button type="button" onClick={handleWorkspaceUpstream} className="button-secondary button-small">Upstream</button>
+                <button type="button" onClick={handleResetWorkspace} className="button-secondary button-small">Reset</button>
+                <button
+                  type="button"
+                  onClick={handleDeleteWorkspace}
+                  className="button-danger button-small"
+                  disabled={workspace === DEFAULT_WORKSPACE}
+                >
+                  Delete
+                </button>
+              </div>
+              <label htmlFor="networkCondition">Network Condition</label>
+              <select
+                id="networkCondition"
+                value={(currentWorkspace && currentWorkspace.networkCondition) || ''}
+                onChange={(e) => handleNetworkConditionChange(e.target.value)}
+              >
+                <option value="">
+                  {currentWorkspace && currentWorkspace.activeNetworkCondition
+                      ? `server default (${currentWorkspace.activeNetworkCondition})`
+                      : 'none'}
+                </option>
+                {networkConditions.map(condition => (
+                  <option key={condition.name} value={condition.name} title={condition.description}>
+                    {condition.name} (p50 {condition.percentiles.p50}ms, p99 {condition.percentiles.p99}ms)
+                  </option>
+                ))}
+              </select>
+              {currentWorkspace && currentWorkspace.fallbackUpstream && (
+                <p className="workspace-upstream" title="Requests that match no mock are proxied here">
+                  Fallback: <code>{currentWorkspace.fallbackUpstream}</code>
+                </p>
+              )}
+            </div>
             <nav className="tabs-nav">
               <button
                 className={activeTab === 'endpoints' ? 'active' : ''}
@@ -1051,15 +2381,7 @@ const App = () => {
                 onClick={() => {
                     setActiveTab('create');
                     setEditingEndpoint(null); // Clear editing state when switching to create
-                    setNewEndpoint({
-                      endpointId: '/users/:id',
-                      responseTemplate: '{\n  "status": "success",\n  "message": "User {{path.id}} details retrieved.",\n  "query_filter": "{{query.filter}}",\n  "data_received": {{body}}\n}',
-                      method: 'GET',
-                      statusCode: 200,
-                      delay: 0,
-                      internalId: '',
-                      scenarios: []
-                    });
+                    setNewEndpoint(DEFAULT_ENDPOINT);
                 }}
               >
                 {editingEndpoint ? 'Edit Endpoint' : 'Create Endpoint'}
@@ -1076,6 +2398,12 @@ const App = () => {
               >
                 Upload Schema
               </button>
+              <button
+                className={activeTab === 'log' ? 'active' : ''}
+                onClick={() => setActiveTab('log')}
+              >
+                Request Log
+              </button>
             </nav>
         </aside>
 
@@ -1088,21 +2416,83 @@ const App = () => {
               {/* VIEW ENDPOINTS TAB */}
               {activeTab === 'endpoints' && (
                 <section className="endpoint-list-section">
-                  <h2 className="section-title">Registered Mock Endpoints</h2>
+                  <div className="section-header">
+                    <h2 className="section-title">Registered Mock Endpoints</h2>
+                    <div className="export-actions">
+                      <button onClick={() => handleExportOpenApi('json')} className="button-secondary button-small" disabled={endpoints.length === 0}>
+                        Export OpenAPI (JSON)
+                      </button>
+                      <button onClick={() => handleExportOpenApi('yaml')} className="button-secondary button-small" disabled={endpoints.length === 0}>
+                        Export OpenAPI (YAML)
+                      </button>
+                      <button onClick={handleExportPostman} className="button-secondary button-small" disabled={endpoints.length === 0}>
+                        Export Postman
+                      </button>
+                    </div>
+                  </div>
+                  {stateMachines.length > 0 && (
+                    <div className="state-machines">
+                      {stateMachines.map(machine => (
+                        <div key={machine.name} className="state-machine">
+                          <span className="state-machine-name">{machine.name}</span>
+                          <span className="state-badge" title={`States: ${machine.states.join(', ')}`}>{machine.currentState}</span>
+                          <span className="help-text-sm">{machine.endpoints.length} endpoint(s), starts in {machine.initialState}</span>
+                          <button
+                            onClick={() => handleResetStateMachine(machine.name)}
+                            className="button-secondary button-small"
+                            disabled={machine.currentState === machine.initialState}
+                          >
+                            Reset
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  )}
                   {loading && <p className="loading">Loading...</p>}
-                  {endpoints.length === 0 && !loading && (
+                  {loadError && (
+                    <div className="message error">
+                      {loadError}
+                      <button onClick={loadEndpoints} className="button-secondary button-retry">Retry</button>
+                    </div>
+                  )}
+                  {endpoints.length === 0 && !loading && !loadError && (
                     <p className="empty-state">No endpoints defined. Create one in the "Create Endpoint" tab.</p>
                   )}
                   <div className="endpoint-grid">
                     {endpoints.map(endpoint => (
-                      <div key={endpoint.internalId} className="endpoint-card">
+                      <div key={endpoint.endpointId} className="endpoint-card">
                         <div className="method-tag" data-method={endpoint.method}>
                           {endpoint.method}
                         </div>
-                        <h3 className="endpoint-id">{endpoint.endpointId}</h3>
+                        <h3 className="endpoint-id">{endpoint.path}</h3>
+                        <p className="endpoint-url">ID: <code>{endpoint.endpointId}</code> &middot; <code>{mockBaseUrl}{endpoint.path}</code></p>
+                        {endpoint.tags.length > 0 && (
+                            <div className="endpoint-tags">
+                                {endpoint.tags.map(tag => <span key={tag} className="endpoint-tag">{tag}</span>)}
+                            </div>
+                        )}
+                        {endpoint.stateMachineName && (
+                            <div className="proxy-info">
+                                <span>State machine: <code>{endpoint.stateMachineName}</code></span>
+                                <span className="state-badge">
+                                    {(stateMachines.find(machine => machine.name === endpoint.stateMachineName) || {}).currentState || endpoint.initialState}
+                                </span>
+                            </div>
+                        )}
+                        {endpoint.proxy && (
+                            <div className="proxy-info">
+                                <span>Upstream: <code>{endpoint.proxy.originalUrl}</code></span>
+                                <select
+                                    value={endpoint.proxy.mode}
+                                    onChange={(e) => handleProxyModeChange(endpoint.endpointId, e.target.value)}
+                                >
+                                    {PROXY_MODES.map(mode => <option key={mode} value={mode}>{mode}</option>)}
+                                </select>
+                            </div>
+                        )}
                         <div className="details-row">
                           <span>Default Status: <strong>{endpoint.statusCode}</strong></span>
-                          <span>Default Delay: <strong>{endpoint.delay}ms</strong></span>
+                          <span>Default Delay: <strong>{formatDelay(endpoint.delay)}</strong></span>
                         </div>
                         {endpoint.scenarios && endpoint.scenarios.length > 0 && (
                             <div className="scenario-count">
@@ -1110,16 +2500,50 @@ const App = () => {
                                 {endpoint.scenarios.length} Conditional Scenario(s)
                             </div>
                         )}
+                        {endpoint.fault && (
+                            <div className="proxy-info">
+                                <span>Fault: <code>{endpoint.fault.type}</code> at {Math.round(endpoint.fault.probability * 100)}%</span>
+                            </div>
+                        )}
+                        {endpoint.sequenceTemplate && (
+                            <div className="proxy-info">
+                                <span>Response sequence, then <strong>{endpoint.sequenceMode}</strong></span>
+                            </div>
+                        )}
+                        {endpoint.schemaTemplate && (
+                            <div className="proxy-info">
+                                <span>Generated from a JSON Schema{endpoint.seed ? <> (seed <code>{endpoint.seed}</code>)</> : ''}</span>
+                            </div>
+                        )}
+                        {(endpoint.bodyEncoding !== 'json' || endpoint.contentType || endpoint.disposition) && (
+                            <div className="proxy-info">
+                                <span>
+                                    {BODY_ENCODINGS.find(encoding => encoding.value === endpoint.bodyEncoding).label} body
+                                    {endpoint.contentType && <> as <code>{endpoint.contentType}</code></>}
+                                    {endpoint.disposition && <>, {endpoint.disposition}{endpoint.dispositionFilename && <> <code>{endpoint.dispositionFilename}</code></>}</>}
+                                </span>
+                            </div>
+                        )}
                         <details>
                           <summary className="template-summary">Default Response Template</summary>
-                          <pre className="template-preview">{endpoint.responseTemplate}</pre>
+                          <pre className="template-preview">
+                            {endpoint.bodyEncoding === 'base64'
+                                ? `${Math.floor(endpoint.responseTemplate.length * 3 / 4)} bytes (base64)`
+                                : endpoint.responseTemplate}
+                          </pre>
                         </details>
                         <div className="actions">
                           <button onClick={() => handleTestEndpoint(endpoint)} className="button-primary">
                               Test
                           </button>
                           <button onClick={() => handleEdit(endpoint)} className="button-secondary">Edit</button>
-                          <button onClick={() => handleDeleteEndpoint(endpoint.internalId, endpoint.endpointId)} className="button-danger">Delete</button>
+                          {(endpoint.sequenceTemplate || endpoint.scenarios.some(scenario => scenario.sequenceTemplate)) && (
+                              <button onClick={() => handleResetCalls(endpoint.endpointId)} className="button-secondary">Reset Calls</button>
+                          )}
+                          {endpoint.proxy && endpoint.scenarios.some(scenario => scenario.recordedAt) && (
+                              <button onClick={() => handleClearRecordings(endpoint.endpointId)} className="button-secondary">Clear Recordings</button>
+                          )}
+                          <button onClick={() => handleDeleteEndpoint(endpoint.endpointId)} className="button-danger">Delete</button>
                         </div>
                       </div>
                     ))}
@@ -1133,16 +2557,35 @@ const App = () => {
                   <h2 className="section-title">{editingEndpoint ? `Editing: ${editingEndpoint} (${newEndpoint.method})` : 'Create New Endpoint'}</h2>
                   <form onSubmit={handleSaveEndpoint} className="endpoint-form">
                     <div className="form-group">
-                      <label htmlFor="endpointId">Endpoint URL (e.g., /users/:id)</label>
+                      <label htmlFor="endpointId">Endpoint ID</label>
                       <input
                         type="text"
                         id="endpointId"
                         name="endpointId"
                         value={newEndpoint.endpointId}
                         onChange={handleInputChange}
-                        placeholder="/users/:id"
+                        placeholder="user-profile"
+                        readOnly={!!editingEndpoint}
+                        required
+                      />
+                    </div>
+
+                    <div className="form-group">
+                      <label htmlFor="path">Path Template (served under {API_BASE}/mock)</label>
+                      <input
+                        type="text"
+                        id="path"
+                        name="path"
+                        value={newEndpoint.path}
+                        onChange={handleInputChange}
+                        placeholder="/users/:id/orders/:orderId"
                         required
                       />
+                      <p className="help-text-sm">
+                          Segments: <code>:name</code> param, <code>:name?</code> optional,
+                          <code>:id(\d+)</code> regex, <code>*</code> wildcard (captured as <code>wildcard</code>).
+                          The most specific matching path wins.
+                      </p>
                     </div>
 
                     <h3 className="scenario-title" style={{marginTop: '1rem'}}>Default Response Settings</h3>
@@ -1161,6 +2604,8 @@ const App = () => {
                           <option>PUT</option>
                           <option>DELETE</option>
                           <option>PATCH</option>
+                          <option>HEAD</option>
+                          <option value="ANY">ANY (all methods)</option>
                         </select>
                       </div>
                       <div className="form-group">
@@ -1176,40 +2621,197 @@ const App = () => {
                           required
                         />
                       </div>
+                      <LatencyEditor
+                        idPrefix="delay"
+                        delay={newEndpoint.delay}
+                        bandwidth={newEndpoint.bandwidth}
+                        onChange={(field, value) => setNewEndpoint(prev => ({ ...prev, [field]: value }))}
+                      />
+                    </div>
+                    <p className="help-text-sm">
+                        A distribution makes every call take a different time; the workspace's network condition adds to it.
+                        Bandwidth streams the body at that many bytes per second.
+                    </p>
+
+                    <div className="form-group-row">
+                      <div className="form-group">
+                        <label htmlFor="bodyEncoding">Response Body</label>
+                        <select id="bodyEncoding" name="bodyEncoding" value={newEndpoint.bodyEncoding} onChange={handleInputChange}>
+                          {BODY_ENCODINGS.map(encoding => (
+                            <option key={encoding.value} value={encoding.value}>{encoding.label}</option>
+                          ))}
+                        </select>
+                      </div>
                       <div className="form-group">
-                        <label htmlFor="delay">Default Delay (ms)</label>
+                        <label htmlFor="contentType">Content-Type</label>
                         <input
-                          type="number"
-                          id="delay"
-                          name="delay"
-                          value={newEndpoint.delay}
+                          type="text"
+                          id="contentType"
+                          name="contentType"
+                          value={newEndpoint.contentType}
                           onChange={handleInputChange}
-                          min="0"
-                          required
+                          placeholder={newEndpoint.bodyEncoding === 'json' ? 'application/json' : 'e.g. text/csv, application/pdf'}
+                        />
+                      </div>
+                      <div className="form-group">
+                        <label htmlFor="disposition">Content-Disposition</label>
+                        <select id="disposition" name="disposition" value={newEndpoint.disposition} onChange={handleInputChange}>
+                          <option value="">None</option>
+                          <option value="inline">Inline</option>
+                          <option value="attachment">Attachment (download)</option>
+                        </select>
+                      </div>
+                      <div className="form-group">
+                        <label htmlFor="dispositionFilename">File Name</label>
+                        <input
+                          type="text"
+                          id="dispositionFilename"
+                          name="dispositionFilename"
+                          value={newEndpoint.dispositionFilename}
+                          onChange={handleInputChange}
+                          placeholder="report.csv"
+                          disabled={!newEndpoint.disposition}
                         />
                       </div>
                     </div>
 
                     <div className="form-group full-width">
                       <label htmlFor="responseTemplate">
-                          Default Response Template (JSON)
+                          {newEndpoint.bodyEncoding === 'file'
+                              ? 'Response File (name inside the server\'s response files directory)'
+                              : `Default Response ${newEndpoint.bodyEncoding === 'base64' ? '(base64)' : `Template (${newEndpoint.bodyEncoding === 'text' ? 'text' : 'JSON'})`}`}
                       </label>
                       <textarea
                         id="responseTemplate"
                         name="responseTemplate"
                         value={newEndpoint.responseTemplate}
                         onChange={handleInputChange}
-                        rows="10"
+                        rows={newEndpoint.bodyEncoding === 'file' ? 1 : 10}
                         required
                       ></textarea>
-                      <p className="help-text">
-                          Use placeholders:
-                          <code>&lbrace;&lbrace;path.param&rbrace;&rbrace;</code>,
-                          <code>&lbrace;&lbrace;query.param&rbrace;&rbrace;</code>,
-                          <code>&lbrace;&lbrace;body.field&rbrace;&rbrace;</code>,
-                          and <code>&lbrace;&lbrace;body&rbrace;&rbrace;</code>.
-                      </p>
+                      {newEndpoint.bodyEncoding === 'json' && (
+                        <p className="help-text">
+                            Must be valid JSON. Use placeholders inside string values:
+                            <code>&lbrace;&lbrace;path.param&rbrace;&rbrace;</code>,
+                            <code>&lbrace;&lbrace;body.user.address.city&rbrace;&rbrace;</code>,
+                            <code>&lbrace;&lbrace;headers.x-request-id&rbrace;&rbrace;</code>,
+                            <code>&lbrace;&lbrace;files.avatar.name&rbrace;&rbrace;</code>,
+                            <code>&lbrace;&lbrace;call.count&rbrace;&rbrace;</code>, helpers such as
+                            <code>&lbrace;&lbrace;now "YYYY-MM-DD"&rbrace;&rbrace;</code>,
+                            <code>&lbrace;&lbrace;uuid&rbrace;&rbrace;</code> or
+                            <code>&lbrace;&lbrace;default query.page 1&rbrace;&rbrace;</code>, and blocks like
+                            <code>&lbrace;&lbrace;#each body.items&rbrace;&rbrace;…&lbrace;&lbrace;/each&rbrace;&rbrace;</code>.
+                        </p>
+                      )}
+                      {newEndpoint.bodyEncoding === 'text' && (
+                        <p className="help-text">
+                            Sent as typed (text/plain unless a Content-Type is set). The same placeholders and helpers as
+                            JSON templates work anywhere in the text.
+                        </p>
+                      )}
+                      {(newEndpoint.bodyEncoding === 'base64' || newEndpoint.bodyEncoding === 'file') && (
+                        <p className="help-text">
+                            Sent byte for byte, as application/octet-stream unless a Content-Type is set
+                            {newEndpoint.bodyEncoding === 'file' ? ' or the file name has a known extension' : ''}.
+                        </p>
+                      )}
+                    </div>
+
+                    {editingEndpoint && (
+                      <div className="form-group full-width">
+                        <label htmlFor="responseFile">Upload a Response File</label>
+                        <input type="file" id="responseFile" onChange={handleUploadResponse} disabled={loading} />
+                        <p className="help-text-sm">
+                            Replaces the response right away: JSON files stay JSON, other text files (CSV, XML, HTML) become
+                            text bodies and anything else (PDF, images) a binary body with the file's content type.
+                            The Content-Disposition chosen above serves it under its own name.
+                        </p>
+                      </div>
+                    )}
+
+                    {(newEndpoint.bodyEncoding === 'json' || newEndpoint.bodyEncoding === 'text') && (
+                      <TemplatePreview template={newEndpoint.responseTemplate} encoding={newEndpoint.bodyEncoding} />
+                    )}
+
+                    <div className="form-group-row">
+                      <div className="form-group full-width">
+                        <label htmlFor="schemaTemplate">Response Schema (optional JSON Schema)</label>
+                        <textarea
+                          id="schemaTemplate"
+                          name="schemaTemplate"
+                          value={newEndpoint.schemaTemplate}
+                          onChange={handleInputChange}
+                          rows="6"
+                          placeholder={'{"type": "object", "properties": {"id": {"type": "string", "format": "uuid"}, "email": {"type": "string", "format": "email"}}}'}
+                        ></textarea>
+                      </div>
+                      <div className="form-group">
+                        <label htmlFor="seed">Seed</label>
+                        <input
+                          type="text"
+                          id="seed"
+                          name="seed"
+                          value={newEndpoint.seed}
+                          onChange={handleInputChange}
+                          placeholder="random"
+                        />
+                      </div>
+                    </div>
+                    <p className="help-text-sm">
+                        When set, the default response is generated from the schema as fake data (formats, enums, ranges
+                        and array sizes are honoured) instead of the template above. A seed returns the same data on every call.
+                    </p>
+
+                    <SequenceEditor
+                      idPrefix="sequence"
+                      template={newEndpoint.sequenceTemplate}
+                      mode={newEndpoint.sequenceMode}
+                      onChange={(field, value) => setNewEndpoint(prev => ({ ...prev, [field]: value }))}
+                    />
+                    <p className="help-text-sm">
+                        Successive calls get the listed responses in order, e.g. first a 503, then a 200. Once used up the
+                        sequence sticks on its last response, loops, or falls through to the default response above.
+                    </p>
+
+                    <FaultEditor
+                      idPrefix="fault"
+                      fault={newEndpoint.fault}
+                      onChange={(fault) => setNewEndpoint(prev => ({ ...prev, fault }))}
+                    />
+                    <p className="help-text-sm">
+                        Applies to the default response: drop or empty the connection, cut off or corrupt the body, send
+                        it byte by byte, or never answer. Sequence steps can set their own <code>fault</code>.
+                    </p>
+
+                    <div className="form-group-row">
+                      <div className="form-group">
+                        <label htmlFor="stateMachineName">State Machine (optional)</label>
+                        <input
+                          type="text"
+                          id="stateMachineName"
+                          name="stateMachineName"
+                          value={newEndpoint.stateMachineName}
+                          onChange={handleInputChange}
+                          placeholder="order-flow"
+                        />
+                      </div>
+                      <div className="form-group">
+                        <label htmlFor="initialState">Initial State</label>
+                        <input
+                          type="text"
+                          id="initialState"
+                          name="initialState"
+                          value={newEndpoint.initialState}
+                          onChange={handleInputChange}
+                          placeholder="STARTED, or the machine's existing initial state"
+                          disabled={!newEndpoint.stateMachineName}
+                        />
+                      </div>
                     </div>
+                    <p className="help-text-sm">
+                        Endpoints with the same state machine share one current state. Scenarios can then require a
+                        state and move the machine to a next state, e.g. an order is PENDING until POST /orders/:id/ship.
+                    </p>
 
                     {/* New Scenario Editor */}
                     <ScenarioEditor endpoint={newEndpoint} setNewEndpoint={setNewEndpoint} />
@@ -1224,7 +2826,21 @@ const App = () => {
               {/* SCHEMA UPLOAD TAB */}
               {activeTab === 'schema' && (
                 <section className="upload-section">
-                  <h2 className="section-title">Upload Endpoint Schema (JSON)</h2>
+                  <h2 className="section-title">Upload API Contract (OpenAPI, Swagger, Postman or Endpoint JSON)</h2>
+                  <div className="form-group">
+                    <label htmlFor="contractName">Contract Name</label>
+                    <input
+                      type="text"
+                      id="contractName"
+                      value={contractName}
+                      onChange={(e) => setContractName(e.target.value)}
+                      placeholder="Defaults to the file name"
+                    />
+                  </div>
+                  <label className="checkbox-label">
+                    <input type="checkbox" checked={contractStrict} onChange={(e) => setContractStrict(e.target.checked)} />
+                    Strict mode: reject mock requests whose parameters, headers or JSON body break the spec (OpenAPI / Swagger only)
+                  </label>
                   <div className="upload-area">
                     <label htmlFor="schemaUpload" className="upload-label">
                       <div className="upload-content">
@@ -1232,48 +2848,191 @@ const App = () => {
                           <UploadIcon />
                         </span>
                         <div className="upload-text">
-                          <strong>Click to upload your endpoint JSON schema file.</strong>
-                          <p>File must be an array of endpoint objects.</p>
+                          <strong>Click to upload an OpenAPI 3 / Swagger 2 spec (JSON or YAML), a Postman v2.1 collection or an endpoint JSON file.</strong>
+                          <p>Specs create one mock per operation and collections one per request; endpoint files are an array of endpoint objects (or an object with an "endpoints" array).</p>
                         </div>
                       </div>
                       <input
                         type="file"
                         id="schemaUpload"
-                        accept=".json"
+                        accept=".json,.yaml,.yml"
                         onChange={handleUploadSchema}
+                        disabled={loading}
                         style={{ display: 'none' }}
                       />
                     </label>
                   </div>
-                  {uploadMessage && <div className="upload-message">{uploadMessage}</div>}
+                  {uploadMessage && <div className={`upload-message message ${uploadMessage.startsWith('Error') ? 'error' : 'success'}`}>{uploadMessage}</div>}
+
+                  <ContractList workspace={workspace} refreshKey={uploadMessage} onOpenEndpoint={handleOpenEndpoint} />
 
                   <div className="upload-help">
-                    <h4>Example Schema Format (with Scenarios)</h4>
+                    <p className="help-text">
+                      Mocks imported from a spec answer with their first documented 2xx response.
+                      Send the <code>X-Mock-Response-Code</code> header (e.g. <code>404</code>) to get any other documented response.
+                      Mocks imported from a Postman collection answer with their first 2xx example; send <code>X-Mock-Example</code> with an example's name to get another one.
+                    </p>
+                    <h4>Example Endpoint File Format (with Scenarios)</h4>
                     <pre>{JSON.stringify([{
-                        "endpointId": "/products/:id",
+                        "endpointId": "product-detail",
+                        "path": "/products/:id",
                         "method": "GET",
                         "statusCode": 200,
                         "delay": 100,
-                        "responseTemplate": "{\n  \"product_id\": \"{{path.id}}\",\n  \"status\": \"available\"\n}",
+                        "response": { "product_id": "{{path.id}}", "status": "available" },
                         "scenarios": [
                           {
                             "name": "Out of Stock",
-                            "condition": "path.id === 'oos'",
+                            "match": { "source": "path", "field": "id", "equals": "oos" },
                             "statusCode": 404,
-                            "responseTemplate": "{\n  \"error\": \"Product {{path.id}} is out of stock.\"\n}"
+                            "response": { "error": "Product {{path.id}} is out of stock." }
                           }
                         ]
                     },
                     {
-                        "endpointId": "/orders",
+                        "endpointId": "create-order",
+                        "path": "/orders",
                         "method": "POST",
                         "statusCode": 201,
-                        "responseTemplate": "{\n  \"message\": \"Order received\",\n  \"data\": {{body}}\n}"
+                        "response": { "message": "Order received", "customer": "{{body.customer}}" }
                     }], null, 2)}</pre>
                   </div>
+
+                  <h2 className="section-title har-title">Import HAR Capture</h2>
+                  <div className="form-group-row">
+                    <div className="form-group">
+                      <label htmlFor="harHost">Host</label>
+                      <input
+                        type="text"
+                        id="harHost"
+                        value={harOptions.host}
+                        onChange={(e) => setHarOptions(prev => ({ ...prev, host: e.target.value }))}
+                        placeholder="api.example.com (all hosts when empty)"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label htmlFor="harPathPrefix">Path Prefix</label>
+                      <input
+                        type="text"
+                        id="harPathPrefix"
+                        value={harOptions.pathPrefix}
+                        onChange={(e) => setHarOptions(prev => ({ ...prev, pathPrefix: e.target.value }))}
+                        placeholder="/api/v1 (all paths when empty)"
+                      />
+                    </div>
+                  </div>
+                  <label className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={harOptions.stripPrefix}
+                      onChange={(e) => setHarOptions(prev => ({ ...prev, stripPrefix: e.target.checked }))}
+                    />
+                    Remove the path prefix from mock paths
+                  </label>
+                  <div className="upload-area">
+                    <label htmlFor="harUpload" className="upload-label">
+                      <div className="upload-content">
+                        <span className="upload-icon">
+                          <UploadIcon />
+                        </span>
+                        <div className="upload-text">
+                          <strong>Click to upload a HAR file exported from the browser DevTools.</strong>
+                          <p>One mock per method + path. Authorization and Cookie headers are removed before anything is stored.</p>
+                        </div>
+                      </div>
+                      <input
+                        type="file"
+                        id="harUpload"
+                        accept=".har,.json"
+                        onChange={handleUploadHar}
+                        disabled={loading}
+                        style={{ display: 'none' }}
+                      />
+                    </label>
+                  </div>
+                  {harMessage && <div className={`upload-message message ${harMessage.startsWith('Error') ? 'error' : 'success'}`}>{harMessage}</div>}
+
+                  <h2 className="section-title har-title">Record From Upstream</h2>
+                  <form onSubmit={handleCreateProxy}>
+                    <div className="form-group-row">
+                      <div className="form-group">
+                        <label htmlFor="proxyUrl">Upstream URL</label>
+                        <input
+                          type="url"
+                          id="proxyUrl"
+                          value={proxyForm.originalUrl}
+                          onChange={(e) => setProxyForm(prev => ({ ...prev, originalUrl: e.target.value }))}
+                          placeholder="https://api.example.com/v1"
+                          required
+                        />
+                      </div>
+                      <div className="form-group">
+                        <label htmlFor="proxyId">Endpoint ID</label>
+                        <input
+                          type="text"
+                          id="proxyId"
+                          value={proxyForm.endpointId}
+                          onChange={(e) => setProxyForm(prev => ({ ...prev, endpointId: e.target.value }))}
+                          placeholder="generated when empty"
+                        />
+                      </div>
+                      <div className="form-group">
+                        <label htmlFor="proxyMode">Mode</label>
+                        <select
+                          id="proxyMode"
+                          value={proxyForm.mode}
+                          onChange={(e) => setProxyForm(prev => ({ ...prev, mode: e.target.value }))}
+                        >
+                          {PROXY_MODES.map(mode => <option key={mode} value={mode}>{mode}</option>)}
+                        </select>
+                      </div>
+                    </div>
+                    <div className="form-group-row">
+                      <div className="form-group">
+                        <label htmlFor="proxyRedactHeaders">Redact Headers</label>
+                        <input
+                          type="text"
+                          id="proxyRedactHeaders"
+                          value={proxyForm.redactHeaders}
+                          onChange={(e) => setProxyForm(prev => ({ ...prev, redactHeaders: e.target.value }))}
+                          placeholder="x-session-id, x-trace"
+                        />
+                      </div>
+                      <div className="form-group">
+                        <label htmlFor="proxyRedactQuery">Redact Query Params</label>
+                        <input
+                          type="text"
+                          id="proxyRedactQuery"
+                          value={proxyForm.redactQuery}
+                          onChange={(e) => setProxyForm(prev => ({ ...prev, redactQuery: e.target.value }))}
+                          placeholder="api_key"
+                        />
+                      </div>
+                      <div className="form-group">
+                        <label htmlFor="proxyRedactBody">Redact Body Fields</label>
+                        <input
+                          type="text"
+                          id="proxyRedactBody"
+                          value={proxyForm.redactBody}
+                          onChange={(e) => setProxyForm(prev => ({ ...prev, redactBody: e.target.value }))}
+                          placeholder="token, password"
+                        />
+                      </div>
+                    </div>
+                    <p className="help-text-sm">
+                      Requests under the proxy's path are forwarded to the upstream URL. In record mode every response
+                      is saved as a scenario (Authorization, Cookie and Set-Cookie are always redacted); switch to playback
+                      to answer from the recordings only. Binary responses are forwarded but never recorded.
+                    </p>
+                    <button type="submit" className="button-primary" disabled={loading}>Create Proxy</button>
+                  </form>
+                  {proxyMessage && <div className={`upload-message message ${proxyMessage.startsWith('Error') ? 'error' : 'success'}`}>{proxyMessage}</div>}
                 </section>
               )}
 
+              {/* REQUEST LOG TAB */}
+              {activeTab === 'log' && <RequestLog workspace={workspace} />}
+
               {/* TEST API TAB */}
               {activeTab === 'test' && (
                 <section className="test-api-section">
@@ -1292,6 +3051,7 @@ const App = () => {
                           <option>PUT</option>
                           <option>DELETE</option>
                           <option>PATCH</option>
+                          <option>HEAD</option>
                         </select>
                       </div>
                       <div className="form-group full-width url-input">
@@ -1301,7 +3061,7 @@ const App = () => {
                           name="endpointId"
                           value={testConfig.endpointId}
                           onChange={handleTestConfigChange}
-                          placeholder="/api/users/123?filter=active"
+                          placeholder="/users/123?filter=active"
                           required
                         />
                       </div>
@@ -1318,18 +3078,6 @@ const App = () => {
                     {testConfig.showAdvanced && (
                       <div className="advanced-options">
                           <div className="form-group-row">
-                              <div className="form-group">
-                                  <label htmlFor="urlParams">Path Parameters (JSON)</label>
-                                  <textarea
-                                    id="urlParams"
-                                    name="urlParams"
-                                    value={testConfig.urlParams}
-                                    onChange={handleTestConfigChange}
-                                    rows="3"
-                                    placeholder='{"id": "123"}'
-                                  ></textarea>
-                                  <p className="help-text">Manually set path parameters for **&lbrace;&lbrace;path.param&rbrace;&rbrace;**.</p>
-                              </div>
                               <div className="form-group">
                                   <label htmlFor="queryParams">Query Parameters (JSON)</label>
                                   <textarea
@@ -1355,7 +3103,7 @@ const App = () => {
                               rows="5"
                               placeholder='{"name": "John", "status": "active"}'
                             ></textarea>
-                            <p className="help-text">Used for **&lbrace;&lbrace;body.field&rbrace;&rbrace;** or **&lbrace;&lbrace;body&rbrace;&rbrace;** placeholders.</p>
+                            <p className="help-text">Used for **&lbrace;&lbrace;body.field&rbrace;&rbrace;** placeholders.</p>
                           </div>
                         )}
                       </div>
@@ -1371,12 +3119,15 @@ const App = () => {
                       <h3 className="results-title">Test History (Last 5)</h3>
                       <div className="results-list">
                         {testResults.map(result => (
-                          <div key={result.id} className={`result-card status-${result.statusCode >= 400 ? 'error' : 'success'}`}>
+                          <div key={result.id} className={`result-card status-${!result.success || result.statusCode >= 400 ? 'error' : 'success'}`}>
                             <div className="result-header">
                               <span className="result-status-code">{result.statusCode}</span>
                               <span className="result-latency">{result.latency}ms</span>
+                              {result.scenario && <span className="result-scenario">Scenario: <strong>{result.scenario}</strong></span>}
+                              {result.state && <span className="result-scenario">State: <strong>{result.state}</strong></span>}
+                              {result.sequenceStep && <span className="result-scenario">Step: <strong>{result.sequenceStep}</strong></span>}
                               <span className="result-url">
-                                <strong>{result.method}</strong> {API_BASE}{result.url.split('?')[0]}
+                                <strong>{result.method}</strong> {API_BASE}/mock/{result.url.split('?')[0].replace(/^\/+/, '')}
                               </span>
                             </div>
 
@@ -1384,9 +3135,6 @@ const App = () => {
                               <details>
                                 <summary>Request Details</summary>
                                 <div className="request-info">
-                                  <p><strong>Path Params:</strong>
-                                    <code>{JSON.stringify(result.request.pathParams)}</code>
-                                  </p>
                                   {Object.keys(result.request.queryParams).length > 0 && (
                                     <p><strong>Query Params:</strong>
                                       <code>{JSON.stringify(result.request.queryParams)}</code>
@@ -1401,8 +3149,21 @@ const App = () => {
                               </details>
 
                               <details open>
-                                <summary>Dynamic Response</summary>
-                                <pre>{JSON.stringify(result.success ? result.response : result.error, null, 2)}</pre>
+                                <summary>Dynamic Response{result.contentType ? ` (${result.contentType})` : ''}</summary>
+                                {result.blob ? (
+                                  <p className="help-text-sm">
+                                    {result.size} bytes of binary data.{' '}
+                                    <button type="button" className="link-button" onClick={() => downloadBlob(result.blob, result.downloadName)}>
+                                      Download {result.downloadName}
+                                    </button>
+                                  </p>
+                                ) : (
+                                  <pre>
+                                    {result.success && typeof result.response === 'string'
+                                        ? result.response
+                                        : JSON.stringify(result.success ? result.response : result.error, null, 2)}
+                                  </pre>
+                                )}
                               </details>
                             </div>
                           </div>
@@ -0,0 +1,233 @@
+// Response bodies. A mock or scenario answers with JSON unless its
+// bodyEncoding says otherwise:
+//   json    the response value is sent as JSON (default)
+//   text    the response is a string sent as-is, e.g. CSV, XML or HTML
+//   base64  the response is base64 encoded bytes, e.g. an uploaded PDF
+//   file    the response names a file below the response files directory,
+//           read on every request
+// contentType sets the Content-Type (defaults: JSON, text/plain,
+// application/octet-stream, or guessed from a file's extension) and
+// contentDisposition { type: "attachment" | "inline", filename } turns the
+// response into a download. JSON and text bodies are response templates (see
+// ./templates); base64 and file bodies are sent byte for byte. Sequence steps
+// use the encoding of their endpoint or scenario.
+const fs = require('fs');
+const path = require('path');
+const { TEXT_CONTENT_TYPE } = require('./proxy');
+
+const BODY_ENCODINGS = ['json', 'text', 'base64', 'file'];
+const DEFAULT_BODY_ENCODING = 'json';
+const UPLOAD_ENCODINGS = ['json', 'text', 'base64'];
+const DISPOSITION_TYPES = ['inline', 'attachment'];
+const DEFAULT_DISPOSITION_TYPE = 'attachment';
+
+const DEFAULT_CONTENT_TYPES = {
+  json: 'application/json; charset=utf-8',
+  text: 'text/plain; charset=utf-8',
+  base64: 'application/octet-stream',
+  file: 'application/octet-stream'
+};
+
+// Content types guessed from the extension of file bodies and uploads
+const EXTENSION_CONTENT_TYPES = {
+  '.json': 'application/json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.yaml': 'application/yaml; charset=utf-8',
+  '.yml': 'application/yaml; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.mp3': 'audio/mpeg',
+  '.mp4': 'video/mp4'
+};
+
+const CONTENT_TYPE = /^[\w.+-]+\/[\w.+-]+(\s*;[\x20-\x7E]*)?$/;
+const BASE64 = /^[A-Za-z0-9+/]*={0,2}$/;
+const MAX_FILENAME_LENGTH = 255;
+
+const isTemplatedEncoding = (encoding) => !encoding || encoding === 'json' || encoding === 'text';
+
+const guessContentType = (fileName) =>
+  EXTENSION_CONTENT_TYPES[path.extname(String(fileName)).toLowerCase()] || DEFAULT_CONTENT_TYPES.file;
+
+// The absolute path of a file body, or null when the name leaves the directory
+const resolveResponseFile = (filesDir, name) => {
+  const root = path.resolve(filesDir);
+  const filePath = path.resolve(root, String(name));
+  return filePath.startsWith(root + path.sep) ? filePath : null;
+};
+
+// Returns a list of errors for the body settings of an endpoint or scenario.
+// `label` prefixes the field names, e.g. "scenarios[0]".
+const validateBody = ({ response, bodyEncoding, contentType, contentDisposition }, label = '') => {
+  const field = (name) => (label ? `${label}.${name}` : name);
+  const errors = [];
+
+  if (bodyEncoding !== undefined && bodyEncoding !== null && !BODY_ENCODINGS.includes(bodyEncoding)) {
+    errors.push(`${field('bodyEncoding')} must be one of ${BODY_ENCODINGS.join(', ')}`);
+  } else if (response !== undefined && response !== null && bodyEncoding && bodyEncoding !== 'json') {
+    if (typeof response !== 'string') {
+      errors.push(`${field('response')} must be a string when bodyEncoding is "${bodyEncoding}"`);
+    } else if (bodyEncoding === 'base64' && !BASE64.test(response.replace(/\s/g, ''))) {
+      errors.push(`${field('response')} is not valid base64`);
+    } else if (bodyEncoding === 'file' && (!response || !resolveResponseFile('.', response))) {
+      errors.push(`${field('response')} must be a file name inside the response files directory`);
+    }
+  }
+
+  if (contentType !== undefined && contentType !== null &&
+      (typeof contentType !== 'string' || !CONTENT_TYPE.test(contentType))) {
+    errors.push(`${field('contentType')} must be a media type such as "text/csv" or "application/pdf"`);
+  }
+
+  if (contentDisposition !== undefined && contentDisposition !== null) {
+    if (typeof contentDisposition !== 'object' || Array.isArray(contentDisposition)) {
+      errors.push(`${field('contentDisposition')} must be an object with a type and an optional filename`);
+    } else {
+      const { type, filename } = contentDisposition;
+      if (type !== undefined && !DISPOSITION_TYPES.includes(type)) {
+        errors.push(`${field('contentDisposition.type')} must be one of ${DISPOSITION_TYPES.join(', ')}`);
+      }
+      if (filename !== undefined &&
+          (typeof filename !== 'string' || !filename || filename.length > MAX_FILENAME_LENGTH || /[\x00-\x1F\x7F/\\]/.test(filename))) {
+        errors.push(`${field('contentDisposition.filename')} must be a file name of at most ${MAX_FILENAME_LENGTH} characters without slashes`);
+      }
+    }
+  }
+  return errors;
+};
+
+// The body settings to store; JSON bodies without extras store nothing
+const normalizeBody = ({ bodyEncoding, contentType, contentDisposition }) => ({
+  ...(bodyEncoding && bodyEncoding !== DEFAULT_BODY_ENCODING ? { bodyEncoding } : {}),
+  ...(contentType ? { contentType } : {}),
+  ...(contentDisposition
+    ? {
+      contentDisposition: {
+        type: contentDisposition.type || DEFAULT_DISPOSITION_TYPE,
+        ...(contentDisposition.filename ? { filename: contentDisposition.filename } : {})
+      }
+    }
+    : {})
+});
+
+// The Content-Type an outcome is sent with, without reading file bodies
+const bodyContentType = ({ bodyEncoding, contentType, response }) => {
+  if (contentType) return contentType;
+  if (bodyEncoding === 'file') return guessContentType(response);
+  return DEFAULT_CONTENT_TYPES[bodyEncoding || DEFAULT_BODY_ENCODING];
+};
+
+/**
+ * Builds the bytes of a rendered response.
+ * @param {object} outcome - Endpoint, scenario or step with the body settings.
+ * @param {*} response - The rendered response value.
+ * @param {object} options - { contentType: Content-Type set by the mock's
+ *   headers, filesDir: directory of file bodies }
+ * @returns {{ body: Buffer, contentType: string }}
+ * @throws when a file body cannot be read
+ */
+const encodeBody = (outcome, response, { contentType: headerType, filesDir }) => {
+  const encoding = outcome.bodyEncoding || DEFAULT_BODY_ENCODING;
+  const contentType = outcome.contentType || headerType;
+
+  if (encoding === 'text') {
+    const text = typeof response === 'string' ? response : JSON.stringify(response);
+    return { body: Buffer.from(text || ''), contentType: contentType || DEFAULT_CONTENT_TYPES.text };
+  }
+  if (encoding === 'base64') {
+    return { body: Buffer.from(response || '', 'base64'), contentType: contentType || DEFAULT_CONTENT_TYPES.base64 };
+  }
+  if (encoding === 'file') {
+    const filePath = resolveResponseFile(filesDir, response);
+    if (!filePath) throw new Error(`Response file "${response}" is outside the response files directory`);
+    try {
+      return { body: fs.readFileSync(filePath), contentType: contentType || guessContentType(response) };
+    } catch (error) {
+      throw new Error(`Response file "${response}" could not be read: ${error.code || error.message}`);
+    }
+  }
+
+  // Text with a non-JSON Content-Type header (e.g. recorded HTML) is sent as-is
+  if (typeof response === 'string' && contentType && !/json/i.test(contentType)) {
+    return { body: Buffer.from(response), contentType };
+  }
+  return {
+    body: Buffer.from(response === undefined ? '' : JSON.stringify(response)),
+    contentType: contentType && /json/i.test(contentType) ? contentType : DEFAULT_CONTENT_TYPES.json
+  };
+};
+
+/**
+ * Turns an uploaded file (multer) into body settings: JSON files become JSON
+ * responses, other text files text bodies and anything else base64 bodies.
+ * @param {object} file - { buffer, mimetype, originalname }
+ * @param {object} options - { bodyEncoding, contentType } forcing the
+ *   encoding or the Content-Type, { disposition } serving the file as a
+ *   download ("attachment") or inline under its original name.
+ * @returns {object} { response, bodyEncoding, contentType, contentDisposition }
+ * @throws when the encoding is not supported or a JSON file does not parse
+ */
+const bodyFromUpload = ({ buffer, mimetype, originalname }, { bodyEncoding, contentType, disposition } = {}) => {
+  if (bodyEncoding && !UPLOAD_ENCODINGS.includes(bodyEncoding)) {
+    throw new Error(`bodyEncoding must be one of ${UPLOAD_ENCODINGS.join(', ')} for uploads`);
+  }
+  // Browsers send unknown files as application/octet-stream
+  const type = contentType ||
+    (mimetype && mimetype !== 'application/octet-stream' ? mimetype : guessContentType(originalname));
+  const encoding = bodyEncoding ||
+    (/json/i.test(type) ? 'json' : (TEXT_CONTENT_TYPE.test(type) ? 'text' : 'base64'));
+
+  let response;
+  if (encoding === 'json') {
+    try {
+      response = JSON.parse(buffer.toString('utf8'));
+    } catch (error) {
+      throw new Error(`${originalname} is not valid JSON: ${error.message}`);
+    }
+  } else {
+    response = buffer.toString(encoding === 'text' ? 'utf8' : 'base64');
+  }
+
+  return {
+    response,
+    bodyEncoding: encoding,
+    contentType: encoding === 'json' && !contentType ? undefined : type,
+    contentDisposition: disposition ? { type: disposition, filename: originalname } : undefined
+  };
+};
+
+// Content-Disposition header value; non-ASCII names are added as filename*
+const formatContentDisposition = ({ type = DEFAULT_DISPOSITION_TYPE, filename }) => {
+  if (!filename) return type;
+  const fallback = filename.replace(/[^\x20-\x7E]|["\\]/g, '_');
+  const header = `${type}; filename="${fallback}"`;
+  return fallback === filename ? header : `${header}; filename*=UTF-8''${encodeURIComponent(filename)}`;
+};
+
+module.exports = {
+  BODY_ENCODINGS,
+  isTemplatedEncoding,
+  guessContentType,
+  bodyFromUpload,
+  validateBody,
+  normalizeBody,
+  bodyContentType,
+  encodeBody,
+  formatContentDisposition
+};
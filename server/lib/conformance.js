@@ -0,0 +1,164 @@
+// Conformance report: checks the mocks created from an OpenAPI 3 / Swagger 2
+// contract against it once they have been edited. Every mock with
+// `fromContract` is matched to its operation; its method and path, and the
+// status code and JSON body of its default response, scenarios and sequence
+// steps, must still be documented by the contract. Operations of the
+// contract without a mock are listed as missing.
+const { OPERATION_METHODS, detectSpecFormat, convertPathTemplate } = require('./openapi');
+const { normalizePath } = require('./pathMatcher');
+const { resolveContract } = require('./contractValidation');
+const { validateValue } = require('./schemaValidation');
+const { sampleFromSchema } = require('./schemaSample');
+
+// Template strings are only known per request, so they are not checked
+const isTemplateString = (value) => typeof value === 'string' && value.includes('{{');
+
+// The documented response for a status code: exact code, then "4XX", then "default"
+const findResponse = (responses, statusCode) => {
+  const code = String(statusCode);
+  const key = Object.keys(responses).find(candidate => candidate === code) ||
+    Object.keys(responses).find(candidate => candidate.toUpperCase() === `${code[0]}XX`) ||
+    (responses.default ? 'default' : undefined);
+  return key ? responses[key] : undefined;
+};
+
+// The JSON body schema of a documented response, if it has one
+const responseSchema = (response, format) => {
+  if (!response) return undefined;
+  if (format === 'swagger') return response.schema;
+  const content = response.content || {};
+  const mediaType = Object.keys(content).find(type => /json/i.test(type));
+  return mediaType ? content[mediaType].schema : undefined;
+};
+
+// Every response a mock can answer with, labelled for the report. Non-JSON
+// bodies (see ./bodies) only have their status code checked.
+const collectOutcomes = (mock) => {
+  const outcomes = [];
+  const addBranch = (label, branch) => {
+    const isJson = !branch.bodyEncoding || branch.bodyEncoding === 'json';
+    if (branch.sequence) {
+      branch.sequence.responses.forEach((step, index) => {
+        outcomes.push({
+          branch: `${label}, sequence step ${index + 1}`,
+          statusCode: step.statusCode,
+          body: isJson ? step.response : undefined
+        });
+      });
+    }
+    // An endpoint's own response still answers once a fallthrough sequence is used up
+    if (!branch.sequence || branch.sequence.onExhausted === 'fallthrough') {
+      const body = branch.responseSchema
+        ? sampleFromSchema(branch.responseSchema, { seed: branch.seed })
+        : branch.response;
+      outcomes.push({ branch: label, statusCode: branch.statusCode || 200, body: isJson ? body : undefined });
+    }
+  };
+
+  addBranch('default response', mock);
+  (mock.scenarios || []).forEach(scenario => addBranch(`scenario "${scenario.name}"`, scenario));
+  return outcomes;
+};
+
+// Lists the ways one mock departs from its operation
+const checkMock = (mock, spec, format) => {
+  const issues = [];
+  const operation = mock.operation;
+  const pathItem = operation && (spec.paths || {})[operation.path];
+  const specOperation = pathItem && pathItem[operation.method.toLowerCase()];
+  if (!specOperation) {
+    issues.push({
+      kind: 'unknown-operation',
+      message: operation
+        ? `${operation.method} ${operation.path} is not described by the contract`
+        : 'The mock does not name the contract operation it was created from'
+    });
+    return issues;
+  }
+
+  if (mock.method !== operation.method) {
+    issues.push({ kind: 'method', message: `Method ${mock.method} differs from the contract's ${operation.method}` });
+  }
+  const expectedPath = normalizePath(convertPathTemplate(operation.path));
+  if (mock.path !== expectedPath) {
+    issues.push({ kind: 'path', message: `Path ${mock.path} differs from the contract's ${expectedPath}` });
+  }
+
+  const responses = specOperation.responses || {};
+  collectOutcomes(mock).forEach(({ branch, statusCode, body }) => {
+    const documented = findResponse(responses, statusCode);
+    if (!documented) {
+      issues.push({
+        kind: 'status',
+        branch,
+        statusCode,
+        message: `Status ${statusCode} is not documented (documented: ${Object.keys(responses).join(', ') || 'none'})`
+      });
+      return;
+    }
+    // Responses documented without a body schema accept any body
+    const schema = responseSchema(documented, format);
+    if (!schema || body === undefined || body === null) return;
+    validateValue(schema, body, { direction: 'response', skip: isTemplateString }).forEach(({ pointer, message }) => {
+      issues.push({ kind: 'schema', branch, statusCode, pointer, message: `${pointer || 'body'} ${message}` });
+    });
+  });
+  return issues;
+};
+
+/**
+ * Builds the conformance report of a contract.
+ * @param {object} contract - Stored OpenAPI 3 / Swagger 2 contract.
+ * @param {object[]} mocks - Every mock of the workspace; those created from
+ *   the contract are checked.
+ * @returns {object} { contractId, name, checkedAt, summary, endpoints, missingOperations }
+ */
+const checkConformance = (contract, mocks) => {
+  const format = detectSpecFormat(contract.data);
+  const spec = resolveContract(contract);
+  const contractMocks = mocks.filter(mock => mock.fromContract === contract.id);
+
+  const endpoints = contractMocks.map(mock => {
+    const issues = checkMock(mock, spec, format);
+    return {
+      endpointId: mock.id,
+      method: mock.method,
+      path: mock.path,
+      operation: mock.operation ? `${mock.operation.method} ${mock.operation.path}` : null,
+      conforming: issues.length === 0,
+      issues
+    };
+  });
+
+  const mocked = new Set(contractMocks
+    .filter(mock => mock.operation)
+    .map(mock => `${mock.operation.method} ${mock.operation.path}`));
+  const operations = [];
+  Object.entries(spec.paths || {}).forEach(([specPath, pathItem]) => {
+    if (!pathItem || typeof pathItem !== 'object') return;
+    OPERATION_METHODS.filter(method => pathItem[method]).forEach(method => {
+      operations.push({ method: method.toUpperCase(), path: specPath, operationId: pathItem[method].operationId });
+    });
+  });
+  const missingOperations = operations.filter(operation => !mocked.has(`${operation.method} ${operation.path}`));
+
+  return {
+    contractId: contract.id,
+    name: contract.name,
+    checkedAt: new Date().toISOString(),
+    summary: {
+      operations: operations.length,
+      mocks: endpoints.length,
+      conforming: endpoints.filter(endpoint => endpoint.conforming).length,
+      nonConforming: endpoints.filter(endpoint => !endpoint.conforming).length,
+      issues: endpoints.reduce((total, endpoint) => total + endpoint.issues.length, 0),
+      missingOperations: missingOperations.length
+    },
+    endpoints,
+    missingOperations
+  };
+};
+
+module.exports = {
+  checkConformance
+};
@@ -0,0 +1,218 @@
+// Contract validation: mocks imported from an OpenAPI 3 / Swagger 2 contract
+// remember their operation. When the contract is in strict mode, requests to
+// those mocks are checked against the operation before a response is picked:
+// path, query, header and cookie parameters (coerced from text to their
+// schema's type) and JSON request bodies. Requests that break the contract
+// get a 400 (parameters, headers, missing or unsupported bodies) or a 422 (a
+// JSON body not matching its schema) listing every violation, and each
+// rejected request is kept in a bounded, in-memory violation log.
+const { v4: uuidv4 } = require('uuid');
+const { resolveRefs, detectSpecFormat } = require('./openapi');
+const { validateValue } = require('./schemaValidation');
+
+const DEFAULT_LIMIT = 1000;
+
+// OpenAPI ignores these header parameters; they are described elsewhere
+const IGNORED_HEADERS = ['accept', 'content-type', 'authorization'];
+
+const NUMERIC = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+// Swagger 2 collection formats; OpenAPI 3 query arrays default to csv too
+const COLLECTION_SEPARATORS = { csv: ',', ssv: ' ', tsv: '\t', pipes: '|' };
+
+// Turns a parameter's text value into the type its schema expects, so that
+// "42" can be checked as an integer. Values that do not convert are left as
+// they are and fail the type check.
+const coerceParameter = (schema, raw, separator = ',') => {
+  if (!schema || raw === undefined) return raw;
+  const type = Array.isArray(schema.type) ? schema.type.find(candidate => candidate !== 'null') : schema.type;
+
+  if (type === 'array') {
+    const items = Array.isArray(raw) ? raw : String(raw).split(separator);
+    return items.map(item => coerceParameter(schema.items, item));
+  }
+  if (Array.isArray(raw)) return raw.length === 1 ? coerceParameter(schema, raw[0]) : raw;
+  if (typeof raw !== 'string') return raw;
+  if ((type === 'integer' || type === 'number') && NUMERIC.test(raw.trim())) return Number(raw);
+  if (type === 'boolean' && (raw === 'true' || raw === 'false')) return raw === 'true';
+  if (type === 'null' && raw === '') return null;
+  return raw;
+};
+
+// Resolved contract documents, keyed by contract id and upload time
+const resolvedContracts = new Map();
+
+const resolveContract = (contract) => {
+  const key = `${contract.id}:${contract.uploadedAt}`;
+  if (!resolvedContracts.has(key)) {
+    resolvedContracts.set(key, resolveRefs(contract.data));
+  }
+  return resolvedContracts.get(key);
+};
+
+/**
+ * Whether requests to a contract's mocks can be validated: only OpenAPI 3 and
+ * Swagger 2 contracts describe their requests.
+ */
+const canValidate = (contract) => Boolean(contract && detectSpecFormat(contract.data));
+
+// Path-level parameters apply unless the operation redefines them
+const collectParameters = (pathItem, operation) => {
+  const byKey = new Map();
+  [...(pathItem.parameters || []), ...(operation.parameters || [])]
+    .filter(parameter => parameter && parameter.name && parameter.in)
+    .forEach(parameter => byKey.set(`${parameter.in}:${parameter.name}`, parameter));
+  return Array.from(byKey.values());
+};
+
+// The value of a parameter in the request; path parameters were renamed on
+// import the way convertPathTemplate does
+const readParameter = (parameter, request) => {
+  switch (parameter.in) {
+    case 'path': return request.path[parameter.name.replace(/\W/g, '_')];
+    case 'query': return request.query[parameter.name];
+    case 'header': return request.headers[parameter.name.toLowerCase()];
+    case 'cookie': return request.cookies[parameter.name];
+    default: return undefined;
+  }
+};
+
+const validateParameters = (parameters, request, format) => {
+  const violations = [];
+  parameters
+    .filter(parameter => ['path', 'query', 'header', 'cookie'].includes(parameter.in))
+    .filter(parameter => !(parameter.in === 'header' && IGNORED_HEADERS.includes(parameter.name.toLowerCase())))
+    .forEach(parameter => {
+      const raw = readParameter(parameter, request);
+      if (raw === undefined || raw === '') {
+        if (parameter.required || parameter.in === 'path') {
+          violations.push({ location: parameter.in, name: parameter.name, message: 'is required' });
+        }
+        return;
+      }
+      // Swagger 2 describes the schema on the parameter itself
+      const schema = format === 'swagger' ? parameter : parameter.schema;
+      const separator = COLLECTION_SEPARATORS[parameter.collectionFormat] || (parameter.style === 'pipeDelimited' ? '|' : parameter.style === 'spaceDelimited' ? ' ' : ',');
+      validateValue(schema, coerceParameter(schema, raw, separator)).forEach(({ pointer, message }) => {
+        violations.push({ location: parameter.in, name: `${parameter.name}${pointer}`, message });
+      });
+    });
+  return violations;
+};
+
+const mediaTypeOf = (contentType) => String(contentType || '').split(';')[0].trim().toLowerCase();
+
+// Finds the declared media type accepting a request's content type
+const findMediaType = (declared, contentType) => {
+  const type = mediaTypeOf(contentType);
+  return declared.find(candidate => candidate.toLowerCase() === type) ||
+    declared.find(candidate => candidate.endsWith('/*') && type.startsWith(candidate.slice(0, -1).toLowerCase())) ||
+    declared.find(candidate => candidate === '*/*');
+};
+
+const hasBody = (headers) => Number(headers['content-length']) > 0 || headers['transfer-encoding'] !== undefined;
+
+/**
+ * Checks a request body against the operation. Only JSON bodies are checked
+ * against their schema; other media types are only checked to be declared.
+ */
+const validateBody = ({ required, content, schema }, request) => {
+  if (!hasBody(request.headers)) {
+    return required ? [{ location: 'body', name: '', message: 'is required' }] : [];
+  }
+  const declared = Object.keys(content);
+  if (declared.length === 0) return [];
+
+  const mediaType = findMediaType(declared, request.headers['content-type']);
+  if (!mediaType) {
+    return [{
+      location: 'header',
+      name: 'content-type',
+      message: `must be one of ${declared.join(', ')}, got ${mediaTypeOf(request.headers['content-type']) || 'none'}`
+    }];
+  }
+  if (!/json/i.test(mediaType)) return [];
+  const bodySchema = schema !== undefined ? schema : (content[mediaType] || {}).schema;
+  return validateValue(bodySchema, request.body).map(({ pointer, message }) => ({ location: 'body', name: pointer, message }));
+};
+
+/**
+ * Validates a request to a contract mock against its operation.
+ * @param {object} contract - Stored contract ({ id, data, uploadedAt }).
+ * @param {object} operation - The mock's { method, path } in the contract.
+ * @param {object} request - Matcher input from buildMatchRequest.
+ * @returns {object|null} { statusCode, violations } when the request breaks
+ *   the contract, null when it is valid or the operation is unknown.
+ */
+const validateRequest = (contract, operation, request) => {
+  const format = detectSpecFormat(contract.data);
+  const spec = resolveContract(contract);
+  const pathItem = (spec.paths || {})[operation.path];
+  const specOperation = pathItem && pathItem[operation.method.toLowerCase()];
+  if (!specOperation) return null;
+
+  const parameters = collectParameters(pathItem, specOperation);
+  const violations = validateParameters(parameters, request, format);
+
+  if (format === 'openapi') {
+    const requestBody = specOperation.requestBody || {};
+    violations.push(...validateBody({ required: requestBody.required, content: requestBody.content || {} }, request));
+  } else {
+    const bodyParameter = parameters.find(parameter => parameter.in === 'body');
+    const consumes = specOperation.consumes || spec.consumes || ['application/json'];
+    if (bodyParameter) {
+      const content = Object.fromEntries(consumes.map(type => [type, {}]));
+      violations.push(...validateBody({ required: bodyParameter.required, content, schema: bodyParameter.schema }, request));
+    }
+  }
+
+  if (violations.length === 0) return null;
+  // A body that arrived but does not match its schema is unprocessable;
+  // anything else is a bad request
+  const schemaOnly = hasBody(request.headers) && violations.every(violation => violation.location === 'body');
+  return { statusCode: schemaOnly ? 422 : 400, violations };
+};
+
+/**
+ * Creates the violation log, keeping at most `limit` entries (newest last).
+ */
+const createViolationLog = ({ limit = DEFAULT_LIMIT } = {}) => {
+  let entries = [];
+  const matches = ({ workspace, contractId, endpointId }) => (entry) =>
+    (!workspace || entry.workspace === workspace) &&
+    (!contractId || entry.contractId === contractId) &&
+    (!endpointId || entry.endpointId === endpointId);
+
+  return {
+    record: (entry) => {
+      const stored = { id: uuidv4(), timestamp: new Date().toISOString(), ...entry };
+      entries.push(stored);
+      if (entries.length > limit) {
+        entries = entries.slice(entries.length - limit);
+      }
+      return stored;
+    },
+
+    // Newest first; returns { total, violations } for one page of matches
+    list: (filters = {}, { limit: pageSize = 100, offset = 0 } = {}) => {
+      const found = entries.filter(matches(filters)).reverse();
+      return { total: found.length, violations: found.slice(offset, offset + pageSize) };
+    },
+
+    // Removes the matching entries and returns how many were removed
+    clear: (filters = {}) => {
+      const before = entries.length;
+      const remove = matches(filters);
+      entries = entries.filter(entry => !remove(entry));
+      return before - entries.length;
+    }
+  };
+};
+
+module.exports = {
+  coerceParameter,
+  canValidate,
+  resolveContract,
+  validateRequest,
+  createViolationLog
+};
@@ -0,0 +1,147 @@
+// Network fault injection: instead of a clean response, an endpoint, scenario
+// or sequence step can misbehave the way real networks and servers do:
+//   "fault": { "type": "dribble", "probability": 0.5, "chunkSize": 1, "interval": 200 }
+//   connection-reset  reset the TCP connection without answering
+//   empty-reply       close the connection without sending anything
+//   truncated-body    announce the full Content-Length, send only the first
+//                     `bytes` (default half) and close
+//   malformed-json    answer with JSON that is cut off and cannot be parsed
+//   dribble           send the body `chunkSize` bytes every `interval` ms
+//   hang              never answer; the connection stays open until the
+//                     client gives up
+// `probability` (0-1, default 1) makes the fault fire on only some requests.
+
+const FAULT_TYPES = ['connection-reset', 'empty-reply', 'truncated-body', 'malformed-json', 'dribble', 'hang'];
+
+// Header naming the fault of responses that still send headers
+const FAULT_HEADER = 'X-Mock-Fault';
+
+const DEFAULT_CHUNK_SIZE = 1;
+const DEFAULT_INTERVAL = 100;
+
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+// Returns a list of errors for a fault setting (empty when valid)
+const validateFault = (fault, label = 'fault') => {
+  if (fault === undefined || fault === null) return [];
+  if (typeof fault !== 'object' || Array.isArray(fault)) {
+    return [`${label} must be an object with a type and an optional probability`];
+  }
+
+  const errors = [];
+  if (!FAULT_TYPES.includes(fault.type)) {
+    errors.push(`${label}.type must be one of ${FAULT_TYPES.join(', ')}`);
+  }
+  if (fault.probability !== undefined &&
+    (typeof fault.probability !== 'number' || !(fault.probability >= 0 && fault.probability <= 1))) {
+    errors.push(`${label}.probability must be a number between 0 and 1`);
+  }
+  if (fault.bytes !== undefined && !isCount(fault.bytes)) {
+    errors.push(`${label}.bytes must be a non-negative integer`);
+  }
+  if (fault.chunkSize !== undefined && !(isCount(fault.chunkSize) && fault.chunkSize > 0)) {
+    errors.push(`${label}.chunkSize must be a positive integer`);
+  }
+  if (fault.interval !== undefined && !isCount(fault.interval)) {
+    errors.push(`${label}.interval must be a non-negative integer (ms)`);
+  }
+  return errors;
+};
+
+// Keeps the options the fault type uses and fills in their defaults
+const normalizeFault = (fault) => {
+  if (!fault) return undefined;
+  const normalized = {
+    type: fault.type,
+    probability: fault.probability !== undefined ? fault.probability : 1
+  };
+  if (fault.type === 'truncated-body' && fault.bytes !== undefined) {
+    normalized.bytes = fault.bytes;
+  }
+  if (fault.type === 'dribble') {
+    normalized.chunkSize = fault.chunkSize || DEFAULT_CHUNK_SIZE;
+    normalized.interval = fault.interval !== undefined ? fault.interval : DEFAULT_INTERVAL;
+  }
+  return normalized;
+};
+
+// Decides whether a configured fault fires for this request
+const shouldInject = (fault, random = Math.random) => Boolean(fault) && random() < fault.probability;
+
+// Cuts a JSON text so it no longer parses
+const malformJson = (text) => {
+  const cut = text.slice(0, Math.ceil(text.length / 2));
+  try {
+    JSON.parse(cut);
+    return `${cut},`;
+  } catch (error) {
+    return cut;
+  }
+};
+
+const writeHead = (res, statusCode, contentType, length, type) => {
+  res.status(statusCode);
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Length', length);
+  res.setHeader(FAULT_HEADER, type);
+};
+
+/**
+ * Answers a request with a fault instead of the normal response.
+ * @param {object} fault - Normalized fault config.
+ * @param {object} res - Express response; headers set so far are kept.
+ * @param {object} response - { statusCode, body (Buffer), contentType } of the
+ *   response the fault replaces.
+ */
+const injectFault = (fault, res, { statusCode, body, contentType }) => {
+  const socket = res.socket;
+
+  switch (fault.type) {
+    case 'connection-reset':
+      // Sends a TCP RST where supported, a plain close elsewhere
+      return socket.resetAndDestroy ? socket.resetAndDestroy() : socket.destroy();
+
+    case 'empty-reply':
+      return socket.end();
+
+    case 'truncated-body': {
+      const bytes = fault.bytes !== undefined ? fault.bytes : Math.floor(body.length / 2);
+      writeHead(res, statusCode, contentType, body.length, fault.type);
+      return res.write(body.subarray(0, Math.min(bytes, body.length)), () => res.destroy());
+    }
+
+    case 'malformed-json': {
+      const malformed = Buffer.from(malformJson(body.toString('utf8')));
+      writeHead(res, statusCode, contentType, malformed.length, fault.type);
+      return res.end(malformed);
+    }
+
+    case 'dribble': {
+      writeHead(res, statusCode, contentType, body.length, fault.type);
+      let offset = 0;
+      const timer = setInterval(() => {
+        if (offset >= body.length) {
+          clearInterval(timer);
+          return res.end();
+        }
+        res.write(body.subarray(offset, offset + fault.chunkSize));
+        offset += fault.chunkSize;
+      }, fault.interval);
+      return res.on('close', () => clearInterval(timer));
+    }
+
+    case 'hang':
+    default:
+      // Nothing is sent; the socket closes when the client gives up
+      return undefined;
+  }
+};
+
+module.exports = {
+  FAULT_TYPES,
+  FAULT_HEADER,
+  validateFault,
+  normalizeFault,
+  shouldInject,
+  injectFault
+};
@@ -0,0 +1,225 @@
+// HAR (HTTP Archive) import: turns captured browser traffic into mock
+// endpoint definitions (the shape /api/upload-contract accepts as JSON).
+//
+// Entries are filtered by host and path prefix and stripped of sensitive
+// headers first; only the sanitized archive is ever returned for storage.
+// Every unique method + path becomes one mock answering with the first
+// captured response. Later entries that returned something else become
+// scenarios keyed on how their query string or body differed.
+
+const SENSITIVE_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key'];
+
+// Response headers that describe the recorded transfer rather than the API
+const TRANSFER_HEADERS = ['content-type', 'content-length', 'content-encoding', 'date', 'connection', 'transfer-encoding', 'keep-alive', 'etag', 'vary'];
+
+const isHar = (document) => Boolean(
+  document && typeof document === 'object' && document.log && Array.isArray(document.log.entries)
+);
+
+const parseJson = (text) => {
+  try {
+    return { ok: true, value: JSON.parse(text) };
+  } catch (error) {
+    return { ok: false };
+  }
+};
+
+// Removes sensitive headers and cookies from one entry (returns a copy)
+const sanitizeEntry = (entry, sensitiveHeaders) => {
+  const dropSensitive = (headers) => (headers || [])
+    .filter(header => header && !sensitiveHeaders.includes(String(header.name).toLowerCase()));
+
+  return {
+    ...entry,
+    request: { ...entry.request, headers: dropSensitive(entry.request.headers), cookies: [] },
+    response: { ...entry.response, headers: dropSensitive(entry.response.headers), cookies: [] }
+  };
+};
+
+// Reads the JSON body of a captured response, or reports why it cannot
+const readResponseBody = (response) => {
+  const content = response.content || {};
+  const text = content.encoding === 'base64'
+    ? Buffer.from(content.text || '', 'base64').toString('utf8')
+    : content.text;
+
+  if (text === undefined || text === '') return { ok: true, value: null };
+  return parseJson(text);
+};
+
+// Reads the request body: parsed JSON, form params, or null
+const readRequestBody = (request) => {
+  const postData = request.postData;
+  if (!postData) return null;
+  if (Array.isArray(postData.params) && postData.params.length > 0) {
+    const params = {};
+    postData.params.forEach(param => {
+      params[param.name] = param.value;
+    });
+    return params;
+  }
+  const parsed = parseJson(postData.text || '');
+  return parsed.ok && parsed.value && typeof parsed.value === 'object' ? parsed.value : null;
+};
+
+const readQuery = (url) => {
+  const query = {};
+  url.searchParams.forEach((value, key) => {
+    query[key] = value;
+  });
+  return query;
+};
+
+// Leaf matchers describing how `values` differ from `baseline` for one source
+const diffLeaves = (source, values, baseline) => {
+  const leaves = [];
+  Object.entries(values || {}).forEach(([field, value]) => {
+    if (JSON.stringify(value) !== JSON.stringify((baseline || {})[field])) {
+      leaves.push({ source, field, equals: value });
+    }
+  });
+  Object.keys(baseline || {}).forEach(field => {
+    if (!values || values[field] === undefined) {
+      leaves.push({ source, field, exists: false });
+    }
+  });
+  return leaves;
+};
+
+const toEndpointId = (method, pathname, usedIds) => {
+  const base = `har-${method.toLowerCase()}-${pathname.replace(/[^\w]+/g, '-').replace(/^-+|-+$/g, '') || 'root'}`;
+  let id = base;
+  for (let suffix = 2; usedIds.has(id); suffix++) {
+    id = `${base}-${suffix}`;
+  }
+  usedIds.add(id);
+  return id;
+};
+
+/**
+ * Converts a HAR document.
+ * Options: host (exact host or hostname to keep), pathPrefix (keep only paths
+ * under it), stripPrefix (remove pathPrefix from mock paths) and
+ * stripHeaders (extra header names to drop).
+ * Returns { format, endpoints, warnings, har, summary } where `har` is the
+ * filtered, sanitized archive.
+ */
+const importHar = (har, { host, pathPrefix, stripPrefix = false, stripHeaders = [] } = {}) => {
+  const sensitiveHeaders = SENSITIVE_HEADERS.concat(stripHeaders.map(name => name.toLowerCase()));
+  const prefix = pathPrefix ? '/' + String(pathPrefix).replace(/^\/+|\/+$/g, '') : '';
+  const summary = { totalEntries: har.log.entries.length, filteredOut: 0, nonJson: 0, duplicates: 0, ambiguous: 0 };
+  const kept = [];
+  const groups = new Map();
+
+  har.log.entries.forEach(rawEntry => {
+    if (!rawEntry || !rawEntry.request || !rawEntry.response) return;
+
+    let url;
+    try {
+      url = new URL(rawEntry.request.url);
+    } catch (error) {
+      summary.filteredOut += 1;
+      return;
+    }
+
+    const inPrefix = !prefix || url.pathname === prefix || url.pathname.startsWith(`${prefix}/`);
+    if ((host && url.host !== host && url.hostname !== host) || !inPrefix) {
+      summary.filteredOut += 1;
+      return;
+    }
+
+    const entry = sanitizeEntry(rawEntry, sensitiveHeaders);
+    kept.push(entry);
+
+    const body = readResponseBody(entry.response);
+    if (!body.ok) {
+      summary.nonJson += 1;
+      return;
+    }
+
+    const method = String(entry.request.method || 'GET').toUpperCase();
+    const pathname = (stripPrefix && prefix ? url.pathname.slice(prefix.length) : url.pathname) || '/';
+    const key = `${method} ${pathname}`;
+    if (!groups.has(key)) groups.set(key, { method, pathname, captures: [] });
+
+    const headers = {};
+    (entry.response.headers || []).forEach(header => {
+      if (!TRANSFER_HEADERS.includes(String(header.name).toLowerCase())) {
+        headers[header.name] = String(header.value);
+      }
+    });
+
+    groups.get(key).captures.push({
+      query: readQuery(url),
+      body: readRequestBody(entry.request),
+      statusCode: Number(entry.response.status) || 200,
+      headers,
+      response: body.value
+    });
+  });
+
+  const usedIds = new Set();
+  const endpoints = Array.from(groups.values()).map(({ method, pathname, captures }) => {
+    const [first, ...rest] = captures;
+    const sameResponse = (a, b) => a.statusCode === b.statusCode && JSON.stringify(a.response) === JSON.stringify(b.response);
+    const scenarios = [];
+
+    rest.forEach(capture => {
+      if (sameResponse(capture, first) || scenarios.some(scenario => sameResponse(scenario, capture))) {
+        summary.duplicates += 1;
+        return;
+      }
+
+      const leaves = diffLeaves('query', capture.query, first.query)
+        .concat(diffLeaves('body', capture.body, first.body));
+      if (leaves.length === 0) {
+        // Same request, different answer (e.g. polling): nothing to key on
+        summary.ambiguous += 1;
+        return;
+      }
+
+      scenarios.push({
+        name: `Capture ${scenarios.length + 2} (${capture.statusCode})`,
+        match: leaves.length === 1 ? leaves[0] : { and: leaves },
+        statusCode: capture.statusCode,
+        headers: capture.headers,
+        response: capture.response
+      });
+    });
+
+    // Scenarios with more conditions are more specific and are tried first
+    scenarios.sort((a, b) => (b.match.and ? b.match.and.length : 1) - (a.match.and ? a.match.and.length : 1));
+
+    return {
+      id: toEndpointId(method, pathname, usedIds),
+      path: pathname,
+      method,
+      statusCode: first.statusCode,
+      headers: first.headers,
+      response: first.response,
+      scenarios
+    };
+  });
+
+  const warnings = [];
+  if (summary.nonJson > 0) {
+    warnings.push(`${summary.nonJson} entries without a JSON response were skipped`);
+  }
+  if (summary.ambiguous > 0) {
+    warnings.push(`${summary.ambiguous} entries repeated an earlier request with a different response; the first response was kept`);
+  }
+
+  return {
+    format: 'har',
+    endpoints,
+    warnings,
+    summary,
+    har: { log: { ...har.log, entries: kept } }
+  };
+};
+
+module.exports = {
+  SENSITIVE_HEADERS,
+  isHar,
+  importHar
+};
@@ -0,0 +1,177 @@
+// Request journal: a bounded, in-memory log of every request that hit
+// /api/mock/..., with the response that answered it. The oldest entries are
+// dropped once the limit is reached.
+const { v4: uuidv4 } = require('uuid');
+const { TEXT_CONTENT_TYPE } = require('./proxy');
+
+const DEFAULT_LIMIT = 1000;
+
+// Bodies larger than this are stored truncated
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * Turns captured bytes into a journal body: parsed JSON or form fields, text, or a short
+ * description for binary or compressed content. Returns null for empty bodies.
+ * `size` is the full body size when only its start was captured.
+ */
+const describeBody = (buffer, { contentType, contentEncoding, size = buffer.length } = {}) => {
+  if (size === 0) return null;
+  if (contentEncoding && contentEncoding !== 'identity') {
+    return `[${size} bytes, ${contentEncoding} encoded]`;
+  }
+  if (contentType && !TEXT_CONTENT_TYPE.test(contentType)) {
+    return `[${size} bytes of ${contentType}]`;
+  }
+
+  const text = buffer.subarray(0, MAX_BODY_BYTES).toString('utf8');
+  if (size > MAX_BODY_BYTES) return `${text}... [truncated, ${size} bytes]`;
+  if (/x-www-form-urlencoded/i.test(contentType || '')) {
+    return Object.fromEntries(new URLSearchParams(text));
+  }
+  if (/json/i.test(contentType || '')) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  }
+  return text;
+};
+
+/**
+ * Wraps res.write / res.end to keep a copy of the first MAX_BODY_BYTES sent.
+ * Returns a function reporting { body, size } so far.
+ */
+const captureResponseBody = (res) => {
+  const chunks = [];
+  let size = 0;
+
+  const collect = (chunk, encoding) => {
+    if (!chunk || typeof chunk === 'function') return;
+    const buffer = Buffer.isBuffer(chunk)
+      ? chunk
+      : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+    if (size < MAX_BODY_BYTES) chunks.push(buffer.subarray(0, MAX_BODY_BYTES - size));
+    size += buffer.length;
+  };
+
+  const write = res.write;
+  const end = res.end;
+  res.write = function (chunk, encoding, ...rest) {
+    collect(chunk, encoding);
+    return write.call(this, chunk, encoding, ...rest);
+  };
+  res.end = function (chunk, encoding, ...rest) {
+    collect(chunk, encoding);
+    return end.call(this, chunk, encoding, ...rest);
+  };
+
+  return () => ({ body: Buffer.concat(chunks), size });
+};
+
+// "4xx" matches a status class, anything else an exact status code
+const matchesStatus = (status, filter) => {
+  const value = String(filter).toLowerCase();
+  return /^[1-5]xx$/.test(value)
+    ? Math.floor(status / 100) === Number(value[0])
+    : status === Number(value);
+};
+
+/**
+ * Returns a predicate for the journal filters (all optional):
+ * workspace, method, path (substring), endpointId, scenario, status (code or
+ * "4xx"), matched ("true" / "false"), since / until (ISO dates) and q (text
+ * searched in the URL, headers and bodies).
+ */
+const buildFilter = ({ workspace, method, path, endpointId, scenario, status, matched, since, until, q } = {}) => {
+  const sinceTime = since ? Date.parse(since) : null;
+  const untilTime = until ? Date.parse(until) : null;
+  const search = q ? String(q).toLowerCase() : null;
+
+  return (entry) => {
+    if (workspace && entry.workspace !== workspace) return false;
+    if (method && entry.method !== String(method).toUpperCase()) return false;
+    if (path && !entry.path.includes(path)) return false;
+    if (endpointId && entry.endpointId !== endpointId) return false;
+    if (scenario && entry.scenario !== scenario) return false;
+    if (status && !matchesStatus(entry.response.status, status)) return false;
+    if (matched !== undefined && String(Boolean(entry.endpointId)) !== String(matched)) return false;
+    if (sinceTime !== null && Date.parse(entry.timestamp) < sinceTime) return false;
+    if (untilTime !== null && Date.parse(entry.timestamp) > untilTime) return false;
+    if (search) {
+      const haystack = JSON.stringify([entry.url, entry.request, entry.response.headers, entry.response.body]);
+      if (!haystack.toLowerCase().includes(search)) return false;
+    }
+    return true;
+  };
+};
+
+// Returns an error message if a filter value cannot be used
+const validateFilters = ({ status, matched, since, until, limit, offset } = {}) => {
+  if (status !== undefined && !/^([1-5]xx|\d{3})$/i.test(String(status))) {
+    return 'status must be a status code or a class like 4xx';
+  }
+  if (matched !== undefined && !['true', 'false'].includes(String(matched))) {
+    return 'matched must be true or false';
+  }
+  const badDate = [['since', since], ['until', until]].find(([, value]) => value !== undefined && Number.isNaN(Date.parse(value)));
+  if (badDate) {
+    return `${badDate[0]} must be an ISO date`;
+  }
+  const badNumber = [['limit', limit], ['offset', offset]].find(([, value]) => value !== undefined && !/^\d+$/.test(String(value)));
+  if (badNumber) {
+    return `${badNumber[0]} must be a non-negative integer`;
+  }
+  return null;
+};
+
+/**
+ * Creates a journal keeping at most `limit` entries (newest last).
+ */
+const createJournal = ({ limit = DEFAULT_LIMIT } = {}) => {
+  let entries = [];
+
+  return {
+    limit,
+
+    record: (entry) => {
+      const stored = { id: uuidv4(), ...entry };
+      entries.push(stored);
+      if (entries.length > limit) {
+        entries = entries.slice(entries.length - limit);
+      }
+      return stored;
+    },
+
+    get: (id) => entries.find(entry => entry.id === id),
+
+    // Newest first; returns { total, requests } for one page of matches
+    list: (filters = {}, { limit: pageSize = 100, offset = 0 } = {}) => {
+      const matches = entries.filter(buildFilter(filters)).reverse();
+      return {
+        total: matches.length,
+        requests: matches.slice(offset, offset + pageSize)
+      };
+    },
+
+    // Removes the matching entries and returns how many were removed
+    clear: (filters = {}) => {
+      const matches = buildFilter(filters);
+      const before = entries.length;
+      entries = entries.filter(entry => !matches(entry));
+      return before - entries.length;
+    },
+
+    get size() {
+      return entries.length;
+    }
+  };
+};
+
+module.exports = {
+  MAX_BODY_BYTES,
+  describeBody,
+  captureResponseBody,
+  validateFilters,
+  createJournal
+};
@@ -0,0 +1,229 @@
+// Latency profiles and bandwidth throttling for mock responses.
+//
+// `delay` is either a fixed number of milliseconds or a distribution:
+//   { "distribution": "uniform", "min": 100, "max": 400 }
+//   { "distribution": "normal", "mean": 200, "stdDev": 50 }
+//   { "distribution": "normal", "p50": 200, "p99": 450 }
+//   { "distribution": "lognormal", "p50": 120, "p95": 900 }
+// Normal and log-normal profiles are described by their mean and standard
+// deviation or by their median (p50) plus one of p90 / p95 / p99. They can be
+// clamped with `min` / `max`; samples are never negative.
+//
+// `bandwidth` (bytes per second) streams the response body at that rate.
+//
+// Network conditions are presets combining both (plus a connection drop rate)
+// that apply to every mock response of a workspace.
+
+const DISTRIBUTIONS = ['uniform', 'normal', 'lognormal'];
+
+// Standard normal quantiles of the percentiles a profile can be given by
+const Z_SCORES = { p50: 0, p90: 1.2816, p95: 1.6449, p99: 2.3263 };
+const UPPER_PERCENTILES = ['p90', 'p95', 'p99'];
+
+// Header reporting the delay a response was held back by (ms)
+const DELAY_HEADER = 'X-Mock-Delay';
+
+// Throttled bodies are written in one chunk per tick
+const THROTTLE_TICK_MS = 100;
+
+const NETWORK_CONDITIONS = {
+  '4g': {
+    description: 'Good mobile connection',
+    latency: { distribution: 'lognormal', p50: 50, p99: 250 },
+    bandwidth: 1500000
+  },
+  '3g': {
+    description: 'Typical 3G connection',
+    latency: { distribution: 'lognormal', p50: 150, p99: 900 },
+    bandwidth: 200000
+  },
+  'slow-3g': {
+    description: 'Congested 3G connection',
+    latency: { distribution: 'lognormal', p50: 400, p99: 2000 },
+    bandwidth: 50000
+  },
+  'flaky-wifi': {
+    description: 'Mostly fast Wi-Fi with long stalls and dropped connections',
+    latency: { distribution: 'lognormal', p50: 30, p99: 3000 },
+    bandwidth: 500000,
+    fault: { type: 'connection-reset', probability: 0.05 }
+  }
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isNonNegative = (value) => isNumber(value) && value >= 0;
+
+// The upper percentile a profile was given by, if any
+const upperPercentile = (profile) => UPPER_PERCENTILES.find(key => profile[key] !== undefined);
+
+// Returns a list of errors for a delay (empty when valid). Plain numbers keep
+// their lenient parseInt handling.
+const validateDelay = (delay, label = 'delay') => {
+  if (delay === undefined || delay === null || typeof delay !== 'object') return [];
+  if (Array.isArray(delay)) return [`${label} must be a number of milliseconds or a distribution`];
+
+  const errors = [];
+  const { distribution } = delay;
+  if (!DISTRIBUTIONS.includes(distribution)) {
+    return [`${label}.distribution must be one of ${DISTRIBUTIONS.join(', ')}`];
+  }
+  ['min', 'max', 'mean', 'stdDev', 'p50', ...UPPER_PERCENTILES].forEach(key => {
+    if (delay[key] !== undefined && !isNonNegative(delay[key])) {
+      errors.push(`${label}.${key} must be a non-negative number of milliseconds`);
+    }
+  });
+  if (errors.length > 0) return errors;
+
+  if (isNumber(delay.min) && isNumber(delay.max) && delay.min > delay.max) {
+    errors.push(`${label}.min must not be greater than ${label}.max`);
+  }
+  if (distribution === 'uniform' && (delay.min === undefined || delay.max === undefined)) {
+    errors.push(`${label} needs min and max for a uniform distribution`);
+  }
+
+  if (distribution === 'normal' || distribution === 'lognormal') {
+    const percentiles = UPPER_PERCENTILES.filter(key => delay[key] !== undefined);
+    const byMoments = delay.mean !== undefined || delay.stdDev !== undefined;
+    if (distribution === 'normal' && byMoments) {
+      if (delay.mean === undefined || delay.stdDev === undefined) {
+        errors.push(`${label} needs both mean and stdDev`);
+      } else if (delay.p50 !== undefined || percentiles.length > 0) {
+        errors.push(`${label} is given by mean / stdDev or by percentiles, not both`);
+      }
+    } else if (distribution === 'lognormal' && byMoments) {
+      errors.push(`${label} is given by p50 and one of ${UPPER_PERCENTILES.join(', ')} for a lognormal distribution`);
+    } else if (delay.p50 === undefined || percentiles.length !== 1) {
+      errors.push(`${label} needs p50 and exactly one of ${UPPER_PERCENTILES.join(', ')}`);
+    } else if (delay[percentiles[0]] < delay.p50) {
+      errors.push(`${label}.${percentiles[0]} must not be lower than ${label}.p50`);
+    } else if (distribution === 'lognormal' && delay.p50 === 0) {
+      errors.push(`${label}.p50 must be greater than 0 for a lognormal distribution`);
+    }
+  }
+  return errors;
+};
+
+// Stored form of a delay: a whole number of ms, or the distribution's settings
+const normalizeDelay = (delay) => {
+  if (!delay || typeof delay !== 'object') return parseInt(delay) || 0;
+  const keys = ['distribution', 'min', 'max', 'mean', 'stdDev', 'p50', ...UPPER_PERCENTILES];
+  return Object.fromEntries(keys.filter(key => delay[key] !== undefined).map(key => [key, delay[key]]));
+};
+
+// Returns an error message if a bandwidth setting is invalid
+const validateBandwidth = (bandwidth, label = 'bandwidth') => {
+  if (bandwidth === undefined || bandwidth === null) return null;
+  return Number.isInteger(bandwidth) && bandwidth > 0
+    ? null
+    : `${label} must be a positive whole number of bytes per second`;
+};
+
+// Mean and standard deviation (of the log for lognormal) of a profile
+const distributionParams = (profile) => {
+  const upper = upperPercentile(profile);
+  if (profile.distribution === 'normal') {
+    return upper
+      ? { mu: profile.p50, sigma: (profile[upper] - profile.p50) / Z_SCORES[upper] }
+      : { mu: profile.mean, sigma: profile.stdDev };
+  }
+  const mu = Math.log(profile.p50);
+  return { mu, sigma: (Math.log(profile[upper]) - mu) / Z_SCORES[upper] };
+};
+
+const clamp = (value, profile) => {
+  const min = profile.min !== undefined ? profile.min : 0;
+  const max = profile.max !== undefined ? profile.max : Infinity;
+  return Math.round(Math.min(Math.max(value, min), max));
+};
+
+// Standard normal sample (Box-Muller)
+const standardNormal = (random) => {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+/**
+ * Draws the delay (ms) for one response from a fixed delay or a distribution.
+ */
+const sampleDelay = (delay, random = Math.random) => {
+  if (!delay) return 0;
+  if (typeof delay !== 'object') return Math.max(0, parseInt(delay) || 0);
+
+  if (delay.distribution === 'uniform') {
+    return clamp(delay.min + random() * (delay.max - delay.min), delay);
+  }
+  const { mu, sigma } = distributionParams(delay);
+  const sample = mu + sigma * standardNormal(random);
+  return clamp(delay.distribution === 'lognormal' ? Math.exp(sample) : sample, delay);
+};
+
+/**
+ * Expected p50 / p90 / p95 / p99 of a delay, so profiles can be checked
+ * before they are used.
+ */
+const describeDelay = (delay) => {
+  const percentiles = Object.keys(Z_SCORES);
+  if (!delay || typeof delay !== 'object') {
+    const fixed = Math.max(0, parseInt(delay) || 0);
+    return Object.fromEntries(percentiles.map(key => [key, fixed]));
+  }
+  if (delay.distribution === 'uniform') {
+    return Object.fromEntries(percentiles.map(key => [key, clamp(delay.min + (Number(key.slice(1)) / 100) * (delay.max - delay.min), delay)]));
+  }
+  const { mu, sigma } = distributionParams(delay);
+  return Object.fromEntries(percentiles.map(key => {
+    const value = mu + sigma * Z_SCORES[key];
+    return [key, clamp(delay.distribution === 'lognormal' ? Math.exp(value) : value, delay)];
+  }));
+};
+
+// The network condition preset called `name`, or null
+const getNetworkCondition = (name) => (name && NETWORK_CONDITIONS[name]
+  ? { name, ...NETWORK_CONDITIONS[name] }
+  : null);
+
+// Presets with their expected latency percentiles
+const listNetworkConditions = () => Object.keys(NETWORK_CONDITIONS).map(name => ({
+  ...getNetworkCondition(name),
+  percentiles: describeDelay(NETWORK_CONDITIONS[name].latency)
+}));
+
+/**
+ * Sends a body at `bytesPerSecond`, one chunk every THROTTLE_TICK_MS. The
+ * full Content-Length is announced up front.
+ */
+const sendThrottled = (res, { statusCode, body, contentType }, bytesPerSecond) => {
+  const chunkSize = Math.max(1, Math.round(bytesPerSecond * THROTTLE_TICK_MS / 1000));
+  res.status(statusCode);
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Length', body.length);
+
+  let offset = 0;
+  const writeChunk = () => {
+    const chunk = body.subarray(offset, offset + chunkSize);
+    offset += chunk.length;
+    if (offset >= body.length) {
+      clearInterval(timer);
+      return res.end(chunk);
+    }
+    return res.write(chunk);
+  };
+  const timer = setInterval(writeChunk, THROTTLE_TICK_MS);
+  res.on('close', () => clearInterval(timer));
+  writeChunk();
+};
+
+module.exports = {
+  DISTRIBUTIONS,
+  DELAY_HEADER,
+  NETWORK_CONDITIONS,
+  validateDelay,
+  normalizeDelay,
+  validateBandwidth,
+  sampleDelay,
+  describeDelay,
+  getNetworkCondition,
+  listNetworkConditions,
+  sendThrottled
+};
@@ -0,0 +1,300 @@
+// Declarative request matchers. A matcher is plain JSON, so it can be stored
+// and shared without ever being executed as code.
+//
+// Leaf matcher: pick a value from the request, then apply one operator.
+//   { "source": "query",  "field": "status", "equals": "pending" }
+//   { "source": "header", "field": "x-role", "regex": "^admin", "flags": "i" }
+//   { "source": "cookie", "field": "session", "exists": true }
+//   { "source": "path",   "field": "id", "range": { "gte": 100, "lt": 200 } }
+//   { "source": "body",   "jsonPath": "$.items[*].sku", "contains": "ABC" }
+//   { "source": "files",  "jsonPath": "$.avatar.size", "range": { "gt": 5242880 } }
+//   { "source": "method", "equals": "POST" }
+//
+// Combinators:
+//   { "and": [ ...matchers ] }   { "or": [ ...matchers ] }   { "not": matcher }
+//
+// `caseInsensitive: true` applies to equals and contains. When a JSONPath
+// selects several values the leaf matches if any of them does.
+//
+// Form bodies (urlencoded or multipart) are matched as `body` fields; the
+// files of a multipart body are described by form field under `files`
+// ({ name, size, mimetype, hash }, a list when a field carries several files).
+const crypto = require('crypto');
+
+const SOURCES = ['path', 'query', 'header', 'cookie', 'body', 'files', 'method'];
+// Sources whose values can be selected with a JSONPath
+const JSON_PATH_SOURCES = ['body', 'files'];
+// Sources that are matched as a whole and take no field
+const FIELDLESS_SOURCES = ['body', 'method'];
+const OPERATORS = ['equals', 'contains', 'regex', 'exists', 'range'];
+const RANGE_BOUNDS = ['gt', 'gte', 'lt', 'lte'];
+const COMBINATORS = ['and', 'or', 'not'];
+
+// Parses a Cookie header into a name -> value map
+const parseCookies = (header) => {
+  const cookies = {};
+  if (!header) return cookies;
+
+  header.split(';').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index === -1) return;
+    const name = pair.slice(0, index).trim();
+    const value = pair.slice(index + 1).trim().replace(/^"(.*)"$/, '$1');
+    if (!name) return;
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (error) {
+      cookies[name] = value;
+    }
+  });
+  return cookies;
+};
+
+// Splits a JSONPath expression ($.a.b[0]['c d'][*]) into tokens.
+// Throws on syntax this subset does not support.
+const tokenizeJsonPath = (expression) => {
+  if (typeof expression !== 'string' || !expression.startsWith('$')) {
+    throw new Error('JSONPath must start with "$"');
+  }
+
+  const tokens = [];
+  const pattern = /\.(\w+|\*)|\[(\d+|\*)\]|\[['"]([^'"]+)['"]\]/y;
+  let position = 1;
+
+  while (position < expression.length) {
+    pattern.lastIndex = position;
+    const match = pattern.exec(expression);
+    if (!match) {
+      throw new Error(`Unsupported JSONPath syntax at "${expression.slice(position)}"`);
+    }
+    const [, name, index, quoted] = match;
+    if (name === '*' || index === '*') {
+      tokens.push({ wildcard: true });
+    } else if (index !== undefined) {
+      tokens.push({ key: Number(index) });
+    } else {
+      tokens.push({ key: name !== undefined ? name : quoted });
+    }
+    position = pattern.lastIndex;
+  }
+  return tokens;
+};
+
+// Returns every value selected by a JSONPath expression
+const queryJsonPath = (data, expression) => {
+  let current = [data];
+
+  tokenizeJsonPath(expression).forEach(token => {
+    const next = [];
+    current.forEach(value => {
+      if (value === null || typeof value !== 'object') return;
+      if (token.wildcard) {
+        next.push(...Object.values(value));
+      } else if (value[token.key] !== undefined) {
+        next.push(value[token.key]);
+      }
+    });
+    current = next;
+  });
+
+  return current;
+};
+
+// Collects the candidate values a leaf matcher applies to
+const selectValues = (leaf, request) => {
+  const container = {
+    path: request.path,
+    query: request.query,
+    header: request.headers,
+    cookie: request.cookies,
+    body: request.body,
+    files: request.files,
+    method: request.method
+  }[leaf.source] || {};
+
+  if (JSON_PATH_SOURCES.includes(leaf.source) && leaf.jsonPath) {
+    return queryJsonPath(container, leaf.jsonPath);
+  }
+
+  if (leaf.field === undefined) {
+    return [container];
+  }
+  const field = leaf.source === 'header' ? String(leaf.field).toLowerCase() : leaf.field;
+  const value = container && typeof container === 'object' ? container[field] : undefined;
+  return value === undefined ? [] : [value];
+};
+
+const toComparable = (value, caseInsensitive) => {
+  const text = value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return caseInsensitive ? text.toLowerCase() : text;
+};
+
+// Applies the leaf's operator to a single value
+const testValue = (leaf, value) => {
+  if (leaf.equals !== undefined) {
+    return toComparable(value, leaf.caseInsensitive) === toComparable(leaf.equals, leaf.caseInsensitive);
+  }
+  if (leaf.contains !== undefined) {
+    const expected = toComparable(leaf.contains, leaf.caseInsensitive);
+    if (Array.isArray(value)) {
+      return value.some(item => toComparable(item, leaf.caseInsensitive) === expected);
+    }
+    return toComparable(value, leaf.caseInsensitive).includes(expected);
+  }
+  if (leaf.regex !== undefined) {
+    return new RegExp(leaf.regex, leaf.flags || '').test(toComparable(value, false));
+  }
+  if (leaf.range !== undefined) {
+    const number = Number(value);
+    if (value === null || value === '' || Number.isNaN(number)) return false;
+    const { gt, gte, lt, lte } = leaf.range;
+    return (gt === undefined || number > gt) &&
+      (gte === undefined || number >= gte) &&
+      (lt === undefined || number < lt) &&
+      (lte === undefined || number <= lte);
+  }
+  return false;
+};
+
+// Evaluates a matcher against a request described as
+// { method, path, query, headers, cookies, body, files }
+const evaluateMatcher = (matcher, request) => {
+  if (!matcher || typeof matcher !== 'object') return false;
+
+  if (Array.isArray(matcher.and)) {
+    return matcher.and.every(child => evaluateMatcher(child, request));
+  }
+  if (Array.isArray(matcher.or)) {
+    return matcher.or.some(child => evaluateMatcher(child, request));
+  }
+  if (matcher.not !== undefined) {
+    return !evaluateMatcher(matcher.not, request);
+  }
+
+  const values = selectValues(matcher, request);
+  if (matcher.exists !== undefined) {
+    return (values.length > 0) === !!matcher.exists;
+  }
+  return values.some(value => testValue(matcher, value));
+};
+
+// Validates a matcher tree. Returns a list of errors, each prefixed with the
+// location of the offending node (empty when valid).
+const validateMatcher = (matcher, location = 'match') => {
+  if (!matcher || typeof matcher !== 'object' || Array.isArray(matcher)) {
+    return [`${location} must be an object`];
+  }
+
+  const combinators = COMBINATORS.filter(key => matcher[key] !== undefined);
+  if (combinators.length > 1) {
+    return [`${location} must use only one of ${COMBINATORS.join(', ')}`];
+  }
+
+  if (combinators.length === 1) {
+    const key = combinators[0];
+    if (key === 'not') {
+      return validateMatcher(matcher.not, `${location}.not`);
+    }
+    if (!Array.isArray(matcher[key]) || matcher[key].length === 0) {
+      return [`${location}.${key} must be a non-empty array`];
+    }
+    return matcher[key].reduce((errors, child, index) =>
+      errors.concat(validateMatcher(child, `${location}.${key}[${index}]`)), []);
+  }
+
+  const errors = [];
+  if (!SOURCES.includes(matcher.source)) {
+    errors.push(`${location}.source must be one of ${SOURCES.join(', ')}`);
+  }
+  if (matcher.jsonPath !== undefined) {
+    if (!JSON_PATH_SOURCES.includes(matcher.source)) {
+      errors.push(`${location}.jsonPath is only supported for the ${JSON_PATH_SOURCES.join(' and ')} sources`);
+    } else {
+      try {
+        tokenizeJsonPath(matcher.jsonPath);
+      } catch (error) {
+        errors.push(`${location}.jsonPath: ${error.message}`);
+      }
+    }
+  } else if (!FIELDLESS_SOURCES.includes(matcher.source) && (typeof matcher.field !== 'string' || matcher.field === '')) {
+    errors.push(`${location}.field is required for the ${matcher.source} source`);
+  }
+
+  const operators = OPERATORS.filter(key => matcher[key] !== undefined);
+  if (operators.length !== 1) {
+    errors.push(`${location} must use exactly one operator: ${OPERATORS.join(', ')}`);
+    return errors;
+  }
+
+  const operator = operators[0];
+  if (operator === 'regex') {
+    try {
+      new RegExp(matcher.regex, matcher.flags || '');
+    } catch (error) {
+      errors.push(`${location}.regex is invalid: ${error.message}`);
+    }
+  }
+  if (operator === 'exists' && typeof matcher.exists !== 'boolean') {
+    errors.push(`${location}.exists must be true or false`);
+  }
+  if (operator === 'range') {
+    const bounds = matcher.range && typeof matcher.range === 'object'
+      ? RANGE_BOUNDS.filter(key => matcher.range[key] !== undefined)
+      : [];
+    if (bounds.length === 0) {
+      errors.push(`${location}.range needs at least one of ${RANGE_BOUNDS.join(', ')}`);
+    }
+    bounds.forEach(key => {
+      if (typeof matcher.range[key] !== 'number') {
+        errors.push(`${location}.range.${key} must be a number`);
+      }
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Describes the files of a parsed multipart body (multer's req.files) by form
+ * field. Files carry their SHA-256 as `hash` once hashFiles ran.
+ * @returns {object} { avatar: { name, size, mimetype, hash }, photos: [...] }
+ */
+const describeFiles = (files) => {
+  const described = {};
+  (files || []).forEach(file => {
+    const entry = { name: file.originalname, size: file.size, mimetype: file.mimetype, hash: file.hash };
+    const current = described[file.fieldname];
+    described[file.fieldname] = current === undefined ? entry : [].concat(current, entry);
+  });
+  return described;
+};
+
+// Adds the hex SHA-256 of every uploaded file as `hash`
+const hashFiles = (files) => {
+  (files || []).forEach(file => {
+    file.hash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+  });
+};
+
+// Builds the matcher input from an Express request and its captured path params
+const buildMatchRequest = (req, pathParams) => ({
+  method: req.method,
+  path: pathParams || {},
+  query: req.query || {},
+  headers: req.headers || {},
+  cookies: parseCookies(req.headers && req.headers.cookie),
+  body: req.body || {},
+  files: describeFiles(req.files)
+});
+
+module.exports = {
+  SOURCES,
+  OPERATORS,
+  parseCookies,
+  queryJsonPath,
+  evaluateMatcher,
+  validateMatcher,
+  describeFiles,
+  hashFiles,
+  buildMatchRequest
+};
@@ -0,0 +1,526 @@
+// Converts OpenAPI 3.x and Swagger 2.0 documents into mock endpoint
+// definitions (the same shape /api/upload-contract accepts as plain JSON),
+// and builds an OpenAPI 3 document from existing mocks (exportSpec).
+//
+// Every operation becomes one mock. Its default response is the first
+// documented 2xx response; every documented response code also becomes a
+// scenario selected with the X-Mock-Response-Code request header, e.g.
+// "X-Mock-Response-Code: 404". Bodies come from `example` / `examples` or are
+// generated from the response schema as fake data, seeded per operation and
+// response code so importing the same contract twice gives the same mocks.
+// Responses documented only with a non-JSON media type become text bodies
+// (CSV, XML, ...) or empty binary bodies of that type (see ./bodies).
+// Examples that contradict their response schema are reported as warnings.
+const yaml = require('js-yaml');
+const { sampleFromSchema } = require('./schemaSample');
+const { validateValue } = require('./schemaValidation');
+const { describePath } = require('./pathMatcher');
+const { TEXT_CONTENT_TYPE } = require('./proxy');
+const { bodyContentType } = require('./bodies');
+
+const RESPONSE_CODE_HEADER = 'X-Mock-Response-Code';
+const OPERATION_METHODS = ['get', 'put', 'post', 'delete', 'patch', 'head'];
+const UNSUPPORTED_METHODS = ['options', 'trace'];
+
+// Parses an uploaded contract as JSON, falling back to YAML.
+// Throws a SyntaxError when the text is neither.
+const parseContractText = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (jsonError) {
+    try {
+      return yaml.load(text);
+    } catch (yamlError) {
+      throw new SyntaxError(`Contract file is not valid JSON or YAML: ${yamlError.reason || yamlError.message}`);
+    }
+  }
+};
+
+// Returns "openapi" or "swagger" for API descriptions, otherwise null
+const detectSpecFormat = (document) => {
+  if (!document || typeof document !== 'object' || Array.isArray(document)) return null;
+  if (typeof document.openapi === 'string' && document.openapi.startsWith('3.')) return 'openapi';
+  if (String(document.swagger) === '2.0') return 'swagger';
+  return null;
+};
+
+// Reads "#/components/schemas/User" from the document
+const resolvePointer = (document, ref) => ref
+  .slice(2)
+  .split('/')
+  .filter(token => token.length > 0)
+  .map(token => decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~'))
+  .reduce((node, token) => (node && typeof node === 'object' ? node[token] : undefined), document);
+
+// Returns a copy of the document with local $refs replaced by their targets.
+// Circular references resolve to {}; external and missing ones are reported
+// in `warnings`.
+const resolveRefs = (document, warnings = []) => {
+  const visit = (node, stack) => {
+    if (Array.isArray(node)) return node.map(item => visit(item, stack));
+    if (!node || typeof node !== 'object') return node;
+
+    if (typeof node.$ref === 'string') {
+      const ref = node.$ref;
+      if (!ref.startsWith('#/')) {
+        warnings.push(`External reference ${ref} was not resolved`);
+        return node;
+      }
+      if (stack.includes(ref)) {
+        return {};
+      }
+      const target = resolvePointer(document, ref);
+      if (target === undefined) {
+        warnings.push(`Reference ${ref} does not exist`);
+        return {};
+      }
+      return visit(target, stack.concat(ref));
+    }
+
+    const copy = {};
+    Object.entries(node).forEach(([key, value]) => {
+      copy[key] = visit(value, stack);
+    });
+    return copy;
+  };
+
+  return visit(document, []);
+};
+
+// "/users/{userId}/files/{file-name}" -> "/users/:userId/files/:file_name".
+// A segment mixing text and a parameter ("{id}.json") becomes a parameter
+// spanning the whole segment.
+const convertPathTemplate = (specPath, warnings = []) => specPath
+  .split('/')
+  .map(segment => {
+    const params = segment.match(/\{[^}]+\}/g);
+    if (!params) return segment;
+    const name = params[0].slice(1, -1).replace(/\W/g, '_');
+    if (params.length > 1 || params[0] !== segment) {
+      warnings.push(`Segment "${segment}" of ${specPath} is mocked as the parameter :${name}`);
+    }
+    return `:${name}`;
+  })
+  .join('/');
+
+// Maps a responses key ("200", "2XX", "default") to a status code
+const toStatusCode = (code, fallback) => {
+  if (/^\d{3}$/.test(code)) return Number(code);
+  if (/^\dXX$/i.test(code)) return Number(code[0]) * 100;
+  return fallback;
+};
+
+// Prefers a JSON media type, otherwise takes the first one listed
+const pickMediaType = (types) => types.find(type => /json/i.test(type)) || types[0];
+
+// Body settings for the chosen media type: text types are served as text,
+// anything else (PDF, images, ...) as an empty binary body of that type
+const describeMediaBody = (mediaType, body) => {
+  if (!mediaType || /json|\*/i.test(mediaType)) return { body };
+  if (TEXT_CONTENT_TYPE.test(mediaType)) {
+    return { body: typeof body === 'string' ? body : JSON.stringify(body), bodyEncoding: 'text', contentType: mediaType };
+  }
+  return { body: '', bodyEncoding: 'base64', contentType: mediaType };
+};
+
+// Violations of a JSON body against its response schema. Generated bodies
+// only break the schema through examples, defaults or enums inside it.
+const checkBody = (schema, body, mediaType) => (
+  schema && (!mediaType || /json/i.test(mediaType)) ? validateValue(schema, body, { direction: 'response' }) : []
+);
+
+const toHeaderValue = (value) => (
+  value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value)
+);
+
+// Extracts body and headers of one OpenAPI 3 response object
+const describeOpenApiResponse = (response, seed) => {
+  const content = response.content || {};
+  const mediaType = pickMediaType(Object.keys(content));
+  let body = { message: response.description || 'No content' };
+
+  let exampleErrors = [];
+  if (mediaType) {
+    const media = content[mediaType] || {};
+    const named = media.examples && Object.values(media.examples).find(example => example && example.value !== undefined);
+    if (media.example !== undefined) {
+      body = media.example;
+    } else if (named) {
+      body = named.value;
+    } else {
+      body = sampleFromSchema(media.schema, { seed });
+    }
+    exampleErrors = checkBody(media.schema, body, mediaType);
+  }
+
+  const headers = {};
+  Object.entries(response.headers || {}).forEach(([name, header]) => {
+    if (!header || name.toLowerCase() === 'content-type') return;
+    const value = header.example !== undefined ? header.example : sampleFromSchema(header.schema, { seed, name });
+    if (value !== null && value !== undefined) headers[name] = toHeaderValue(value);
+  });
+
+  return { ...describeMediaBody(mediaType, body), headers, exampleErrors };
+};
+
+// Extracts body and headers of one Swagger 2 response object
+const describeSwaggerResponse = (response, produces, seed) => {
+  const examples = response.examples || {};
+  const mediaType = pickMediaType(Object.keys(examples).length > 0 ? Object.keys(examples) : produces);
+  let body = { message: response.description || 'No content' };
+
+  if (examples[mediaType] !== undefined) {
+    body = examples[mediaType];
+  } else if (response.schema) {
+    body = sampleFromSchema(response.schema, { seed });
+  }
+
+  const headers = {};
+  Object.entries(response.headers || {}).forEach(([name, header]) => {
+    if (!header || name.toLowerCase() === 'content-type') return;
+    const value = header['x-example'] !== undefined ? header['x-example'] : sampleFromSchema(header, { seed, name });
+    if (value !== null && value !== undefined) headers[name] = toHeaderValue(value);
+  });
+
+  // Without a schema or example only the description is served, as JSON
+  const documented = response.schema || examples[mediaType] !== undefined;
+  const exampleErrors = response.schema ? checkBody(response.schema, body, mediaType) : [];
+  return { ...describeMediaBody(documented ? mediaType : undefined, body), headers, exampleErrors };
+};
+
+// Picks the response code served by default: the lowest 2xx, then "default",
+// then whatever is documented first
+const pickDefaultCode = (codes) => {
+  const success = codes
+    .filter(code => /^2/.test(code))
+    .sort((a, b) => toStatusCode(a, 200) - toStatusCode(b, 200));
+  if (success.length > 0) return success[0];
+  return codes.includes('default') ? 'default' : codes[0];
+};
+
+// Builds a mock id from the operationId, or from method and path
+const buildEndpointId = (operation, method, specPath, usedIds) => {
+  const base = (operation.operationId
+    ? String(operation.operationId).replace(/[^\w.-]+/g, '-')
+    : `${method}-${specPath.replace(/[{}]/g, '').replace(/[^\w]+/g, '-').replace(/^-+/, '')}`
+  ).replace(/^-+|-+$/g, '') || method;
+
+  let id = base;
+  for (let suffix = 2; usedIds.has(id); suffix++) {
+    id = `${base}-${suffix}`;
+  }
+  usedIds.add(id);
+  return id;
+};
+
+// Converts a parsed OpenAPI 3 / Swagger 2 document. `seed` varies the fake
+// data generated for responses without examples.
+// Returns { format, title, version, endpoints, warnings }.
+const importSpec = (document, { seed = '' } = {}) => {
+  const format = detectSpecFormat(document);
+  if (!format) {
+    throw new Error('Document is neither OpenAPI 3.x nor Swagger 2.0');
+  }
+
+  const warnings = [];
+  const spec = resolveRefs(document, warnings);
+  const globalProduces = spec.produces || ['application/json'];
+  const usedIds = new Set();
+  const endpoints = [];
+
+  Object.entries(spec.paths || {}).forEach(([specPath, pathItem]) => {
+    if (!pathItem || typeof pathItem !== 'object') return;
+
+    UNSUPPORTED_METHODS
+      .filter(method => pathItem[method])
+      .forEach(method => warnings.push(`${method.toUpperCase()} ${specPath} was skipped (method not supported by mocks)`));
+
+    OPERATION_METHODS.filter(method => pathItem[method]).forEach(method => {
+      const operation = pathItem[method];
+      const responses = operation.responses || {};
+      const codes = Object.keys(responses);
+      const id = buildEndpointId(operation, method, specPath, usedIds);
+
+      const outcomes = codes.map(code => {
+        const response = responses[code] || {};
+        const responseSeed = `${seed}:${method.toUpperCase()} ${specPath} ${code}`;
+        const { body, headers, bodyEncoding, contentType, exampleErrors } = format === 'openapi'
+          ? describeOpenApiResponse(response, responseSeed)
+          : describeSwaggerResponse(response, operation.produces || globalProduces, responseSeed);
+        if (exampleErrors.length > 0) {
+          const problems = exampleErrors.map(({ pointer, message }) => `${pointer || 'body'} ${message}`).join('; ');
+          warnings.push(`${method.toUpperCase()} ${specPath} ${code}: the example does not match the response schema (${problems})`);
+        }
+        return {
+          code,
+          statusCode: toStatusCode(code, codes.length === 1 ? 200 : 500),
+          response: body,
+          headers,
+          ...(bodyEncoding ? { bodyEncoding, contentType } : {})
+        };
+      });
+      const primary = outcomes.find(outcome => outcome.code === pickDefaultCode(codes));
+
+      endpoints.push({
+        id,
+        path: convertPathTemplate(specPath, warnings),
+        method: method.toUpperCase(),
+        statusCode: primary ? primary.statusCode : 200,
+        response: primary ? primary.response : { message: 'Mock response from contract' },
+        headers: primary ? primary.headers : {},
+        ...(primary && primary.bodyEncoding ? { bodyEncoding: primary.bodyEncoding, contentType: primary.contentType } : {}),
+        scenarios: outcomes.map(outcome => ({
+          name: `HTTP ${outcome.code}`,
+          match: { source: 'header', field: RESPONSE_CODE_HEADER.toLowerCase(), equals: outcome.code },
+          statusCode: outcome.statusCode,
+          headers: outcome.headers,
+          response: outcome.response,
+          ...(outcome.bodyEncoding ? { bodyEncoding: outcome.bodyEncoding, contentType: outcome.contentType } : {})
+        })),
+        tags: Array.isArray(operation.tags) ? operation.tags : [],
+        operation: {
+          method: method.toUpperCase(),
+          path: specPath,
+          operationId: operation.operationId,
+          summary: operation.summary
+        }
+      });
+    });
+  });
+
+  const info = spec.info || {};
+  return {
+    format,
+    title: info.title,
+    version: info.version,
+    endpoints,
+    warnings: Array.from(new Set(warnings))
+  };
+};
+
+// --- Export ---
+
+const ANY_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const BODY_METHODS = ['post', 'put', 'patch'];
+const PLACEHOLDER = /\{\{([\w.]+)\}\}/g;
+
+// Infers a JSON Schema from an example value
+const inferSchema = (value) => {
+  if (value === null || value === undefined) return { nullable: true };
+  if (Array.isArray(value)) {
+    return { type: 'array', items: value.length > 0 ? inferSchema(value[0]) : {} };
+  }
+  if (typeof value === 'object') {
+    const properties = {};
+    Object.entries(value).forEach(([key, item]) => {
+      properties[key] = inferSchema(item);
+    });
+    return { type: 'object', properties };
+  }
+  if (typeof value === 'number') return { type: Number.isInteger(value) ? 'integer' : 'number' };
+  if (typeof value === 'boolean') return { type: 'boolean' };
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value)) return { type: 'string', format: 'date-time' };
+  if (/^[^@\s]+@[^@\s]+\.\w+$/.test(value)) return { type: 'string', format: 'email' };
+  return { type: 'string' };
+};
+
+// "/users/:id(\\d+)/files/*" -> { path: "/users/{id}/files/{wildcard}", parameters }
+const exportPath = (template) => {
+  const parameters = [];
+  const segments = describePath(template).map(segment => {
+    if (segment.type === 'static') return segment.value;
+
+    const schema = { type: 'string' };
+    if (segment.pattern) schema.pattern = `^${segment.pattern}$`;
+    const parameter = { name: segment.name, in: 'path', required: true, schema };
+    if (segment.type === 'optional') parameter.description = 'Optional in the mock: the path also matches without this segment';
+    if (segment.type === 'wildcard') parameter.description = 'Matches the rest of the path, including "/"';
+    parameters.push(parameter);
+    return `{${segment.name}}`;
+  });
+  return { path: '/' + segments.join('/'), parameters };
+};
+
+// Collects { source, field } pairs from matcher leaves
+const collectMatcherFields = (matcher, fields = []) => {
+  if (!matcher || typeof matcher !== 'object') return fields;
+  if (Array.isArray(matcher.and)) matcher.and.forEach(child => collectMatcherFields(child, fields));
+  if (Array.isArray(matcher.or)) matcher.or.forEach(child => collectMatcherFields(child, fields));
+  if (matcher.not !== undefined) collectMatcherFields(matcher.not, fields);
+  if (matcher.source && typeof matcher.field === 'string') fields.push({ source: matcher.source, field: matcher.field });
+  return fields;
+};
+
+// Finds the query, header, cookie and body fields a mock reads, from its
+// response placeholders and scenario matchers
+const collectRequestFields = (mock, pathParamNames) => {
+  const fields = { query: new Set(), header: new Set(), cookie: new Set(), body: new Set() };
+  const outcomes = [mock, ...(mock.scenarios || [])];
+
+  outcomes.forEach(outcome => {
+    const text = JSON.stringify([outcome.response, outcome.headers || {}]);
+    let match;
+    PLACEHOLDER.lastIndex = 0;
+    while ((match = PLACEHOLDER.exec(text)) !== null) {
+      const [prefix, ...rest] = match[1].split('.');
+      if (rest.length > 0 && (prefix === 'query' || prefix === 'body')) {
+        fields[prefix].add(rest[0]);
+      } else if (rest.length === 0 && !pathParamNames.includes(prefix)) {
+        // Plain placeholders are filled from path params, query or body
+        fields.query.add(prefix);
+      }
+    }
+  });
+
+  (mock.scenarios || []).forEach(scenario => {
+    collectMatcherFields(scenario.match).forEach(({ source, field }) => {
+      if (fields[source]) fields[source].add(source === 'header' ? field.toLowerCase() : field);
+    });
+  });
+  return fields;
+};
+
+// Groups a mock's default response and scenarios by status code
+const buildResponses = (mock, isHead) => {
+  const outcomes = [
+    {
+      name: 'default',
+      summary: 'Default response',
+      statusCode: mock.statusCode,
+      headers: mock.headers,
+      response: mock.response,
+      responseSchema: mock.responseSchema,
+      seed: mock.seed,
+      bodyEncoding: mock.bodyEncoding,
+      contentType: mock.contentType
+    },
+    ...(mock.scenarios || []).map(scenario => ({ ...scenario, summary: `Scenario "${scenario.name}"` }))
+  ];
+
+  const responses = {};
+  outcomes.forEach(outcome => {
+    const code = String(outcome.statusCode || 200);
+    if (!responses[code]) {
+      responses[code] = { description: outcome.summary };
+    } else {
+      responses[code].description += `; ${outcome.summary}`;
+    }
+    const entry = responses[code];
+
+    Object.entries(outcome.headers || {}).forEach(([name, value]) => {
+      entry.headers = entry.headers || {};
+      if (!entry.headers[name]) {
+        entry.headers[name] = { schema: { type: 'string' }, example: String(value) };
+      }
+    });
+
+    if (isHead) return;
+    entry.content = entry.content || {};
+    // Text bodies export their text, binary bodies only their media type
+    if (outcome.bodyEncoding && outcome.bodyEncoding !== 'json') {
+      const mediaType = bodyContentType(outcome).split(';')[0].trim();
+      if (outcome.bodyEncoding !== 'text') {
+        entry.content[mediaType] = entry.content[mediaType] || { schema: { type: 'string', format: 'binary' } };
+        return;
+      }
+      const media = entry.content[mediaType] || (entry.content[mediaType] = { schema: { type: 'string' }, examples: {} });
+      if (media.examples) media.examples[outcome.name] = { summary: outcome.summary, value: outcome.response };
+      return;
+    }
+    // Schema responses export their schema and one generated example
+    const value = outcome.responseSchema
+      ? sampleFromSchema(outcome.responseSchema, { seed: outcome.seed })
+      : outcome.response;
+    if (!entry.content['application/json']) {
+      entry.content['application/json'] = { schema: outcome.responseSchema || inferSchema(value), examples: {} };
+    }
+    entry.content['application/json'].examples[outcome.name] = { summary: outcome.summary, value };
+  });
+  return responses;
+};
+
+// Builds one OpenAPI operation for a mock
+const buildOperation = (mock, method, pathParameters, operationId) => {
+  const fields = collectRequestFields(mock, pathParameters.map(parameter => parameter.name));
+  const parameters = [
+    ...pathParameters,
+    ...Array.from(fields.query).map(name => ({ name, in: 'query', required: false, schema: { type: 'string' } })),
+    ...Array.from(fields.header).map(name => ({ name, in: 'header', required: false, schema: { type: 'string' } })),
+    ...Array.from(fields.cookie).map(name => ({ name, in: 'cookie', required: false, schema: { type: 'string' } }))
+  ];
+
+  const operation = {
+    operationId,
+    summary: (mock.operation && mock.operation.summary) || `Mock ${mock.id}`
+  };
+  if (Array.isArray(mock.tags) && mock.tags.length > 0) operation.tags = mock.tags;
+  if (mock.method === 'ANY') {
+    operation.description = 'The mock answers every HTTP method on this path.';
+  }
+  if (parameters.length > 0) operation.parameters = parameters;
+
+  if (BODY_METHODS.includes(method) && fields.body.size > 0) {
+    const properties = {};
+    fields.body.forEach(name => {
+      properties[name] = {};
+    });
+    operation.requestBody = {
+      required: false,
+      content: { 'application/json': { schema: { type: 'object', properties } } }
+    };
+  }
+
+  operation.responses = buildResponses(mock, method === 'head');
+  return operation;
+};
+
+// Builds an OpenAPI 3.0 document describing the given mocks.
+// Mocks registered for ANY are listed under every common method that has no
+// mock of its own on the same path.
+const exportSpec = (mocks, { title = 'Mock Server', version = '1.0.0', serverUrl } = {}) => {
+  const paths = {};
+  const usedIds = new Set();
+  const ordered = mocks.slice().sort((a, b) => (a.method === 'ANY') - (b.method === 'ANY'));
+
+  ordered.forEach(mock => {
+    const { path: specPath, parameters } = exportPath(mock.path || mock.id);
+    const pathItem = paths[specPath] || (paths[specPath] = {});
+    const methods = mock.method === 'ANY'
+      ? ANY_METHODS.filter(method => !pathItem[method])
+      : [String(mock.method || 'GET').toLowerCase()];
+
+    methods.forEach(method => {
+      if (pathItem[method]) return;
+      const baseId = (mock.operation && mock.operation.operationId) || mock.id;
+      let operationId = mock.method === 'ANY' ? `${baseId}-${method}` : baseId;
+      for (let suffix = 2; usedIds.has(operationId); suffix++) {
+        operationId = `${baseId}-${suffix}`;
+      }
+      usedIds.add(operationId);
+      pathItem[method] = buildOperation(mock, method, parameters, operationId);
+    });
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: { title, version },
+    ...(serverUrl ? { servers: [{ url: serverUrl }] } : {}),
+    paths
+  };
+};
+
+// Serialises an exported document as YAML
+const toYaml = (document) => yaml.dump(document, { noRefs: true, lineWidth: -1 });
+
+module.exports = {
+  RESPONSE_CODE_HEADER,
+  OPERATION_METHODS,
+  parseContractText,
+  detectSpecFormat,
+  resolveRefs,
+  convertPathTemplate,
+  importSpec,
+  inferSchema,
+  exportSpec,
+  toYaml
+};
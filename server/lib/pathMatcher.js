@@ -0,0 +1,169 @@
+// Path template matching for mock routes.
+//
+// Supported segment syntax:
+//   /users          static segment
+//   /:id            named parameter (one segment)
+//   /:id?           optional named parameter
+//   /:id(\d+)       named parameter constrained by a regular expression
+//   /*  or  /*rest  wildcard spanning any number of segments (captured as
+//                   "wildcard" or the given name)
+
+const SEGMENT_RANK = {
+  static: 4,
+  regex: 3,
+  param: 2,
+  optional: 1,
+  wildcard: 0
+};
+
+const PARAM_SEGMENT = /^:(\w+)(?:\((.+)\))?(\?)?$/;
+const WILDCARD_SEGMENT = /^\*(\w+)?$/;
+
+const compiledCache = new Map();
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Normalises a template so that "users/:id/" and "/users/:id" are the same route
+const normalizePath = (template) => {
+  const segments = String(template || '').split('/').filter(segment => segment.length > 0);
+  return '/' + segments.join('/');
+};
+
+// Compiles a path template into a regular expression plus a specificity rank.
+// Throws an Error describing the problem when the template is invalid.
+const compilePath = (template) => {
+  const normalized = normalizePath(template);
+  if (compiledCache.has(normalized)) {
+    return compiledCache.get(normalized);
+  }
+
+  const segments = normalized.split('/').filter(segment => segment.length > 0);
+  const paramNames = [];
+  const rank = [];
+  let source = '^';
+
+  segments.forEach(segment => {
+    const paramMatch = segment.match(PARAM_SEGMENT);
+    const wildcardMatch = segment.match(WILDCARD_SEGMENT);
+    let name = null;
+
+    if (paramMatch) {
+      const [, paramName, pattern, optional] = paramMatch;
+      if (pattern) {
+        try {
+          new RegExp(pattern);
+        } catch (error) {
+          throw new Error(`Invalid regular expression for :${paramName} in "${normalized}": ${error.message}`);
+        }
+      }
+      name = paramName;
+      const group = `(?<${paramName}>${pattern || '[^/]+'})`;
+      source += optional ? `(?:/${group})?` : `/${group}`;
+      rank.push(optional ? SEGMENT_RANK.optional : pattern ? SEGMENT_RANK.regex : SEGMENT_RANK.param);
+    } else if (wildcardMatch) {
+      name = wildcardMatch[1] || 'wildcard';
+      source += `(?:/(?<${name}>.*))?`;
+      rank.push(SEGMENT_RANK.wildcard);
+    } else if (segment.startsWith(':') || segment.includes('*')) {
+      throw new Error(`Invalid path segment "${segment}" in "${normalized}"`);
+    } else {
+      source += '/' + escapeRegExp(segment);
+      rank.push(SEGMENT_RANK.static);
+    }
+
+    if (name) {
+      if (paramNames.includes(name)) {
+        throw new Error(`Duplicate path parameter "${name}" in "${normalized}"`);
+      }
+      paramNames.push(name);
+    }
+  });
+
+  source += '/?$';
+
+  const compiled = {
+    template: normalized,
+    regex: new RegExp(source),
+    paramNames,
+    rank
+  };
+  compiledCache.set(normalized, compiled);
+  return compiled;
+};
+
+// Splits a template into segment descriptions:
+// { type: 'static', value } or { type: 'param' | 'optional' | 'regex' | 'wildcard', name, pattern? }
+const describePath = (template) => normalizePath(template)
+  .split('/')
+  .filter(segment => segment.length > 0)
+  .map(segment => {
+    const paramMatch = segment.match(PARAM_SEGMENT);
+    if (paramMatch) {
+      const [, name, pattern, optional] = paramMatch;
+      if (optional) return { type: 'optional', name, pattern };
+      return pattern ? { type: 'regex', name, pattern } : { type: 'param', name };
+    }
+    const wildcardMatch = segment.match(WILDCARD_SEGMENT);
+    if (wildcardMatch) {
+      return { type: 'wildcard', name: wildcardMatch[1] || 'wildcard' };
+    }
+    return { type: 'static', value: segment };
+  });
+
+// Returns the captured params when the request path matches, otherwise null
+const matchPath = (template, requestPath) => {
+  const compiled = compilePath(template);
+  const match = compiled.regex.exec(normalizePath(requestPath));
+  if (!match) return null;
+
+  const params = {};
+  compiled.paramNames.forEach(name => {
+    const value = match.groups[name];
+    if (value === undefined) return;
+    try {
+      params[name] = decodeURIComponent(value);
+    } catch (error) {
+      params[name] = value;
+    }
+  });
+  return params;
+};
+
+// Orders two compiled templates so that the more specific one sorts first:
+// segment by segment, static beats regex beats param beats optional beats
+// wildcard; if all compared segments tie, the longer template wins.
+const compareSpecificity = (a, b) => {
+  const length = Math.min(a.rank.length, b.rank.length);
+  for (let i = 0; i < length; i++) {
+    if (a.rank[i] !== b.rank[i]) {
+      return b.rank[i] - a.rank[i];
+    }
+  }
+  return b.rank.length - a.rank.length;
+};
+
+// Finds the most specific route whose template matches the request path.
+// `routes` are objects with a `path` property; returns { route, params } or null.
+const findBestRoute = (routes, requestPath) => {
+  let best = null;
+
+  routes.forEach(route => {
+    const params = matchPath(route.path, requestPath);
+    if (!params) return;
+
+    const compiled = compilePath(route.path);
+    if (!best || compareSpecificity(compiled, best.compiled) < 0) {
+      best = { route, params, compiled };
+    }
+  });
+
+  return best && { route: best.route, params: best.params };
+};
+
+module.exports = {
+  normalizePath,
+  compilePath,
+  describePath,
+  matchPath,
+  findBestRoute
+};
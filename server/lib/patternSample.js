@@ -0,0 +1,267 @@
+// Generates strings matching a JSON Schema `pattern` (a JavaScript regular
+// expression, compiled with the "u" flag like contract validation does).
+// Literals, escapes (\d \w \s, \n, \x41, ...), character classes and
+// ranges, ".", groups, alternation, anchors and the quantifiers ? * + {n}
+// {n,} {n,m} are expanded; unbounded repeats stay short. Lookarounds,
+// backreferences, word boundaries and Unicode property escapes are not
+// supported: sampleFromPattern returns undefined for them.
+
+const MAX_REPEAT_EXTRA = 3;
+const MAX_ATTEMPTS = 20;
+
+// Characters stand-ins are drawn from: "." and negated classes pick printable ASCII
+const PRINTABLE = [[0x20, 0x7E]];
+const DIGITS = [[0x30, 0x39]];
+const WORD = [[0x30, 0x39], [0x41, 0x5A], [0x5F, 0x5F], [0x61, 0x7A]];
+const SPACE = [[0x20, 0x20]];
+
+const CONTROL_ESCAPES = { n: '\n', r: '\r', t: '\t', f: '\f', v: '\v', 0: '\0' };
+
+const single = (char) => [[char.charCodeAt(0), char.charCodeAt(0)]];
+
+// Printable ASCII not covered by the given ranges
+const complement = (ranges) => {
+  const [[low, high]] = PRINTABLE;
+  const result = [];
+  let start = low;
+  [...ranges].sort((a, b) => a[0] - b[0]).forEach(([from, to]) => {
+    if (from > start) result.push([start, Math.min(from - 1, high)]);
+    start = Math.max(start, to + 1);
+  });
+  if (start <= high) result.push([start, high]);
+  return result.filter(([from, to]) => from <= to);
+};
+
+const CLASS_ESCAPES = {
+  d: DIGITS,
+  D: complement(DIGITS),
+  w: WORD,
+  W: complement(WORD),
+  s: SPACE,
+  S: complement(SPACE)
+};
+
+// Parses a pattern into sequence, alternation, repeat and set nodes.
+// Throws on syntax that cannot be expanded.
+const parsePattern = (pattern) => {
+  let index = 0;
+  const peek = () => pattern[index];
+  const unsupported = () => {
+    throw new Error(`Unsupported pattern syntax at position ${index}`);
+  };
+
+  // Returns the ranges of an escape; `index` points after the backslash
+  const parseEscape = (inClass) => {
+    const char = pattern[index];
+    index += 1;
+    if (char === undefined) unsupported();
+    if (CLASS_ESCAPES[char]) return CLASS_ESCAPES[char];
+    if (CONTROL_ESCAPES[char]) return single(CONTROL_ESCAPES[char]);
+    if (char === 'b' && inClass) return single('\b');
+    if (char === 'x' || char === 'u') {
+      const match = char === 'x'
+        ? /^[0-9a-fA-F]{2}/.exec(pattern.slice(index))
+        : /^(?:[0-9a-fA-F]{4}|\{[0-9a-fA-F]{1,4}\})/.exec(pattern.slice(index));
+      if (!match) unsupported();
+      index += match[0].length;
+      const code = parseInt(match[0].replace(/[{}]/g, ''), 16);
+      return [[code, code]];
+    }
+    // Word boundaries, backreferences, \p{...} and \cX
+    if (/[bBpPkc1-9]/.test(char)) unsupported();
+    return single(char);
+  };
+
+  const parseClass = () => {
+    const negated = peek() === '^';
+    if (negated) index += 1;
+    const ranges = [];
+    const parseClassAtom = () => {
+      const char = pattern[index];
+      index += 1;
+      return char === '\\' ? parseEscape(true) : single(char);
+    };
+    while (peek() !== ']') {
+      if (index >= pattern.length) unsupported();
+      const start = parseClassAtom();
+      const isChar = start.length === 1 && start[0][0] === start[0][1];
+      if (isChar && peek() === '-' && pattern[index + 1] !== undefined && pattern[index + 1] !== ']') {
+        index += 1;
+        const end = parseClassAtom();
+        if (end.length !== 1 || end[0][0] !== end[0][1] || end[0][0] < start[0][0]) unsupported();
+        ranges.push([start[0][0], end[0][0]]);
+      } else {
+        ranges.push(...start);
+      }
+    }
+    index += 1;
+    return { type: 'set', ranges: negated ? complement(ranges) : ranges };
+  };
+
+  const parseQuantifier = (node) => {
+    let min;
+    let max;
+    const char = peek();
+    if (char === '?') {
+      [min, max] = [0, 1];
+    } else if (char === '*') {
+      [min, max] = [0, Infinity];
+    } else if (char === '+') {
+      [min, max] = [1, Infinity];
+    } else if (char === '{') {
+      const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(index));
+      if (!match) return node;
+      min = Number(match[1]);
+      max = match[2] === undefined ? min : (match[3] === '' ? Infinity : Number(match[3]));
+      index += match[0].length - 1;
+    } else {
+      return node;
+    }
+    index += 1;
+    // Lazy quantifiers generate the same strings
+    if (peek() === '?') index += 1;
+    return { type: 'repeat', node, min, max };
+  };
+
+  let parseAlternation;
+
+  const parseAtom = () => {
+    const char = pattern[index];
+    index += 1;
+    switch (char) {
+      case '^':
+      case '$':
+        return { type: 'sequence', items: [] };
+      case '.':
+        return { type: 'set', ranges: PRINTABLE };
+      case '[':
+        return parseClass();
+      case '\\':
+        return { type: 'set', ranges: parseEscape(false) };
+      case '(': {
+        if (pattern.startsWith('?:', index)) {
+          index += 2;
+        } else if (pattern.startsWith('?<', index) && !/[=!]/.test(pattern[index + 2])) {
+          const close = pattern.indexOf('>', index);
+          if (close < 0) unsupported();
+          index = close + 1;
+        } else if (peek() === '?') {
+          // Lookarounds
+          unsupported();
+        }
+        const node = parseAlternation();
+        if (peek() !== ')') unsupported();
+        index += 1;
+        return node;
+      }
+      case '*':
+      case '+':
+      case '?':
+        return unsupported();
+      default:
+        return { type: 'set', ranges: single(char) };
+    }
+  };
+
+  const parseSequence = () => {
+    const items = [];
+    while (index < pattern.length && peek() !== '|' && peek() !== ')') {
+      items.push(parseQuantifier(parseAtom()));
+    }
+    return { type: 'sequence', items };
+  };
+
+  parseAlternation = () => {
+    const options = [parseSequence()];
+    while (peek() === '|') {
+      index += 1;
+      options.push(parseSequence());
+    }
+    return options.length === 1 ? options[0] : { type: 'alternation', options };
+  };
+
+  const tree = parseAlternation();
+  if (index < pattern.length) unsupported();
+  return tree;
+};
+
+const pickChar = (random, ranges) => {
+  const total = ranges.reduce((sum, [from, to]) => sum + to - from + 1, 0);
+  if (total === 0) throw new Error('Character class matches nothing');
+  let offset = Math.floor(random() * total);
+  const [from] = ranges.find(([start, end]) => {
+    if (offset <= end - start) return true;
+    offset -= end - start + 1;
+    return false;
+  });
+  return String.fromCharCode(from + offset);
+};
+
+// Expands a parsed pattern; unbounded repeats get at most `extra` additional items
+const expand = (node, random, extra) => {
+  switch (node.type) {
+    case 'sequence':
+      return node.items.map(item => expand(item, random, extra)).join('');
+    case 'alternation':
+      return expand(node.options[Math.floor(random() * node.options.length)], random, extra);
+    case 'repeat': {
+      const max = Math.min(node.max, node.min + extra);
+      const count = node.min + Math.floor(random() * (max - node.min + 1));
+      return Array.from({ length: count }, () => expand(node.node, random, extra)).join('');
+    }
+    default:
+      return pickChar(random, node.ranges);
+  }
+};
+
+const compilePattern = (pattern) => {
+  try {
+    return new RegExp(pattern, 'u');
+  } catch (error) {
+    return null;
+  }
+};
+
+// Whether a value matches a pattern; patterns JavaScript cannot compile match
+// anything, as contract validation does not enforce them either
+const matchesPattern = (pattern, value) => {
+  const regex = compilePattern(pattern);
+  return !regex || regex.test(value);
+};
+
+/**
+ * Generates a string matching a regular expression.
+ * @param {string} pattern - The JSON Schema pattern.
+ * @param {function} random - Source of numbers in [0, 1), e.g. a seeded one.
+ * @param {object} [lengths] - { minLength, maxLength } the string must respect.
+ * @returns {string|undefined} The string, or undefined when the pattern uses
+ *   unsupported syntax or no attempt satisfied the lengths.
+ */
+const sampleFromPattern = (pattern, random, { minLength = 0, maxLength = Infinity } = {}) => {
+  const regex = compilePattern(pattern);
+  if (!regex) return undefined;
+  let tree;
+  try {
+    tree = parsePattern(pattern);
+  } catch (error) {
+    return undefined;
+  }
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt += 1) {
+    // Later attempts allow longer repeats to reach minLength
+    const extra = attempt < MAX_ATTEMPTS / 2 ? MAX_REPEAT_EXTRA : MAX_REPEAT_EXTRA + minLength;
+    let value;
+    try {
+      value = expand(tree, random, extra);
+    } catch (error) {
+      return undefined;
+    }
+    if (value.length >= minLength && value.length <= maxLength && regex.test(value)) return value;
+  }
+  return undefined;
+};
+
+module.exports = {
+  sampleFromPattern,
+  matchesPattern
+};
@@ -0,0 +1,300 @@
+// Postman Collection v2.1 import and export.
+//
+// Import: every request becomes one mock and its saved example responses
+// become scenarios (the first 2xx example is also the default response).
+// An example is picked with the X-Mock-Example request header naming it, or
+// by the query parameters its original request added. Folder names become
+// the mock's tags.
+//
+// Export: one request per mock against {{baseUrl}} (the mock base URL), with
+// the default response and scenarios attached as examples and tags mapped
+// back to folders.
+const { STATUS_CODES } = require('http');
+const { v4: uuidv4 } = require('uuid');
+const { describePath } = require('./pathMatcher');
+const { sampleFromSchema } = require('./schemaSample');
+const { bodyContentType } = require('./bodies');
+
+const EXAMPLE_HEADER = 'X-Mock-Example';
+const COLLECTION_SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+const BODY_METHODS = ['POST', 'PUT', 'PATCH'];
+
+// Response headers that describe the recorded transfer rather than the API
+const TRANSFER_HEADERS = ['content-type', 'content-length', 'date', 'connection', 'transfer-encoding', 'keep-alive', 'etag'];
+
+const PRINTABLE_ASCII = /[^\x20-\x7E]/g;
+
+const isPostmanCollection = (document) => Boolean(
+  document &&
+  typeof document === 'object' &&
+  document.info &&
+  Array.isArray(document.item) &&
+  /\/collection\/v2/.test(String(document.info.schema || ''))
+);
+
+// Extracts the path of a request URL (string or URL object) as a mock
+// template. {{baseUrl}}-style hosts and an /api/mock prefix are dropped and
+// {{variable}} segments become parameters.
+const toMockPath = (url) => {
+  let segments;
+  if (url && typeof url === 'object' && Array.isArray(url.path)) {
+    segments = url.path.map(segment => (typeof segment === 'object' ? segment.value : segment));
+  } else {
+    const raw = String((url && typeof url === 'object' ? url.raw : url) || '');
+    const withoutQuery = raw.split(/[?#]/)[0];
+    const withoutHost = withoutQuery
+      .replace(/^[a-z][\w+.-]*:\/\/[^/]*/i, '')
+      .replace(/^\{\{[^}]+\}\}/, '');
+    segments = withoutHost.split('/');
+  }
+
+  segments = segments
+    .filter(segment => segment !== undefined && segment !== null && String(segment).length > 0)
+    .map(segment => String(segment).replace(/^\{\{(\w+)\}\}$/, ':$1'));
+
+  if (segments[0] === 'api' && segments[1] === 'mock') {
+    segments = segments.slice(2);
+  }
+  return '/' + segments.join('/');
+};
+
+// Reads the query of a request URL as a name -> value map
+const toQueryMap = (url) => {
+  const query = {};
+  if (url && typeof url === 'object' && Array.isArray(url.query)) {
+    url.query.filter(param => param && !param.disabled && param.key).forEach(param => {
+      query[param.key] = param.value === undefined || param.value === null ? '' : String(param.value);
+    });
+    return query;
+  }
+  const raw = String((url && typeof url === 'object' ? url.raw : url) || '');
+  const search = raw.includes('?') ? raw.slice(raw.indexOf('?') + 1).split('#')[0] : '';
+  new URLSearchParams(search).forEach((value, key) => {
+    query[key] = value;
+  });
+  return query;
+};
+
+const parseBody = (body) => {
+  if (body === undefined || body === null || body === '') return null;
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return body;
+  }
+};
+
+// Makes a name usable as a scenario name (printable ASCII, not "default", unique)
+const toScenarioName = (name, index, usedNames) => {
+  let base = String(name || '').replace(PRINTABLE_ASCII, '').trim() || `Example ${index + 1}`;
+  if (base === 'default') base = 'default example';
+  let scenarioName = base;
+  for (let suffix = 2; usedNames.has(scenarioName); suffix++) {
+    scenarioName = `${base} (${suffix})`;
+  }
+  usedNames.add(scenarioName);
+  return scenarioName;
+};
+
+const toEndpointId = (name, usedIds) => {
+  const base = String(name || 'request').toLowerCase().replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '') || 'request';
+  let id = base;
+  for (let suffix = 2; usedIds.has(id); suffix++) {
+    id = `${base}-${suffix}`;
+  }
+  usedIds.add(id);
+  return id;
+};
+
+// Builds the scenario matcher for one saved example
+const buildExampleMatcher = (scenarioName, example, baseQuery) => {
+  const byHeader = { source: 'header', field: EXAMPLE_HEADER.toLowerCase(), equals: scenarioName };
+  const exampleQuery = example.originalRequest ? toQueryMap(example.originalRequest.url) : {};
+  const distinguishing = Object.entries(exampleQuery)
+    .filter(([key, value]) => baseQuery[key] !== value)
+    .map(([key, value]) => ({ source: 'query', field: key, equals: value }));
+
+  return distinguishing.length > 0 ? { or: [byHeader, { and: distinguishing }] } : byHeader;
+};
+
+// Converts a Postman collection. Returns { format, title, endpoints, warnings }.
+const importCollection = (collection) => {
+  const endpoints = [];
+  const warnings = [];
+  const usedIds = new Set();
+
+  const visit = (items, folders) => {
+    (items || []).forEach(item => {
+      if (!item || typeof item !== 'object') return;
+      if (Array.isArray(item.item)) {
+        visit(item.item, folders.concat(item.name || 'Folder'));
+        return;
+      }
+      if (!item.request) {
+        warnings.push(`Item "${item.name}" has no request and was skipped`);
+        return;
+      }
+
+      const request = typeof item.request === 'string' ? { url: item.request } : item.request;
+      const method = String(request.method || 'GET').toUpperCase();
+      const baseQuery = toQueryMap(request.url);
+      const usedNames = new Set();
+      const examples = (item.response || []).map((example, index) => {
+        const headers = {};
+        (example.header || []).forEach(header => {
+          if (header && header.key && !header.disabled && !TRANSFER_HEADERS.includes(header.key.toLowerCase())) {
+            headers[header.key] = String(header.value);
+          }
+        });
+        // Examples saved with a non-JSON Content-Type keep their text as is
+        const typeHeader = (example.header || []).find(header =>
+          header && header.key && !header.disabled && header.key.toLowerCase() === 'content-type');
+        const contentType = typeHeader && !/json/i.test(typeHeader.value) ? String(typeHeader.value) : undefined;
+        const name = toScenarioName(example.name, index, usedNames);
+        return {
+          name,
+          match: buildExampleMatcher(name, example, baseQuery),
+          statusCode: Number(example.code) || 200,
+          headers,
+          response: contentType ? String(example.body || '') : parseBody(example.body),
+          ...(contentType ? { bodyEncoding: 'text', contentType } : {})
+        };
+      });
+
+      const primary = examples.find(example => example.statusCode >= 200 && example.statusCode < 300) || examples[0];
+      if (!primary) {
+        warnings.push(`${method} ${item.name} has no saved examples; it answers with a placeholder`);
+      }
+
+      endpoints.push({
+        id: toEndpointId(item.name, usedIds),
+        path: toMockPath(request.url),
+        method,
+        statusCode: primary ? primary.statusCode : 200,
+        response: primary ? primary.response : { message: `Mock response for ${item.name}` },
+        headers: primary ? primary.headers : {},
+        ...(primary && primary.bodyEncoding ? { bodyEncoding: primary.bodyEncoding, contentType: primary.contentType } : {}),
+        scenarios: examples,
+        tags: folders
+      });
+    });
+  };
+
+  visit(collection.item, []);
+  return {
+    format: 'postman',
+    title: collection.info.name,
+    endpoints,
+    warnings
+  };
+};
+
+// "/users/:id(\\d+)/files/*" -> Postman path segments and path variables
+const toPostmanPath = (template) => {
+  const variables = [];
+  const segments = describePath(template).map(segment => {
+    if (segment.type === 'static') return segment.value;
+    variables.push({ key: segment.name, value: '' });
+    return `:${segment.name}`;
+  });
+  return { segments, variables };
+};
+
+const buildRequest = (mock) => {
+  const method = mock.method === 'ANY' ? 'GET' : String(mock.method || 'GET');
+  const { segments, variables } = toPostmanPath(mock.path || mock.id);
+  const request = {
+    method,
+    header: [],
+    url: {
+      raw: `{{baseUrl}}/${segments.join('/')}`,
+      host: ['{{baseUrl}}'],
+      path: segments
+    }
+  };
+  if (variables.length > 0) request.url.variable = variables;
+  if (mock.method === 'ANY') request.description = 'The mock answers every HTTP method on this path.';
+  if (BODY_METHODS.includes(method)) {
+    request.body = { mode: 'raw', raw: '{}', options: { raw: { language: 'json' } } };
+  }
+  return request;
+};
+
+// Postman's preview language for a Content-Type
+const previewLanguage = (contentType) => {
+  if (/json/i.test(contentType)) return 'json';
+  if (/html/i.test(contentType)) return 'html';
+  if (/xml/i.test(contentType)) return 'xml';
+  return 'text';
+};
+
+// Schema responses are exported with one generated body, binary bodies
+// (see ./bodies) without one
+const exampleBody = (outcome) => {
+  if (outcome.bodyEncoding === 'text') return outcome.response;
+  if (outcome.bodyEncoding && outcome.bodyEncoding !== 'json') return '';
+  const body = outcome.responseSchema
+    ? sampleFromSchema(outcome.responseSchema, { seed: outcome.seed })
+    : outcome.response;
+  return JSON.stringify(body === undefined ? null : body, null, 2);
+};
+
+const buildExample = (name, outcome, request) => {
+  const contentType = bodyContentType(outcome);
+  return {
+    name,
+    originalRequest: request,
+    status: STATUS_CODES[outcome.statusCode] || 'Unknown',
+    code: Number(outcome.statusCode) || 200,
+    _postman_previewlanguage: previewLanguage(contentType),
+    header: [
+      { key: 'Content-Type', value: contentType },
+      ...Object.entries(outcome.headers || {}).map(([key, value]) => ({ key, value: String(value) }))
+    ],
+    body: exampleBody(outcome)
+  };
+};
+
+// Builds a Postman Collection v2.1 from mocks. Tags become nested folders.
+const exportCollection = (mocks, { name = 'Mock Server', baseUrl = '' } = {}) => {
+  const root = { item: [] };
+
+  const folderFor = (tags) => tags.reduce((parent, tag) => {
+    let folder = parent.item.find(item => Array.isArray(item.item) && item.name === tag);
+    if (!folder) {
+      folder = { name: tag, item: [] };
+      parent.item.push(folder);
+    }
+    return folder;
+  }, root);
+
+  mocks.forEach(mock => {
+    const request = buildRequest(mock);
+    const examples = [
+      buildExample('Default response', mock, request),
+      ...(mock.scenarios || []).map(scenario => buildExample(scenario.name, scenario, request))
+    ];
+    folderFor(Array.isArray(mock.tags) ? mock.tags : []).item.push({
+      name: mock.id,
+      request,
+      response: examples
+    });
+  });
+
+  return {
+    info: {
+      _postman_id: uuidv4(),
+      name,
+      schema: COLLECTION_SCHEMA
+    },
+    item: root.item,
+    variable: [{ key: 'baseUrl', value: baseUrl }]
+  };
+};
+
+module.exports = {
+  EXAMPLE_HEADER,
+  isPostmanCollection,
+  importCollection,
+  exportCollection
+};
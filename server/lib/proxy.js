@@ -0,0 +1,305 @@
+// Forwarding to upstream services, used by record / playback / passthrough
+// proxy mocks.
+//
+// A proxy mock has a `proxy` config: { originalUrl, mode, redact, replayTiming }.
+//   record       forward to the upstream, answer with its response and store
+//                that response as a scenario of the mock
+//   playback     answer from the recorded scenarios only (no upstream calls)
+//   passthrough  forward and stream the upstream response, record nothing
+//
+// Requests that match no mock can also fall back to a workspace or server
+// upstream; those responses are marked with "X-Mock-Proxy: fallback".
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+const { describePath } = require('./pathMatcher');
+const { SENSITIVE_HEADERS } = require('./har');
+
+const PROXY_MODES = ['record', 'playback', 'passthrough'];
+
+// Response header telling the caller how a proxy mock produced the response
+const PROXY_HEADER = 'X-Mock-Proxy';
+
+const REDACTED = '[REDACTED]';
+const UPSTREAM_TIMEOUT = 30000;
+const MAX_RECORDING_NAME = 150;
+
+// Headers that only concern a single connection and must not be forwarded
+const HOP_BY_HOP_HEADERS = [
+  'connection', 'keep-alive', 'proxy-authenticate', 'proxy-connection',
+  'te', 'trailer', 'transfer-encoding', 'upgrade', 'host'
+];
+
+// Headers describing the recorded transfer; the mock server sets its own
+const UNRECORDED_HEADERS = HOP_BY_HOP_HEADERS.concat(['content-length', 'content-encoding', 'date']);
+
+const TEXT_CONTENT_TYPE = /json|^text\/|xml|javascript|x-www-form-urlencoded|graphql|yaml/i;
+
+const isHttpUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+// Returns an error message if the proxy settings are invalid
+const validateProxyConfig = ({ originalUrl, mode, redact }) => {
+  if (originalUrl !== undefined && !isHttpUrl(originalUrl)) {
+    return 'originalUrl must be an absolute http(s) URL';
+  }
+  if (mode !== undefined && !PROXY_MODES.includes(mode)) {
+    return `mode must be one of ${PROXY_MODES.join(', ')}`;
+  }
+  if (redact !== undefined) {
+    if (!redact || typeof redact !== 'object' || Array.isArray(redact)) {
+      return 'redact must be an object with headers, queryParams and bodyFields lists';
+    }
+    const invalid = ['headers', 'queryParams', 'bodyFields'].find(key =>
+      redact[key] !== undefined && (!Array.isArray(redact[key]) || redact[key].some(item => typeof item !== 'string')));
+    if (invalid) {
+      return `redact.${invalid} must be a list of names`;
+    }
+  }
+  return null;
+};
+
+// Fills in defaults. Sensitive headers (Authorization, Cookie, ...) are always redacted.
+const normalizeProxyConfig = ({ originalUrl, mode = 'record', redact = {}, replayTiming = false }) => ({
+  originalUrl,
+  mode,
+  replayTiming: Boolean(replayTiming),
+  redact: {
+    headers: Array.from(new Set(SENSITIVE_HEADERS.concat((redact.headers || []).map(name => name.toLowerCase())))),
+    queryParams: redact.queryParams || [],
+    bodyFields: redact.bodyFields || []
+  }
+});
+
+// Builds the upstream URL for a request. ":name" tokens in originalUrl are
+// replaced with path params; a wildcard remainder not used that way is
+// appended, and the request's query string is passed on.
+const buildUpstreamUrl = (originalUrl, template, params, requestUrl) => {
+  const used = new Set();
+  let target = originalUrl.replace(/:([A-Za-z_]\w*)/g, (token, name) => {
+    if (params[name] === undefined) return token;
+    used.add(name);
+    return encodeURIComponent(params[name]);
+  });
+
+  const wildcard = describePath(template).find(segment => segment.type === 'wildcard');
+  if (wildcard && params[wildcard.name] && !used.has(wildcard.name)) {
+    const [base, search] = target.split('?');
+    const rest = params[wildcard.name].split('/').map(encodeURIComponent).join('/');
+    target = `${base.replace(/\/+$/, '')}/${rest}${search !== undefined ? `?${search}` : ''}`;
+  }
+
+  const queryIndex = requestUrl.indexOf('?');
+  if (queryIndex !== -1) {
+    target += (target.includes('?') ? '&' : '?') + requestUrl.slice(queryIndex + 1);
+  }
+  return target;
+};
+
+// Appends the request path and query string to a fallback base URL
+// ("https://api.example.com/v1" + "/users/1?page=2")
+const buildFallbackUrl = (baseUrl, requestPath, requestUrl) => {
+  const queryIndex = requestUrl.indexOf('?');
+  const search = queryIndex !== -1 ? requestUrl.slice(queryIndex) : '';
+  return `${baseUrl.replace(/\/+$/, '')}${requestPath}${search}`;
+};
+
+/**
+ * Sends the incoming request to `targetUrl` with its method, headers and body.
+ * Resolves with the upstream response stream (not yet consumed).
+ * @param {object} req - Express request; req.rawBody holds bodies already parsed by Express.
+ * @param {string} targetUrl - Absolute upstream URL.
+ * @param {object} options - acceptIdentity asks the upstream for an uncompressed body.
+ */
+const forwardRequest = (req, targetUrl, { acceptIdentity = false } = {}) => new Promise((resolve, reject) => {
+  const target = new URL(targetUrl);
+  const headers = {};
+  Object.entries(req.headers).forEach(([name, value]) => {
+    if (HOP_BY_HOP_HEADERS.includes(name) || name.startsWith('x-mock-')) return;
+    headers[name] = value;
+  });
+  if (acceptIdentity) {
+    headers['accept-encoding'] = 'identity';
+  }
+
+  const client = target.protocol === 'https:' ? https : http;
+  const upstreamReq = client.request(target, { method: req.method, headers }, resolve);
+  upstreamReq.setTimeout(UPSTREAM_TIMEOUT, () => {
+    upstreamReq.destroy(new Error(`Upstream did not respond within ${UPSTREAM_TIMEOUT}ms`));
+  });
+  upstreamReq.on('error', reject);
+
+  if (req.rawBody) {
+    upstreamReq.end(req.rawBody);
+  } else if (req._body || req.readableEnded) {
+    upstreamReq.end();
+  } else {
+    // Bodies Express did not parse (uploads, binary data) are streamed as-is
+    req.pipe(upstreamReq);
+  }
+});
+
+// Copies upstream status and headers onto the response; the mock server's
+// own CORS headers are kept
+const copyResponseHead = (upstreamRes, res, skippedHeaders) => {
+  res.status(upstreamRes.statusCode);
+  Object.entries(upstreamRes.headers).forEach(([name, value]) => {
+    if (skippedHeaders.includes(name)) return;
+    if (name.startsWith('access-control-') && res.getHeader(name) !== undefined) return;
+    res.setHeader(name, value);
+  });
+};
+
+// Streams an upstream response to the client unchanged. A failure on either
+// side tears down the other.
+const pipeResponse = (upstreamRes, res, mode) => {
+  copyResponseHead(upstreamRes, res, HOP_BY_HOP_HEADERS);
+  res.setHeader(PROXY_HEADER, mode);
+  upstreamRes.on('error', error => res.destroy(error));
+  res.on('close', () => upstreamRes.destroy());
+  upstreamRes.pipe(res);
+};
+
+// Reads an upstream response body into a Buffer, decompressing it if needed
+const readBody = (upstreamRes) => new Promise((resolve, reject) => {
+  const chunks = [];
+  upstreamRes.on('data', chunk => chunks.push(chunk));
+  upstreamRes.on('error', reject);
+  upstreamRes.on('end', () => {
+    const body = Buffer.concat(chunks);
+    try {
+      switch (String(upstreamRes.headers['content-encoding'] || '').toLowerCase()) {
+        case 'gzip':
+          return resolve(zlib.gunzipSync(body));
+        case 'deflate':
+          return resolve(zlib.inflateSync(body));
+        case 'br':
+          return resolve(zlib.brotliDecompressSync(body));
+        default:
+          return resolve(body);
+      }
+    } catch (error) {
+      reject(error);
+    }
+  });
+});
+
+// Sends a buffered (already decompressed) upstream response
+const sendBufferedResponse = (upstreamRes, body, res, mode) => {
+  copyResponseHead(upstreamRes, res, UNRECORDED_HEADERS);
+  res.setHeader(PROXY_HEADER, mode);
+  res.end(body);
+};
+
+// Replaces the values of the listed keys anywhere in a JSON value
+const redactFields = (value, fields) => {
+  if (fields.length === 0 || !value || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(item => redactFields(item, fields));
+
+  const redacted = {};
+  Object.entries(value).forEach(([key, item]) => {
+    redacted[key] = fields.includes(key.toLowerCase()) ? REDACTED : redactFields(item, fields);
+  });
+  return redacted;
+};
+
+// Turns an upstream body into a stored response: parsed JSON, text, or
+// undefined for binary content (which is not recorded)
+const toRecordedBody = (body, contentType) => {
+  if (body.length === 0) return null;
+  if (contentType && !TEXT_CONTENT_TYPE.test(contentType)) return undefined;
+
+  const text = body.toString('utf8');
+  if (/json/i.test(contentType || '')) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  }
+  return text;
+};
+
+// Readable, unique-per-request scenario name (printable ASCII only)
+const recordingName = (method, requestPath, query, redactedParams) => {
+  const search = Object.entries(query)
+    .map(([key, value]) => `${key}=${redactedParams.includes(key) ? REDACTED : value}`)
+    .join('&');
+  const name = `${method} ${requestPath}${search ? `?${search}` : ''}`.replace(/[^\x20-\x7E]/g, '?');
+  return name.length > MAX_RECORDING_NAME ? `${name.slice(0, MAX_RECORDING_NAME - 3)}...` : name;
+};
+
+/**
+ * Builds the scenario that replays one upstream response. The matcher keys
+ * on method, path params and query; redacted query params only need to be
+ * present. Returns null for binary responses.
+ */
+const buildRecordedScenario = ({ proxy, method, requestPath, params, query, upstreamRes, body, durationMs }) => {
+  const response = toRecordedBody(body, upstreamRes.headers['content-type']);
+  if (response === undefined) return null;
+
+  const headers = {};
+  Object.entries(upstreamRes.headers).forEach(([name, value]) => {
+    if (UNRECORDED_HEADERS.includes(name)) return;
+    headers[name] = proxy.redact.headers.includes(name) ? REDACTED : (Array.isArray(value) ? value.join(', ') : value);
+  });
+
+  const match = {
+    and: [
+      { source: 'method', equals: method },
+      ...Object.entries(params).map(([field, value]) => ({ source: 'path', field, equals: value })),
+      ...Object.entries(query).map(([field, value]) => (
+        proxy.redact.queryParams.includes(field)
+          ? { source: 'query', field, exists: true }
+          : { source: 'query', field, equals: value }
+      ))
+    ]
+  };
+
+  return {
+    name: recordingName(method, requestPath, query, proxy.redact.queryParams),
+    match,
+    statusCode: upstreamRes.statusCode,
+    delay: proxy.replayTiming ? durationMs : 0,
+    headers,
+    response: redactFields(response, proxy.redact.bodyFields.map(field => field.toLowerCase())),
+    recordedAt: new Date().toISOString()
+  };
+};
+
+// Adds or replaces a recording. Hand-written scenarios stay first; recordings
+// with more conditions are tried before less specific ones.
+const upsertRecording = (scenarios, recording) => {
+  const others = (scenarios || []).filter(scenario => scenario.name !== recording.name);
+  const manual = others.filter(scenario => !scenario.recordedAt);
+  const conditionCount = (scenario) => (scenario.match.and ? scenario.match.and.length : 1);
+  const recorded = others
+    .filter(scenario => scenario.recordedAt)
+    .concat(recording)
+    .sort((a, b) => conditionCount(b) - conditionCount(a));
+  return manual.concat(recorded);
+};
+
+module.exports = {
+  PROXY_MODES,
+  PROXY_HEADER,
+  REDACTED,
+  TEXT_CONTENT_TYPE,
+  isHttpUrl,
+  validateProxyConfig,
+  normalizeProxyConfig,
+  buildUpstreamUrl,
+  buildFallbackUrl,
+  forwardRequest,
+  pipeResponse,
+  readBody,
+  sendBufferedResponse,
+  buildRecordedScenario,
+  upsertRecording
+};
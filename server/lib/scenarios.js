@@ -0,0 +1,134 @@
+// Conditional scenarios: alternative responses for a mock that are picked
+// when their matcher (see ./matchers) accepts the incoming request. Scenarios
+// are evaluated in order and the first match wins; without a match the mock's
+// default response is used. Mocks on a state machine (see ./stateMachines)
+// can also require a state and move the machine on, and any scenario can
+// answer with a response sequence (see ./sequences), a body generated from a
+// JSON Schema (see ./schemaSample), a non-JSON body (see ./bodies) or a fault
+// (see ./faults), with their own latency profile and bandwidth (see ./latency).
+const { evaluateMatcher, validateMatcher } = require('./matchers');
+const { isStateName } = require('./stateMachines');
+const { validateSequence, normalizeSequence } = require('./sequences');
+const { validateFault, normalizeFault } = require('./faults');
+const { validateDelay, normalizeDelay, validateBandwidth } = require('./latency');
+const { validateTemplate } = require('./templates');
+const { validateSchema, validateSeed } = require('./schemaSample');
+const { validateBody, normalizeBody } = require('./bodies');
+
+// Header that tells the caller which branch produced the response
+const SCENARIO_HEADER = 'X-Mock-Scenario';
+const DEFAULT_SCENARIO_NAME = 'default';
+
+const PRINTABLE_ASCII = /^[\x20-\x7E]+$/;
+
+// Returns the first scenario whose matcher accepts the request and whose
+// required state (if any) is the machine's current state, or null.
+// `matchRequest` is built with buildMatchRequest from ./matchers.
+const findMatchingScenario = (scenarios, matchRequest, currentState) => {
+  if (!Array.isArray(scenarios)) return null;
+  return scenarios.find(scenario =>
+    (scenario.requiredState === undefined || scenario.requiredState === currentState) &&
+    (scenario.match === undefined || evaluateMatcher(scenario.match, matchRequest))
+  ) || null;
+};
+
+// Validates a scenarios array from a create/update request. `stateful` tells
+// whether the mock is on a state machine, which state fields require.
+// Returns a list of human-readable errors (empty when valid).
+const validateScenarios = (scenarios, { stateful = false } = {}) => {
+  if (scenarios === undefined) return [];
+  if (!Array.isArray(scenarios)) return ['scenarios must be an array'];
+
+  const errors = [];
+  const names = new Set();
+
+  scenarios.forEach((scenario, index) => {
+    const label = `scenarios[${index}]`;
+    if (!scenario || typeof scenario !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    const usesState = scenario.requiredState !== undefined || scenario.nextState !== undefined;
+    if (scenario.condition !== undefined) {
+      errors.push(`${label}.condition (JavaScript expression) is no longer supported; describe it with a declarative "match" instead`);
+    } else if (scenario.match === undefined) {
+      // A state-only scenario applies to every request while its state holds
+      if (!usesState) errors.push(`${label}.match is required (or requiredState / nextState)`);
+    } else {
+      errors.push(...validateMatcher(scenario.match, `${label}.match`));
+    }
+    ['requiredState', 'nextState'].forEach(key => {
+      if (scenario[key] !== undefined && !isStateName(scenario[key])) {
+        errors.push(`${label}.${key} must be printable ASCII text of at most 64 characters`);
+      }
+    });
+    if (usesState && !stateful) {
+      errors.push(`${label} uses requiredState / nextState, but the endpoint has no stateMachine`);
+    }
+    if (scenario.sequence !== undefined) {
+      errors.push(...validateSequence(scenario.sequence, `${label}.sequence`));
+    } else if (scenario.responseSchema !== undefined) {
+      errors.push(...validateSchema(scenario.responseSchema, `${label}.responseSchema`));
+    } else if (scenario.response === undefined) {
+      errors.push(`${label}.response is required (or a responseSchema or sequence)`);
+    } else if (!scenario.recordedAt) {
+      errors.push(...validateTemplate(scenario.response, `${label}.response`));
+    }
+    const seedError = validateSeed(scenario.seed, `${label}.seed`);
+    if (seedError) errors.push(seedError);
+    errors.push(...validateBody(scenario, label));
+    errors.push(...validateFault(scenario.fault, `${label}.fault`));
+    errors.push(...validateDelay(scenario.delay, `${label}.delay`));
+    const bandwidthError = validateBandwidth(scenario.bandwidth, `${label}.bandwidth`);
+    if (bandwidthError) errors.push(bandwidthError);
+    if (scenario.statusCode !== undefined) {
+      const statusCode = Number(scenario.statusCode);
+      if (!Number.isInteger(statusCode) || statusCode < 100 || statusCode > 599) {
+        errors.push(`${label}.statusCode must be between 100 and 599`);
+      }
+    }
+    if (scenario.name !== undefined) {
+      if (typeof scenario.name !== 'string' || !PRINTABLE_ASCII.test(scenario.name)) {
+        errors.push(`${label}.name must be printable ASCII text (it is sent in the ${SCENARIO_HEADER} header)`);
+      } else if (names.has(scenario.name)) {
+        errors.push(`${label}.name "${scenario.name}" is used by another scenario`);
+      } else if (scenario.name === DEFAULT_SCENARIO_NAME) {
+        errors.push(`${label}.name "${DEFAULT_SCENARIO_NAME}" is reserved for the default response`);
+      }
+      names.add(scenario.name);
+    }
+  });
+
+  return errors;
+};
+
+// Fills in defaults so stored scenarios always have a name, status and delay.
+// `recordedAt` marks scenarios captured by a recording proxy.
+const normalizeScenarios = (scenarios, defaults = {}) => (scenarios || []).map((scenario, index) => {
+  const statusCode = Number(scenario.statusCode) || defaults.statusCode || 200;
+  return {
+    name: scenario.name || `Scenario ${index + 1}`,
+    match: scenario.match,
+    statusCode,
+    delay: normalizeDelay(scenario.delay),
+    headers: scenario.headers || {},
+    response: scenario.response,
+    ...(scenario.responseSchema ? { responseSchema: scenario.responseSchema } : {}),
+    ...(scenario.seed !== undefined && scenario.seed !== null ? { seed: scenario.seed } : {}),
+    ...normalizeBody(scenario),
+    ...(scenario.sequence ? { sequence: normalizeSequence(scenario.sequence, { statusCode }) } : {}),
+    ...(scenario.fault ? { fault: normalizeFault(scenario.fault) } : {}),
+    ...(scenario.bandwidth ? { bandwidth: scenario.bandwidth } : {}),
+    ...(scenario.requiredState !== undefined ? { requiredState: scenario.requiredState } : {}),
+    ...(scenario.nextState !== undefined ? { nextState: scenario.nextState } : {}),
+    ...(scenario.recordedAt ? { recordedAt: scenario.recordedAt } : {})
+  };
+});
+
+module.exports = {
+  SCENARIO_HEADER,
+  DEFAULT_SCENARIO_NAME,
+  findMatchingScenario,
+  validateScenarios,
+  normalizeScenarios
+};
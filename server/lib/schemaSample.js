@@ -0,0 +1,452 @@
+// Builds sample values from a JSON Schema (as used by OpenAPI / Swagger and by
+// mocks that describe their response with a `responseSchema`).
+// Explicit examples, consts and defaults win; otherwise realistic fake data is
+// generated: formats (email, uuid, date-time, ...), enums, numeric ranges,
+// string lengths and array sizes are honoured, and well-known property names
+// (firstName, city, price, ...) get matching values. With a `seed` the output
+// is the same on every run. Local $refs ("#/definitions/User") are resolved
+// against the root schema. Strings that do not match their `pattern` are
+// generated from it instead (see ./patternSample); patterns using unsupported
+// regex syntax are not honoured.
+const { sampleFromPattern, matchesPattern } = require('./patternSample');
+const { validateValue } = require('./schemaValidation');
+
+const MAX_DEPTH = 8;
+const DEFAULT_MAX_ITEMS = 3;
+const DEFAULT_MAX_NUMBER = 1000;
+// Candidates generated for oneOf alternatives and `not` before giving up
+const MAX_ATTEMPTS = 10;
+
+const TYPES = ['object', 'array', 'string', 'integer', 'number', 'boolean', 'null'];
+
+const FIRST_NAMES = ['Ada', 'Alan', 'Grace', 'Linus', 'Margaret', 'Dennis', 'Barbara', 'Ken', 'Frances', 'Edsger', 'Radia', 'Tim'];
+const LAST_NAMES = ['Lovelace', 'Turing', 'Hopper', 'Torvalds', 'Hamilton', 'Ritchie', 'Liskov', 'Thompson', 'Allen', 'Dijkstra', 'Perlman', 'Berners-Lee'];
+const CITIES = ['Oslo', 'Lisbon', 'Toronto', 'Osaka', 'Nairobi', 'Melbourne', 'Austin', 'Berlin', 'Bogotá', 'Dublin'];
+const COUNTRIES = ['Norway', 'Portugal', 'Canada', 'Japan', 'Kenya', 'Australia', 'United States', 'Germany', 'Colombia', 'Ireland'];
+const STREETS = ['Main St', 'Oak Avenue', 'Harbour Road', 'Elm Street', 'Station Lane', 'Park Drive', 'Mill Road'];
+const COMPANIES = ['Acme Corp', 'Globex', 'Initech', 'Umbrella Labs', 'Stark Industries', 'Hooli', 'Wayne Enterprises'];
+const WORDS = ['lorem', 'ipsum', 'dolor', 'sit', 'amet', 'consectetur', 'adipiscing', 'elit', 'sed', 'tempor', 'magna', 'aliqua'];
+const LETTERS = 'abcdefghijklmnopqrstuvwxyz';
+
+// Generated dates fall between 2020-01-01 and 2025-12-31
+const DATE_RANGE = [Date.UTC(2020, 0, 1), Date.UTC(2025, 11, 31)];
+
+// Seeded pseudo-random numbers in [0, 1) (mulberry32). String seeds are hashed.
+const createRandom = (seed) => {
+  if (seed === undefined || seed === null) return Math.random;
+  let state = typeof seed === 'number'
+    ? seed >>> 0
+    : String(seed).split('').reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619) >>> 0, 2166136261);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const pick = (random, list) => list[Math.floor(random() * list.length)];
+const randomInt = (random, min, max) => min + Math.floor(random() * (max - min + 1));
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const randomHex = (random, length) => Array.from({ length }, () => Math.floor(random() * 16).toString(16)).join('');
+
+const randomUuid = (random) => [
+  randomHex(random, 8),
+  randomHex(random, 4),
+  `4${randomHex(random, 3)}`,
+  `${pick(random, ['8', '9', 'a', 'b'])}${randomHex(random, 3)}`,
+  randomHex(random, 12)
+].join('-');
+
+const randomDate = (random) => new Date(DATE_RANGE[0] + Math.floor(random() * (DATE_RANGE[1] - DATE_RANGE[0])));
+
+const sentence = (random, words) => {
+  const text = Array.from({ length: words }, () => pick(random, WORDS)).join(' ');
+  return `${text[0].toUpperCase()}${text.slice(1)}.`;
+};
+
+const STRING_FORMATS = {
+  'date-time': random => randomDate(random).toISOString().replace(/\.\d{3}Z$/, 'Z'),
+  date: random => randomDate(random).toISOString().slice(0, 10),
+  time: random => `${pad(randomInt(random, 0, 23))}:${pad(randomInt(random, 0, 59))}:${pad(randomInt(random, 0, 59))}`,
+  email: random => `${pick(random, FIRST_NAMES).toLowerCase()}.${pick(random, LAST_NAMES).toLowerCase()}@example.com`,
+  uuid: randomUuid,
+  uri: random => `https://example.com/${pick(random, WORDS)}/${randomInt(random, 1, 999)}`,
+  url: random => `https://example.com/${pick(random, WORDS)}/${randomInt(random, 1, 999)}`,
+  hostname: random => `${pick(random, WORDS)}.example.com`,
+  ipv4: random => Array.from({ length: 4 }, () => randomInt(random, 1, 254)).join('.'),
+  ipv6: random => Array.from({ length: 8 }, () => randomHex(random, 4)).join(':'),
+  byte: random => Buffer.from(pick(random, WORDS)).toString('base64'),
+  binary: () => '',
+  password: random => randomHex(random, 16)
+};
+
+// Values for well-known property names, keyed by the lower-cased name
+// without separators
+const NAMED_STRINGS = {
+  firstname: random => pick(random, FIRST_NAMES),
+  givenname: random => pick(random, FIRST_NAMES),
+  lastname: random => pick(random, LAST_NAMES),
+  surname: random => pick(random, LAST_NAMES),
+  familyname: random => pick(random, LAST_NAMES),
+  name: random => `${pick(random, FIRST_NAMES)} ${pick(random, LAST_NAMES)}`,
+  fullname: random => `${pick(random, FIRST_NAMES)} ${pick(random, LAST_NAMES)}`,
+  username: random => `${pick(random, FIRST_NAMES).toLowerCase()}${randomInt(random, 1, 99)}`,
+  email: STRING_FORMATS.email,
+  phone: random => `+1-555-${randomInt(random, 100, 999)}-${randomInt(random, 1000, 9999)}`,
+  phonenumber: random => `+1-555-${randomInt(random, 100, 999)}-${randomInt(random, 1000, 9999)}`,
+  city: random => pick(random, CITIES),
+  country: random => pick(random, COUNTRIES),
+  street: random => `${randomInt(random, 1, 999)} ${pick(random, STREETS)}`,
+  address: random => `${randomInt(random, 1, 999)} ${pick(random, STREETS)}`,
+  zip: random => pad(randomInt(random, 0, 99999), 5),
+  zipcode: random => pad(randomInt(random, 0, 99999), 5),
+  postalcode: random => pad(randomInt(random, 0, 99999), 5),
+  company: random => pick(random, COMPANIES),
+  organization: random => pick(random, COMPANIES),
+  title: random => sentence(random, 3).slice(0, -1),
+  description: random => sentence(random, 8),
+  summary: random => sentence(random, 6),
+  id: randomUuid,
+  url: STRING_FORMATS.url,
+  website: STRING_FORMATS.url,
+  currency: random => pick(random, ['USD', 'EUR', 'GBP', 'JPY', 'NOK'])
+};
+
+// Ranges for well-known numeric property names
+const NAMED_RANGES = {
+  age: [18, 90],
+  price: [1, 500],
+  amount: [1, 500],
+  total: [1, 2000],
+  quantity: [1, 20],
+  count: [0, 100],
+  rating: [1, 5],
+  year: [2000, 2025]
+};
+
+const propertyKey = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Bounds that allOf members both set combine to the tighter one
+const TIGHTER_BOUND = {
+  minimum: Math.max,
+  maximum: Math.min,
+  minLength: Math.max,
+  maxLength: Math.min,
+  minItems: Math.max,
+  maxItems: Math.min,
+  minProperties: Math.max,
+  maxProperties: Math.min
+};
+
+// Merges allOf members into one schema. A property described by several
+// members has to satisfy all of them.
+const mergeAllOf = (schemas) => schemas.reduce((merged, schema) => {
+  const properties = { ...(merged.properties || {}) };
+  Object.entries(schema.properties || {}).forEach(([property, propertySchema]) => {
+    properties[property] = properties[property] ? { allOf: [properties[property], propertySchema] } : propertySchema;
+  });
+  const bounds = {};
+  Object.entries(TIGHTER_BOUND).forEach(([key, tighter]) => {
+    if (typeof merged[key] === 'number' && typeof schema[key] === 'number') bounds[key] = tighter(merged[key], schema[key]);
+  });
+  const required = [...(merged.required || []), ...(schema.required || [])];
+  return {
+    ...merged,
+    ...schema,
+    ...bounds,
+    ...(Object.keys(properties).length > 0 ? { properties } : {}),
+    ...(required.length > 0 ? { required } : {})
+  };
+}, {});
+
+const inferType = (schema) => {
+  const type = Array.isArray(schema.type)
+    ? schema.type.find(candidate => candidate !== 'null') || 'null'
+    : schema.type;
+  if (type) return type;
+  if (schema.properties || schema.additionalProperties) return 'object';
+  if (schema.items) return 'array';
+  return undefined;
+};
+
+// Looks up a local reference ("#/definitions/User") in the root schema
+const resolveRef = (root, ref) => {
+  if (typeof ref !== 'string' || !ref.startsWith('#')) return undefined;
+  return ref.slice(1).split('/').filter(Boolean)
+    .map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), root);
+};
+
+// Bounds of a numeric schema; draft 4 boolean and later numeric exclusive
+// bounds are both understood
+const numericBounds = (schema, name, isInteger) => {
+  const step = isInteger ? 1 : 0.01;
+  const [namedMin, namedMax] = NAMED_RANGES[propertyKey(name)] || [];
+  let min = schema.minimum;
+  let max = schema.maximum;
+  if (typeof schema.exclusiveMinimum === 'number') min = schema.exclusiveMinimum + step;
+  else if (schema.exclusiveMinimum === true && min !== undefined) min += step;
+  if (typeof schema.exclusiveMaximum === 'number') max = schema.exclusiveMaximum - step;
+  else if (schema.exclusiveMaximum === true && max !== undefined) max -= step;
+
+  if (min === undefined) min = max !== undefined ? Math.min(namedMin !== undefined ? namedMin : 0, max) : (namedMin || 0);
+  if (max === undefined) max = Math.max(namedMax !== undefined ? namedMax : DEFAULT_MAX_NUMBER, min);
+  return { min, max };
+};
+
+const generateNumber = (schema, name, random, isInteger) => {
+  const { min, max } = numericBounds(schema, name, isInteger);
+  if (schema.multipleOf > 0) {
+    const low = Math.ceil(min / schema.multipleOf);
+    const high = Math.floor(max / schema.multipleOf);
+    const multiple = high >= low ? randomInt(random, low, high) : low;
+    return Number((multiple * schema.multipleOf).toFixed(10));
+  }
+  if (isInteger) return randomInt(random, Math.ceil(min), Math.floor(max));
+  return Math.round((min + random() * (max - min)) * 100) / 100;
+};
+
+// Whether a value is valid for a schema; local $refs of the schema itself are
+// resolved, deeper ones are not checked
+const isValid = (schema, value, root) => {
+  const resolved = schema && schema.$ref !== undefined ? resolveRef(root, schema.$ref) : schema;
+  return validateValue(resolved, value, { direction: 'response' }).length === 0;
+};
+
+// An alternative of oneOf / anyOf together with the keywords next to it
+const withSiblings = (siblings, alternative) => (
+  Object.keys(siblings).length > 0 ? { allOf: [siblings, alternative] } : alternative
+);
+
+// Generates from the alternatives in turn, starting at a random one, until a
+// value matches exactly one of them
+const generateOneOf = (schema, context, depth, name) => {
+  const { random, root } = context;
+  const { oneOf: alternatives, ...siblings } = schema;
+  const start = Math.floor(random() * alternatives.length);
+  let fallback;
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt += 1) {
+    const alternative = alternatives[(start + attempt) % alternatives.length];
+    const value = generate(withSiblings(siblings, alternative), context, depth + 1, name);
+    if (attempt === 0) fallback = value;
+    if (alternatives.filter(alternative => isValid(alternative, value, root)).length === 1) return value;
+  }
+  return fallback;
+};
+
+const generateObject = (schema, context, depth, name) => {
+  const { random } = context;
+  const sample = {};
+  const properties = schema.properties || {};
+  const required = schema.required || [];
+  Object.entries(properties).forEach(([property, propertySchema]) => {
+    if (propertySchema && propertySchema.writeOnly) return;
+    sample[property] = generate(propertySchema, context, depth + 1, property);
+  });
+
+  // Required and extra properties (up to minProperties) take the
+  // additionalProperties schema
+  if (schema.additionalProperties !== false) {
+    const additional = schema.additionalProperties && typeof schema.additionalProperties === 'object'
+      ? schema.additionalProperties
+      : { type: 'string' };
+    required.filter(property => !(property in sample) && !properties[property]).forEach(property => {
+      sample[property] = generate(additional, context, depth + 1, property);
+    });
+    // Maps without properties get one entry, as a sample of their values
+    const minProperties = Math.max(schema.minProperties || 0, !schema.properties && typeof schema.additionalProperties === 'object' ? 1 : 0);
+    while (Object.keys(sample).length < minProperties) {
+      const word = pick(random, WORDS);
+      const property = word in sample ? `${word}${Object.keys(sample).length}` : word;
+      sample[property] = generate(additional, context, depth + 1);
+    }
+  }
+
+  // Optional properties are dropped, last first, to respect maxProperties
+  const optional = Object.keys(sample).filter(property => !required.includes(property));
+  while (schema.maxProperties !== undefined && Object.keys(sample).length > schema.maxProperties && optional.length > 0) {
+    delete sample[optional.pop()];
+  }
+  return sample;
+};
+
+const generateString = (schema, name, random) => {
+  const generator = STRING_FORMATS[schema.format] || NAMED_STRINGS[propertyKey(name)];
+  let value = generator ? generator(random) : pick(random, WORDS);
+  const minLength = schema.minLength || 0;
+  while (value.length < minLength) value += pick(random, LETTERS.split(''));
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) value = value.slice(0, schema.maxLength);
+  if (schema.pattern && !matchesPattern(schema.pattern, value)) {
+    const sample = sampleFromPattern(schema.pattern, random, schema);
+    if (sample !== undefined) return sample;
+  }
+  return value;
+};
+
+const generate = (schema, context, depth, name) => {
+  if (!schema || typeof schema !== 'object' || depth > MAX_DEPTH) return null;
+  const { random, root } = context;
+
+  if (schema.$ref !== undefined) {
+    return generate(resolveRef(root, schema.$ref), context, depth + 1, name);
+  }
+  if (schema.example !== undefined) return schema.example;
+  if (Array.isArray(schema.examples) && schema.examples.length > 0) return schema.examples[0];
+  if (schema.const !== undefined) return schema.const;
+  if (schema.default !== undefined) return schema.default;
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) return pick(random, schema.enum);
+
+  // Candidates are generated without `not`, trying each allowed type, until
+  // one does not match it
+  if (schema.not && typeof schema.not === 'object') {
+    const { not: excluded, ...rest } = schema;
+    let value;
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt += 1) {
+      const candidate = Array.isArray(rest.type) ? { ...rest, type: rest.type[attempt % rest.type.length] } : rest;
+      value = generate(candidate, context, depth + 1, name);
+      if (!isValid(excluded, value, root)) return value;
+    }
+    return value;
+  }
+  if (Array.isArray(schema.allOf)) {
+    const { allOf, ...rest } = schema;
+    const members = allOf.map(member => (member && member.$ref !== undefined ? resolveRef(root, member.$ref) || {} : member));
+    return generate(mergeAllOf([...members, rest]), context, depth + 1, name);
+  }
+  if (Array.isArray(schema.oneOf) && schema.oneOf.length > 0) {
+    return generateOneOf(schema, context, depth, name);
+  }
+  if (Array.isArray(schema.anyOf) && schema.anyOf.length > 0) {
+    const { anyOf, ...siblings } = schema;
+    return generate(withSiblings(siblings, pick(random, anyOf)), context, depth + 1, name);
+  }
+
+  switch (inferType(schema)) {
+    case 'object':
+      return generateObject(schema, context, depth, name);
+    case 'array': {
+      if (!schema.items) return [];
+      const minItems = schema.minItems || 0;
+      const maxItems = schema.maxItems !== undefined ? schema.maxItems : Math.max(minItems, DEFAULT_MAX_ITEMS);
+      const length = randomInt(random, Math.max(minItems, Math.min(1, maxItems)), maxItems);
+      const items = [];
+      const seen = new Set();
+      // Unique items are retried a few times before giving up on uniqueness
+      for (let attempt = 0; items.length < length && attempt < length * 10; attempt += 1) {
+        const item = generate(schema.items, context, depth + 1, name);
+        const key = JSON.stringify(item);
+        if (!schema.uniqueItems || !seen.has(key)) {
+          seen.add(key);
+          items.push(item);
+        }
+      }
+      return items;
+    }
+    case 'string':
+      return generateString(schema, name, random);
+    case 'integer':
+      return generateNumber(schema, name, random, true);
+    case 'number':
+      return generateNumber(schema, name, random, false);
+    case 'boolean':
+      return random() < 0.5;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Generates a value matching a JSON Schema.
+ * @param {object} schema - The schema; local $refs are resolved against it.
+ * @param {object} [options]
+ * @param {number|string} [options.seed] - Makes the output deterministic.
+ * @param {string} [options.name] - Property name the value is for, used to
+ *   pick realistic values (e.g. "email", "city").
+ */
+const sampleFromSchema = (schema, { seed, name } = {}) =>
+  generate(schema, { random: createRandom(seed), root: schema }, 0, name);
+
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+// Returns a list of errors for a response schema (empty when valid)
+const validateSchema = (schema, label = 'responseSchema', root = schema, depth = 0) => {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return [`${label} must be a JSON Schema object`];
+  }
+  if (depth > MAX_DEPTH * 4) return [];
+
+  const errors = [];
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  if (schema.type !== undefined && !types.every(type => TYPES.includes(type))) {
+    errors.push(`${label}.type must be one of ${TYPES.join(', ')}`);
+  }
+  if (schema.$ref !== undefined && resolveRef(root, schema.$ref) === undefined) {
+    errors.push(`${label}.$ref "${schema.$ref}" must point into the schema itself (e.g. #/definitions/User)`);
+  }
+  if (schema.enum !== undefined && (!Array.isArray(schema.enum) || schema.enum.length === 0)) {
+    errors.push(`${label}.enum must be a non-empty list`);
+  }
+  ['minimum', 'maximum', 'multipleOf'].forEach(key => {
+    if (schema[key] !== undefined && typeof schema[key] !== 'number') {
+      errors.push(`${label}.${key} must be a number`);
+    }
+  });
+  if (typeof schema.minimum === 'number' && typeof schema.maximum === 'number' && schema.minimum > schema.maximum) {
+    errors.push(`${label}.minimum must not be greater than ${label}.maximum`);
+  }
+  ['minLength', 'maxLength', 'minItems', 'maxItems'].forEach(key => {
+    if (schema[key] !== undefined && !isCount(schema[key])) {
+      errors.push(`${label}.${key} must be a non-negative integer`);
+    }
+  });
+  if (isCount(schema.minLength) && isCount(schema.maxLength) && schema.minLength > schema.maxLength) {
+    errors.push(`${label}.minLength must not be greater than ${label}.maxLength`);
+  }
+  if (isCount(schema.minItems) && isCount(schema.maxItems) && schema.minItems > schema.maxItems) {
+    errors.push(`${label}.minItems must not be greater than ${label}.maxItems`);
+  }
+
+  if (schema.properties !== undefined) {
+    if (!schema.properties || typeof schema.properties !== 'object' || Array.isArray(schema.properties)) {
+      errors.push(`${label}.properties must be an object`);
+    } else {
+      Object.entries(schema.properties).forEach(([property, propertySchema]) => {
+        errors.push(...validateSchema(propertySchema, `${label}.properties.${property}`, root, depth + 1));
+      });
+    }
+  }
+  if (schema.items !== undefined) {
+    errors.push(...validateSchema(schema.items, `${label}.items`, root, depth + 1));
+  }
+  if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    errors.push(...validateSchema(schema.additionalProperties, `${label}.additionalProperties`, root, depth + 1));
+  }
+  ['allOf', 'oneOf', 'anyOf'].forEach(key => {
+    if (schema[key] === undefined) return;
+    if (!Array.isArray(schema[key]) || schema[key].length === 0) {
+      errors.push(`${label}.${key} must be a non-empty list of schemas`);
+    } else {
+      schema[key].forEach((member, index) => {
+        errors.push(...validateSchema(member, `${label}.${key}[${index}]`, root, depth + 1));
+      });
+    }
+  });
+  return errors;
+};
+
+// Returns an error message if a seed is invalid
+const validateSeed = (seed, label = 'seed') => {
+  if (seed === undefined || seed === null) return null;
+  return Number.isInteger(seed) || (typeof seed === 'string' && seed.length > 0)
+    ? null
+    : `${label} must be an integer or a non-empty string`;
+};
+
+module.exports = {
+  sampleFromSchema,
+  validateSchema,
+  validateSeed
+};
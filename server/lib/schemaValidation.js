@@ -0,0 +1,151 @@
+// Validates values against a JSON Schema as used by OpenAPI 3 / Swagger 2:
+// types (with nullable), enum, const, string lengths, patterns and formats,
+// numeric bounds, array and object keywords, allOf / anyOf / oneOf and not.
+// Shared by strict contract mode (./contractValidation), conformance reports
+// (./conformance) and the fake data generator (./schemaSample).
+
+const MAX_DEPTH = 32;
+
+const FORMATS = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  'date-time': /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/,
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  time: /^\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})?$/,
+  uri: /^[a-z][a-z0-9+.-]*:\S+$/i,
+  url: /^[a-z][a-z0-9+.-]*:\S+$/i,
+  ipv4: /^(25[0-5]|2[0-4]\d|1?\d?\d)(\.(25[0-5]|2[0-4]\d|1?\d?\d)){3}$/,
+  hostname: /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/i
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+};
+
+const matchesType = (type, value) => {
+  const actual = typeOf(value);
+  return type === actual || (type === 'number' && actual === 'integer');
+};
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// "/user/email" for the property `email` of `user`
+const childPointer = (pointer, key) => `${pointer}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+
+/**
+ * Validates a value against a JSON Schema ($refs already resolved).
+ * @param {object} [options]
+ * @param {string} [options.direction] - "request" (default) does not require
+ *   readOnly properties, "response" does not require writeOnly ones.
+ * @param {function} [options.skip] - Values it returns true for are not
+ *   checked (e.g. template strings that are only known per request).
+ * Returns a list of { pointer, message } (empty when valid).
+ */
+const validateValue = (schema, value, options = {}, pointer = '', depth = 0) => {
+  if (!schema || typeof schema !== 'object' || depth > MAX_DEPTH) return [];
+  if (options.skip && options.skip(value)) return [];
+  const errors = [];
+  const fail = (message) => errors.push({ pointer, message });
+  const nested = (childSchema, childValue, childPath) => validateValue(childSchema, childValue, options, childPath, depth + 1);
+  const notRequired = options.direction === 'response' ? 'writeOnly' : 'readOnly';
+
+  if (value === null && (schema.nullable || (Array.isArray(schema.type) && schema.type.includes('null')))) {
+    return [];
+  }
+  const types = Array.isArray(schema.type) ? schema.type : schema.type ? [schema.type] : [];
+  if (types.length > 0 && !types.some(type => matchesType(type, value))) {
+    fail(`must be ${types.join(' or ')}, got ${typeOf(value)}`);
+    return errors;
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some(option => isEqual(option, value))) {
+    fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if (schema.const !== undefined && !isEqual(schema.const, value)) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must be at least ${schema.minLength} characters long`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters long`);
+    if (schema.pattern) {
+      try {
+        if (!new RegExp(schema.pattern, 'u').test(value)) fail(`must match the pattern ${schema.pattern}`);
+      } catch (error) {
+        // Patterns JavaScript cannot compile are not enforced
+      }
+    }
+    if (FORMATS[schema.format] && !FORMATS[schema.format].test(value)) fail(`must be a valid ${schema.format}`);
+  }
+
+  if (typeof value === 'number') {
+    const exclusiveMinimum = typeof schema.exclusiveMinimum === 'number'
+      ? schema.exclusiveMinimum
+      : schema.exclusiveMinimum === true ? schema.minimum : undefined;
+    const exclusiveMaximum = typeof schema.exclusiveMaximum === 'number'
+      ? schema.exclusiveMaximum
+      : schema.exclusiveMaximum === true ? schema.maximum : undefined;
+    if (exclusiveMinimum !== undefined && value <= exclusiveMinimum) fail(`must be greater than ${exclusiveMinimum}`);
+    else if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+    if (exclusiveMaximum !== undefined && value >= exclusiveMaximum) fail(`must be less than ${exclusiveMaximum}`);
+    else if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+    if (schema.multipleOf > 0) {
+      const quotient = value / schema.multipleOf;
+      if (Math.abs(quotient - Math.round(quotient)) > 1e-9) fail(`must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      fail('must not contain duplicate items');
+    }
+    if (schema.items && typeof schema.items === 'object') {
+      value.forEach((item, index) => errors.push(...nested(schema.items, item, childPointer(pointer, index))));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined && !(properties[name] && properties[name][notRequired])) {
+        errors.push({ pointer: childPointer(pointer, name), message: 'is required' });
+      }
+    });
+    Object.entries(value).forEach(([name, item]) => {
+      if (properties[name]) {
+        errors.push(...nested(properties[name], item, childPointer(pointer, name)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ pointer: childPointer(pointer, name), message: 'is not allowed' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...nested(schema.additionalProperties, item, childPointer(pointer, name)));
+      }
+    });
+    const count = Object.keys(value).length;
+    if (schema.minProperties !== undefined && count < schema.minProperties) fail(`must have at least ${schema.minProperties} properties`);
+    if (schema.maxProperties !== undefined && count > schema.maxProperties) fail(`must have at most ${schema.maxProperties} properties`);
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    schema.allOf.forEach(member => errors.push(...nested(member, value, pointer)));
+  }
+  if (Array.isArray(schema.anyOf) && !schema.anyOf.some(member => nested(member, value, pointer).length === 0)) {
+    fail('must match at least one of the allowed schemas (anyOf)');
+  }
+  if (Array.isArray(schema.oneOf)) {
+    const matching = schema.oneOf.filter(member => nested(member, value, pointer).length === 0).length;
+    if (matching !== 1) fail(`must match exactly one of the allowed schemas (oneOf), matched ${matching}`);
+  }
+  if (schema.not && nested(schema.not, value, pointer).length === 0) {
+    fail('must not match the excluded schema (not)');
+  }
+  return errors;
+};
+
+module.exports = {
+  validateValue
+};
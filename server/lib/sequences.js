@@ -0,0 +1,195 @@
+// Response sequences: an endpoint or scenario can answer successive calls
+// with different responses, e.g. to exercise client retry logic:
+//   "sequence": {
+//     "responses": [
+//       { "statusCode": 503, "response": { "error": "Try again" } },
+//       { "statusCode": 200, "response": { "ok": true } }
+//     ],
+//     "onExhausted": "stick"
+//   }
+// Once every response was used, onExhausted decides what happens next:
+//   stick        keep answering with the last response (default)
+//   loop         start over with the first response
+//   fallthrough  ignore the sequence: a scenario lets later scenarios and the
+//                default response match, an endpoint answers with its response
+// Steps can also carry a fault (see ./faults), e.g. a dropped connection first.
+// Call counters are kept in memory per workspace and endpoint and can be reset.
+const { validateFault, normalizeFault } = require('./faults');
+const { validateDelay, normalizeDelay } = require('./latency');
+const { validateTemplate } = require('./templates');
+
+const SEQUENCE_MODES = ['stick', 'loop', 'fallthrough'];
+const DEFAULT_SEQUENCE_MODE = 'stick';
+
+// Header reporting which step of a sequence answered ("2/3")
+const SEQUENCE_HEADER = 'X-Mock-Sequence';
+
+// Returns a list of errors for a sequence setting (empty when valid)
+const validateSequence = (sequence, label = 'sequence') => {
+  if (sequence === undefined || sequence === null) return [];
+  if (typeof sequence !== 'object' || Array.isArray(sequence)) {
+    return [`${label} must be an object with a responses list and an optional onExhausted`];
+  }
+  if (!Array.isArray(sequence.responses) || sequence.responses.length === 0) {
+    return [`${label}.responses must be a non-empty list`];
+  }
+
+  const errors = [];
+  sequence.responses.forEach((step, index) => {
+    const stepLabel = `${label}.responses[${index}]`;
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+      errors.push(`${stepLabel} must be an object with a response`);
+      return;
+    }
+    if (step.response === undefined) {
+      errors.push(`${stepLabel}.response is required`);
+    } else {
+      errors.push(...validateTemplate(step.response, `${stepLabel}.response`));
+    }
+    if (step.statusCode !== undefined) {
+      const statusCode = Number(step.statusCode);
+      if (!Number.isInteger(statusCode) || statusCode < 100 || statusCode > 599) {
+        errors.push(`${stepLabel}.statusCode must be between 100 and 599`);
+      }
+    }
+    if (step.headers !== undefined && (!step.headers || typeof step.headers !== 'object' || Array.isArray(step.headers))) {
+      errors.push(`${stepLabel}.headers must be an object`);
+    }
+    errors.push(...validateDelay(step.delay, `${stepLabel}.delay`));
+    errors.push(...validateFault(step.fault, `${stepLabel}.fault`));
+  });
+  if (sequence.onExhausted !== undefined && !SEQUENCE_MODES.includes(sequence.onExhausted)) {
+    errors.push(`${label}.onExhausted must be one of ${SEQUENCE_MODES.join(', ')}`);
+  }
+  return errors;
+};
+
+// Fills in defaults; steps inherit the status code of their endpoint or scenario
+const normalizeSequence = (sequence, defaults = {}) => (sequence
+  ? {
+    responses: sequence.responses.map(step => ({
+      statusCode: Number(step.statusCode) || defaults.statusCode || 200,
+      delay: normalizeDelay(step.delay),
+      headers: step.headers || {},
+      response: step.response,
+      ...(step.fault ? { fault: normalizeFault(step.fault) } : {})
+    })),
+    onExhausted: sequence.onExhausted || DEFAULT_SEQUENCE_MODE
+  }
+  : undefined);
+
+// A fallthrough sequence no longer answers once every step was used
+const isExhausted = (sequence, position) =>
+  Boolean(sequence) && sequence.onExhausted === 'fallthrough' && position >= sequence.responses.length;
+
+/**
+ * Picks the step answering the call at `position` (0-based count of earlier
+ * calls that reached the sequence). Returns { step, index } or null when a
+ * fallthrough sequence is exhausted.
+ */
+const pickStep = (sequence, position) => {
+  const { responses, onExhausted } = sequence;
+  if (position < responses.length) return { step: responses[position], index: position };
+  if (onExhausted === 'loop') {
+    const index = position % responses.length;
+    return { step: responses[index], index };
+  }
+  if (onExhausted === 'fallthrough') return null;
+  return { step: responses[responses.length - 1], index: responses.length - 1 };
+};
+
+/**
+ * Creates the in-memory call counters, keyed by workspace and endpoint. Each
+ * endpoint counts its calls and, per branch (scenario name or "default"),
+ * how far its sequence has advanced.
+ */
+const createCallCounter = () => {
+  const counters = new Map();
+  const key = (workspace, endpointId) => `${workspace}:${endpointId}`;
+  const counter = (workspace, endpointId) => {
+    if (!counters.has(key(workspace, endpointId))) {
+      counters.set(key(workspace, endpointId), { callCount: 0, positions: {}, lastCalledAt: null });
+    }
+    return counters.get(key(workspace, endpointId));
+  };
+
+  return {
+    // Counts a call and returns the endpoint's call count including it
+    record: (workspace, endpointId) => {
+      const entry = counter(workspace, endpointId);
+      entry.callCount += 1;
+      entry.lastCalledAt = new Date().toISOString();
+      return entry.callCount;
+    },
+
+    // How many earlier calls reached a branch's sequence
+    position: (workspace, endpointId, branch) => {
+      const entry = counters.get(key(workspace, endpointId));
+      return entry && entry.positions[branch] ? entry.positions[branch] : 0;
+    },
+
+    // Moves a branch's sequence on and returns the position it was at
+    advance: (workspace, endpointId, branch) => {
+      const entry = counter(workspace, endpointId);
+      const position = entry.positions[branch] || 0;
+      entry.positions[branch] = position + 1;
+      return position;
+    },
+
+    get: (workspace, endpointId) => {
+      const entry = counters.get(key(workspace, endpointId));
+      return entry
+        ? { callCount: entry.callCount, positions: { ...entry.positions }, lastCalledAt: entry.lastCalledAt }
+        : { callCount: 0, positions: {}, lastCalledAt: null };
+    },
+
+    reset: (workspace, endpointId) => {
+      counters.delete(key(workspace, endpointId));
+    },
+
+    // Resets the counters of every endpoint of a workspace
+    resetWorkspace: (workspace) => {
+      Array.from(counters.keys())
+        .filter(counterKey => counterKey.startsWith(`${workspace}:`))
+        .forEach(counterKey => counters.delete(counterKey));
+    }
+  };
+};
+
+/**
+ * Describes an endpoint's call counter: its call count and, for the default
+ * response and every scenario with a sequence, how many calls reached the
+ * sequence and whether it is used up (looping sequences never are).
+ */
+const describeCalls = (mock, counts, defaultName) => {
+  const branches = [{ name: defaultName, sequence: mock.sequence }]
+    .concat((mock.scenarios || []).map(scenario => ({ name: scenario.name, sequence: scenario.sequence })))
+    .filter(branch => branch.sequence);
+
+  return {
+    endpointId: mock.id,
+    callCount: counts.callCount,
+    lastCalledAt: counts.lastCalledAt,
+    sequences: branches.map(({ name, sequence }) => {
+      const calls = counts.positions[name] || 0;
+      return {
+        scenario: name,
+        calls,
+        steps: sequence.responses.length,
+        onExhausted: sequence.onExhausted,
+        exhausted: sequence.onExhausted !== 'loop' && calls >= sequence.responses.length
+      };
+    })
+  };
+};
+
+module.exports = {
+  SEQUENCE_MODES,
+  SEQUENCE_HEADER,
+  validateSequence,
+  normalizeSequence,
+  isExhausted,
+  pickStep,
+  createCallCounter,
+  describeCalls
+};
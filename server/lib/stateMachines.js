@@ -0,0 +1,116 @@
+// Named state machines for stateful scenarios. A mock joins a machine with
+//   "stateMachine": { "name": "order-flow", "initialState": "PENDING" }
+// and its scenarios can then declare
+//   "requiredState": "PENDING"   only match while the machine is in this state
+//   "nextState": "SHIPPED"       move the machine to this state when chosen
+// Several mocks of a workspace share a machine by using the same name. Current
+// states are kept in memory and start from the initial state after a restart.
+
+const DEFAULT_INITIAL_STATE = 'STARTED';
+
+// Header reporting the machine state after the request was handled
+const STATE_HEADER = 'X-Mock-State';
+
+const PRINTABLE_ASCII = /^[\x20-\x7E]+$/;
+const MACHINE_NAME = /^[A-Za-z0-9][\w.-]{0,63}$/;
+
+// States travel in the X-Mock-State header, so they must be printable ASCII
+const isStateName = (value) => typeof value === 'string' && value.length <= 64 && PRINTABLE_ASCII.test(value);
+
+// Returns an error message if a mock's stateMachine setting is invalid
+const validateStateMachine = (stateMachine) => {
+  if (stateMachine === undefined || stateMachine === null) return null;
+  if (typeof stateMachine !== 'object' || Array.isArray(stateMachine)) {
+    return 'stateMachine must be an object with a name and an optional initialState';
+  }
+  if (typeof stateMachine.name !== 'string' || !MACHINE_NAME.test(stateMachine.name)) {
+    return 'stateMachine.name must be 1-64 letters, digits, ".", "-" or "_", starting with a letter or digit';
+  }
+  if (stateMachine.initialState !== undefined && !isStateName(stateMachine.initialState)) {
+    return 'stateMachine.initialState must be printable ASCII text of at most 64 characters';
+  }
+  return null;
+};
+
+const normalizeStateMachine = (stateMachine) => (stateMachine
+  ? { name: stateMachine.name, initialState: stateMachine.initialState || DEFAULT_INITIAL_STATE }
+  : null);
+
+/**
+ * Creates the in-memory store of current states, keyed by workspace and
+ * machine name. Machines start in the initial state passed to `get`.
+ */
+const createStateStore = () => {
+  const states = new Map();
+  const key = (workspace, name) => `${workspace}:${name}`;
+
+  return {
+    get: (workspace, name, initialState) => {
+      const entry = states.get(key(workspace, name));
+      return entry ? entry.state : initialState;
+    },
+
+    set: (workspace, name, state) => {
+      states.set(key(workspace, name), { state, updatedAt: new Date().toISOString() });
+    },
+
+    // When the machine last changed state, or null if it never did
+    updatedAt: (workspace, name) => {
+      const entry = states.get(key(workspace, name));
+      return entry ? entry.updatedAt : null;
+    },
+
+    // Puts a machine back into its initial state
+    reset: (workspace, name) => {
+      states.delete(key(workspace, name));
+    },
+
+    // Resets every machine of a workspace
+    resetWorkspace: (workspace) => {
+      Array.from(states.keys())
+        .filter(stateKey => stateKey.startsWith(`${workspace}:`))
+        .forEach(stateKey => states.delete(stateKey));
+    }
+  };
+};
+
+/**
+ * Describes the machines used by a workspace's mocks: current and initial
+ * state, the endpoints sharing the machine and the states its scenarios
+ * mention.
+ */
+const describeMachines = (mocks, stateStore, workspace) => {
+  const machines = new Map();
+
+  mocks.filter(mock => mock.stateMachine).forEach(mock => {
+    const { name, initialState } = mock.stateMachine;
+    if (!machines.has(name)) {
+      machines.set(name, { name, initialState, endpoints: [], states: new Set([initialState]) });
+    }
+    const machine = machines.get(name);
+    machine.endpoints.push(mock.id);
+    (mock.scenarios || []).forEach(scenario => {
+      if (scenario.requiredState) machine.states.add(scenario.requiredState);
+      if (scenario.nextState) machine.states.add(scenario.nextState);
+    });
+  });
+
+  return Array.from(machines.values()).map(machine => ({
+    name: machine.name,
+    currentState: stateStore.get(workspace, machine.name, machine.initialState),
+    initialState: machine.initialState,
+    states: Array.from(machine.states),
+    endpoints: machine.endpoints,
+    updatedAt: stateStore.updatedAt(workspace, machine.name)
+  }));
+};
+
+module.exports = {
+  DEFAULT_INITIAL_STATE,
+  STATE_HEADER,
+  isStateName,
+  validateStateMachine,
+  normalizeStateMachine,
+  createStateStore,
+  describeMachines
+};
@@ -0,0 +1,27 @@
+const fs = require('fs');
+const path = require('path');
+
+// Writes a file so that readers only ever see the old or the new contents:
+// the data goes to a temporary file in the same directory, is flushed to
+// disk, and is then renamed over the target in one step.
+const writeFileAtomic = (filePath, data) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+
+  const fd = fs.openSync(tempPath, 'w');
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  try {
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+    throw error;
+  }
+};
+
+module.exports = { writeFileAtomic };
@@ -0,0 +1,169 @@
+// Pluggable persistence for mock data. The server talks to Map-like
+// collections; every write goes through the configured driver before the
+// in-memory copy changes, so a failed write never leaves the two out of sync.
+//
+// Drivers (STORAGE_DRIVER): "json" (default), "sqlite" or "memory".
+// STORAGE_PATH overrides the data file location.
+//
+// Mocks and contracts belong to a workspace. They are stored flat under
+// "<workspace>:<id>" keys; storage.workspace(name) returns views that expose
+// one workspace's items under their plain ids.
+const path = require('path');
+const { createMemoryDriver } = require('./memoryDriver');
+const { createJsonFileDriver } = require('./jsonFileDriver');
+const { createSqliteDriver } = require('./sqliteDriver');
+const { CURRENT_SCHEMA_VERSION, migrate } = require('./migrations');
+
+const COLLECTIONS = ['mockEndpoints', 'apiContracts', 'workspaces'];
+const WORKSPACE_COLLECTIONS = ['mockEndpoints', 'apiContracts'];
+const WORKSPACE_SEPARATOR = ':';
+
+const DEFAULT_FILES = {
+  json: 'mock-db.json',
+  sqlite: 'mock-db.sqlite'
+};
+
+const createDriver = ({ driver, filePath, dataDir }) => {
+  const location = filePath || path.join(dataDir, DEFAULT_FILES[driver] || '');
+  switch (driver) {
+    case 'memory':
+      return createMemoryDriver();
+    case 'json':
+      return createJsonFileDriver({ filePath: location });
+    case 'sqlite':
+      return createSqliteDriver({ filePath: location });
+    default:
+      throw new Error(`Unknown storage driver "${driver}". Use json, sqlite or memory.`);
+  }
+};
+
+// Wraps an in-memory Map so that mutations are persisted through the driver.
+// Objects read from a collection must be written back with set() after being
+// modified, otherwise the change only lives in memory.
+const createCollection = (name, driver, items) => {
+  const entries = new Map(Object.entries(items || {}));
+
+  return {
+    get: (id) => entries.get(id),
+    has: (id) => entries.has(id),
+    keys: () => entries.keys(),
+    values: () => entries.values(),
+    entries: () => entries.entries(),
+    forEach: (callback) => entries.forEach(callback),
+    get size() {
+      return entries.size;
+    },
+
+    set(id, value) {
+      driver.put(name, id, value);
+      entries.set(id, value);
+      return this;
+    },
+
+    delete(id) {
+      if (!entries.has(id)) return false;
+      driver.remove(name, id);
+      entries.delete(id);
+      return true;
+    },
+
+    deleteMany(ids) {
+      const existing = ids.filter(id => entries.has(id));
+      if (existing.length === 0) return 0;
+      driver.removeMany(name, existing);
+      existing.forEach(id => entries.delete(id));
+      return existing.length;
+    },
+
+    clear() {
+      driver.clear(name);
+      entries.clear();
+    }
+  };
+};
+
+// A view of one workspace's items inside a flat collection. Offers the same
+// Map-like interface, with keys()/values()/entries() returning arrays.
+const createWorkspaceCollection = (collection, workspace) => {
+  const prefix = `${workspace}${WORKSPACE_SEPARATOR}`;
+  const ownEntries = () => Array.from(collection.entries())
+    .filter(([key]) => key.startsWith(prefix))
+    .map(([key, value]) => [key.slice(prefix.length), value]);
+
+  return {
+    get: (id) => collection.get(prefix + id),
+    has: (id) => collection.has(prefix + id),
+    keys: () => ownEntries().map(([id]) => id),
+    values: () => ownEntries().map(([, value]) => value),
+    entries: () => ownEntries(),
+    forEach: (callback) => ownEntries().forEach(([id, value]) => callback(value, id)),
+    get size() {
+      return ownEntries().length;
+    },
+
+    set(id, value) {
+      collection.set(prefix + id, value);
+      return this;
+    },
+
+    delete: (id) => collection.delete(prefix + id),
+
+    clear: () => collection.deleteMany(ownEntries().map(([id]) => prefix + id))
+  };
+};
+
+// Creates the storage facade. Collections become available once open() resolves.
+const createStorage = ({
+  driver = process.env.STORAGE_DRIVER || 'json',
+  filePath = process.env.STORAGE_PATH,
+  dataDir = path.join(__dirname, '../../data')
+} = {}) => {
+  const storageDriver = createDriver({ driver, filePath, dataDir });
+
+  const storage = {
+    driver: storageDriver.name,
+    location: storageDriver.location,
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    isNew: false,
+
+    // Loads stored data, runs pending migrations and exposes the collections
+    open: async () => {
+      const stored = await storageDriver.load();
+      storage.isNew = stored === null;
+
+      const { snapshot, applied } = stored
+        ? migrate(stored)
+        : { snapshot: { schemaVersion: CURRENT_SCHEMA_VERSION, collections: {} }, applied: [] };
+
+      COLLECTIONS.forEach(name => {
+        snapshot.collections[name] = snapshot.collections[name] || {};
+      });
+
+      // Rewrite everything once so the driver holds the migrated snapshot
+      storageDriver.replaceAll(snapshot);
+
+      COLLECTIONS.forEach(name => {
+        storage[name] = createCollection(name, storageDriver, snapshot.collections[name]);
+      });
+
+      return { migrationsApplied: applied };
+    },
+
+    // Returns { mockEndpoints, apiContracts } scoped to one workspace
+    workspace: (name) => {
+      const scoped = { name };
+      WORKSPACE_COLLECTIONS.forEach(collection => {
+        scoped[collection] = createWorkspaceCollection(storage[collection], name);
+      });
+      return scoped;
+    }
+  };
+
+  return storage;
+};
+
+module.exports = {
+  COLLECTIONS,
+  WORKSPACE_SEPARATOR,
+  createStorage
+};
@@ -0,0 +1,70 @@
+// Stores every collection in a single JSON document:
+//   { "schemaVersion": 1, "collections": { "mockEndpoints": { "<id>": {...} } } }
+// The whole document is rewritten atomically after each change.
+const fs = require('fs');
+const { writeFileAtomic } = require('./atomicWrite');
+
+const createJsonFileDriver = ({ filePath }) => {
+  let snapshot = { schemaVersion: 0, collections: {} };
+
+  // Writes the next snapshot and only then adopts it, so a failed write
+  // leaves the snapshot matching the file
+  const commit = (nextSnapshot) => {
+    writeFileAtomic(filePath, JSON.stringify(nextSnapshot, null, 2));
+    snapshot = nextSnapshot;
+  };
+
+  // Commits a copy of the snapshot with one collection's items changed
+  const updateCollection = (collection, change) => {
+    const items = { ...(snapshot.collections[collection] || {}) };
+    change(items);
+    commit({ ...snapshot, collections: { ...snapshot.collections, [collection]: items } });
+  };
+
+  return {
+    name: 'json',
+    location: filePath,
+
+    load: async () => {
+      if (!fs.existsSync(filePath)) return null;
+      const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return {
+        schemaVersion: stored.schemaVersion || 0,
+        collections: stored.collections || {}
+      };
+    },
+
+    replaceAll: (nextSnapshot) => {
+      commit({
+        schemaVersion: nextSnapshot.schemaVersion,
+        collections: { ...nextSnapshot.collections }
+      });
+    },
+
+    put: (collection, id, value) => {
+      updateCollection(collection, (items) => {
+        items[id] = value;
+      });
+    },
+
+    remove: (collection, id) => {
+      updateCollection(collection, (items) => {
+        delete items[id];
+      });
+    },
+
+    removeMany: (collection, ids) => {
+      updateCollection(collection, (items) => {
+        ids.forEach(id => {
+          delete items[id];
+        });
+      });
+    },
+
+    clear: (collection) => {
+      commit({ ...snapshot, collections: { ...snapshot.collections, [collection]: {} } });
+    }
+  };
+};
+
+module.exports = { createJsonFileDriver };
@@ -0,0 +1,13 @@
+// Keeps nothing beyond the process lifetime. Useful for tests and demos.
+const createMemoryDriver = () => ({
+  name: 'memory',
+  location: null,
+  load: async () => null,
+  replaceAll: () => {},
+  put: () => {},
+  remove: () => {},
+  removeMany: () => {},
+  clear: () => {}
+});
+
+module.exports = { createMemoryDriver };
@@ -0,0 +1,106 @@
+// Schema migrations for persisted data. Each migration upgrades the stored
+// collections from the previous version; the snapshot's schemaVersion records
+// the last one applied. Append new migrations at the end, never edit old ones.
+const { normalizePath } = require('../pathMatcher');
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Give every mock an explicit path, an upper-case method and a scenarios list',
+    up: (collections) => {
+      const mockEndpoints = {};
+      Object.entries(collections.mockEndpoints || {}).forEach(([id, mock]) => {
+        const method = String(mock.method || 'GET').toUpperCase();
+        mockEndpoints[id] = {
+          ...mock,
+          id,
+          path: normalizePath(mock.path || id),
+          method: method === 'ALL' ? 'ANY' : method,
+          scenarios: Array.isArray(mock.scenarios) ? mock.scenarios : []
+        };
+      });
+      return { ...collections, mockEndpoints };
+    }
+  },
+  {
+    version: 2,
+    description: 'Move existing mocks and contracts into the "default" workspace',
+    up: (collections) => {
+      const scope = (items) => {
+        const scoped = {};
+        Object.entries(items || {}).forEach(([id, value]) => {
+          scoped[`default:${id}`] = value;
+        });
+        return scoped;
+      };
+      const now = new Date().toISOString();
+
+      return {
+        ...collections,
+        mockEndpoints: scope(collections.mockEndpoints),
+        apiContracts: scope(collections.apiContracts),
+        workspaces: {
+          default: { name: 'default', description: 'Default workspace', variables: {}, createdAt: now, updatedAt: now },
+          ...(collections.workspaces || {})
+        }
+      };
+    }
+  },
+  {
+    version: 3,
+    description: 'Turn static proxy mocks into playback proxies for their originalUrl',
+    up: (collections) => {
+      const mockEndpoints = {};
+      Object.entries(collections.mockEndpoints || {}).forEach(([key, mock]) => {
+        if (!mock.isProxy || !mock.originalUrl || mock.proxy) {
+          mockEndpoints[key] = mock;
+          return;
+        }
+        const { isProxy, originalUrl, ...rest } = mock;
+        mockEndpoints[key] = {
+          ...rest,
+          proxy: {
+            originalUrl,
+            mode: 'playback',
+            replayTiming: false,
+            redact: { headers: ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key'], queryParams: [], bodyFields: [] }
+          }
+        };
+      });
+      return { ...collections, mockEndpoints };
+    }
+  }
+];
+
+const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Brings a loaded snapshot up to CURRENT_SCHEMA_VERSION.
+// Returns { snapshot, applied } where applied lists the versions that ran.
+const migrate = (snapshot) => {
+  const fromVersion = snapshot.schemaVersion || 0;
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    throw new Error(
+      `Stored data has schema version ${fromVersion}, but this server only understands up to ${CURRENT_SCHEMA_VERSION}. ` +
+      'Upgrade the server before opening this data.'
+    );
+  }
+
+  let collections = snapshot.collections || {};
+  const applied = [];
+  MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .forEach(migration => {
+      collections = migration.up(collections);
+      applied.push(migration.version);
+    });
+
+  return {
+    snapshot: { schemaVersion: CURRENT_SCHEMA_VERSION, collections },
+    applied
+  };
+};
+
+module.exports = {
+  CURRENT_SCHEMA_VERSION,
+  migrate
+};
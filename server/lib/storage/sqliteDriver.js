@@ -0,0 +1,117 @@
+// Embedded SQLite storage backed by sql.js (SQLite compiled to WebAssembly, so
+// no native build step is needed). The database lives in memory and is
+// exported to disk atomically after every change.
+const fs = require('fs');
+const initSqlJs = require('sql.js');
+const { writeFileAtomic } = require('./atomicWrite');
+
+const SCHEMA = [
+  'CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL)',
+  `CREATE TABLE IF NOT EXISTS records (
+    collection TEXT NOT NULL,
+    id TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (collection, id)
+  )`
+];
+
+const createSqliteDriver = ({ filePath }) => {
+  let SQL = null;
+  let database = null;
+
+  // Opens the database from its file (or empty); returns whether the file existed
+  const open = () => {
+    const exists = fs.existsSync(filePath);
+    database = exists ? new SQL.Database(fs.readFileSync(filePath)) : new SQL.Database();
+    SCHEMA.forEach(statement => database.run(statement));
+    return exists;
+  };
+
+  const flush = () => {
+    writeFileAtomic(filePath, Buffer.from(database.export()));
+  };
+
+  // Runs statements in one transaction so a failure leaves the data untouched.
+  // sql.js can only export committed data, so when the file cannot be written
+  // the database is reloaded from the last file that was.
+  const transaction = (work) => {
+    database.run('BEGIN');
+    try {
+      work();
+      database.run('COMMIT');
+    } catch (error) {
+      database.run('ROLLBACK');
+      throw error;
+    }
+    try {
+      flush();
+    } catch (error) {
+      database.close();
+      open();
+      throw error;
+    }
+  };
+
+  const upsert = (collection, id, value) => {
+    database.run(
+      'INSERT OR REPLACE INTO records (collection, id, data) VALUES (?, ?, ?)',
+      [collection, id, JSON.stringify(value)]
+    );
+  };
+
+  return {
+    name: 'sqlite',
+    location: filePath,
+
+    load: async () => {
+      SQL = await initSqlJs();
+      if (!open()) return null;
+
+      const versionRows = database.exec("SELECT value FROM meta WHERE key = 'schemaVersion'");
+      const schemaVersion = versionRows.length > 0 ? Number(versionRows[0].values[0][0]) : 0;
+
+      const collections = {};
+      const recordRows = database.exec('SELECT collection, id, data FROM records');
+      if (recordRows.length > 0) {
+        recordRows[0].values.forEach(([collection, id, data]) => {
+          collections[collection] = collections[collection] || {};
+          collections[collection][id] = JSON.parse(data);
+        });
+      }
+      return { schemaVersion, collections };
+    },
+
+    replaceAll: (snapshot) => {
+      transaction(() => {
+        database.run('DELETE FROM records');
+        Object.entries(snapshot.collections).forEach(([collection, items]) => {
+          Object.entries(items).forEach(([id, value]) => upsert(collection, id, value));
+        });
+        database.run(
+          "INSERT OR REPLACE INTO meta (key, value) VALUES ('schemaVersion', ?)",
+          [String(snapshot.schemaVersion)]
+        );
+      });
+    },
+
+    put: (collection, id, value) => {
+      transaction(() => upsert(collection, id, value));
+    },
+
+    remove: (collection, id) => {
+      transaction(() => database.run('DELETE FROM records WHERE collection = ? AND id = ?', [collection, id]));
+    },
+
+    removeMany: (collection, ids) => {
+      transaction(() => ids.forEach(id =>
+        database.run('DELETE FROM records WHERE collection = ? AND id = ?', [collection, id])
+      ));
+    },
+
+    clear: (collection) => {
+      transaction(() => database.run('DELETE FROM records WHERE collection = ?', [collection]));
+    }
+  };
+};
+
+module.exports = { createSqliteDriver };
@@ -0,0 +1,423 @@
+// Response templating. Strings in a mock response can embed expressions:
+//   {{body.user.address.city}}    nested request data (path, query, body,
+//                                 files, headers, cookies, vars, call, request)
+//   {{items.0.name}}              array elements by index
+//   {{now "YYYY-MM-DD"}}          helpers with arguments and key=value options
+//   {{default query.page 1}}      ...and sub-expressions: {{math (default query.page 1) "*" 20}}
+//   {{#if (eq body.type "admin")}}...{{else}}...{{/if}}
+//   {{#each body.items}}{{@index}}: {{name}}{{/each}}
+// Plain names ({{userId}}) search path params, query and body in that order.
+// Missing values render as an empty string; syntax errors, unknown helpers and
+// bad helper arguments raise errors naming the template location.
+const { v4: uuidv4 } = require('uuid');
+
+// Top-level names a template can read from
+const ROOT_SCOPES = ['path', 'query', 'body', 'files', 'headers', 'cookies', 'vars', 'call', 'request'];
+
+const BLOCK_HELPERS = ['if', 'unless', 'each'];
+
+const MAX_CACHED_TEMPLATES = 1000;
+const RANDOM_CHARACTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const OFFSET_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// --- Helpers ---
+
+// "+1d", "-2h", "30m" as milliseconds
+const parseOffset = (offset) => {
+  const match = /^([+-]?\d+)([smhdw])$/.exec(String(offset).trim());
+  if (!match) throw new Error(`offset "${offset}" must look like +1d, -2h, 30m or 10s`);
+  return Number(match[1]) * OFFSET_UNITS[match[2]];
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// Formats a date in UTC: "iso" (default), "epoch" (ms), "unix" (s) or a
+// pattern of YYYY, MM, DD, HH, mm, ss and SSS
+const formatDate = (date, format = 'iso') => {
+  if (format === 'iso') return date.toISOString();
+  if (format === 'epoch') return date.getTime();
+  if (format === 'unix') return Math.floor(date.getTime() / 1000);
+  return String(format).replace(/YYYY|MM|DD|HH|mm|ss|SSS/g, token => ({
+    YYYY: date.getUTCFullYear(),
+    MM: pad(date.getUTCMonth() + 1),
+    DD: pad(date.getUTCDate()),
+    HH: pad(date.getUTCHours()),
+    mm: pad(date.getUTCMinutes()),
+    ss: pad(date.getUTCSeconds()),
+    SSS: pad(date.getUTCMilliseconds(), 3)
+  })[token]);
+};
+
+const toNumber = (value, helper) => {
+  const number = typeof value === 'number' ? value : Number(value);
+  if (value === '' || value === null || value === undefined || Number.isNaN(number)) {
+    throw new Error(`${helper} expects numbers, got ${JSON.stringify(value === undefined ? null : value)}`);
+  }
+  return number;
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+// Handlebars truthiness: empty lists are false as well
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value) && !Number.isNaN(value));
+
+const MATH_OPERATORS = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => {
+    if (b === 0) throw new Error('math cannot divide by zero');
+    return a / b;
+  },
+  '%': (a, b) => a % b
+};
+
+// name -> { minArgs, fn(args, hash) }
+const HELPERS = {
+  now: {
+    minArgs: 0,
+    fn: ([format], hash) => formatDate(new Date(Date.now() + (hash.offset ? parseOffset(hash.offset) : 0)), format)
+  },
+  date: {
+    minArgs: 1,
+    fn: ([value, format], hash) => {
+      const date = new Date(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+      if (isEmpty(value) || Number.isNaN(date.getTime())) {
+        throw new Error(`date cannot parse ${JSON.stringify(value === undefined ? null : value)}`);
+      }
+      return formatDate(new Date(date.getTime() + (hash.offset ? parseOffset(hash.offset) : 0)), format);
+    }
+  },
+  uuid: { minArgs: 0, fn: () => uuidv4() },
+  randomInt: {
+    minArgs: 0,
+    fn: ([min = 0, max = 100]) => {
+      const low = Math.ceil(toNumber(min, 'randomInt'));
+      const high = Math.floor(toNumber(max, 'randomInt'));
+      if (low > high) throw new Error('randomInt needs min <= max');
+      return low + Math.floor(Math.random() * (high - low + 1));
+    }
+  },
+  randomString: {
+    minArgs: 0,
+    fn: ([length = 8]) => {
+      const size = toNumber(length, 'randomString');
+      if (!Number.isInteger(size) || size < 0 || size > 1024) throw new Error('randomString length must be 0-1024');
+      return Array.from({ length: size }, () => RANDOM_CHARACTERS[Math.floor(Math.random() * RANDOM_CHARACTERS.length)]).join('');
+    }
+  },
+  math: {
+    minArgs: 3,
+    fn: ([a, operator, b]) => {
+      if (!MATH_OPERATORS[operator]) {
+        throw new Error(`math operator must be one of ${Object.keys(MATH_OPERATORS).join(' ')}, got ${JSON.stringify(operator)}`);
+      }
+      return MATH_OPERATORS[operator](toNumber(a, 'math'), toNumber(b, 'math'));
+    }
+  },
+  default: { minArgs: 2, fn: ([value, fallback]) => (isEmpty(value) ? fallback : value) },
+  json: {
+    minArgs: 1,
+    fn: ([value], hash) => (value === undefined ? 'null' : JSON.stringify(value, null, hash.pretty ? 2 : undefined))
+  },
+  eq: { minArgs: 2, fn: ([a, b]) => a === b || (!isEmpty(a) && !isEmpty(b) && String(a) === String(b)) },
+  ne: { minArgs: 2, fn: ([a, b]) => !HELPERS.eq.fn([a, b]) },
+  gt: { minArgs: 2, fn: ([a, b]) => toNumber(a, 'gt') > toNumber(b, 'gt') },
+  gte: { minArgs: 2, fn: ([a, b]) => toNumber(a, 'gte') >= toNumber(b, 'gte') },
+  lt: { minArgs: 2, fn: ([a, b]) => toNumber(a, 'lt') < toNumber(b, 'lt') },
+  lte: { minArgs: 2, fn: ([a, b]) => toNumber(a, 'lte') <= toNumber(b, 'lte') },
+  and: { minArgs: 2, fn: (args) => args.every(isTruthy) },
+  or: { minArgs: 2, fn: (args) => args.some(isTruthy) },
+  not: { minArgs: 1, fn: ([value]) => !isTruthy(value) }
+};
+
+// --- Parsing ---
+
+const EXPRESSION_TOKENS = [
+  ['space', /^\s+/],
+  ['open', /^\(/],
+  ['close', /^\)/],
+  ['string', /^"((?:[^"\\]|\\.)*)"|^'((?:[^'\\]|\\.)*)'/],
+  ['number', /^-?\d+(?:\.\d+)?(?=[\s)]|$)/],
+  ['hash', /^([A-Za-z_]\w*)=/],
+  ['path', /^(?:@?[A-Za-z_$][\w$-]*|\d+)(?:\.[\w$-]+)*/]
+];
+
+// Splits the inside of a {{...}} tag into tokens
+const lexExpression = (text) => {
+  const tokens = [];
+  let rest = text;
+  while (rest.length > 0) {
+    const found = EXPRESSION_TOKENS.map(([type, pattern]) => [type, pattern.exec(rest)]).find(([, match]) => match);
+    if (!found) throw new Error(`Unexpected "${rest}" in {{${text}}}`);
+    const [type, match] = found;
+    if (type === 'string') {
+      tokens.push({ type, value: (match[1] !== undefined ? match[1] : match[2]).replace(/\\(.)/g, '$1') });
+    } else if (type === 'number') {
+      tokens.push({ type, value: Number(match[0]) });
+    } else if (type === 'hash') {
+      tokens.push({ type, value: match[1] });
+    } else if (type !== 'space') {
+      tokens.push({ type, value: match[0] });
+    }
+    rest = rest.slice(match[0].length);
+  }
+  return tokens;
+};
+
+const LITERALS = { true: true, false: false, null: null, undefined };
+
+// Parses a list of params (and key=value options) up to a ")" or the end
+const parseParams = (tokens, text) => {
+  const params = [];
+  const hash = {};
+
+  const parseParam = () => {
+    const token = tokens.shift();
+    if (!token) throw new Error(`Missing value in {{${text}}}`);
+    if (token.type === 'open') {
+      const inner = parseParams(tokens, text);
+      const close = tokens.shift();
+      if (!close || close.type !== 'close') throw new Error(`Unclosed "(" in {{${text}}}`);
+      return toCall(inner, text, true);
+    }
+    if (token.type === 'string' || token.type === 'number') return { type: 'literal', value: token.value };
+    if (token.type === 'path') {
+      return Object.prototype.hasOwnProperty.call(LITERALS, token.value)
+        ? { type: 'literal', value: LITERALS[token.value] }
+        : { type: 'path', value: token.value };
+    }
+    throw new Error(`Unexpected "${token.value}" in {{${text}}}`);
+  };
+
+  while (tokens.length > 0 && tokens[0].type !== 'close') {
+    if (tokens[0].type === 'hash') {
+      hash[tokens.shift().value] = parseParam();
+    } else {
+      params.push(parseParam());
+    }
+  }
+  return { params, hash };
+};
+
+// Turns parsed params into a value lookup or a helper call
+const toCall = ({ params, hash }, text, isSubExpression = false) => {
+  const [head, ...args] = params;
+  if (!head) throw new Error(`Empty expression {{${text}}}`);
+  const isHelper = head.type === 'path' && HELPERS[head.value];
+
+  if (!isHelper) {
+    if (args.length > 0 || Object.keys(hash).length > 0 || isSubExpression) {
+      throw new Error(`Unknown helper "${head.value}" in {{${text}}}`);
+    }
+    return head;
+  }
+  if (args.length < HELPERS[head.value].minArgs) {
+    throw new Error(`${head.value} needs at least ${HELPERS[head.value].minArgs} argument(s) in {{${text}}}`);
+  }
+  return { type: 'call', helper: head.value, args, hash };
+};
+
+const parseExpression = (text) => {
+  const tokens = lexExpression(text);
+  const parsed = parseParams(tokens, text);
+  if (tokens.length > 0) throw new Error(`Unexpected ")" in {{${text}}}`);
+  return toCall(parsed, text);
+};
+
+/**
+ * Compiles a template string into a tree of text, expression and block nodes.
+ * Throws on syntax errors.
+ */
+const compile = (source) => {
+  const root = { children: [] };
+  const stack = [];
+  let current = root.children;
+  let index = 0;
+
+  while (index < source.length) {
+    const start = source.indexOf('{{', index);
+    if (start === -1) {
+      current.push({ type: 'text', value: source.slice(index) });
+      break;
+    }
+    if (start > index) current.push({ type: 'text', value: source.slice(index, start) });
+    const end = source.indexOf('}}', start + 2);
+    if (end === -1) throw new Error(`Unclosed "{{" at position ${start}`);
+    const tag = source.slice(start + 2, end).trim();
+    index = end + 2;
+
+    if (tag.startsWith('!')) continue;
+
+    if (tag.startsWith('#')) {
+      const [, name, rest = ''] = /^#(\S+)\s*([\s\S]*)$/.exec(tag) || [];
+      if (!BLOCK_HELPERS.includes(name)) {
+        throw new Error(`Unknown block helper "#${name}" (use ${BLOCK_HELPERS.map(helper => `#${helper}`).join(', ')})`);
+      }
+      if (!rest) throw new Error(`{{#${name}}} needs a value`);
+      const block = { type: 'block', helper: name, expression: parseExpression(rest), children: [], inverse: null, position: start };
+      current.push(block);
+      stack.push(block);
+      current = block.children;
+    } else if (tag === 'else') {
+      const block = stack[stack.length - 1];
+      if (!block || block.inverse) throw new Error(`{{else}} at position ${start} is outside a block`);
+      block.inverse = [];
+      current = block.inverse;
+    } else if (tag.startsWith('/')) {
+      const name = tag.slice(1).trim();
+      const block = stack.pop();
+      if (!block) throw new Error(`{{/${name}}} at position ${start} closes no block`);
+      if (block.helper !== name) throw new Error(`{{/${name}}} at position ${start} closes {{#${block.helper}}}`);
+      const parent = stack[stack.length - 1];
+      current = parent ? (parent.inverse || parent.children) : root.children;
+    } else {
+      current.push({ type: 'expression', expression: parseExpression(tag) });
+    }
+  }
+
+  if (stack.length > 0) {
+    const block = stack[stack.length - 1];
+    throw new Error(`{{#${block.helper}}} at position ${block.position} is never closed`);
+  }
+  return root.children;
+};
+
+const cache = new Map();
+const compileCached = (source) => {
+  if (!cache.has(source)) {
+    if (cache.size >= MAX_CACHED_TEMPLATES) cache.clear();
+    cache.set(source, compile(source));
+  }
+  return cache.get(source);
+};
+
+// --- Rendering ---
+
+const readPath = (value, segments) => segments.reduce((current, segment) => (
+  current !== null && current !== undefined && typeof current === 'object' ? current[segment] : undefined
+), value);
+
+// Resolves a path against the innermost #each item, then the request data
+const lookup = (path, scope) => {
+  const segments = path.split('.');
+  const [first, ...rest] = segments;
+
+  if (first.startsWith('@')) return readPath(scope.data[first.slice(1)], rest);
+  if (first === 'this') return readPath(scope.item, rest);
+
+  for (let frame = scope; frame && frame.hasItem; frame = frame.parent) {
+    if (frame.item !== null && typeof frame.item === 'object' && first in frame.item) {
+      return readPath(frame.item, segments);
+    }
+  }
+
+  const { context } = scope;
+  if (ROOT_SCOPES.includes(first)) {
+    // Header names are case-insensitive
+    const names = first === 'headers' ? rest.map(name => name.toLowerCase()) : rest;
+    return readPath(context[first], names);
+  }
+  if (rest.length === 0) {
+    return [context.path, context.query, context.body]
+      .map(source => (source ? source[first] : undefined))
+      .find(value => !isEmpty(value));
+  }
+  return undefined;
+};
+
+const evaluate = (node, scope) => {
+  if (node.type === 'literal') return node.value;
+  if (node.type === 'path') return lookup(node.value, scope);
+
+  const args = node.args.map(arg => evaluate(arg, scope));
+  const hash = Object.fromEntries(Object.entries(node.hash).map(([key, value]) => [key, evaluate(value, scope)]));
+  return HELPERS[node.helper].fn(args, hash);
+};
+
+const toText = (value) => {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const renderNodes = (nodes, scope) => nodes.map(node => {
+  if (node.type === 'text') return node.value;
+  if (node.type === 'expression') return toText(evaluate(node.expression, scope));
+
+  const value = evaluate(node.expression, scope);
+  if (node.helper === 'if' || node.helper === 'unless') {
+    const truthy = node.helper === 'if' ? isTruthy(value) : !isTruthy(value);
+    return truthy ? renderNodes(node.children, scope) : renderNodes(node.inverse || [], scope);
+  }
+
+  // #each walks arrays and objects; {{else}} renders for empty ones
+  const entries = Array.isArray(value)
+    ? value.map((item, index) => [index, item])
+    : (value && typeof value === 'object' ? Object.entries(value) : []);
+  if (entries.length === 0) return renderNodes(node.inverse || [], scope);
+  return entries.map(([key, item], index) => renderNodes(node.children, {
+    context: scope.context,
+    parent: scope,
+    hasItem: true,
+    item,
+    data: { index, key, first: index === 0, last: index === entries.length - 1 }
+  })).join('');
+}).join('');
+
+// Renders one template string
+const renderString = (source, context) => {
+  if (!source.includes('{{')) return source;
+  return renderNodes(compileCached(source), { context, data: {}, hasItem: false });
+};
+
+/**
+ * Renders every string (and object key) of a response value.
+ * @param {*} value - Response template: JSON value or text.
+ * @param {object} context - { path, query, body, files, headers, cookies, vars, call, request }.
+ * @param {string} location - Name of the value in error messages.
+ * @throws {Error} With the location of the failing template in its message.
+ */
+const renderTemplate = (value, context, location = 'response') => {
+  if (typeof value === 'string') {
+    try {
+      return renderString(value, context);
+    } catch (error) {
+      throw new Error(`${location}: ${error.message}`);
+    }
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, index) => renderTemplate(item, context, `${location}[${index}]`));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      renderTemplate(key, context, `${location} key "${key}"`),
+      renderTemplate(item, context, `${location}.${key}`)
+    ]));
+  }
+  return value;
+};
+
+// Compiles every string of a response value; returns the syntax errors found
+const validateTemplate = (value, location = 'response') => {
+  if (typeof value === 'string') {
+    try {
+      if (value.includes('{{')) compileCached(value);
+      return [];
+    } catch (error) {
+      return [`${location}: ${error.message}`];
+    }
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap((item, index) => validateTemplate(item, `${location}[${index}]`));
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, item]) =>
+      validateTemplate(key, `${location} key "${key}"`).concat(validateTemplate(item, `${location}.${key}`)));
+  }
+  return [];
+};
+
+module.exports = {
+  renderTemplate,
+  validateTemplate
+};
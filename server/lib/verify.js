@@ -0,0 +1,195 @@
+// Verification of journaled mock requests, for assertions in integration
+// tests ("POST /orders was called exactly twice with body.status pending").
+//
+// A verification names a request pattern and a count expectation:
+//   {
+//     "request": { "method": "POST", "path": "/orders/:id", "match": { ...matcher } },
+//     "count": { "exactly": 2 }          // or atLeast / atMost (combinable) or never: true
+//   }
+// Every pattern field is optional. `endpointId` and `scenario` narrow it to
+// requests answered by that mock / scenario. Without a count the request
+// must have happened at least once.
+const { compilePath, matchPath } = require('./pathMatcher');
+const { parseCookies, evaluateMatcher, validateMatcher } = require('./matchers');
+
+const COUNT_KEYS = ['exactly', 'atLeast', 'atMost', 'never'];
+const DEFAULT_CLOSEST = 3;
+
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+// Returns a list of errors for a verification body (empty when valid)
+const validateVerification = ({ request = {}, count = {}, closest } = {}) => {
+  const errors = [];
+  if (!request || typeof request !== 'object' || Array.isArray(request)) {
+    return ['request must be an object'];
+  }
+  if (request.method !== undefined && typeof request.method !== 'string') {
+    errors.push('request.method must be a string');
+  }
+  if (request.path !== undefined) {
+    try {
+      compilePath(request.path);
+    } catch (error) {
+      errors.push(`request.path: ${error.message}`);
+    }
+  }
+  if (request.match !== undefined) {
+    errors.push(...validateMatcher(request.match, 'request.match'));
+  }
+
+  if (!count || typeof count !== 'object' || Array.isArray(count)) {
+    return errors.concat('count must be an object');
+  }
+  const unknown = Object.keys(count).filter(key => !COUNT_KEYS.includes(key));
+  if (unknown.length > 0) {
+    errors.push(`count only supports ${COUNT_KEYS.join(', ')} (got ${unknown.join(', ')})`);
+  }
+  ['exactly', 'atLeast', 'atMost'].forEach(key => {
+    if (count[key] !== undefined && !isCount(count[key])) {
+      errors.push(`count.${key} must be a non-negative integer`);
+    }
+  });
+  if (count.never !== undefined && count.never !== true) {
+    errors.push('count.never must be true');
+  }
+  const used = COUNT_KEYS.filter(key => count[key] !== undefined);
+  if ((used.includes('exactly') || used.includes('never')) && used.length > 1) {
+    errors.push('count.exactly and count.never cannot be combined with other expectations');
+  }
+  if (isCount(count.atLeast) && isCount(count.atMost) && count.atLeast > count.atMost) {
+    errors.push('count.atLeast must not be greater than count.atMost');
+  }
+  if (closest !== undefined && !isCount(closest)) {
+    errors.push('closest must be a non-negative integer');
+  }
+  return errors;
+};
+
+// Turns a count expectation into { min, max, text }
+const describeExpectation = (count = {}) => {
+  if (count.never) return { min: 0, max: 0, text: 'never' };
+  if (count.exactly !== undefined) return { min: count.exactly, max: count.exactly, text: `exactly ${count.exactly} time(s)` };
+
+  const min = count.atLeast !== undefined ? count.atLeast : (count.atMost !== undefined ? 0 : 1);
+  const max = count.atMost !== undefined ? count.atMost : Infinity;
+  const parts = [];
+  if (count.atLeast !== undefined || count.atMost === undefined) parts.push(`at least ${min} time(s)`);
+  if (count.atMost !== undefined) parts.push(`at most ${max} time(s)`);
+  return { min, max, text: parts.join(' and ') };
+};
+
+/**
+ * Checks one journal entry against a request pattern. Returns the checks that
+ * passed and the reasons the others failed. A top-level `and` matcher is
+ * scored per child so partially matching requests rank higher.
+ */
+const checkEntry = (entry, request) => {
+  const failures = [];
+  let passed = 0;
+  const check = (ok, reason) => {
+    if (ok) passed += 1;
+    else failures.push(reason);
+  };
+
+  const method = request.method ? request.method.toUpperCase() : null;
+  if (method && method !== 'ANY') {
+    check(entry.method === method, `method is ${entry.method}, expected ${method}`);
+  }
+  if (request.endpointId) {
+    check(entry.endpointId === request.endpointId, `answered by ${entry.endpointId || 'no endpoint'}, expected ${request.endpointId}`);
+  }
+  if (request.scenario) {
+    check(entry.scenario === request.scenario, `scenario is ${entry.scenario || 'none'}, expected ${request.scenario}`);
+  }
+
+  let params = {};
+  if (request.path) {
+    params = matchPath(request.path, entry.path);
+    check(params !== null, `path ${entry.path} does not match ${request.path}`);
+  }
+
+  if (request.match) {
+    const matchRequest = {
+      method: entry.method,
+      path: params || {},
+      query: entry.request.query || {},
+      headers: entry.request.headers || {},
+      cookies: parseCookies(entry.request.headers && entry.request.headers.cookie),
+      body: entry.request.body !== null && typeof entry.request.body === 'object' ? entry.request.body : {},
+      files: entry.request.files || {}
+    };
+    const conditions = Array.isArray(request.match.and)
+      ? request.match.and.map((condition, index) => ({ condition, location: `request.match.and[${index}]` }))
+      : [{ condition: request.match, location: 'request.match' }];
+    conditions.forEach(({ condition, location }) => {
+      check(evaluateMatcher(condition, matchRequest), `${location} did not match: ${JSON.stringify(condition)}`);
+    });
+  }
+
+  return { matches: failures.length === 0, passed, total: passed + failures.length, failures };
+};
+
+// Short form of a journal entry for verification reports
+const summarizeEntry = (entry) => ({
+  id: entry.id,
+  timestamp: entry.timestamp,
+  method: entry.method,
+  url: entry.url,
+  endpointId: entry.endpointId,
+  scenario: entry.scenario,
+  status: entry.response.status
+});
+
+/**
+ * Counts the journal entries (newest first) matching a verification.
+ * Failed verifications list the `closest` non-matching requests, ranked by
+ * the share of checks they passed, with the reasons they did not match.
+ */
+const verifyRequests = (entries, { request = {}, count = {}, closest = DEFAULT_CLOSEST } = {}) => {
+  const expectation = describeExpectation(count);
+  const matched = [];
+  const nonMatching = [];
+
+  entries.forEach(entry => {
+    const result = checkEntry(entry, request);
+    if (result.matches) {
+      matched.push(entry);
+    } else {
+      nonMatching.push({ entry, result });
+    }
+  });
+
+  const passed = matched.length >= expectation.min && matched.length <= expectation.max;
+  const pattern = [request.method ? request.method.toUpperCase() : 'Any request', request.path].filter(Boolean).join(' ');
+  const report = {
+    passed,
+    count: matched.length,
+    expected: expectation.text,
+    message: passed
+      ? `${pattern} was called ${matched.length} time(s), as expected`
+      : `Expected ${pattern} to be called ${expectation.text}, but it was called ${matched.length} time(s)`,
+    matchedRequests: matched.map(summarizeEntry)
+  };
+
+  if (!passed) {
+    // Too many calls are explained by the matched requests themselves
+    report.closestRequests = matched.length < expectation.min
+      ? nonMatching
+        .map(({ entry, result }) => ({ entry, result, score: result.total === 0 ? 0 : result.passed / result.total }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, closest)
+        .map(({ entry, result, score }) => ({
+          ...summarizeEntry(entry),
+          score: Math.round(score * 100) / 100,
+          mismatches: result.failures
+        }))
+      : [];
+  }
+  return report;
+};
+
+module.exports = {
+  COUNT_KEYS,
+  validateVerification,
+  verifyRequests
+};
@@ -3,125 +3,776 @@ const cors = require('cors');
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
+const { normalizePath, compilePath, matchPath, findBestRoute } = require('./lib/pathMatcher');
+const {
+  SCENARIO_HEADER,
+  DEFAULT_SCENARIO_NAME,
+  findMatchingScenario,
+  validateScenarios,
+  normalizeScenarios
+} = require('./lib/scenarios');
+const { buildMatchRequest, parseCookies, describeFiles, hashFiles } = require('./lib/matchers');
+const { renderTemplate, validateTemplate } = require('./lib/templates');
+const { sampleFromSchema, validateSchema, validateSeed } = require('./lib/schemaSample');
+const { canValidate, validateRequest, createViolationLog } = require('./lib/contractValidation');
+const { checkConformance } = require('./lib/conformance');
+const {
+  isTemplatedEncoding,
+  bodyFromUpload,
+  validateBody,
+  normalizeBody,
+  encodeBody,
+  formatContentDisposition
+} = require('./lib/bodies');
+const { createStorage } = require('./lib/storage');
+const { parseContractText, detectSpecFormat, importSpec, exportSpec, toYaml } = require('./lib/openapi');
+const { isPostmanCollection, importCollection, exportCollection } = require('./lib/postman');
+const { isHar, importHar } = require('./lib/har');
+const {
+  PROXY_HEADER,
+  isHttpUrl,
+  validateProxyConfig,
+  normalizeProxyConfig,
+  buildUpstreamUrl,
+  buildFallbackUrl,
+  forwardRequest,
+  pipeResponse,
+  readBody,
+  sendBufferedResponse,
+  buildRecordedScenario,
+  upsertRecording
+} = require('./lib/proxy');
+const { describeBody, captureResponseBody, validateFilters, createJournal } = require('./lib/journal');
+const { validateVerification, verifyRequests } = require('./lib/verify');
+const {
+  STATE_HEADER,
+  isStateName,
+  validateStateMachine,
+  normalizeStateMachine,
+  createStateStore,
+  describeMachines
+} = require('./lib/stateMachines');
+const {
+  SEQUENCE_HEADER,
+  validateSequence,
+  normalizeSequence,
+  isExhausted,
+  pickStep,
+  createCallCounter,
+  describeCalls
+} = require('./lib/sequences');
+const { validateFault, normalizeFault, shouldInject, injectFault } = require('./lib/faults');
+const {
+  DELAY_HEADER,
+  NETWORK_CONDITIONS,
+  validateDelay,
+  normalizeDelay,
+  validateBandwidth,
+  sampleDelay,
+  getNetworkCondition,
+  listNetworkConditions,
+  sendThrottled
+} = require('./lib/latency');
 
 const app = express();
 const PORT = 5000;
 
+// Server-wide upstream for requests that match no mock; a workspace's own
+// upstreamUrl takes precedence
+const UPSTREAM_URL = process.env.UPSTREAM_URL || null;
+
+// Server-wide network condition preset (3g, flaky-wifi, ...) for mock
+// responses; a workspace's own networkCondition takes precedence
+const NETWORK_CONDITION = process.env.NETWORK_CONDITION || null;
+
+// Directory of file-backed response bodies (bodyEncoding "file")
+const RESPONSE_FILES_DIR = process.env.RESPONSE_FILES_DIR || path.join(__dirname, 'data/files');
+
+// Every mock request with its response, newest JOURNAL_LIMIT kept in memory
+const journal = createJournal({ limit: parseInt(process.env.JOURNAL_LIMIT) || undefined });
+
+// Requests rejected by strict contracts, newest JOURNAL_LIMIT kept in memory
+const violationLog = createViolationLog({ limit: parseInt(process.env.JOURNAL_LIMIT) || undefined });
+
+// Current states of the workspaces' state machines (in memory)
+const stateStore = createStateStore();
+
+// Per-endpoint call counters driving response sequences (in memory)
+const callCounter = createCallCounter();
+
 // CORS configuration that works
 app.use(cors({
   origin: ['http://localhost:3000', 'http://127.0.0.1:3000'],
   credentials: true
 }));
 
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Keep the raw bytes of parsed bodies so proxied requests can be forwarded unchanged
+const keepRawBody = (req, res, buffer) => {
+  req.rawBody = buffer;
+};
+
+app.use(express.json({ limit: '10mb', verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: keepRawBody }));
 
 // Serve static files from React build
 app.use(express.static(path.join(__dirname, '../client/build')));
 
 // Storage for file uploads
 const storage = multer.memoryStorage();
+const MAX_UPLOAD_SIZE = 10 * 1024 * 1024; // 10MB
 const upload = multer({ 
   storage,
-  limits: { fileSize: 10 * 1024 * 1024 } // 10MB
+  limits: { fileSize: MAX_UPLOAD_SIZE }
+});
+
+// Multipart requests to mocks are buffered in memory, so one request holds at
+// most MAX_MOCK_FILES * MAX_UPLOAD_SIZE (50MB) of files
+const MAX_MOCK_FILES = 5;
+const MAX_MOCK_FIELDS = 100;
+const mockUpload = multer({
+  storage,
+  limits: { fileSize: MAX_UPLOAD_SIZE, files: MAX_MOCK_FILES, fields: MAX_MOCK_FIELDS }
+});
+
+// Persistent database (see lib/storage for drivers and configuration)
+const db = createStorage();
+
+// Workspaces isolate mocks, contracts, variables and stats. Admin routes pick
+// one with the X-Mock-Workspace header or ?workspace=; mock requests also
+// accept it as the first path segment (/api/mock/{workspace}/...).
+const WORKSPACE_HEADER = 'X-Mock-Workspace';
+const DEFAULT_WORKSPACE = 'default';
+const WORKSPACE_NAME = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+
+// In-memory request counters per workspace (reset on restart or workspace reset)
+const workspaceStats = new Map();
+
+const getWorkspaceStats = (name) => {
+  if (!workspaceStats.has(name)) {
+    workspaceStats.set(name, { requests: 0, matched: 0, unmatched: 0, byEndpoint: {}, lastRequestAt: null });
+  }
+  return workspaceStats.get(name);
+};
+
+const recordWorkspaceRequest = (name, endpointId) => {
+  const stats = getWorkspaceStats(name);
+  stats.requests += 1;
+  stats.lastRequestAt = new Date().toISOString();
+  if (endpointId) {
+    stats.matched += 1;
+    stats.byEndpoint[endpointId] = (stats.byEndpoint[endpointId] || 0) + 1;
+  } else {
+    stats.unmatched += 1;
+  }
+};
+
+// Mock URLs of the default workspace keep their original, unprefixed form
+const getMockBaseUrl = (workspace) => (
+  workspace === DEFAULT_WORKSPACE ? '/api/mock' : `/api/mock/${workspace}`
+);
+
+// Returns an error message if the workspace definition is invalid
+const validateWorkspace = ({ name, description, variables, upstreamUrl, networkCondition }, isNew) => {
+  if (isNew && (typeof name !== 'string' || !WORKSPACE_NAME.test(name))) {
+    return 'name must be 1-64 letters, digits, "-" or "_", starting with a letter or digit';
+  }
+  if (description !== undefined && typeof description !== 'string') {
+    return 'description must be a string';
+  }
+  if (variables !== undefined && (!variables || typeof variables !== 'object' || Array.isArray(variables))) {
+    return 'variables must be an object';
+  }
+  if (upstreamUrl && !isHttpUrl(upstreamUrl)) {
+    return 'upstreamUrl must be an absolute http(s) URL';
+  }
+  if (networkCondition && !NETWORK_CONDITIONS[networkCondition]) {
+    return `networkCondition must be one of ${Object.keys(NETWORK_CONDITIONS).join(', ')}`;
+  }
+  return null;
+};
+
+const createWorkspaceRecord = (name, description = '', variables = {}, upstreamUrl = null, networkCondition = null) => ({
+  name,
+  description,
+  variables,
+  upstreamUrl,
+  networkCondition,
+  createdAt: new Date().toISOString(),
+  updatedAt: new Date().toISOString()
 });
 
-// In-memory database
-const db = {
-  mockEndpoints: new Map(),
-  apiContracts: new Map()
+// Where unmatched mock requests of a workspace are proxied, or null for 404s
+const getFallbackUpstream = (workspace) => workspace.upstreamUrl || UPSTREAM_URL;
+
+// The network condition applied to a workspace's mock responses, or null
+const getActiveNetworkCondition = (workspace) => getNetworkCondition(workspace.networkCondition || NETWORK_CONDITION);
+
+const describeWorkspace = (workspace) => {
+  const store = db.workspace(workspace.name);
+  return {
+    ...workspace,
+    upstreamUrl: workspace.upstreamUrl || null,
+    fallbackUpstream: getFallbackUpstream(workspace),
+    networkCondition: workspace.networkCondition || null,
+    activeNetworkCondition: workspace.networkCondition || NETWORK_CONDITION,
+    mockBaseUrl: getMockBaseUrl(workspace.name),
+    totalEndpoints: store.mockEndpoints.size,
+    totalContracts: store.apiContracts.size
+  };
+};
+
+// Resolves the workspace for admin routes into req.workspace / req.store
+const resolveWorkspace = (req, res, next) => {
+  const name = req.get(WORKSPACE_HEADER) || req.query.workspace || DEFAULT_WORKSPACE;
+  const workspace = db.workspaces.get(name);
+  if (!workspace) {
+    return res.status(404).json({ error: `Workspace ${name} not found` });
+  }
+  req.workspace = workspace;
+  req.store = db.workspace(name);
+  next();
+};
+
+// Validates a mock's stateMachine setting and fills in its initial state.
+// Mocks joining an existing machine inherit its initial state and may not
+// contradict it. Returns { error } or { stateMachine } (null for none).
+const resolveStateMachine = (store, stateMachine, excludeId) => {
+  const validationError = validateStateMachine(stateMachine);
+  if (validationError) return { error: validationError };
+  if (!stateMachine) return { stateMachine: null };
+
+  const sibling = store.mockEndpoints.values().find(mock =>
+    mock.id !== excludeId && mock.stateMachine && mock.stateMachine.name === stateMachine.name);
+  const initialState = stateMachine.initialState || (sibling && sibling.stateMachine.initialState);
+  if (sibling && initialState !== sibling.stateMachine.initialState) {
+    return {
+      error: `stateMachine ${stateMachine.name} starts in ${sibling.stateMachine.initialState} (set by endpoint ${sibling.id}), not ${initialState}`
+    };
+  }
+  return { stateMachine: normalizeStateMachine({ name: stateMachine.name, initialState }) };
 };
 
 // Sample initial data for demo
-db.mockEndpoints.set('demo-user', {
-  id: 'demo-user',
-  method: 'GET',
-  response: { 
-    id: "{{userId}}", 
-    name: "John Doe", 
-    email: "john@example.com",
-    dynamicParam: "{{userId}}"
-  },
-  statusCode: 200,
-  delay: 0,
-  createdAt: new Date().toISOString()
-});
-
-db.mockEndpoints.set('demo-products', {
-  id: 'demo-products',
-  method: 'GET',
-  response: [
-    { id: 1, name: "Product 1", price: 99.99 },
-    { id: 2, name: "Product 2", price: 149.99 }
-  ],
-  statusCode: 200,
-  delay: 0,
-  createdAt: new Date().toISOString()
-});
-
-// Utility function to evaluate dynamic responses
-const evaluateDynamicResponse = (responseTemplate, req) => {
-  try {
-    if (typeof responseTemplate === 'string') {
-      return responseTemplate.replace(/\{\{(\w+)\}\}/g, (match, param) => {
-        return req.params[param] || req.query[param] || req.body[param] || match;
-      });
-    } else if (typeof responseTemplate === 'object') {
-      const stringified = JSON.stringify(responseTemplate);
-      const evaluated = stringified.replace(/\{\{(\w+)\}\}/g, (match, param) => {
-        return req.params[param] || req.query[param] || req.body[param] || match;
+const seedDemoEndpoints = (store) => {
+  store.mockEndpoints.set('demo-user', {
+    id: 'demo-user',
+    path: '/demo-user',
+    method: 'GET',
+    response: { 
+      id: "{{userId}}", 
+      name: "John Doe", 
+      email: "john@example.com",
+      dynamicParam: "{{userId}}"
+    },
+    statusCode: 200,
+    delay: 0,
+    scenarios: [],
+    createdAt: new Date().toISOString()
+  });
+
+  store.mockEndpoints.set('demo-products', {
+    id: 'demo-products',
+    path: '/demo-products',
+    method: 'GET',
+    response: [
+      { id: 1, name: "Product 1", price: 99.99 },
+      { id: 2, name: "Product 2", price: 149.99 }
+    ],
+    statusCode: 200,
+    delay: 0,
+    scenarios: [],
+    createdAt: new Date().toISOString()
+  });
+};
+
+// Mocks without an explicit path template are served at /api/mock/{id}
+const getMockPath = (mockConfig) => normalizePath(mockConfig.path || mockConfig.id);
+
+// Returns an error message if the path template cannot be compiled
+const validateMockPath = (template) => {
+  try {
+    compilePath(template);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+// HTTP methods a mock can be registered for. ANY matches every method but
+// loses to a mock registered for the exact method on the same path. OPTIONS
+// is left out because the CORS middleware answers preflight requests itself.
+const SUPPORTED_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'ANY'];
+
+// Upper-cases a method and maps the legacy ALL alias to ANY
+const normalizeMethod = (method) => {
+  const upper = String(method || 'GET').toUpperCase();
+  return upper === 'ALL' ? 'ANY' : upper;
+};
+
+const getMockMethod = (mockConfig) => normalizeMethod(mockConfig.method);
+
+// Returns an error message if the method is not one a mock can be registered for
+const validateMockMethod = (method) => (
+  SUPPORTED_METHODS.includes(normalizeMethod(method))
+    ? null
+    : `Unsupported method ${method}. Use one of: ${SUPPORTED_METHODS.join(', ')}`
+);
+
+// True when a mock registered for `mockMethod` serves a request made with `requestMethod`.
+// HEAD requests fall back to GET mocks, as Express does for app.get routes.
+const methodAccepts = (mockMethod, requestMethod) => (
+  mockMethod === 'ANY' ||
+  mockMethod === requestMethod ||
+  (requestMethod === 'HEAD' && mockMethod === 'GET')
+);
+
+// Finds another mock in the workspace registered for the same method and path template
+const findRouteConflict = (store, template, method, excludeId) => {
+  const normalized = normalizePath(template);
+  const normalizedMethod = normalizeMethod(method);
+  return store.mockEndpoints.values().find(mock =>
+    mock.id !== excludeId &&
+    getMockPath(mock) === normalized &&
+    getMockMethod(mock) === normalizedMethod
+  );
+};
+
+// Returns the errors of an endpoint's delay profile and bandwidth
+const validateTiming = ({ delay, bandwidth }) => {
+  const errors = validateDelay(delay);
+  const bandwidthError = validateBandwidth(bandwidth);
+  return bandwidthError ? errors.concat(bandwidthError) : errors;
+};
+
+// Returns the errors of an endpoint's response schema and seed
+const validateResponseSchema = ({ responseSchema, seed }) => {
+  const errors = responseSchema !== undefined && responseSchema !== null ? validateSchema(responseSchema) : [];
+  const seedError = validateSeed(seed);
+  return seedError ? errors.concat(seedError) : errors;
+};
+
+// Body settings of an endpoint besides its response (see lib/bodies)
+const BODY_FIELDS = ['bodyEncoding', 'contentType', 'contentDisposition'];
+
+// Returns the errors of an endpoint's sequence. A fallthrough sequence needs
+// the endpoint's own response to fall back to.
+const validateEndpointSequence = (sequence, response) => {
+  const errors = validateSequence(sequence);
+  if (errors.length === 0 && sequence && sequence.onExhausted === 'fallthrough' && response === undefined) {
+    errors.push('sequence.onExhausted "fallthrough" needs a response to fall back to');
+  }
+  return errors;
+};
+
+// Forwards a request for a proxy mock in record or passthrough mode to its
+// upstream. Record mode buffers the response and stores it as a scenario.
+const proxyToUpstream = async (req, res, { store, mockConfig, params, requestPath }) => {
+  const { proxy } = mockConfig;
+  const targetUrl = buildUpstreamUrl(proxy.originalUrl, getMockPath(mockConfig), params, req.originalUrl);
+  const recording = proxy.mode === 'record';
+  const startedAt = Date.now();
+
+  try {
+    const upstreamRes = await forwardRequest(req, targetUrl, { acceptIdentity: recording });
+    if (!recording) {
+      return pipeResponse(upstreamRes, res, proxy.mode);
+    }
+
+    const body = await readBody(upstreamRes);
+    const scenario = buildRecordedScenario({
+      proxy,
+      method: req.method,
+      requestPath,
+      params,
+      query: req.query,
+      upstreamRes,
+      body,
+      durationMs: Date.now() - startedAt
+    });
+
+    // Re-read the mock so concurrent recordings do not overwrite each other
+    const current = store.mockEndpoints.get(mockConfig.id);
+    if (scenario && current) {
+      store.mockEndpoints.set(current.id, {
+        ...current,
+        scenarios: upsertRecording(current.scenarios, scenario),
+        updatedAt: new Date().toISOString()
       });
-      return JSON.parse(evaluated);
     }
-    return responseTemplate;
+    sendBufferedResponse(upstreamRes, body, res, proxy.mode);
   } catch (error) {
-    console.error('Error evaluating dynamic response:', error);
-    return responseTemplate;
+    sendUpstreamError(res, targetUrl, error);
   }
 };
 
-// 1. Dynamic mock endpoint with parameter support
-app.all('/api/mock/:endpointId', (req, res) => {
-  const { endpointId } = req.params;
-  const mockConfig = db.mockEndpoints.get(endpointId);
-  
-  if (!mockConfig) {
-    return res.status(404).json({ 
-      error: 'Mock endpoint not found',
-      availableEndpoints: Array.from(db.mockEndpoints.keys())
+// Streams a request that matched no mock to the workspace's fallback upstream
+const proxyToFallback = async (req, res, { upstreamUrl, requestPath }) => {
+  const targetUrl = buildFallbackUrl(upstreamUrl, requestPath, req.originalUrl);
+  try {
+    const upstreamRes = await forwardRequest(req, targetUrl);
+    pipeResponse(upstreamRes, res, 'fallback');
+  } catch (error) {
+    sendUpstreamError(res, targetUrl, error);
+  }
+};
+
+const sendUpstreamError = (res, targetUrl, error) => {
+  console.error('Error proxying to upstream:', error);
+  if (res.headersSent) {
+    return res.destroy(error);
+  }
+  res.status(502).json({ error: 'Upstream request failed', upstream: targetUrl, message: error.message });
+};
+
+// Picks the workspace for a mock request: the X-Mock-Workspace header wins,
+// then a first path segment naming a workspace, then the default workspace.
+// Returns { workspace, requestPath } or null for an unknown header value.
+const resolveMockWorkspace = (req) => {
+  const requestPath = req.path.slice('/api/mock'.length);
+  const headerName = req.get(WORKSPACE_HEADER);
+  if (headerName) {
+    const workspace = db.workspaces.get(headerName);
+    return workspace ? { workspace, requestPath } : null;
+  }
+
+  const [, firstSegment] = normalizePath(requestPath).split('/');
+  if (firstSegment && db.workspaces.has(firstSegment)) {
+    return {
+      workspace: db.workspaces.get(firstSegment),
+      requestPath: normalizePath(requestPath).slice(firstSegment.length + 1) || '/'
+    };
+  }
+  return { workspace: db.workspaces.get(DEFAULT_WORKSPACE), requestPath };
+};
+
+// Journal view of a mock request's body. Multipart bodies are kept as their
+// fields (their files are journaled apart); other bodies Express did not
+// parse were streamed on without being kept.
+const describeRequestBody = (req) => {
+  if (req.rawBody) return describeBody(req.rawBody, { contentType: req.get('content-type') });
+  if (req.files) return req.body;
+  const contentLength = Number(req.get('content-length')) || 0;
+  return contentLength > 0 ? `[${contentLength} bytes, not captured]` : null;
+};
+
+// Journals each mock request once its response is done (or aborted). Route 1
+// fills in res.locals with the workspace, path and endpoint it resolved.
+const recordInJournal = (req, res, next) => {
+  const startedAt = Date.now();
+  const timestamp = new Date().toISOString();
+  const readResponseBody = captureResponseBody(res);
+
+  res.on('close', () => {
+    const response = readResponseBody();
+    journal.record({
+      timestamp,
+      workspace: res.locals.workspace || DEFAULT_WORKSPACE,
+      method: req.method,
+      url: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+      path: res.locals.requestPath || req.path,
+      endpointId: res.locals.endpointId || null,
+      scenario: res.getHeader(SCENARIO_HEADER) || null,
+      proxy: res.getHeader(PROXY_HEADER) || null,
+      fault: res.locals.fault || null,
+      latencyMs: Date.now() - startedAt,
+      request: {
+        query: req.query,
+        headers: req.headers,
+        body: describeRequestBody(req),
+        ...(req.files ? { files: describeFiles(req.files) } : {})
+      },
+      response: {
+        status: res.statusCode,
+        completed: res.writableFinished,
+        headers: { ...res.getHeaders() },
+        body: describeBody(response.body, {
+          contentType: res.getHeader('content-type'),
+          contentEncoding: res.getHeader('content-encoding'),
+          size: response.size
+        })
+      }
     });
+  });
+  next();
+};
+
+app.use('/api/mock', recordInJournal);
+
+// Parses multipart bodies of mock requests into req.body (fields) and
+// req.files (kept in memory and hashed, see describeFiles in lib/matchers)
+const parseMockMultipart = (req, res, next) => {
+  if (!req.is('multipart/form-data')) return next();
+  mockUpload.any()(req, res, (error) => {
+    if (!error) hashFiles(req.files);
+    next(error);
+  });
+};
+
+const sendMultipartError = (res, error) => {
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    return res.status(413).json({ error: 'File too large', details: [`${error.field}: files are limited to ${MAX_UPLOAD_SIZE} bytes`] });
+  }
+  if (error.code === 'LIMIT_FILE_COUNT') {
+    return res.status(413).json({ error: 'Too many files', details: [`At most ${MAX_MOCK_FILES} files can be uploaded per request`] });
+  }
+  if (error.code === 'LIMIT_FIELD_COUNT') {
+    return res.status(413).json({ error: 'Too many fields', details: [`At most ${MAX_MOCK_FIELDS} fields can be sent per request`] });
+  }
+  res.status(400).json({ error: 'Invalid multipart body', details: [error.message] });
+};
+
+// Answers a request for a mock that is not proxied: contract check, scenario,
+// sequence step and template, then the (delayed, throttled or faulty) response
+const answerMock = (req, res, { workspace, store, mockConfig, params, requestPath, callCount }) => {
+  // Mocks of a strict contract reject requests that break the contract
+  const matchRequest = buildMatchRequest(req, params);
+  const contract = mockConfig.fromContract && mockConfig.operation && store.apiContracts.get(mockConfig.fromContract);
+  if (contract && contract.strict) {
+    const invalid = validateRequest(contract, mockConfig.operation, matchRequest);
+    if (invalid) {
+      const operation = `${mockConfig.operation.method} ${mockConfig.operation.path}`;
+      violationLog.record({
+        workspace: workspace.name,
+        contractId: contract.id,
+        endpointId: mockConfig.id,
+        operation,
+        method: req.method,
+        url: req.originalUrl,
+        statusCode: invalid.statusCode,
+        violations: invalid.violations
+      });
+      return res.status(invalid.statusCode).json({
+        error: 'Request does not match the contract',
+        contractId: contract.id,
+        operation,
+        violations: invalid.violations
+      });
+    }
+  }
+
+  // First matching scenario wins, otherwise the default response is used.
+  // Stateful mocks only consider scenarios for the machine's current state;
+  // scenarios whose fallthrough sequence is used up no longer match.
+  const machine = mockConfig.stateMachine;
+  const currentState = machine && stateStore.get(workspace.name, machine.name, machine.initialState);
+  const scenarios = (mockConfig.scenarios || []).filter(candidate =>
+    !isExhausted(candidate.sequence, callCounter.position(workspace.name, mockConfig.id, candidate.name)));
+  const scenario = findMatchingScenario(scenarios, matchRequest, currentState);
+  if (machine) {
+    if (scenario && scenario.nextState) {
+      stateStore.set(workspace.name, machine.name, scenario.nextState);
+    }
+    res.setHeader(STATE_HEADER, scenario && scenario.nextState ? scenario.nextState : currentState);
+  }
+  let outcome = scenario || {
+    name: DEFAULT_SCENARIO_NAME,
+    statusCode: mockConfig.statusCode,
+    delay: mockConfig.delay,
+    headers: {},
+    response: mockConfig.response,
+    responseSchema: mockConfig.responseSchema,
+    seed: mockConfig.seed,
+    bodyEncoding: mockConfig.bodyEncoding,
+    contentType: mockConfig.contentType,
+    contentDisposition: mockConfig.contentDisposition,
+    sequence: mockConfig.sequence,
+    fault: mockConfig.fault,
+    bandwidth: mockConfig.bandwidth
+  };
+
+  // Sequences answer with their next step; an exhausted fallthrough sequence
+  // of the endpoint leaves its plain response
+  let step = null;
+  if (outcome.sequence) {
+    step = pickStep(outcome.sequence, callCounter.advance(workspace.name, mockConfig.id, outcome.name));
+  }
+  if (step) {
+    outcome = {
+      ...outcome,
+      statusCode: step.step.statusCode,
+      delay: step.step.delay,
+      headers: { ...outcome.headers, ...step.step.headers },
+      response: step.step.response,
+      responseSchema: undefined,
+      fault: step.step.fault || outcome.fault
+    };
+    res.setHeader(SEQUENCE_HEADER, `${step.index + 1}/${outcome.sequence.responses.length}`);
   }
 
+  const context = {
+    ...matchRequest,
+    vars: workspace.variables,
+    call: { count: callCount, step: step ? step.index + 1 : undefined },
+    request: { method: req.method, path: requestPath, url: req.originalUrl }
+  };
+
   const sendResponse = () => {
+    // Schema responses are generated fresh (or from their seed) on every call.
+    // Recorded upstream bodies and binary bodies are served verbatim.
+    let response = outcome.responseSchema
+      ? sampleFromSchema(outcome.responseSchema, { seed: outcome.seed })
+      : outcome.response;
+    if (!outcome.recordedAt && isTemplatedEncoding(outcome.bodyEncoding)) {
+      try {
+        response = renderTemplate(response, context);
+      } catch (error) {
+        res.setHeader(SCENARIO_HEADER, outcome.name);
+        return res.status(500).json({ error: 'Response template could not be rendered', details: [error.message] });
+      }
+    }
+
     try {
-      const response = evaluateDynamicResponse(mockConfig.response, req);
-      
-      // Set custom headers if configured
-      if (mockConfig.headers) {
-        Object.entries(mockConfig.headers).forEach(([key, value]) => {
-          res.setHeader(key, value);
-        });
+      // Set custom headers if configured; scenario headers override the mock's
+      const headers = { ...(mockConfig.headers || {}), ...(outcome.headers || {}) };
+      Object.entries(headers).forEach(([key, value]) => {
+        res.setHeader(key, value);
+      });
+      res.setHeader(SCENARIO_HEADER, outcome.name);
+      if (mockConfig.proxy) {
+        res.setHeader(PROXY_HEADER, 'playback');
       }
       
-      res.status(mockConfig.statusCode || 200).json(response);
+      res.setHeader(DELAY_HEADER, delayMs);
+      if (outcome.contentDisposition) {
+        res.setHeader('Content-Disposition', formatContentDisposition(outcome.contentDisposition));
+      }
+
+      let payload;
+      try {
+        payload = {
+          statusCode: outcome.statusCode || 200,
+          ...encodeBody(outcome, response, { contentType: res.getHeader('Content-Type'), filesDir: RESPONSE_FILES_DIR })
+        };
+      } catch (error) {
+        res.removeHeader('Content-Type');
+        res.removeHeader('Content-Disposition');
+        return res.status(500).json({ error: 'Response body could not be read', details: [error.message] });
+      }
+
+      // The network condition's drop rate applies when the mock sets no fault
+      const fault = outcome.fault || (condition && condition.fault);
+      if (shouldInject(fault)) {
+        res.locals.fault = fault.type;
+        return injectFault(fault, res, payload);
+      }
+      if (bandwidth !== Infinity) {
+        return sendThrottled(res, payload, bandwidth);
+      }
+      res.setHeader('Content-Type', payload.contentType);
+      res.status(payload.statusCode).send(payload.body);
     } catch (error) {
       console.error('Error generating response:', error);
       res.status(500).json({ error: 'Error generating mock response' });
     }
   };
 
-  // Simulate delay if configured
-  if (mockConfig.delay && mockConfig.delay > 0) {
-    setTimeout(sendResponse, mockConfig.delay);
+  // The mock's own delay plus the network condition's latency; the slower of
+  // the mock's and the condition's bandwidth limits the transfer
+  const condition = getActiveNetworkCondition(workspace);
+  const delayMs = sampleDelay(outcome.delay) + (condition ? sampleDelay(condition.latency) : 0);
+  const bandwidth = Math.min(outcome.bandwidth || Infinity, condition ? condition.bandwidth : Infinity);
+  if (delayMs > 0) {
+    setTimeout(sendResponse, delayMs);
   } else {
     sendResponse();
   }
+};
+
+// 1. Dynamic mock endpoint with path template support (/users/:id/orders/:orderId)
+app.all('/api/mock/*', (req, res) => {
+  const resolved = resolveMockWorkspace(req);
+  if (!resolved) {
+    return res.status(404).json({ error: `Workspace ${req.get(WORKSPACE_HEADER)} not found` });
+  }
+  const { workspace, requestPath } = resolved;
+  res.locals.workspace = workspace.name;
+  res.locals.requestPath = requestPath;
+  const store = db.workspace(workspace.name);
+  const mockBaseUrl = getMockBaseUrl(workspace.name);
+  const routes = store.mockEndpoints.values().map(mock => ({
+    path: getMockPath(mock),
+    method: getMockMethod(mock),
+    mock
+  }));
+
+  // Exact-method routes are listed before ANY so they win specificity ties
+  const candidates = routes
+    .filter(route => methodAccepts(route.method, req.method))
+    .sort((a, b) => (a.method === 'ANY') - (b.method === 'ANY'));
+  const match = findBestRoute(candidates, requestPath);
+  recordWorkspaceRequest(workspace.name, match && match.route.mock.id);
+
+  // Mocks override single routes of a real service when a fallback upstream is set
+  const upstreamUrl = getFallbackUpstream(workspace);
+  if (!match && upstreamUrl) {
+    return proxyToFallback(req, res, { upstreamUrl, requestPath });
+  }
+
+  if (!match) {
+    const allowedMethods = new Set();
+    routes
+      .filter(route => matchPath(route.path, requestPath))
+      .forEach(route => {
+        allowedMethods.add(route.method);
+        if (route.method === 'GET') allowedMethods.add('HEAD');
+      });
+
+    if (allowedMethods.size > 0) {
+      const allow = Array.from(allowedMethods).join(', ');
+      res.setHeader('Allow', allow);
+      return res.status(405).json({
+        error: `Method ${req.method} not allowed for ${requestPath}`,
+        allowedMethods: Array.from(allowedMethods)
+      });
+    }
+
+    return res.status(404).json({ 
+      error: 'Mock endpoint not found',
+      workspace: workspace.name,
+      availableEndpoints: routes.map(route => `${route.method} ${mockBaseUrl}${route.path}`)
+    });
+  }
+
+  const mockConfig = match.route.mock;
+  res.locals.endpointId = mockConfig.id;
+  const callCount = callCounter.record(workspace.name, mockConfig.id);
+
+  // Proxy mocks call their upstream unless they are in playback mode
+  if (mockConfig.proxy && mockConfig.proxy.mode !== 'playback') {
+    return proxyToUpstream(req, res, { store, mockConfig, params: match.params, requestPath });
+  }
+
+  // Multipart bodies are only parsed for mocks that answer themselves, so
+  // proxied requests keep their stream
+  parseMockMultipart(req, res, (error) => {
+    if (error) {
+      return sendMultipartError(res, error);
+    }
+    answerMock(req, res, { workspace, store, mockConfig, params: match.params, requestPath, callCount });
+  });
 });
 
+// Admin routes below operate on the workspace selected by resolveWorkspace
+app.use([
+  '/api/mock-endpoints',
+  '/api/upload-contract',
+  '/api/upload-har',
+  '/api/upload-response',
+  '/api/proxy-mock',
+  '/api/contracts',
+  '/api/stats',
+  '/api/clear-all',
+  '/api/export',
+  '/api/requests',
+  '/api/verify',
+  '/api/state-machines',
+  '/api/templates'
+], resolveWorkspace);
+
 // 2. Get all mock endpoints
 app.get('/api/mock-endpoints', (req, res) => {
   try {
-    const endpoints = Array.from(db.mockEndpoints.entries()).map(([id, config]) => ({
+    const endpoints = req.store.mockEndpoints.entries().map(([id, config]) => ({
       id,
       ...config
     }));
@@ -135,7 +786,7 @@ app.get('/api/mock-endpoints', (req, res) => {
 // 3. Get specific mock endpoint
 app.get('/api/mock-endpoints/:endpointId', (req, res) => {
   const { endpointId } = req.params;
-  const endpoint = db.mockEndpoints.get(endpointId);
+  const endpoint = req.store.mockEndpoints.get(endpointId);
   
   if (!endpoint) {
     return res.status(404).json({ error: 'Endpoint not found' });
@@ -147,33 +798,107 @@ app.get('/api/mock-endpoints/:endpointId', (req, res) => {
 // 4. Create new mock endpoint
 app.post('/api/mock-endpoints', (req, res) => {
   try {
-    const { endpointId, response, method = 'GET', statusCode = 200, delay = 0, headers = {} } = req.body;
+    const { endpointId, response, method = 'GET', statusCode = 200, delay = 0, headers = {}, scenarios = [], sequence } = req.body;
     
-    if (!endpointId || response === undefined) {
-      return res.status(400).json({ error: 'endpointId and response are required' });
+    const { responseSchema, seed } = req.body;
+    if (!endpointId || (response === undefined && sequence === undefined && responseSchema === undefined)) {
+      return res.status(400).json({ error: 'endpointId and response (or a responseSchema or sequence) are required' });
     }
 
-    if (db.mockEndpoints.has(endpointId)) {
+    if (req.store.mockEndpoints.has(endpointId)) {
       return res.status(409).json({ error: 'Endpoint ID already exists' });
     }
 
+    const { stateMachine, error: stateMachineError } = resolveStateMachine(req.store, req.body.stateMachine, endpointId);
+    if (stateMachineError) {
+      return res.status(400).json({ error: stateMachineError });
+    }
+
+    const scenarioErrors = validateScenarios(scenarios, { stateful: Boolean(stateMachine) });
+    if (scenarioErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid scenarios', details: scenarioErrors });
+    }
+
+    const templateErrors = validateTemplate(response);
+    if (templateErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid response template', details: templateErrors });
+    }
+
+    const schemaErrors = validateResponseSchema(req.body);
+    if (schemaErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid response schema', details: schemaErrors });
+    }
+
+    const bodyErrors = validateBody(req.body);
+    if (bodyErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid response body', details: bodyErrors });
+    }
+
+    const sequenceErrors = validateEndpointSequence(sequence, response !== undefined ? response : responseSchema);
+    if (sequenceErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid sequence', details: sequenceErrors });
+    }
+
+    const faultErrors = validateFault(req.body.fault);
+    if (faultErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid fault', details: faultErrors });
+    }
+
+    const timingErrors = validateTiming(req.body);
+    if (timingErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid delay or bandwidth', details: timingErrors });
+    }
+
+    const mockPath = normalizePath(req.body.path || endpointId);
+    const validationError = validateMockPath(mockPath) || validateMockMethod(method);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const conflict = findRouteConflict(req.store, mockPath, method);
+    if (conflict) {
+      return res.status(409).json({ error: `${normalizeMethod(method)} ${mockPath} is already served by endpoint ${conflict.id}` });
+    }
+
     const mockConfig = {
       id: endpointId,
-      method: method.toUpperCase(),
-      response,
+      path: mockPath,
+      method: normalizeMethod(method),
+      response: response !== undefined ? response : null,
       statusCode,
-      delay: parseInt(delay) || 0,
+      delay: normalizeDelay(delay),
       headers,
+      ...normalizeBody(req.body),
+      scenarios: normalizeScenarios(scenarios, { statusCode }),
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
+    if (stateMachine) {
+      mockConfig.stateMachine = stateMachine;
+    }
+    if (responseSchema) {
+      mockConfig.responseSchema = responseSchema;
+    }
+    if (seed !== undefined && seed !== null) {
+      mockConfig.seed = seed;
+    }
+    if (sequence) {
+      mockConfig.sequence = normalizeSequence(sequence, { statusCode });
+    }
+    if (req.body.fault) {
+      mockConfig.fault = normalizeFault(req.body.fault);
+    }
+    if (req.body.bandwidth) {
+      mockConfig.bandwidth = req.body.bandwidth;
+    }
 
-    db.mockEndpoints.set(endpointId, mockConfig);
+    req.store.mockEndpoints.set(endpointId, mockConfig);
+    callCounter.reset(req.workspace.name, endpointId);
     
     res.status(201).json({
       message: 'Mock endpoint created successfully',
       endpoint: mockConfig,
-      testUrl: `/api/mock/${endpointId}`
+      testUrl: `${getMockBaseUrl(req.workspace.name)}${mockPath}`
     });
   } catch (error) {
     console.error('Error creating endpoint:', error);
@@ -185,20 +910,135 @@ app.post('/api/mock-endpoints', (req, res) => {
 app.put('/api/mock-endpoints/:endpointId', (req, res) => {
   try {
     const { endpointId } = req.params;
-    const { response, method, statusCode, delay, headers } = req.body;
-    
-    const mockConfig = db.mockEndpoints.get(endpointId);
-    if (!mockConfig) {
+    const { response, method, statusCode, delay, headers, scenarios } = req.body;
+
+    const stored = req.store.mockEndpoints.get(endpointId);
+    if (!stored) {
       return res.status(404).json({ error: 'Endpoint not found' });
     }
+    // Changes go to a copy so a failed write leaves the stored mock untouched
+    const mockConfig = { ...stored };
+
+    // stateMachine: null takes the endpoint off its machine
+    let { stateMachine } = mockConfig;
+    if (req.body.stateMachine !== undefined) {
+      const resolved = resolveStateMachine(req.store, req.body.stateMachine, endpointId);
+      if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+      }
+      stateMachine = resolved.stateMachine;
+    }
+
+    const scenarioErrors = validateScenarios(
+      scenarios !== undefined ? scenarios : mockConfig.scenarios,
+      { stateful: Boolean(stateMachine) }
+    );
+    if (scenarioErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid scenarios', details: scenarioErrors });
+    }
+
+    const templateErrors = validateTemplate(response);
+    if (templateErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid response template', details: templateErrors });
+    }
+
+    // responseSchema: null / seed: null go back to the literal response and
+    // unseeded data
+    const { responseSchema, seed } = req.body;
+    const schemaErrors = validateResponseSchema(req.body);
+    if (schemaErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid response schema', details: schemaErrors });
+    }
+
+    // bodyEncoding / contentType / contentDisposition: null go back to a
+    // plain JSON body
+    const body = { response: response !== undefined ? response : mockConfig.response };
+    BODY_FIELDS.forEach(field => {
+      body[field] = req.body[field] !== undefined ? req.body[field] : mockConfig[field];
+    });
+    const bodyErrors = validateBody(body);
+    if (bodyErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid response body', details: bodyErrors });
+    }
+
+    // sequence: null removes the endpoint's sequence
+    const { sequence } = req.body;
+    const sequenceErrors = validateEndpointSequence(sequence, response !== undefined ? response : mockConfig.response);
+    if (sequenceErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid sequence', details: sequenceErrors });
+    }
+
+    // fault: null removes the endpoint's fault
+    const { fault } = req.body;
+    const faultErrors = validateFault(fault);
+    if (faultErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid fault', details: faultErrors });
+    }
+
+    // bandwidth: null removes the throttling
+    const timingErrors = validateTiming(req.body);
+    if (timingErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid delay or bandwidth', details: timingErrors });
+    }
+
+    if (req.body.path || method) {
+      const mockPath = normalizePath(req.body.path || getMockPath(mockConfig));
+      const mockMethod = normalizeMethod(method || mockConfig.method);
+      const validationError = validateMockPath(mockPath) || validateMockMethod(mockMethod);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const conflict = findRouteConflict(req.store, mockPath, mockMethod, endpointId);
+      if (conflict) {
+        return res.status(409).json({ error: `${mockMethod} ${mockPath} is already served by endpoint ${conflict.id}` });
+      }
+      mockConfig.path = mockPath;
+      mockConfig.method = mockMethod;
+    }
 
     // Update only provided fields
     if (response !== undefined) mockConfig.response = response;
-    if (method) mockConfig.method = method.toUpperCase();
     if (statusCode) mockConfig.statusCode = statusCode;
-    if (delay !== undefined) mockConfig.delay = parseInt(delay) || 0;
+    if (delay !== undefined) mockConfig.delay = normalizeDelay(delay);
     if (headers) mockConfig.headers = headers;
+    if (scenarios !== undefined) mockConfig.scenarios = normalizeScenarios(scenarios, mockConfig);
+    if (stateMachine) {
+      mockConfig.stateMachine = stateMachine;
+    } else {
+      delete mockConfig.stateMachine;
+    }
+    if (responseSchema) {
+      mockConfig.responseSchema = responseSchema;
+    } else if (responseSchema === null) {
+      delete mockConfig.responseSchema;
+    }
+    if (seed !== undefined && seed !== null) {
+      mockConfig.seed = seed;
+    } else if (seed === null) {
+      delete mockConfig.seed;
+    }
+    BODY_FIELDS.forEach(field => delete mockConfig[field]);
+    Object.assign(mockConfig, normalizeBody(body));
+    if (sequence) {
+      mockConfig.sequence = normalizeSequence(sequence, mockConfig);
+    } else if (sequence === null) {
+      delete mockConfig.sequence;
+    }
+    if (fault) {
+      mockConfig.fault = normalizeFault(fault);
+    } else if (fault === null) {
+      delete mockConfig.fault;
+    }
+    if (req.body.bandwidth) {
+      mockConfig.bandwidth = req.body.bandwidth;
+    } else if (req.body.bandwidth === null) {
+      delete mockConfig.bandwidth;
+    }
     mockConfig.updatedAt = new Date().toISOString();
+    req.store.mockEndpoints.set(endpointId, mockConfig);
+    // Sequences start over once their endpoint changed
+    callCounter.reset(req.workspace.name, endpointId);
 
     res.json({
       message: 'Mock endpoint updated successfully',
@@ -215,7 +1055,8 @@ app.delete('/api/mock-endpoints/:endpointId', (req, res) => {
   try {
     const { endpointId } = req.params;
     
-    if (db.mockEndpoints.delete(endpointId)) {
+    if (req.store.mockEndpoints.delete(endpointId)) {
+      callCounter.reset(req.workspace.name, endpointId);
       res.json({ message: 'Mock endpoint deleted successfully' });
     } else {
       res.status(404).json({ error: 'Endpoint not found' });
@@ -226,6 +1067,93 @@ app.delete('/api/mock-endpoints/:endpointId', (req, res) => {
   }
 });
 
+// Creates mocks in the request's workspace from contract endpoint definitions
+// ({ id, path, method, response, statusCode, scenarios, ... }). Invalid or
+// conflicting definitions are reported in skippedEndpoints.
+const createMocksFromContract = (req, contractEndpoints, contractId) => {
+  const createdEndpoints = [];
+  const skippedEndpoints = [];
+  if (!Array.isArray(contractEndpoints)) {
+    return { createdEndpoints, skippedEndpoints };
+  }
+
+  contractEndpoints.forEach((endpoint, index) => {
+    const endpointId = endpoint.id || endpoint.endpointId || `contract-${contractId}-${index}`;
+    const mockPath = normalizePath(endpoint.path || endpointId);
+    const { stateMachine, error: stateMachineError } = resolveStateMachine(req.store, endpoint.stateMachine, endpointId);
+    const validationError = validateMockPath(mockPath) ||
+      validateMockMethod(endpoint.method) ||
+      stateMachineError ||
+      validateScenarios(endpoint.scenarios, { stateful: Boolean(stateMachine) }).join('; ') ||
+      validateSequence(endpoint.sequence).join('; ') ||
+      validateFault(endpoint.fault).join('; ') ||
+      validateTemplate(endpoint.response).join('; ') ||
+      validateResponseSchema(endpoint).join('; ') ||
+      validateBody(endpoint).join('; ') ||
+      validateTiming(endpoint).join('; ');
+    if (validationError) {
+      skippedEndpoints.push({ id: endpointId, error: validationError });
+      return;
+    }
+
+    const conflict = findRouteConflict(req.store, mockPath, endpoint.method, endpointId);
+    if (conflict) {
+      skippedEndpoints.push({ id: endpointId, error: `Route already served by endpoint ${conflict.id}` });
+      return;
+    }
+
+    const mockConfig = {
+      id: endpointId,
+      path: mockPath,
+      method: normalizeMethod(endpoint.method),
+      response: endpoint.response !== undefined && endpoint.response !== null
+        ? endpoint.response
+        : (endpoint.responseSchema ? null : { message: 'Mock response from contract' }),
+      statusCode: endpoint.statusCode || 200,
+      delay: normalizeDelay(endpoint.delay),
+      headers: endpoint.headers || {},
+      ...normalizeBody(endpoint),
+      scenarios: normalizeScenarios(endpoint.scenarios, endpoint),
+      fromContract: contractId,
+      createdAt: new Date().toISOString()
+    };
+    if (stateMachine) {
+      mockConfig.stateMachine = stateMachine;
+    }
+    if (endpoint.responseSchema) {
+      mockConfig.responseSchema = endpoint.responseSchema;
+    }
+    if (endpoint.seed !== undefined && endpoint.seed !== null) {
+      mockConfig.seed = endpoint.seed;
+    }
+    if (endpoint.sequence) {
+      mockConfig.sequence = normalizeSequence(endpoint.sequence, mockConfig);
+    }
+    if (endpoint.fault) {
+      mockConfig.fault = normalizeFault(endpoint.fault);
+    }
+    if (endpoint.bandwidth) {
+      mockConfig.bandwidth = endpoint.bandwidth;
+    }
+    if (endpoint.operation) {
+      mockConfig.operation = endpoint.operation;
+    }
+    if (Array.isArray(endpoint.tags) && endpoint.tags.length > 0) {
+      mockConfig.tags = endpoint.tags.map(String);
+    }
+
+    req.store.mockEndpoints.set(endpointId, mockConfig);
+    createdEndpoints.push({
+      id: endpointId,
+      url: `${getMockBaseUrl(req.workspace.name)}${mockPath}`,
+      method: mockConfig.method,
+      statusCode: mockConfig.statusCode
+    });
+  });
+
+  return { createdEndpoints, skippedEndpoints };
+};
+
 // 7. Upload API contract and create mock responses
 app.post('/api/upload-contract', upload.single('contract'), (req, res) => {
   try {
@@ -233,56 +1161,66 @@ app.post('/api/upload-contract', upload.single('contract'), (req, res) => {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    const contractData = JSON.parse(req.file.buffer.toString());
+    const contractData = parseContractText(req.file.buffer.toString());
+    if (!contractData || typeof contractData !== 'object') {
+      return res.status(400).json({ error: 'Contract must be an OpenAPI/Swagger document, a Postman collection or a list of endpoints' });
+    }
+
+    // OpenAPI 3 / Swagger 2 documents and Postman collections are converted to
+    // endpoint definitions; anything else is read as { endpoints: [...] } or a
+    // bare array, as exported by the dashboard.
+    const specFormat = detectSpecFormat(contractData) || (isPostmanCollection(contractData) ? 'postman' : null);
+    const imported = specFormat === 'postman'
+      ? importCollection(contractData)
+      : specFormat ? importSpec(contractData, { seed: req.body.seed }) : null;
     const contractId = uuidv4();
 
+    // Strict contracts validate requests to their mocks (see lib/contractValidation)
+    const strict = req.body.strict === 'true';
+    if (strict && !canValidate({ data: contractData })) {
+      return res.status(400).json({ error: 'Strict mode needs an OpenAPI 3 or Swagger 2 contract' });
+    }
+
     // Store the contract
-    db.apiContracts.set(contractId, {
+    req.store.apiContracts.set(contractId, {
       id: contractId,
-      name: req.body.name || 'Unnamed Contract',
+      name: req.body.name || (imported && imported.title) || 'Unnamed Contract',
+      format: specFormat || 'endpoints',
+      strict,
       data: contractData,
       uploadedAt: new Date().toISOString()
     });
 
     // Create mock endpoints from contract
-    const createdEndpoints = [];
-    if (contractData.endpoints) {
-      contractData.endpoints.forEach((endpoint, index) => {
-        const endpointId = endpoint.id || `contract-${contractId}-${index}`;
-        const mockConfig = {
-          id: endpointId,
-          method: endpoint.method || 'GET',
-          response: endpoint.response || { message: 'Mock response from contract' },
-          statusCode: endpoint.statusCode || 200,
-          delay: endpoint.delay || 0,
-          headers: endpoint.headers || {},
-          fromContract: contractId,
-          createdAt: new Date().toISOString()
-        };
-
-        db.mockEndpoints.set(endpointId, mockConfig);
-        createdEndpoints.push({
-          id: endpointId,
-          url: `/api/mock/${endpointId}`,
-          method: mockConfig.method,
-          statusCode: mockConfig.statusCode
-        });
-      });
-    }
+    const contractEndpoints = imported
+      ? imported.endpoints
+      : Array.isArray(contractData) ? contractData : contractData.endpoints;
+    const { createdEndpoints, skippedEndpoints } = createMocksFromContract(req, contractEndpoints, contractId);
 
     res.json({
       message: 'Contract uploaded successfully',
       contractId,
+      format: specFormat || 'endpoints',
       createdEndpoints,
+      skippedEndpoints,
+      warnings: imported ? imported.warnings : [],
       totalEndpoints: createdEndpoints.length
     });
   } catch (error) {
     console.error('Error uploading contract:', error);
+    if (error instanceof SyntaxError) {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Failed to process contract file' });
   }
 });
 
-// 8. Upload JSON response for existing API
+// 8. Upload a response file for an existing endpoint. JSON files replace the
+// response value; other text files (CSV, XML, HTML, ...) become text bodies
+// and binary files (PDF, images, ...) base64 bodies, sent with the file's
+// content type. Optional form fields: bodyEncoding (json, text or base64)
+// and contentType override the detection; disposition (attachment or
+// inline) serves the file under its original name.
 app.post('/api/upload-response/:endpointId', upload.single('response'), (req, res) => {
   try {
     const { endpointId } = req.params;
@@ -291,54 +1229,112 @@ app.post('/api/upload-response/:endpointId', upload.single('response'), (req, re
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    const responseData = JSON.parse(req.file.buffer.toString());
-    const mockConfig = db.mockEndpoints.get(endpointId);
+    const mockConfig = req.store.mockEndpoints.get(endpointId);
 
     if (!mockConfig) {
       return res.status(404).json({ error: 'Endpoint not found' });
     }
 
-    mockConfig.response = responseData;
-    mockConfig.updatedAt = new Date().toISOString();
-
-    res.json({ 
-      message: 'Response updated successfully', 
-      endpoint: mockConfig 
-    });
+    let body;
+    try {
+      body = bodyFromUpload(req.file, req.body);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid response file', details: [error.message] });
+    }
+    const bodyErrors = validateBody(body);
+    if (bodyErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid response file', details: bodyErrors });
+    }
+    const templateErrors = body.bodyEncoding === 'base64' ? [] : validateTemplate(body.response);
+    if (templateErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid response template',
+        details: templateErrors.concat('Upload with bodyEncoding "base64" to serve the file verbatim')
+      });
+    }
+
+    // The uploaded file replaces a generated body
+    const updated = { ...mockConfig, response: body.response };
+    delete updated.responseSchema;
+    delete updated.seed;
+    BODY_FIELDS.forEach(field => delete updated[field]);
+    Object.assign(updated, normalizeBody(body));
+    updated.updatedAt = new Date().toISOString();
+    req.store.mockEndpoints.set(endpointId, updated);
+
+    res.json({
+      message: 'Response updated successfully',
+      endpoint: updated
+    });
   } catch (error) {
     console.error('Error uploading response:', error);
     res.status(500).json({ error: 'Failed to process response file' });
   }
 });
 
-// 9. Add mock response to any existing API (proxy-like functionality)
+// 9. Create a record/playback proxy for an upstream API. Requests to the
+// mock are forwarded to originalUrl (record, passthrough) or answered from
+// recorded responses (playback). The default response answers playback
+// requests that have no recording.
 app.post('/api/proxy-mock', (req, res) => {
   try {
-    const { originalUrl, mockResponse, method = 'ALL', statusCode = 200, delay = 0 } = req.body;
-    
-    if (!originalUrl || !mockResponse) {
-      return res.status(400).json({ error: 'originalUrl and mockResponse are required' });
+    const {
+      originalUrl,
+      mockResponse,
+      mode = 'record',
+      redact,
+      replayTiming,
+      method = 'ANY',
+      delay = 0
+    } = req.body;
+
+    if (!originalUrl) {
+      return res.status(400).json({ error: 'originalUrl is required' });
+    }
+
+    const endpointId = req.body.endpointId || `proxy-${uuidv4().slice(0, 8)}`;
+    if (req.store.mockEndpoints.has(endpointId)) {
+      return res.status(409).json({ error: 'Endpoint ID already exists' });
+    }
+
+    // By default the proxy mirrors the whole upstream below /{endpointId}
+    const mockPath = normalizePath(req.body.path || `/${endpointId}/*`);
+    const validationError = validateProxyConfig({ originalUrl, mode, redact }) ||
+      validateMockPath(mockPath) ||
+      validateMockMethod(method) ||
+      validateDelay(delay).join('; ');
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const conflict = findRouteConflict(req.store, mockPath, method);
+    if (conflict) {
+      return res.status(409).json({ error: `${normalizeMethod(method)} ${mockPath} is already served by endpoint ${conflict.id}` });
     }
 
-    const endpointId = `proxy-${uuidv4().slice(0, 8)}`;
     const mockConfig = {
       id: endpointId,
-      originalUrl,
-      method: method.toUpperCase(),
-      response: mockResponse,
-      statusCode,
-      delay: parseInt(delay) || 0,
-      isProxy: true,
-      createdAt: new Date().toISOString()
+      path: mockPath,
+      method: normalizeMethod(method),
+      response: mockResponse !== undefined
+        ? mockResponse
+        : { error: 'No recorded response matches this request' },
+      statusCode: req.body.statusCode || (mockResponse !== undefined ? 200 : 404),
+      delay: normalizeDelay(delay),
+      headers: {},
+      scenarios: [],
+      proxy: normalizeProxyConfig({ originalUrl, mode, redact, replayTiming }),
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
     };
 
-    db.mockEndpoints.set(endpointId, mockConfig);
+    req.store.mockEndpoints.set(endpointId, mockConfig);
 
     res.status(201).json({
       message: 'Proxy mock created successfully',
       endpointId,
       config: mockConfig,
-      testUrl: `/api/mock/${endpointId}`
+      testUrl: `${getMockBaseUrl(req.workspace.name)}${mockPath}`
     });
   } catch (error) {
     console.error('Error creating proxy mock:', error);
@@ -346,10 +1342,72 @@ app.post('/api/proxy-mock', (req, res) => {
   }
 });
 
+// 9b. Switch a proxy mock between record, playback and passthrough, or
+// change its upstream URL and redaction settings
+app.put('/api/proxy-mock/:endpointId', (req, res) => {
+  try {
+    const mockConfig = req.store.mockEndpoints.get(req.params.endpointId);
+    if (!mockConfig) {
+      return res.status(404).json({ error: 'Endpoint not found' });
+    }
+    if (!mockConfig.proxy) {
+      return res.status(400).json({ error: 'Endpoint is not a proxy mock' });
+    }
+
+    const { originalUrl, mode, redact, replayTiming } = req.body;
+    const validationError = validateProxyConfig({ originalUrl, mode, redact });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const updated = {
+      ...mockConfig,
+      proxy: normalizeProxyConfig({
+        originalUrl: originalUrl || mockConfig.proxy.originalUrl,
+        mode: mode || mockConfig.proxy.mode,
+        redact: redact || mockConfig.proxy.redact,
+        replayTiming: replayTiming !== undefined ? replayTiming : mockConfig.proxy.replayTiming
+      }),
+      updatedAt: new Date().toISOString()
+    };
+    req.store.mockEndpoints.set(updated.id, updated);
+
+    res.json({
+      message: 'Proxy mock updated successfully',
+      endpoint: updated
+    });
+  } catch (error) {
+    console.error('Error updating proxy mock:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 9c. Delete the responses a proxy mock has recorded
+app.delete('/api/proxy-mock/:endpointId/recordings', (req, res) => {
+  try {
+    const mockConfig = req.store.mockEndpoints.get(req.params.endpointId);
+    if (!mockConfig || !mockConfig.proxy) {
+      return res.status(404).json({ error: 'Proxy mock not found' });
+    }
+
+    const scenarios = mockConfig.scenarios || [];
+    const kept = scenarios.filter(scenario => !scenario.recordedAt);
+    req.store.mockEndpoints.set(mockConfig.id, { ...mockConfig, scenarios: kept, updatedAt: new Date().toISOString() });
+
+    res.json({
+      message: 'Recordings deleted successfully',
+      deletedRecordings: scenarios.length - kept.length
+    });
+  } catch (error) {
+    console.error('Error deleting recordings:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // 10. Get all API contracts
 app.get('/api/contracts', (req, res) => {
   try {
-    const contracts = Array.from(db.apiContracts.entries()).map(([id, contract]) => ({
+    const contracts = req.store.apiContracts.entries().map(([id, contract]) => ({
       id,
       ...contract
     }));
@@ -367,6 +1425,13 @@ app.get('/api/health', (req, res) => {
     timestamp: new Date().toISOString(),
     totalEndpoints: db.mockEndpoints.size,
     totalContracts: db.apiContracts.size,
+    totalWorkspaces: db.workspaces.size,
+    upstreamUrl: UPSTREAM_URL,
+    networkCondition: NETWORK_CONDITION,
+    storage: {
+      driver: db.driver,
+      schemaVersion: db.schemaVersion
+    },
     version: '1.0.0'
   });
 });
@@ -374,61 +1439,49 @@ app.get('/api/health', (req, res) => {
 // 12. Get server statistics
 app.get('/api/stats', (req, res) => {
   const endpointsByMethod = {};
-  db.mockEndpoints.forEach(endpoint => {
-    const method = endpoint.method;
+  const methodsByPath = {};
+  req.store.mockEndpoints.forEach(endpoint => {
+    const method = getMockMethod(endpoint);
+    const mockPath = getMockPath(endpoint);
     endpointsByMethod[method] = (endpointsByMethod[method] || 0) + 1;
+    methodsByPath[mockPath] = (methodsByPath[mockPath] || []).concat(method);
   });
 
   res.json({
-    totalEndpoints: db.mockEndpoints.size,
-    totalContracts: db.apiContracts.size,
+    workspace: req.workspace.name,
+    totalEndpoints: req.store.mockEndpoints.size,
+    totalContracts: req.store.apiContracts.size,
     endpointsByMethod,
+    methodsByPath,
+    requests: getWorkspaceStats(req.workspace.name),
     uptime: process.uptime(),
     memory: process.memoryUsage()
   });
 });
 
-// 13. Clear all data (for testing)
+// 13. Clear all data of the selected workspace (for testing)
 app.delete('/api/clear-all', (req, res) => {
   try {
-    const endpointsCount = db.mockEndpoints.size;
-    const contractsCount = db.apiContracts.size;
+    const endpointsCount = req.store.mockEndpoints.size;
+    const contractsCount = req.store.apiContracts.size;
     
-    db.mockEndpoints.clear();
-    db.apiContracts.clear();
+    req.store.mockEndpoints.clear();
+    req.store.apiContracts.clear();
+    callCounter.resetWorkspace(req.workspace.name);
+    violationLog.clear({ workspace: req.workspace.name });
     
     // Add back demo endpoints
-    db.mockEndpoints.set('demo-user', {
-      id: 'demo-user',
-      method: 'GET',
-      response: { 
-        id: "{{userId}}", 
-        name: "John Doe", 
-        email: "john@example.com",
-        dynamicParam: "{{userId}}"
-      },
-      statusCode: 200,
-      delay: 0,
-      createdAt: new Date().toISOString()
-    });
-
-    db.mockEndpoints.set('demo-products', {
-      id: 'demo-products',
-      method: 'GET',
-      response: [
-        { id: 1, name: "Product 1", price: 99.99 },
-        { id: 2, name: "Product 2", price: 149.99 }
-      ],
-      statusCode: 200,
-      delay: 0,
-      createdAt: new Date().toISOString()
-    });
+    const isDefault = req.workspace.name === DEFAULT_WORKSPACE;
+    if (isDefault) {
+      seedDemoEndpoints(req.store);
+    }
 
     res.json({
       message: 'All data cleared successfully',
+      workspace: req.workspace.name,
       deletedEndpoints: endpointsCount,
       deletedContracts: contractsCount,
-      demoEndpointsAdded: 2
+      demoEndpointsAdded: isDefault ? 2 : 0
     });
   } catch (error) {
     console.error('Error clearing data:', error);
@@ -436,7 +1489,608 @@ app.delete('/api/clear-all', (req, res) => {
   }
 });
 
-// 14. Serve React app for all other routes (SPA support)
+// 14. List workspaces
+app.get('/api/workspaces', (req, res) => {
+  try {
+    res.json(Array.from(db.workspaces.values()).map(describeWorkspace));
+  } catch (error) {
+    console.error('Error getting workspaces:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 15. Create workspace
+app.post('/api/workspaces', (req, res) => {
+  try {
+    const { name, description = '', variables = {}, upstreamUrl = null, networkCondition = null } = req.body;
+
+    const validationError = validateWorkspace({ name, description, variables, upstreamUrl, networkCondition }, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    if (db.workspaces.has(name)) {
+      return res.status(409).json({ error: 'Workspace already exists' });
+    }
+
+    const workspace = createWorkspaceRecord(name, description, variables, upstreamUrl || null, networkCondition || null);
+    db.workspaces.set(name, workspace);
+
+    res.status(201).json({
+      message: 'Workspace created successfully',
+      workspace: describeWorkspace(workspace)
+    });
+  } catch (error) {
+    console.error('Error creating workspace:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 16. Get specific workspace
+app.get('/api/workspaces/:name', (req, res) => {
+  const workspace = db.workspaces.get(req.params.name);
+  if (!workspace) {
+    return res.status(404).json({ error: 'Workspace not found' });
+  }
+  res.json(describeWorkspace(workspace));
+});
+
+// 17. Update workspace description, variables, fallback upstream and network
+// condition (null falls back to the server's UPSTREAM_URL / NETWORK_CONDITION again)
+app.put('/api/workspaces/:name', (req, res) => {
+  try {
+    const workspace = db.workspaces.get(req.params.name);
+    if (!workspace) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+
+    const { description, variables, upstreamUrl, networkCondition } = req.body;
+    const validationError = validateWorkspace({ description, variables, upstreamUrl, networkCondition }, false);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const updated = { ...workspace, updatedAt: new Date().toISOString() };
+    if (description !== undefined) updated.description = description;
+    if (variables !== undefined) updated.variables = variables;
+    if (upstreamUrl !== undefined) updated.upstreamUrl = upstreamUrl || null;
+    if (networkCondition !== undefined) updated.networkCondition = networkCondition || null;
+    db.workspaces.set(updated.name, updated);
+
+    res.json({
+      message: 'Workspace updated successfully',
+      workspace: describeWorkspace(updated)
+    });
+  } catch (error) {
+    console.error('Error updating workspace:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 18. Delete workspace with all its endpoints and contracts
+app.delete('/api/workspaces/:name', (req, res) => {
+  try {
+    const { name } = req.params;
+    if (name === DEFAULT_WORKSPACE) {
+      return res.status(400).json({ error: 'The default workspace cannot be deleted' });
+    }
+    if (!db.workspaces.has(name)) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+
+    const store = db.workspace(name);
+    const deletedEndpoints = store.mockEndpoints.clear();
+    const deletedContracts = store.apiContracts.clear();
+    db.workspaces.delete(name);
+    workspaceStats.delete(name);
+    journal.clear({ workspace: name });
+    violationLog.clear({ workspace: name });
+    stateStore.resetWorkspace(name);
+    callCounter.resetWorkspace(name);
+
+    res.json({ message: 'Workspace deleted successfully', deletedEndpoints, deletedContracts });
+  } catch (error) {
+    console.error('Error deleting workspace:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 19. Clear or reset a workspace. Clear removes its endpoints, contracts (with their
+// recorded violations) and call counters;
+// reset also clears its stats, request journal and machine states and re-adds the demo endpoints to the
+// default workspace. Variables are kept either way.
+app.post('/api/workspaces/:name/:action(clear|reset)', (req, res) => {
+  try {
+    const { name, action } = req.params;
+    if (!db.workspaces.has(name)) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+
+    const store = db.workspace(name);
+    const deletedEndpoints = store.mockEndpoints.clear();
+    const deletedContracts = store.apiContracts.clear();
+    callCounter.resetWorkspace(name);
+    violationLog.clear({ workspace: name });
+
+    let demoEndpointsAdded = 0;
+    if (action === 'reset') {
+      workspaceStats.delete(name);
+      journal.clear({ workspace: name });
+      stateStore.resetWorkspace(name);
+      if (name === DEFAULT_WORKSPACE) {
+        seedDemoEndpoints(store);
+        demoEndpointsAdded = 2;
+      }
+    }
+
+    res.json({
+      message: `Workspace ${action === 'reset' ? 'reset' : 'cleared'} successfully`,
+      workspace: name,
+      deletedEndpoints,
+      deletedContracts,
+      demoEndpointsAdded
+    });
+  } catch (error) {
+    console.error('Error clearing workspace:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 20. Get workspace statistics
+app.get('/api/workspaces/:name/stats', (req, res) => {
+  const workspace = db.workspaces.get(req.params.name);
+  if (!workspace) {
+    return res.status(404).json({ error: 'Workspace not found' });
+  }
+
+  const store = db.workspace(workspace.name);
+  res.json({
+    workspace: workspace.name,
+    totalEndpoints: store.mockEndpoints.size,
+    totalContracts: store.apiContracts.size,
+    requests: getWorkspaceStats(workspace.name)
+  });
+});
+
+// 21. Export the workspace's mocks as an OpenAPI 3 document.
+// ?format=yaml (or Accept: application/yaml) returns YAML instead of JSON.
+app.get('/api/export/openapi', (req, res) => {
+  try {
+    const mockBaseUrl = getMockBaseUrl(req.workspace.name);
+    const document = exportSpec(req.store.mockEndpoints.values(), {
+      title: req.workspace.name === DEFAULT_WORKSPACE ? 'Mock Server' : `Mock Server (${req.workspace.name})`,
+      serverUrl: `${req.protocol}://${req.get('host')}${mockBaseUrl}`
+    });
+
+    const wantsYaml = req.query.format
+      ? ['yaml', 'yml'].includes(String(req.query.format).toLowerCase())
+      : req.accepts(['application/json', 'application/yaml', 'text/yaml']) !== 'application/json';
+    if (wantsYaml) {
+      return res.type('application/yaml').send(toYaml(document));
+    }
+    res.json(document);
+  } catch (error) {
+    console.error('Error exporting OpenAPI document:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 22. Export the workspace's mocks as a Postman Collection v2.1
+app.get('/api/export/postman', (req, res) => {
+  try {
+    const collection = exportCollection(req.store.mockEndpoints.values(), {
+      name: req.workspace.name === DEFAULT_WORKSPACE ? 'Mock Server' : `Mock Server (${req.workspace.name})`,
+      baseUrl: `${req.protocol}://${req.get('host')}${getMockBaseUrl(req.workspace.name)}`
+    });
+    res.json(collection);
+  } catch (error) {
+    console.error('Error exporting Postman collection:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 23. Import a HAR capture. Optional form fields: host, pathPrefix,
+// stripPrefix ("true" removes pathPrefix from mock paths) and stripHeaders
+// (comma-separated header names dropped in addition to the default list).
+app.post('/api/upload-har', upload.single('har'), (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const harData = JSON.parse(req.file.buffer.toString());
+    if (!isHar(harData)) {
+      return res.status(400).json({ error: 'File is not a HAR archive (expected log.entries)' });
+    }
+
+    const imported = importHar(harData, {
+      host: req.body.host || undefined,
+      pathPrefix: req.body.pathPrefix || undefined,
+      stripPrefix: req.body.stripPrefix === 'true',
+      stripHeaders: String(req.body.stripHeaders || '').split(',').map(name => name.trim()).filter(Boolean)
+    });
+    const contractId = uuidv4();
+
+    // Only the filtered, sanitized archive is stored
+    req.store.apiContracts.set(contractId, {
+      id: contractId,
+      name: req.body.name || req.file.originalname || 'HAR capture',
+      format: 'har',
+      data: imported.har,
+      uploadedAt: new Date().toISOString()
+    });
+
+    const { createdEndpoints, skippedEndpoints } = createMocksFromContract(req, imported.endpoints, contractId);
+
+    res.json({
+      message: 'HAR imported successfully',
+      contractId,
+      format: 'har',
+      createdEndpoints,
+      skippedEndpoints,
+      warnings: imported.warnings,
+      summary: imported.summary,
+      totalEndpoints: createdEndpoints.length
+    });
+  } catch (error) {
+    console.error('Error importing HAR:', error);
+    if (error instanceof SyntaxError) {
+      return res.status(400).json({ error: 'HAR file is not valid JSON' });
+    }
+    res.status(500).json({ error: 'Failed to process HAR file' });
+  }
+});
+
+// Query parameters accepted as journal filters by routes 24 and 26
+const JOURNAL_FILTERS = ['method', 'path', 'endpointId', 'scenario', 'status', 'matched', 'since', 'until', 'q'];
+
+const readJournalFilters = (req) => {
+  const filters = { workspace: req.workspace.name };
+  JOURNAL_FILTERS.forEach(name => {
+    if (req.query[name] !== undefined && req.query[name] !== '') filters[name] = String(req.query[name]);
+  });
+  return filters;
+};
+
+// 24. List journaled mock requests of the workspace, newest first.
+// Filters: method, path (substring), endpointId, scenario, status (404 or
+// 4xx), matched (true/false), since/until (ISO dates), q (full text);
+// paging with limit (default 100) and offset.
+app.get('/api/requests', (req, res) => {
+  try {
+    const { limit = '100', offset = '0' } = req.query;
+    const filters = readJournalFilters(req);
+    const validationError = validateFilters({ ...filters, limit, offset });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const page = journal.list(filters, { limit: parseInt(limit), offset: parseInt(offset) });
+    res.json({
+      workspace: req.workspace.name,
+      total: page.total,
+      journalLimit: journal.limit,
+      requests: page.requests
+    });
+  } catch (error) {
+    console.error('Error listing requests:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 25. Get one journaled request with its response
+app.get('/api/requests/:requestId', (req, res) => {
+  const entry = journal.get(req.params.requestId);
+  if (!entry || entry.workspace !== req.workspace.name) {
+    return res.status(404).json({ error: 'Request not found' });
+  }
+  res.json(entry);
+});
+
+// 26. Delete journaled requests of the workspace (all, or those matching
+// the same filters as route 24)
+app.delete('/api/requests', (req, res) => {
+  try {
+    const filters = readJournalFilters(req);
+    const validationError = validateFilters(filters);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    res.json({
+      message: 'Requests deleted successfully',
+      deletedRequests: journal.clear(filters)
+    });
+  } catch (error) {
+    console.error('Error deleting requests:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 27. Verify how often journaled requests of the workspace matched a
+// pattern: { request: { method, path, endpointId, scenario, match }, count:
+// { exactly | atLeast | atMost | never }, since, closest }. Always answers 200;
+// `passed` tells the outcome and failures list the closest other requests.
+app.post('/api/verify', (req, res) => {
+  try {
+    const { since } = req.body;
+    const errors = validateVerification(req.body);
+    const filterError = validateFilters({ since });
+    if (filterError) errors.push(filterError);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid verification', details: errors });
+    }
+
+    const { requests } = journal.list({ workspace: req.workspace.name, since }, { limit: journal.limit });
+    res.json(verifyRequests(requests, req.body));
+  } catch (error) {
+    console.error('Error verifying requests:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 28. Verify that no request of the workspace went unmatched (404, 405 or
+// fallback proxying) since an optional ISO timestamp
+app.post('/api/verify/unmatched', (req, res) => {
+  try {
+    const { since } = req.body;
+    const validationError = validateFilters({ since });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { total, requests } = journal.list(
+      { workspace: req.workspace.name, matched: 'false', since },
+      { limit: journal.limit }
+    );
+    res.json({
+      passed: total === 0,
+      count: total,
+      message: total === 0
+        ? 'Every request matched a mock'
+        : `${total} request(s) did not match any mock`,
+      unmatchedRequests: requests.map(entry => ({
+        id: entry.id,
+        timestamp: entry.timestamp,
+        method: entry.method,
+        url: entry.url,
+        status: entry.response.status,
+        proxy: entry.proxy
+      }))
+    });
+  } catch (error) {
+    console.error('Error verifying unmatched requests:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 29. List the workspace's state machines with their current states
+app.get('/api/state-machines', (req, res) => {
+  try {
+    res.json(describeMachines(req.store.mockEndpoints.values(), stateStore, req.workspace.name));
+  } catch (error) {
+    console.error('Error listing state machines:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Finds a machine of the request's workspace by name (null when no mock uses it)
+const findMachine = (req) => describeMachines(req.store.mockEndpoints.values(), stateStore, req.workspace.name)
+  .find(machine => machine.name === req.params.name) || null;
+
+// 30. Get one state machine
+app.get('/api/state-machines/:name', (req, res) => {
+  const machine = findMachine(req);
+  if (!machine) {
+    return res.status(404).json({ error: 'State machine not found' });
+  }
+  res.json(machine);
+});
+
+// 31. Force a state machine into a state: { "state": "SHIPPED" }
+app.put('/api/state-machines/:name', (req, res) => {
+  try {
+    const machine = findMachine(req);
+    if (!machine) {
+      return res.status(404).json({ error: 'State machine not found' });
+    }
+    if (!isStateName(req.body.state)) {
+      return res.status(400).json({ error: 'state must be printable ASCII text of at most 64 characters' });
+    }
+
+    stateStore.set(req.workspace.name, machine.name, req.body.state);
+    res.json({ message: 'State updated successfully', stateMachine: findMachine(req) });
+  } catch (error) {
+    console.error('Error updating state machine:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 32. Reset every state machine of the workspace to its initial state
+app.post('/api/state-machines/reset', (req, res) => {
+  stateStore.resetWorkspace(req.workspace.name);
+  res.json({ message: 'State machines reset successfully' });
+});
+
+// 33. Reset one state machine to its initial state
+app.post('/api/state-machines/:name/reset', (req, res) => {
+  const machine = findMachine(req);
+  if (!machine) {
+    return res.status(404).json({ error: 'State machine not found' });
+  }
+  stateStore.reset(req.workspace.name, machine.name);
+  res.json({ message: 'State machine reset successfully', stateMachine: findMachine(req) });
+});
+
+// 34. Get an endpoint's call count and how far its sequences have advanced
+app.get('/api/mock-endpoints/:endpointId/calls', (req, res) => {
+  const endpoint = req.store.mockEndpoints.get(req.params.endpointId);
+  if (!endpoint) {
+    return res.status(404).json({ error: 'Endpoint not found' });
+  }
+  res.json(describeCalls(endpoint, callCounter.get(req.workspace.name, endpoint.id), DEFAULT_SCENARIO_NAME));
+});
+
+// 35. Reset the call counters of every endpoint of the workspace
+app.post('/api/mock-endpoints/calls/reset', (req, res) => {
+  callCounter.resetWorkspace(req.workspace.name);
+  res.json({ message: 'Call counters reset successfully' });
+});
+
+// 36. Reset one endpoint's call counter; its sequences start over
+app.post('/api/mock-endpoints/:endpointId/calls/reset', (req, res) => {
+  const endpoint = req.store.mockEndpoints.get(req.params.endpointId);
+  if (!endpoint) {
+    return res.status(404).json({ error: 'Endpoint not found' });
+  }
+  callCounter.reset(req.workspace.name, endpoint.id);
+  res.json({
+    message: 'Call counter reset successfully',
+    calls: describeCalls(endpoint, callCounter.get(req.workspace.name, endpoint.id), DEFAULT_SCENARIO_NAME)
+  });
+});
+
+// 37. List the network condition presets with their expected latency percentiles
+app.get('/api/network-conditions', (req, res) => {
+  res.json(listNetworkConditions());
+});
+
+// 38. Render a response template against a sample request, for previews:
+// { "template": ..., "request": { "path": {}, "query": {}, "body": {}, "headers": {}, "method": "GET" } }
+app.post('/api/templates/render', (req, res) => {
+  try {
+    const { template, request = {} } = req.body;
+    if (template === undefined) {
+      return res.status(400).json({ error: 'template is required' });
+    }
+    if (!request || typeof request !== 'object' || Array.isArray(request)) {
+      return res.status(400).json({ error: 'request must be an object' });
+    }
+
+    const headers = Object.fromEntries(Object.entries(request.headers || {})
+      .map(([name, value]) => [name.toLowerCase(), value]));
+    const context = {
+      method: request.method || 'GET',
+      path: request.path || {},
+      query: request.query || {},
+      headers,
+      cookies: request.cookies || parseCookies(headers.cookie),
+      body: request.body !== undefined ? request.body : {},
+      files: request.files || {},
+      vars: req.workspace.variables,
+      call: { count: 1, step: undefined },
+      request: { method: request.method || 'GET', path: request.url || '/', url: request.url || '/' }
+    };
+
+    try {
+      res.json({ result: renderTemplate(template, context) });
+    } catch (error) {
+      res.status(400).json({ error: 'Template could not be rendered', details: [error.message] });
+    }
+  } catch (error) {
+    console.error('Error rendering template:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 39. Update a contract: { "strict": true } validates requests to its mocks
+// against the contract, { "name": "..." } renames it
+app.put('/api/contracts/:contractId', (req, res) => {
+  try {
+    const contract = req.store.apiContracts.get(req.params.contractId);
+    if (!contract) {
+      return res.status(404).json({ error: 'Contract not found' });
+    }
+
+    const { strict, name } = req.body;
+    if (strict !== undefined && typeof strict !== 'boolean') {
+      return res.status(400).json({ error: 'strict must be true or false' });
+    }
+    if (strict && !canValidate(contract)) {
+      return res.status(400).json({ error: 'Strict mode needs an OpenAPI 3 or Swagger 2 contract' });
+    }
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({ error: 'name must be a non-empty string' });
+    }
+
+    const updated = { ...contract };
+    if (strict !== undefined) updated.strict = strict;
+    if (name !== undefined) updated.name = name.trim();
+    req.store.apiContracts.set(updated.id, updated);
+
+    res.json({ message: 'Contract updated successfully', contract: updated });
+  } catch (error) {
+    console.error('Error updating contract:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 40. List the requests a strict contract rejected, newest first.
+// Query: endpointId, limit (default 100), offset
+app.get('/api/contracts/:contractId/violations', (req, res) => {
+  try {
+    const { contractId } = req.params;
+    if (!req.store.apiContracts.has(contractId)) {
+      return res.status(404).json({ error: 'Contract not found' });
+    }
+
+    const { endpointId, limit, offset } = req.query;
+    const validationError = validateFilters({ limit, offset });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const page = {
+      limit: limit !== undefined ? parseInt(limit) : 100,
+      offset: offset !== undefined ? parseInt(offset) : 0
+    };
+    const { total, violations } = violationLog.list({ workspace: req.workspace.name, contractId, endpointId }, page);
+    res.json({ contractId, total, ...page, violations });
+  } catch (error) {
+    console.error('Error listing contract violations:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 41. Delete the recorded violations of a contract
+app.delete('/api/contracts/:contractId/violations', (req, res) => {
+  try {
+    const { contractId } = req.params;
+    if (!req.store.apiContracts.has(contractId)) {
+      return res.status(404).json({ error: 'Contract not found' });
+    }
+
+    res.json({
+      message: 'Violations deleted successfully',
+      deletedViolations: violationLog.clear({ workspace: req.workspace.name, contractId })
+    });
+  } catch (error) {
+    console.error('Error deleting contract violations:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 42. Check the mocks created from a contract against it: undocumented status
+// codes, bodies not matching the response schema, changed methods or paths,
+// and contract operations without a mock
+app.get('/api/contracts/:contractId/conformance', (req, res) => {
+  try {
+    const contract = req.store.apiContracts.get(req.params.contractId);
+    if (!contract) {
+      return res.status(404).json({ error: 'Contract not found' });
+    }
+    if (!canValidate(contract)) {
+      return res.status(400).json({ error: 'Conformance reports need an OpenAPI 3 or Swagger 2 contract' });
+    }
+
+    const mocks = req.store.mockEndpoints.entries().map(([id, config]) => ({ id, ...config }));
+    res.json(checkConformance(contract, mocks));
+  } catch (error) {
+    console.error('Error checking contract conformance:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 43. Serve React app for all other routes (SPA support)
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, '../client/build/index.html'));
 });
@@ -461,33 +2115,106 @@ app.use('/api/*', (req, res) => {
       'GET    /api/mock-endpoints/:id',
       'PUT    /api/mock-endpoints/:id', 
       'DELETE /api/mock-endpoints/:id',
+      'GET    /api/mock-endpoints/:id/calls',
+      'POST   /api/mock-endpoints/:id/calls/reset',
+      'POST   /api/mock-endpoints/calls/reset',
       'POST   /api/upload-contract',
+      'POST   /api/upload-har',
       'POST   /api/upload-response/:id',
       'POST   /api/proxy-mock',
+      'PUT    /api/proxy-mock/:id',
+      'DELETE /api/proxy-mock/:id/recordings',
       'GET    /api/contracts',
       'GET    /api/stats',
-      'DELETE /api/clear-all'
+      'DELETE /api/clear-all',
+      'GET    /api/workspaces',
+      'POST   /api/workspaces',
+      'GET    /api/workspaces/:name',
+      'PUT    /api/workspaces/:name',
+      'DELETE /api/workspaces/:name',
+      'POST   /api/workspaces/:name/clear',
+      'POST   /api/workspaces/:name/reset',
+      'GET    /api/workspaces/:name/stats',
+      'GET    /api/export/openapi',
+      'GET    /api/export/postman',
+      'GET    /api/requests',
+      'GET    /api/requests/:id',
+      'DELETE /api/requests',
+      'POST   /api/verify',
+      'POST   /api/verify/unmatched',
+      'GET    /api/state-machines',
+      'GET    /api/state-machines/:name',
+      'PUT    /api/state-machines/:name',
+      'POST   /api/state-machines/reset',
+      'POST   /api/state-machines/:name/reset',
+      'GET    /api/network-conditions',
+      'POST   /api/templates/render',
+      'PUT    /api/contracts/:contractId',
+      'GET    /api/contracts/:contractId/violations',
+      'DELETE /api/contracts/:contractId/violations',
+      'GET    /api/contracts/:contractId/conformance'
     ]
   });
 });
 
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 Mock Server running on port ${PORT}`);
-  console.log(`📊 Dashboard: http://localhost:${PORT}`);
-  console.log(`🔌 API Base: http://localhost:${PORT}/api`);
-  console.log(`🎯 Sample endpoints:`);
-  console.log(`   GET http://localhost:${PORT}/api/mock/demo-user`);
-  console.log(`   GET http://localhost:${PORT}/api/mock/demo-products`);
-  console.log(`   GET http://localhost:${PORT}/api/mock-endpoints`);
-  console.log(`   GET http://localhost:${PORT}/api/health`);
-  console.log(`\n📁 Available API Routes:`);
-  console.log(`   Health:        GET /api/health`);
-  console.log(`   Endpoints:     GET,POST /api/mock-endpoints`);
-  console.log(`   Single:        GET,PUT,DELETE /api/mock-endpoints/:id`);
-  console.log(`   Upload:        POST /api/upload-contract`);
-  console.log(`   Upload Resp:   POST /api/upload-response/:id`);
-  console.log(`   Proxy Mock:    POST /api/proxy-mock`);
-  console.log(`   Contracts:     GET /api/contracts`);
-  console.log(`   Stats:         GET /api/stats`);
-  console.log(`   Clear:         DELETE /api/clear-all`);
-});
\ No newline at end of file
+if (UPSTREAM_URL && !isHttpUrl(UPSTREAM_URL)) {
+  console.error(`UPSTREAM_URL must be an absolute http(s) URL, got "${UPSTREAM_URL}"`);
+  process.exit(1);
+}
+if (NETWORK_CONDITION && !NETWORK_CONDITIONS[NETWORK_CONDITION]) {
+  console.error(`NETWORK_CONDITION must be one of ${Object.keys(NETWORK_CONDITIONS).join(', ')}, got "${NETWORK_CONDITION}"`);
+  process.exit(1);
+}
+
+db.open()
+  .then(({ migrationsApplied }) => {
+    if (!db.workspaces.has(DEFAULT_WORKSPACE)) {
+      db.workspaces.set(DEFAULT_WORKSPACE, createWorkspaceRecord(DEFAULT_WORKSPACE, 'Default workspace'));
+    }
+    if (db.isNew) {
+      seedDemoEndpoints(db.workspace(DEFAULT_WORKSPACE));
+    }
+    console.log(`💾 Storage: ${db.driver}${db.location ? ` (${db.location})` : ''}, schema v${db.schemaVersion}`);
+    if (migrationsApplied.length > 0) {
+      console.log(`   Applied migrations: ${migrationsApplied.join(', ')}`);
+    }
+
+    app.listen(PORT, '0.0.0.0', () => {
+      console.log(`🚀 Mock Server running on port ${PORT}`);
+      console.log(`📊 Dashboard: http://localhost:${PORT}`);
+      console.log(`🔌 API Base: http://localhost:${PORT}/api`);
+      if (UPSTREAM_URL) {
+        console.log(`↪️  Unmatched mock requests are proxied to ${UPSTREAM_URL}`);
+      }
+      if (NETWORK_CONDITION) {
+        console.log(`📶 Mock responses are slowed down to ${NETWORK_CONDITION} conditions`);
+      }
+      console.log(`🎯 Sample endpoints:`);
+      console.log(`   GET http://localhost:${PORT}/api/mock/demo-user`);
+      console.log(`   GET http://localhost:${PORT}/api/mock/demo-products`);
+      console.log(`   GET http://localhost:${PORT}/api/mock-endpoints`);
+      console.log(`   GET http://localhost:${PORT}/api/health`);
+      console.log(`\n📁 Available API Routes:`);
+      console.log(`   Health:        GET /api/health`);
+      console.log(`   Endpoints:     GET,POST /api/mock-endpoints`);
+      console.log(`   Single:        GET,PUT,DELETE /api/mock-endpoints/:id`);
+      console.log(`   Calls:         GET /api/mock-endpoints/:id/calls, POST .../calls/reset`);
+      console.log(`   Upload:        POST /api/upload-contract, POST /api/upload-har`);
+      console.log(`   Upload Resp:   POST /api/upload-response/:id`);
+      console.log(`   Proxy Mock:    POST /api/proxy-mock, PUT /api/proxy-mock/:id`);
+      console.log(`   Contracts:     GET /api/contracts, PUT /api/contracts/:id, GET,DELETE .../violations, GET .../conformance`);
+      console.log(`   Stats:         GET /api/stats`);
+      console.log(`   Clear:         DELETE /api/clear-all`);
+      console.log(`   Workspaces:    GET,POST /api/workspaces, GET,PUT,DELETE /api/workspaces/:name`);
+      console.log(`   Export:        GET /api/export/openapi[?format=yaml], GET /api/export/postman`);
+      console.log(`   Requests:      GET,DELETE /api/requests, GET /api/requests/:id`);
+      console.log(`   Verify:        POST /api/verify, POST /api/verify/unmatched`);
+      console.log(`   State:         GET /api/state-machines, PUT /api/state-machines/:name, POST .../reset`);
+      console.log(`   Network:       GET /api/network-conditions`);
+      console.log(`   Templates:     POST /api/templates/render`);
+    });
+  })
+  .catch(error => {
+    console.error('Failed to open storage:', error);
+    process.exit(1);
+  });
\ No newline at end of file
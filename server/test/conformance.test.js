@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { importSpec } = require('../lib/openapi');
+const { checkConformance } = require('../lib/conformance');
+
+const json = (schema, example) => ({
+  description: 'ok',
+  content: { 'application/json': { schema, ...(example !== undefined ? { example } : {}) } }
+});
+
+const spec = {
+  openapi: '3.0.3',
+  info: { title: 'Shop', version: '1' },
+  paths: {
+    '/items/{id}': {
+      get: {
+        operationId: 'getItem',
+        responses: {
+          200: json({ $ref: '#/components/schemas/Item' }),
+          404: json({ type: 'object', required: ['code'], properties: { code: { type: 'string', pattern: '^E\\d{3}$' } } })
+        }
+      }
+    },
+    '/stats': {
+      get: {
+        operationId: 'getStats',
+        responses: {
+          200: json({
+            type: 'object',
+            minProperties: 2,
+            properties: {
+              value: { oneOf: [{ type: 'number' }, { type: 'integer' }] },
+              flag: { type: ['string', 'boolean'], not: { type: 'string' } },
+              counts: { type: 'object', minProperties: 2, maxProperties: 3, additionalProperties: { type: 'integer' } }
+            }
+          })
+        }
+      }
+    }
+  },
+  components: {
+    schemas: {
+      Base: { type: 'object', required: ['sku'], properties: { sku: { type: 'string', pattern: '^[A-Z]{3}-\\d{2}$' } } },
+      Item: {
+        allOf: [
+          { $ref: '#/components/schemas/Base' },
+          {
+            type: 'object',
+            required: ['color', 'zip'],
+            properties: {
+              color: { type: 'string', pattern: '^#[0-9a-f]{6}$' },
+              zip: { type: 'string', pattern: '^\\d{5}(-\\d{4})?$', maxLength: 5 },
+              email: { type: 'string', format: 'email' }
+            }
+          }
+        ]
+      }
+    }
+  }
+};
+
+// Imported endpoints as the upload route stores them. Resolved contracts are
+// cached by id and upload time, so every import gets its own id.
+let uploads = 0;
+const importContract = (document, seed) => {
+  uploads += 1;
+  const contract = { id: `contract-${uploads}`, name: 'Shop', data: document, uploadedAt: new Date().toISOString() };
+  const imported = importSpec(document, { seed });
+  const mocks = imported.endpoints.map(endpoint => ({ ...endpoint, fromContract: contract.id }));
+  return { imported, mocks, contract };
+};
+
+test('a freshly imported contract reports no violations', () => {
+  [1, 2, 3, 4, 5].forEach(seed => {
+    const { imported, mocks, contract } = importContract(spec, seed);
+    const report = checkConformance(contract, mocks);
+    assert.deepEqual(imported.warnings, []);
+    assert.equal(report.summary.issues, 0, `seed ${seed}: ${JSON.stringify(report.endpoints.flatMap(endpoint => endpoint.issues))}`);
+    assert.equal(report.summary.missingOperations, 0);
+  });
+});
+
+test('examples that contradict their schema are reported on import and by conformance', () => {
+  const document = {
+    ...spec,
+    paths: {
+      '/bad': {
+        get: { responses: { 200: json({ type: 'object', properties: { id: { type: 'integer' } } }, { id: 'not-a-number' }) } }
+      }
+    }
+  };
+  const { imported, mocks, contract } = importContract(document);
+  assert.deepEqual(imported.warnings, [
+    'GET /bad 200: the example does not match the response schema (/id must be integer, got string)'
+  ]);
+
+  const report = checkConformance(contract, mocks);
+  assert.equal(report.summary.nonConforming, 1);
+  assert.ok(report.endpoints[0].issues.every(issue => issue.kind === 'schema' && issue.pointer === '/id'));
+});
+
+test('mocks edited away from the contract are reported', () => {
+  const { mocks, contract } = importContract(spec, 1);
+  const edited = mocks.map(mock => mock.id === 'getItem'
+    ? { ...mock, statusCode: 418, scenarios: [] }
+    : mock);
+  const report = checkConformance(contract, edited.filter(mock => mock.id !== 'getStats'));
+  assert.deepEqual(report.endpoints[0].issues.map(issue => issue.kind), ['status']);
+  assert.deepEqual(report.missingOperations.map(operation => operation.operationId), ['getStats']);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { queryJsonPath, evaluateMatcher, validateMatcher, describeFiles, parseCookies } = require('../lib/matchers');
+const { findMatchingScenario } = require('../lib/scenarios');
+
+const request = {
+  method: 'POST',
+  path: { id: '150' },
+  query: { status: 'Pending' },
+  headers: { 'x-role': 'Admin' },
+  cookies: parseCookies('session=abc; theme=dark'),
+  body: { items: [{ sku: 'ABC-1', qty: 2 }, { sku: 'XYZ-9', qty: 1 }], note: 'gift wrap' },
+  files: describeFiles([{ fieldname: 'avatar', originalname: 'me.png', size: 2048, mimetype: 'image/png', hash: 'f00' }])
+};
+
+test('queryJsonPath selects keys, indexes, quoted keys and wildcards', () => {
+  assert.deepEqual(queryJsonPath(request.body, '$.items[*].sku'), ['ABC-1', 'XYZ-9']);
+  assert.deepEqual(queryJsonPath(request.body, '$.items[1].qty'), [1]);
+  assert.deepEqual(queryJsonPath({ 'a.b': 1 }, "$['a.b']"), [1]);
+  assert.deepEqual(queryJsonPath(request.body, '$.missing.sku'), []);
+  assert.throws(() => queryJsonPath(request.body, '$..sku'), /Unsupported JSONPath/);
+});
+
+test('leaf operators', () => {
+  assert.equal(evaluateMatcher({ source: 'query', field: 'status', equals: 'pending', caseInsensitive: true }, request), true);
+  assert.equal(evaluateMatcher({ source: 'query', field: 'status', equals: 'pending' }, request), false);
+  assert.equal(evaluateMatcher({ source: 'header', field: 'X-Role', regex: '^admin', flags: 'i' }, request), true);
+  assert.equal(evaluateMatcher({ source: 'cookie', field: 'session', exists: true }, request), true);
+  assert.equal(evaluateMatcher({ source: 'cookie', field: 'token', exists: false }, request), true);
+  assert.equal(evaluateMatcher({ source: 'body', jsonPath: '$.note', contains: 'gift' }, request), true);
+  assert.equal(evaluateMatcher({ source: 'body', jsonPath: '$.items[*].sku', equals: 'XYZ-9' }, request), true);
+  assert.equal(evaluateMatcher({ source: 'files', jsonPath: '$.avatar.size', range: { gt: 1024, lte: 4096 } }, request), true);
+  assert.equal(evaluateMatcher({ source: 'method', equals: 'POST' }, request), true);
+});
+
+test('range bounds are exclusive or inclusive and ignore non-numbers', () => {
+  const range = (bounds) => evaluateMatcher({ source: 'path', field: 'id', range: bounds }, request);
+  assert.equal(range({ gte: 100, lt: 200 }), true);
+  assert.equal(range({ gt: 150 }), false);
+  assert.equal(range({ gte: 150, lte: 150 }), true);
+  assert.equal(evaluateMatcher({ source: 'query', field: 'status', range: { gte: 0 } }, request), false);
+});
+
+test('combinators', () => {
+  const admin = { source: 'header', field: 'x-role', equals: 'Admin' };
+  const get = { source: 'method', equals: 'GET' };
+  assert.equal(evaluateMatcher({ and: [admin, get] }, request), false);
+  assert.equal(evaluateMatcher({ or: [admin, get] }, request), true);
+  assert.equal(evaluateMatcher({ not: get }, request), true);
+  assert.equal(evaluateMatcher(null, request), false);
+});
+
+test('validateMatcher reports every problem with its location', () => {
+  assert.deepEqual(validateMatcher({ source: 'query', field: 'status', equals: 'x' }), []);
+  assert.deepEqual(validateMatcher({ and: [] }), ['match.and must be a non-empty array']);
+  assert.deepEqual(validateMatcher({ and: [], or: [] }), ['match must use only one of and, or, not']);
+  assert.deepEqual(validateMatcher({ not: { source: 'nowhere', field: 'a', equals: 1 } }), [
+    'match.not.source must be one of path, query, header, cookie, body, files, method'
+  ]);
+  assert.deepEqual(validateMatcher({ source: 'query', equals: 'x' }), ['match.field is required for the query source']);
+  assert.deepEqual(validateMatcher({ source: 'query', field: 'a', equals: 1, exists: true }), [
+    'match must use exactly one operator: equals, contains, regex, exists, range'
+  ]);
+  assert.match(validateMatcher({ source: 'header', field: 'a', regex: '(' })[0], /^match\.regex is invalid/);
+  assert.deepEqual(validateMatcher({ source: 'path', field: 'id', range: { gt: '1' } }), ['match.range.gt must be a number']);
+  assert.deepEqual(validateMatcher({ source: 'query', jsonPath: '$.a', equals: 1 }), [
+    'match.jsonPath is only supported for the body and files sources'
+  ]);
+});
+
+test('findMatchingScenario returns the first scenario that matches', () => {
+  const scenarios = [
+    { name: 'guest', match: { source: 'header', field: 'x-role', equals: 'Guest' } },
+    { name: 'admin', match: { source: 'header', field: 'x-role', equals: 'Admin' } },
+    { name: 'post', match: { source: 'method', equals: 'POST' } }
+  ];
+  assert.equal(findMatchingScenario(scenarios, request).name, 'admin');
+  assert.equal(findMatchingScenario(scenarios.slice(0, 1), request), null);
+  assert.equal(findMatchingScenario([{ name: 'locked', requiredState: 'locked' }], request, 'open'), null);
+  assert.equal(findMatchingScenario([{ name: 'locked', requiredState: 'locked' }], request, 'locked').name, 'locked');
+});
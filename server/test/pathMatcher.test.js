@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizePath, compilePath, matchPath, findBestRoute } = require('../lib/pathMatcher');
+
+test('normalizePath adds the leading slash and drops the trailing one', () => {
+  assert.equal(normalizePath('users/:id/'), '/users/:id');
+});
+
+test('matchPath captures named, optional, regex and wildcard segments', () => {
+  assert.deepEqual(matchPath('/users/:id', '/users/42'), { id: '42' });
+  assert.deepEqual(matchPath('/items/:id?', '/items'), {});
+  assert.deepEqual(matchPath('/users/:id(\\d+)', '/users/7'), { id: '7' });
+  assert.equal(matchPath('/users/:id(\\d+)', '/users/abc'), null);
+  assert.deepEqual(matchPath('/files/*rest', '/files/a/b/c'), { rest: 'a/b/c' });
+  assert.deepEqual(matchPath('/files/*', '/files/a/b'), { wildcard: 'a/b' });
+});
+
+test('matchPath decodes captured params', () => {
+  assert.deepEqual(matchPath('/a%20b/:x', '/a%20b/c%2Fd'), { x: 'c/d' });
+});
+
+test('compilePath rejects invalid segments', () => {
+  assert.throws(() => compilePath('/a/:id('), /Invalid path segment/);
+});
+
+test('findBestRoute prefers static over regex over param over wildcard', () => {
+  const routes = [{ path: '/users/*' }, { path: '/users/:id' }, { path: '/users/me' }, { path: '/users/:id(\\d+)' }];
+  assert.equal(findBestRoute(routes, '/users/me').route.path, '/users/me');
+  assert.equal(findBestRoute(routes, '/users/7').route.path, '/users/:id(\\d+)');
+  assert.equal(findBestRoute(routes, '/users/bob').route.path, '/users/:id');
+  assert.deepEqual(findBestRoute(routes, '/users/a/b'), { route: { path: '/users/*' }, params: { wildcard: 'a/b' } });
+  assert.equal(findBestRoute(routes, '/nope'), null);
+});
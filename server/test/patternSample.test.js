@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sampleFromPattern, matchesPattern } = require('../lib/patternSample');
+const { sampleFromSchema } = require('../lib/schemaSample');
+
+// Deterministic source of numbers in [0, 1)
+const seeded = (seed) => () => {
+  seed = (seed * 16807) % 2147483647;
+  return (seed - 1) / 2147483646;
+};
+
+const PATTERNS = [
+  '^[A-Z]{3}-\\d{2}$',
+  '^\\+?[1-9]\\d{1,14}$',
+  '^(foo|bar)+baz?$',
+  '[a-z]+@[a-z]+\\.com',
+  '^[^\\s@]+@[^\\s@]+$',
+  '^\\d{5}(-\\d{4})?$',
+  '^#[0-9a-fA-F]{6}$',
+  '^\\u0041\\x42[\\-_]?$',
+  '^(?<year>\\d{4})-(?:0[1-9]|1[0-2])$',
+  '^.{2,4}\\t\\w*$'
+];
+
+test('sampleFromPattern generates strings matching the pattern', () => {
+  PATTERNS.forEach(pattern => {
+    const random = seeded(7);
+    for (let run = 0; run < 25; run += 1) {
+      const value = sampleFromPattern(pattern, random);
+      assert.match(value, new RegExp(pattern, 'u'), `${pattern} gave ${JSON.stringify(value)}`);
+    }
+  });
+});
+
+test('sampleFromPattern respects minLength and maxLength', () => {
+  const random = seeded(3);
+  const value = sampleFromPattern('^[a-z]+$', random, { minLength: 12, maxLength: 15 });
+  assert.match(value, /^[a-z]{12,15}$/);
+  assert.equal(sampleFromPattern('^[a-z]{5}$', random, { maxLength: 3 }), undefined);
+});
+
+test('sampleFromPattern gives up on unsupported or invalid patterns', () => {
+  const random = seeded(1);
+  ['^(?=x)abc$', '(a)\\1', '\\bword', '\\p{L}+', '[z-a]', '(unclosed'].forEach(pattern => {
+    assert.equal(sampleFromPattern(pattern, random), undefined, pattern);
+  });
+});
+
+test('matchesPattern treats patterns JavaScript cannot compile as matching', () => {
+  assert.equal(matchesPattern('^\\d+$', '123'), true);
+  assert.equal(matchesPattern('^\\d+$', 'abc'), false);
+  assert.equal(matchesPattern('(', 'anything'), true);
+});
+
+test('schema strings follow their pattern and stay deterministic with a seed', () => {
+  const schema = { type: 'object', properties: { code: { type: 'string', pattern: '^[A-Z]{3}-\\d{2}$' } } };
+  const first = sampleFromSchema(schema, { seed: 4 });
+  assert.match(first.code, /^[A-Z]{3}-\d{2}$/);
+  assert.deepEqual(sampleFromSchema(schema, { seed: 4 }), first);
+});
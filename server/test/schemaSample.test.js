@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sampleFromSchema, validateSchema } = require('../lib/schemaSample');
+const { validateValue } = require('../lib/schemaValidation');
+
+const SEEDS = Array.from({ length: 20 }, (_, index) => index + 1);
+
+// Every seed must give a body the response validator accepts
+const assertSamplesValid = (schema) => {
+  SEEDS.forEach(seed => {
+    const value = sampleFromSchema(schema, { seed });
+    assert.deepEqual(validateValue(schema, value, { direction: 'response' }), [], `seed ${seed}: ${JSON.stringify(value)}`);
+  });
+};
+
+test('objects honour required, minProperties, maxProperties and additionalProperties', () => {
+  assertSamplesValid({ type: 'object', minProperties: 2 });
+  assertSamplesValid({ type: 'object', required: ['id', 'name'], properties: { id: { type: 'integer' } } });
+  assertSamplesValid({
+    type: 'object',
+    maxProperties: 2,
+    required: ['id'],
+    properties: { id: { type: 'integer' }, a: { type: 'string' }, b: { type: 'string' }, c: { type: 'string' } }
+  });
+  assertSamplesValid({ type: 'object', minProperties: 3, additionalProperties: { type: 'integer', minimum: 10 } });
+  assertSamplesValid({ type: 'object', additionalProperties: false, properties: { a: { type: 'boolean' } } });
+});
+
+test('allOf, oneOf, anyOf and not are honoured', () => {
+  assertSamplesValid({
+    definitions: { Base: { type: 'object', required: ['id'], properties: { id: { type: 'integer', minimum: 5 } } } },
+    allOf: [{ $ref: '#/definitions/Base' }, { properties: { id: { maximum: 7 } }, required: ['tag'] }]
+  });
+  assertSamplesValid({ oneOf: [{ type: 'number' }, { type: 'integer' }] });
+  assertSamplesValid({ type: 'object', required: ['kind'], anyOf: [{ properties: { kind: { enum: ['a', 'b'] } } }] });
+  assertSamplesValid({ type: ['string', 'integer'], not: { type: 'string' } });
+});
+
+test('writeOnly properties are left out of responses', () => {
+  const value = sampleFromSchema({
+    type: 'object',
+    required: ['password'],
+    properties: { name: { type: 'string' }, password: { type: 'string', writeOnly: true } }
+  }, { seed: 1 });
+  assert.equal('password' in value, false);
+});
+
+test('validateSchema rejects unknown types and dangling references', () => {
+  assert.deepEqual(validateSchema({ type: 'object' }), []);
+  assert.match(validateSchema({ type: 'map' })[0], /^responseSchema\.type must be one of/);
+  assert.match(validateSchema({ $ref: '#/definitions/Missing' })[0], /must point into the schema itself/);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateVerification, verifyRequests } = require('../lib/verify');
+
+const entry = (id, method, path, body) => ({
+  id,
+  timestamp: '2024-01-01T00:00:00.000Z',
+  method,
+  url: path,
+  path,
+  endpointId: 'orders',
+  response: { status: 201 },
+  request: { query: {}, headers: {}, body }
+});
+
+const journal = [
+  entry('3', 'POST', '/orders/2', { status: 'shipped' }),
+  entry('2', 'POST', '/orders/1', { status: 'pending' }),
+  entry('1', 'GET', '/orders/1', null)
+];
+
+test('validateVerification rejects bad counts, paths and matchers', () => {
+  assert.deepEqual(validateVerification({ request: { method: 'POST' }, count: { exactly: 1 } }), []);
+  assert.deepEqual(validateVerification({ count: { exactly: 1, atLeast: 1 } }), [
+    'count.exactly and count.never cannot be combined with other expectations'
+  ]);
+  assert.deepEqual(validateVerification({ count: { atLeast: 3, atMost: 1 } }), ['count.atLeast must not be greater than count.atMost']);
+  assert.deepEqual(validateVerification({ count: { sometimes: 1 } }), ['count only supports exactly, atLeast, atMost, never (got sometimes)']);
+  assert.match(validateVerification({ request: { path: '/a/:id(' } })[0], /^request\.path: /);
+  assert.deepEqual(validateVerification({ request: { match: { and: [] } } }), ['request.match.and must be a non-empty array']);
+});
+
+test('verifyRequests counts requests matching method, path template and matcher', () => {
+  const report = verifyRequests(journal, {
+    request: { method: 'post', path: '/orders/:id', match: { source: 'body', jsonPath: '$.status', equals: 'pending' } },
+    count: { exactly: 1 }
+  });
+  assert.equal(report.passed, true);
+  assert.equal(report.count, 1);
+  assert.deepEqual(report.matchedRequests.map(request => request.id), ['2']);
+});
+
+test('verifyRequests defaults to at least once and lists the closest requests on failure', () => {
+  assert.equal(verifyRequests(journal, { request: { method: 'GET' } }).passed, true);
+
+  const report = verifyRequests(journal, {
+    request: {
+      method: 'POST',
+      match: { and: [{ source: 'body', jsonPath: '$.status', equals: 'cancelled' }, { source: 'path', field: 'id', exists: false }] }
+    },
+    closest: 1
+  });
+  assert.equal(report.passed, false);
+  assert.equal(report.count, 0);
+  assert.equal(report.closestRequests.length, 1);
+  assert.equal(report.closestRequests[0].method, 'POST');
+  assert.match(report.closestRequests[0].mismatches[0], /^request\.match\.and\[0\] did not match/);
+});
+
+test('verifyRequests fails when a request happened more often than allowed', () => {
+  const report = verifyRequests(journal, { request: { method: 'POST' }, count: { atMost: 1 } });
+  assert.equal(report.passed, false);
+  assert.deepEqual(report.closestRequests, []);
+  assert.equal(verifyRequests(journal, { request: { method: 'DELETE' }, count: { never: true } }).passed, true);
+});